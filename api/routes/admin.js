@@ -0,0 +1,832 @@
+// admin.js
+// 
+// Implements the route actions pertaining to service administration.
+
+'use strict'
+
+// utils
+const RouteError = require('../util/routeerror.js');
+const RouteResolver = require('../util/routeresolver.js');
+const validation = require('../util/validation.js');
+const keyring = require('../util/keyring.js');
+const permissions = require('../util/permissions.js');
+const auditLog = require('../util/auditlog.js');
+const automod = require('../util/automod.js');
+
+// GET /admin/login-lockouts route
+// 
+// Gets the usernames and IP addresses that are currently locked-out from
+// logging-in due to too many failed login attempts. Requires the
+// admin.login-lockouts permission.
+// 
+// Return JSON structure:
+// {
+//     lockouts: [
+//         {
+//             id:                   (int) ID of the lock-out,
+//             type:                 (string) 'username' or 'ip',
+//             key:                  (string) Locked-out username or IP address,
+//             failedAttempts:       (int) Number of recent failed attempts,
+//             lastFailedTimestamp:  (int) Time of the last failed attempt in
+//                                       UNIX time,
+//             lockedUntilTimestamp: (int) Time the lock-out ends in UNIX time
+//         },
+//         . . .
+//     ]
+// }
+exports.getLoginLockouts = new RouteResolver(async (req, res) => {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            id,
+            throttle_type,
+            throttle_key,
+            failed_count,
+            UNIX_TIMESTAMP(date_last_failed) AS last_failed_timestamp,
+            UNIX_TIMESTAMP(date_locked_until) AS locked_until_timestamp
+        FROM login_throttle
+        WHERE date_locked_until > NOW()
+        ORDER BY date_locked_until DESC;
+    `);
+
+    const resJSON = {
+        lockouts: []
+    };
+    for (const lockout of dbRes) {
+        resJSON.lockouts.push({
+            id: lockout.id,
+            type: lockout.throttle_type,
+            key: lockout.throttle_key,
+            failedAttempts: lockout.failed_count,
+            lastFailedTimestamp: Number(lockout.last_failed_timestamp),
+            lockedUntilTimestamp: Number(lockout.locked_until_timestamp)
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// DELETE /admin/login-lockouts/:id route
+// 
+// Clears a login lock-out and its failed attempt count. Requires the
+// admin.login-lockouts permission. The cleared lock-out is recorded in the audit
+// log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the lock-out to clear
+exports.removeLoginLockout = new RouteResolver(async (req, res) => {
+    const lockoutId = req.params['id'];
+    if (!lockoutId) {
+        throw new RouteError(
+            400,
+            'NO_LOCKOUT_ID',
+            'No lock-out ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+lockoutId)) {
+        throw new RouteError(
+            400,
+            'INVALID_LOCKOUT_ID',
+            'The provided lock-out ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT throttle_type, throttle_key, failed_count FROM login_throttle
+        WHERE id = ?;
+    `, [lockoutId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'LOCKOUT_NOT_FOUND',
+            `Lock-out with ID ${lockoutId} not found`);
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            DELETE FROM login_throttle
+            WHERE id = ?;
+        `, [lockoutId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'login-lockout.delete',
+            targetType: 'login-lockout',
+            targetId: lockoutId,
+            before: {
+                type: dbRes[0].throttle_type,
+                key: dbRes[0].throttle_key,
+                failedAttempts: dbRes[0].failed_count
+            }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully cleared lock-out'
+    });
+});
+
+// GET /admin/jwt-keys route
+// 
+// Gets the keys of the JWT signing keyring, ordered by most recently created.
+// Requires the admin.jwt-keys permission.
+// 
+// Return JSON structure:
+// {
+//     keys: [
+//         {
+//             kid:              (string) ID of the key,
+//             algorithm:        (string) Signing algorithm of the key,
+//             status:           (string) 'active' for the signing key,
+//                                   'verify' for verification-only keys, or
+//                                   'retired',
+//             canSign:          (bool) Indicates if the key has a private key
+//                                   or secret,
+//             createdTimestamp: (int) Time the key was created in UNIX time
+//         },
+//         . . .
+//     ]
+// }
+exports.getJwtKeys = new RouteResolver(async (req, res) => {
+    res.status(200).send({
+        keys: keyring.getKeyInfo()
+    });
+});
+
+// POST /admin/jwt-keys/rotate route
+// 
+// Rotates the JWT signing key. New tokens are signed with the new active key,
+// and the previously active key is kept as a verification-only key so that
+// existing login sessions remain valid until it is retired. Requires the
+// admin.jwt-keys permission. The rotation is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Optional body parameters:
+//   - algorithm (string): Algorithm of the generated key ('HS256', 'RS256', or
+//         'EdDSA'). Defaults to JWT_KEY_ALGORITHM
+//   - kid (string): ID of an existing key file to activate instead of
+//         generating a new key
+// 
+// Return JSON structure:
+// {
+//     message: (string) Success message,
+//     kid:     (string) ID of the new active key
+// }
+exports.rotateJwtKey = new RouteResolver(async (req, res) => {
+    const algorithm = req.body['algorithm'];
+    const kid = req.body['kid'];
+    if (algorithm !== undefined && kid !== undefined) {
+        throw new RouteError(
+            400,
+            'INVALID_ROTATION',
+            'Only one of algorithm or kid can be provided');
+    }
+    if (algorithm !== undefined && !keyring.ALGORITHMS.includes(algorithm)) {
+        throw new RouteError(
+            400,
+            'INVALID_KEY_ALGORITHM',
+            `The key algorithm must be one of ${keyring.ALGORITHMS.join(', ')}`);
+    }
+    if (kid !== undefined && typeof kid !== 'string') {
+        throw new RouteError(
+            400,
+            'INVALID_KEY_ID',
+            'The provided key ID must be a string');
+    }
+
+    const previousKey = keyring.getKeyInfo().find((key) => key.status === 'active');
+    const newKid = keyring.rotate(algorithm, kid);
+    await auditLog.record({
+        req: req,
+        res: res,
+        action: 'jwt-key.rotate',
+        targetType: 'jwt-key',
+        targetId: newKid,
+        before: { activeKid: previousKey ? previousKey.kid : null },
+        after: { activeKid: newKid }
+    });
+
+    res.status(200).send({
+        message: 'Successfully rotated JWT signing key',
+        kid: newKid
+    });
+});
+
+// DELETE /admin/jwt-keys/:kid route
+// 
+// Retires a verification-only JWT key. Tokens signed by the key are no longer
+// accepted, which ends the login sessions that still use them. The active key
+// cannot be retired. Requires the admin.jwt-keys permission. The retirement is
+// recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - kid (string): ID of the key to retire
+exports.retireJwtKey = new RouteResolver(async (req, res) => {
+    keyring.retire(req.params['kid']);
+    await auditLog.record({
+        req: req,
+        res: res,
+        action: 'jwt-key.retire',
+        targetType: 'jwt-key',
+        targetId: req.params['kid'],
+        before: { status: 'verify' },
+        after: { status: 'retired' }
+    });
+
+    res.status(200).send({
+        message: 'Successfully retired JWT key'
+    });
+});
+
+// GET /admin/permissions route
+// 
+// Gets the permissions that can be granted to roles, ordered by name. Requires
+// the admin.permissions permission.
+// 
+// Return JSON structure:
+// {
+//     permissions: [
+//         {
+//             name:        (string) Name of the permission,
+//             description: (string) Description of what the permission allows
+//         },
+//         . . .
+//     ]
+// }
+exports.getPermissions = new RouteResolver(async (req, res) => {
+    res.status(200).send({
+        permissions: await permissions.getPermissions(res.locals.conn)
+    });
+});
+
+// GET /admin/roles route
+// 
+// Gets the roles (access levels) and the permissions granted to each role,
+// ordered by access level. Requires the admin.permissions permission.
+// 
+// Return JSON structure:
+// {
+//     roles: [
+//         {
+//             accessLevel: (int) Access level of the role,
+//             title:       (string) Title of the role,
+//             permissions: (array of strings) Names of the role's permissions
+//         },
+//         . . .
+//     ]
+// }
+exports.getRoles = new RouteResolver(async (req, res) => {
+    res.status(200).send({
+        roles: await permissions.getRoles(res.locals.conn)
+    });
+});
+
+// PUT /admin/roles/:level/permissions route
+// 
+// Replaces the permissions granted to a role. Requires the admin.permissions
+// permission, and only roles below the requesting user's access level can be
+// edited. Changes apply to the next request of each user of the role, and are
+// recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - level (int): Access level of the role
+// 
+// Expected body parameters:
+//   - permissions (array of strings): Names of the permissions to grant to
+//         the role (see GET /admin/permissions)
+exports.setRolePermissions = new RouteResolver(async (req, res) => {
+    const accessLevel = req.params['level'];
+    const rolePermissions = req.body['permissions'];
+    if (!Number.isInteger(+accessLevel)) {
+        throw new RouteError(
+            400,
+            'INVALID_ACCESS_LEVEL',
+            'The provided access level value must be an int');
+    }
+    if (!Array.isArray(rolePermissions)
+        || rolePermissions.some(permission => typeof permission !== 'string')) {
+        throw new RouteError(
+            400,
+            'INVALID_PERMISSIONS',
+            'The provided permissions must be an array of permission names');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT access_level FROM access
+        WHERE access_level = ?;
+    `, [accessLevel]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'ROLE_NOT_FOUND',
+            `Role with access level ${accessLevel} not found`);
+    }
+    await validation.validateAccessLevel(
+        dbRes[0].access_level + 1,
+        res.locals.userInfo.id,
+        res.locals.conn);
+
+    const permissionNames = new Set();
+    for (const permission of await permissions.getPermissions(res.locals.conn)) {
+        permissionNames.add(permission.name);
+    }
+    for (const permission of rolePermissions) {
+        if (!permissionNames.has(permission)) {
+            throw new RouteError(
+                400,
+                'PERMISSION_NOT_FOUND',
+                `Permission ${permission} not found`);
+        }
+    }
+    const previousRole = (await permissions.getRoles(res.locals.conn))
+        .find((role) => role.accessLevel === dbRes[0].access_level);
+    const newPermissions = [...new Set(rolePermissions)].sort();
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await permissions.setRolePermissions(
+            dbRes[0].access_level,
+            newPermissions,
+            res.locals.conn);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'role.permissions',
+            targetType: 'role',
+            targetId: dbRes[0].access_level,
+            before: { permissions: previousRole.permissions },
+            after: { permissions: newPermissions }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully updated role permissions'
+    });
+});
+
+// GET /admin/audit-log route
+// 
+// Gets the entries of the audit log of privileged actions, ordered by most
+// recent. Requires the admin.audit-log permission. Only returns at most
+// AUDIT_LOG_MAX_GET entries per call.
+// 
+// Optional query parameters:
+//   - actor-id (int): ID of the user that performed the actions
+//   - action (string): Name of the action (e.g. 'user.delete')
+//   - target-type (string): Type of the targets (e.g. 'user')
+//   - target-id (string): ID of the target, used with target-type
+//   - from (int): Start of the date range in UNIX seconds (including)
+//   - to (int): End of the date range in UNIX seconds (excluding)
+//   - after-id (BigInt string): ID of the last entry retrieved, used as the
+//         cursor for retrieving the following entries
+//   - count (int): Number of entries to retrieve (capped to
+//         AUDIT_LOG_MAX_GET entries)
+// 
+// Return JSON structure:
+// {
+//     entries: [
+//         {
+//             id:         (BigInt string) ID of the entry,
+//             actorId:    (int | null) ID of the user that performed the
+//                             action,
+//             actor:      (string | null) Current username of the user that
+//                             performed the action (null if the user was
+//                             removed),
+//             action:     (string) Name of the action,
+//             targetType: (string) Type of the target,
+//             targetId:   (string) ID of the target,
+//             before:     (object | null) Values of the target before the
+//                             action,
+//             after:      (object | null) Values of the target after the
+//                             action,
+//             ip:         (string | null) IP address of the requester,
+//             timestamp:  (number) Time of the action in UNIX seconds
+//         },
+//         . . .
+//     ],
+//     ~lastId: (BigInt string) ID of the last entry retrieved, to use as the
+//                  after-id of the next call
+// }
+// 
+// The optional lastId attribute will only be included if at least one entry
+// is included in the entries array attribute.
+exports.getAuditLog = new RouteResolver(async (req, res) => {
+    const actorId = req.query['actor-id'];
+    const action = req.query['action'];
+    const targetType = req.query['target-type'];
+    const targetId = req.query['target-id'];
+    const from = req.query['from'];
+    const to = req.query['to'];
+    const afterId = req.query['after-id'];
+    const retrieveCount = req.query['count'];
+    if (actorId && !Number.isInteger(+actorId)) {
+        throw new RouteError(
+            400,
+            'INVALID_ACTOR_ID',
+            'The provided actor ID value must be an int');
+    }
+    if (targetId && !targetType) {
+        throw new RouteError(
+            400,
+            'NO_TARGET_TYPE',
+            'A target type must be provided with the target ID');
+    }
+    if ((from && !Number.isInteger(+from)) || (to && !Number.isInteger(+to))) {
+        throw new RouteError(
+            400,
+            'INVALID_DATE_RANGE',
+            'The provided from and to values must be ints in UNIX seconds');
+    }
+    if (afterId && !/^[0-9]+$/.test(afterId)) {
+        throw new RouteError(
+            400,
+            'INVALID_AFTER_ID',
+            'The provided after ID value must be an int');
+    }
+    if (retrieveCount && (!Number.isInteger(+retrieveCount) || retrieveCount < 0)) {
+        throw new RouteError(
+            400,
+            'INVALID_COUNT',
+            'The provided count value must be a positive int');
+    }
+
+    const conditions = [];
+    const sqlArgList = [];
+    if (actorId) {
+        conditions.push('audit_log.actor_id = ?');
+        sqlArgList.push(+actorId);
+    }
+    if (action) {
+        conditions.push('audit_log.action = ?');
+        sqlArgList.push(action);
+    }
+    if (targetType) {
+        conditions.push('audit_log.target_type = ?');
+        sqlArgList.push(targetType);
+    }
+    if (targetId) {
+        conditions.push('audit_log.target_id = ?');
+        sqlArgList.push(targetId);
+    }
+    if (from) {
+        conditions.push('audit_log.date_created >= FROM_UNIXTIME(?)');
+        sqlArgList.push(+from);
+    }
+    if (to) {
+        conditions.push('audit_log.date_created < FROM_UNIXTIME(?)');
+        sqlArgList.push(+to);
+    }
+    if (afterId) {
+        conditions.push('audit_log.id < ?');
+        sqlArgList.push(BigInt(afterId));
+    }
+    if (!retrieveCount || +retrieveCount > process.env.AUDIT_LOG_MAX_GET) {
+        sqlArgList.push(+process.env.AUDIT_LOG_MAX_GET);
+    }
+    else {
+        sqlArgList.push(+retrieveCount);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            audit_log.id,
+            audit_log.actor_id,
+            actor.username AS actor,
+            audit_log.action,
+            audit_log.target_type,
+            audit_log.target_id,
+            audit_log.before_value,
+            audit_log.after_value,
+            audit_log.ip_address,
+            UNIX_TIMESTAMP(audit_log.date_created) AS timestamp
+        FROM audit_log
+        LEFT JOIN user actor ON (audit_log.actor_id = actor.id)
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY audit_log.id DESC
+        LIMIT ?;
+    `, sqlArgList);
+
+    const resJSON = {
+        entries: []
+    };
+    for (const entry of dbRes) {
+        resJSON.entries.push({
+            id: entry.id,
+            actorId: entry.actor_id,
+            actor: entry.actor,
+            action: entry.action,
+            targetType: entry.target_type,
+            targetId: entry.target_id,
+            before: auditLog.parseValue(entry.before_value),
+            after: auditLog.parseValue(entry.after_value),
+            ip: entry.ip_address,
+            timestamp: Number(entry.timestamp)
+        });
+    }
+    if (dbRes.length > 0) {
+        resJSON.lastId = dbRes[dbRes.length - 1].id;
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// GET /admin/automod-rules route
+// 
+// Gets all automoderation rules evaluated on new quibbles and username changes,
+// ordered by ID. Requires the admin.automod permission.
+// 
+// Return JSON structure:
+// {
+//     rules: [
+//         {
+//             id:      (int) ID of the rule,
+//             name:    (string) Name of the rule,
+//             type:    (string) Type of the rule,
+//             value:   (string) Value of the rule,
+//             action:  (string) 'reject', 'hold', or 'flag',
+//             targets: (array of strings) Targets the rule applies to
+//                          ('quibble' and/or 'username'),
+//             enabled: (bool) Indicates if the rule is evaluated
+//         },
+//         . . .
+//     ]
+// }
+exports.getAutomodRules = new RouteResolver(async (req, res) => {
+    res.status(200).send({
+        rules: await automod.getRules(res.locals.conn)
+    });
+});
+
+// POST /admin/automod-rules route
+// 
+// Adds an automoderation rule. Requires the admin.automod permission. The
+// addition is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected body parameters:
+//   - name (string): Name of the rule (max 100 characters)
+//   - type (string): Type of the rule, one of 'banned-words', 'regex',
+//         'link-limit', 'caps-ratio', 'repeated-chars', or 'new-account' (see
+//         automod.js for the value each type expects)
+//   - value (string or number): Value of the rule
+//   - action (string): Action applied once the rule matches, either 'reject'
+//         (rejected with an error code), 'hold' (hidden pending moderator
+//         review), or 'flag' (accepted but listed for moderators)
+//   - targets (array of strings): Targets the rule applies to ('quibble'
+//         and/or 'username')
+// 
+// Optional body parameters:
+//   - enabled (bool): Indicates if the rule is evaluated (defaults to true)
+// 
+// Return JSON structure:
+// {
+//     id: (int) ID of the new rule
+// }
+exports.addAutomodRule = new RouteResolver(async (req, res) => {
+    const rule = getRuleBody(req);
+
+    await res.locals.conn.beginTransaction();
+    let ruleId;
+    try {
+        const insertRes = await res.locals.conn.query(`
+            INSERT INTO automod_rule (name, rule_type, rule_value, action, targets, enabled)
+            VALUES (?, ?, ?, ?, ?, ?);
+        `, [rule.name, rule.type, rule.value, rule.action, rule.targets.join(','), rule.enabled]);
+        ruleId = Number(insertRes.insertId);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'automod.create',
+            targetType: 'automod-rule',
+            targetId: ruleId,
+            after: rule
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(201).send({
+        id: ruleId
+    });
+});
+
+// PUT /admin/automod-rules/:id route
+// 
+// Replaces an automoderation rule. Requires the admin.automod permission. The
+// change is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the rule
+// 
+// Expected body parameters are the same as POST /admin/automod-rules.
+exports.editAutomodRule = new RouteResolver(async (req, res) => {
+    const ruleId = req.params['id'];
+    validateRuleId(ruleId);
+    const rule = getRuleBody(req);
+
+    const previousRule = await automod.getRule(ruleId, res.locals.conn);
+    if (!previousRule) {
+        throw new RouteError(
+            400,
+            'RULE_ID_NOT_FOUND',
+            `Automoderation rule with ID ${ruleId} not found`);
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE automod_rule
+            SET
+                name = ?,
+                rule_type = ?,
+                rule_value = ?,
+                action = ?,
+                targets = ?,
+                enabled = ?
+            WHERE id = ?;
+        `, [rule.name, rule.type, rule.value, rule.action, rule.targets.join(','), rule.enabled, ruleId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'automod.update',
+            targetType: 'automod-rule',
+            targetId: ruleId,
+            before: previousRule,
+            after: rule
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully updated automoderation rule'
+    });
+});
+
+// DELETE /admin/automod-rules/:id route
+// 
+// Removes an automoderation rule. Requires the admin.automod permission. Flags
+// recorded by the rule are kept. The removal is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the rule
+exports.removeAutomodRule = new RouteResolver(async (req, res) => {
+    const ruleId = req.params['id'];
+    validateRuleId(ruleId);
+
+    const previousRule = await automod.getRule(ruleId, res.locals.conn);
+    if (!previousRule) {
+        throw new RouteError(
+            400,
+            'RULE_ID_NOT_FOUND',
+            `Automoderation rule with ID ${ruleId} not found`);
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            DELETE FROM automod_rule
+            WHERE id = ?;
+        `, [ruleId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'automod.delete',
+            targetType: 'automod-rule',
+            targetId: ruleId,
+            before: previousRule
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully removed automoderation rule'
+    });
+});
+
+// POST /admin/automod-rules/test route
+// 
+// Evaluates the enabled automoderation rules against a text without posting
+// it, as a dry-run for testing rules. Requires the admin.automod permission.
+// 
+// Expected body parameters:
+//   - text (string): Text to evaluate
+// 
+// Optional body parameters:
+//   - target (string): Target whose rules are evaluated, either 'quibble' or
+//         'username' (defaults to 'quibble')
+//   - user-id (int): ID of the author used for new-account rules (new-account
+//         rules are skipped if omitted)
+// 
+// Return JSON structure:
+// {
+//     action:  (string) Action that would be applied, either 'allow',
+//                  'flag', 'hold', or 'reject',
+//     matches: [
+//         {
+//             id:     (int) ID of the matched rule,
+//             name:   (string) Name of the matched rule,
+//             type:   (string) Type of the matched rule,
+//             action: (string) Action of the matched rule
+//         },
+//         . . .
+//     ]
+// }
+exports.testAutomodRules = new RouteResolver(async (req, res) => {
+    const text = req.body['text'];
+    const target = req.body['target'] || 'quibble';
+    const userId = req.body['user-id'];
+    if (typeof text !== 'string') {
+        throw new RouteError(
+            400,
+            'INVALID_TEXT',
+            'The provided text value must be a string');
+    }
+    if (!automod.TARGETS.includes(target)) {
+        throw new RouteError(
+            400,
+            'INVALID_TARGET',
+            `The target must be one of ${automod.TARGETS.join(', ')}`);
+    }
+    if (userId !== undefined) {
+        validation.validateUserId(userId);
+    }
+
+    const verdict = await automod.evaluate(
+        target,
+        target === 'username' ? text.normalize('NFKC') : text,
+        userId,
+        res.locals.conn);
+
+    const resJSON = {
+        action: verdict.action,
+        matches: []
+    };
+    for (const rule of verdict.matches) {
+        resJSON.matches.push({
+            id: rule.id,
+            name: rule.name,
+            type: rule.type,
+            action: rule.action
+        });
+    }
+    res.status(200).send(resJSON);
+});
+
+// getRuleBody
+// 
+// Helper function for reading and validating the automoderation rule in the
+// body of a request. Returns the rule with its name trimmed, its value as a
+// string, and its enabled attribute defaulting to true.
+// 
+// Throws a RouteError if any attribute of the rule is invalid.
+function getRuleBody(req) {
+    const rule = {
+        name: req.body['name'],
+        type: req.body['type'],
+        value: req.body['value'],
+        action: req.body['action'],
+        targets: req.body['targets'],
+        enabled: req.body['enabled'] === undefined ? true : req.body['enabled']
+    };
+    validation.validateAutomodRule(rule);
+    if (typeof rule.enabled !== 'boolean') {
+        throw new RouteError(
+            400,
+            'INVALID_ENABLED',
+            'The provided enabled value must be a bool');
+    }
+
+    rule.name = rule.name.trim();
+    rule.value = String(rule.value);
+    rule.targets = [...new Set(rule.targets)];
+    return rule;
+}
+
+// validateRuleId
+// 
+// Helper function for validating the ID of an automoderation rule in the URL
+// parameters of a request.
+// 
+// Throws a RouteError if the ID is not an int.
+function validateRuleId(ruleId) {
+    if (!Number.isInteger(+ruleId)) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_ID',
+            'The provided rule ID value must be an int');
+    }
+}
@@ -4,8 +4,8 @@
 
 'use strict'
 
-// bcrypt
-const bcrypt = require('bcryptjs');
+// crypto
+const crypto = require('crypto');
 
 // jsonwebtoken
 const jwt = require('jsonwebtoken');
@@ -15,24 +15,59 @@ const RouteError = require('../util/routeerror.js')
 const RouteResolver = require('../util/routeresolver.js');
 const validation = require('../util/validation.js');
 const tokenEdit = require('../util/tokenedit.js');
+const oneTimeToken = require('../util/onetimetoken.js');
+const accountMail = require('../util/accountmail.js');
+const twoFactor = require('../util/twofactor.js');
+const loginThrottle = require('../util/loginthrottle.js');
+const clientInfo = require('../util/clientinfo.js');
+const apiToken = require('../util/apitoken.js');
+const automod = require('../util/automod.js');
+const oauth = require('../util/oauth.js');
+const usernames = require('../util/usernames.js');
+const passwords = require('../util/passwords.js');
+const suspensions = require('../util/suspensions.js');
 
 // POST /auth/login route
 // 
-// Logs-in a user to an account.
+// Logs-in a user to an account. Usernames are matched regardless of case and
+// Unicode normalization. The X-CSRF-Token header is not required.
+// 
+// Failed attempts are throttled per username and per client IP address. Too
+// many failed attempts result in a temporary lock-out with the error code
+// ACCOUNT_TEMPORARILY_LOCKED and a retryAfter attribute in seconds.
+// 
+// If the account has two-factor authentication enabled, the user is not
+// logged-in yet. Instead, a short-lived challenge token is returned that must
+// be sent to POST /auth/2fa/verify along with a TOTP code or recovery code.
 // 
 // Expected body parameters:
 //   - username (string): Username of the new user
 //   - password (string): Password for the account
+// 
+// Return JSON structure if two-factor authentication is required:
+// {
+//     twoFactorRequired: (bool, true) Indicates that a second step is needed,
+//     challenge:         (string) Challenge token for POST /auth/2fa/verify
+// }
 exports.login = new RouteResolver(async (req, res) => {
     const { username, password } = req.body;
-    validation.validateUsername(username);
+    if (!username || typeof username !== 'string') {
+        throw new RouteError(
+            400,
+            'NO_USERNAME',
+            'Username not provided');
+    }
     validation.validatePassword(password);
+    const ip = clientInfo.getIp(req);
+    await loginThrottle.validateNotLocked(username, ip, res, res.locals.conn);
 
     const dbRes = await res.locals.conn.query(`
         SELECT * FROM \`user\`
-        WHERE username = ?;
-    `, [username]);
-    if (!dbRes.length) {
+        WHERE username_canonical = ?;
+    `, [usernames.getCanonicalUsername(username)]);
+    if (!dbRes.length
+        || !passwords.comparePassword(password, dbRes[0].password_hash)) {
+        await loginThrottle.recordFailure(username, ip, res.locals.conn);
         throw new RouteError(
             400,
             'INCORRECT_USERNAME_PASSWORD',
@@ -40,79 +75,455 @@ exports.login = new RouteResolver(async (req, res) => {
     }
     
     let userInfo = dbRes[0];
-    if (!bcrypt.compareSync(password, userInfo.password_hash.toString())) {
+
+    if (userInfo.totp_enabled) {
+        const challenge = tokenEdit.signToken(
+            { id: userInfo.id },
+            'two_factor_challenge',
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE_TIME }
+            );
+        res.status(200).send({
+            message: 'Two-factor authentication code required',
+            twoFactorRequired: true,
+            challenge: challenge
+        });
+        return;
+    }
+
+    await loginThrottle.clearFailures(username, res.locals.conn);
+    await startLoginSession(userInfo.id, req, res);
+    res.status(200).send({
+        message: `Successfully logged-in as user ${username}`
+    });
+});
+
+// POST /auth/2fa/verify route
+// 
+// Completes the login of an account with two-factor authentication enabled
+// using the challenge token returned by POST /auth/login. Either a TOTP code
+// from the user's authenticator app or an unused recovery code must be
+// provided. Recovery codes can only be used once.
+// 
+// Failed attempts are throttled in the same way as POST /auth/login.
+// 
+// Expected body parameters:
+//   - challenge (string): Challenge token returned by POST /auth/login
+//   - code (string): 6-digit TOTP code (if no recovery code is provided)
+//   - recovery-code (string): Recovery code (if no TOTP code is provided)
+exports.verifyTwoFactor = new RouteResolver(async (req, res) => {
+    const challenge = req.body['challenge'];
+    if (!challenge) {
         throw new RouteError(
             400,
-            'INCORRECT_USERNAME_PASSWORD',
-            `Username and/or password was incorrect`);
+            'NO_CHALLENGE',
+            'No challenge token was provided in the body request');
+    }
+    let challengeInfo;
+    try {
+        challengeInfo = tokenEdit.verifyToken(challenge, 'two_factor_challenge');
+    } catch {
+        throw new RouteError(
+            401,
+            'INVALID_CHALLENGE',
+            'The challenge token is invalid or has expired');
     }
 
-    let refreshToken = jwt.sign(
-        {
-            id: userInfo.id
-        }, 
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRE_TIME }
-        );
+    const dbRes = await res.locals.conn.query(`
+        SELECT id, username, totp_secret, totp_enabled, totp_last_step FROM user
+        WHERE id = ?;
+    `, [challengeInfo.id]);
+    if (dbRes.length === 0 || !dbRes[0].totp_enabled) {
+        throw new RouteError(
+            401,
+            'INVALID_CHALLENGE',
+            'The challenge token is invalid or has expired');
+    }
+    const username = dbRes[0].username;
+    const ip = clientInfo.getIp(req);
+    await loginThrottle.validateNotLocked(username, ip, res, res.locals.conn);
+    try {
+        await verifySecondFactor(dbRes[0], req.body['code'], req.body['recovery-code'], res.locals.conn);
+    } catch (err) {
+        if (err instanceof RouteError && err.code === 'INCORRECT_TWO_FACTOR_CODE') {
+            await loginThrottle.recordFailure(username, ip, res.locals.conn);
+        }
+        throw err;
+    }
 
-    let accessToken = await tokenEdit.createAccessToken(userInfo.id, res.locals.conn);
+    await loginThrottle.clearFailures(username, res.locals.conn);
+    await startLoginSession(dbRes[0].id, req, res);
+    res.status(200).send({
+        message: `Successfully logged-in as user ${dbRes[0].username}`
+    });
+});
+
+// POST /auth/2fa/setup route
+// 
+// Starts two-factor authentication enrollment for the requesting user. A new
+// TOTP secret is generated and returned along with an otpauth:// key URI that
+// can be added to an authenticator app. Two-factor authentication is not
+// enabled until a code is confirmed with POST /auth/2fa/enable.
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user
+// 
+// Return JSON structure:
+// {
+//     secret: (string) Base32 TOTP secret,
+//     keyUri: (string) otpauth:// key URI of the secret
+// }
+exports.setupTwoFactor = new RouteResolver(async (req, res) => {
+    const password = req.body['password'];
+    validation.validatePassword(password);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT username, password_hash, totp_enabled FROM user
+        WHERE id = ?;
+    `, [res.locals.userInfo.id]);
+    if (!passwords.comparePassword(password, dbRes[0].password_hash)) {
+        throw new RouteError(
+            400,
+            'INCORRECT_PASSWORD',
+            'The provided password was incorrect');
+    }
+    if (dbRes[0].totp_enabled) {
+        throw new RouteError(
+            400,
+            'TWO_FACTOR_ALREADY_ENABLED',
+            'Two-factor authentication is already enabled for the user');
+    }
+
+    const secret = twoFactor.generateSecret();
+    await res.locals.conn.query(`
+        UPDATE user
+        SET
+            totp_secret = ?,
+            totp_last_step = NULL
+        WHERE id = ?;
+    `, [secret, res.locals.userInfo.id]);
 
-    tokenEdit.setRefreshToken(refreshToken, res);
-    tokenEdit.setAccessToken(accessToken, res);
     res.status(200).send({
-        message: `Successfully logged-in as user ${username}`
+        secret: secret,
+        keyUri: twoFactor.getKeyUri(secret, dbRes[0].username)
+    });
+});
+
+// POST /auth/2fa/enable route
+// 
+// Enables two-factor authentication for the requesting user after confirming
+// a TOTP code generated from the secret returned by POST /auth/2fa/setup. A new
+// set of recovery codes is returned. The recovery codes are only shown once.
+// 
+// Expected body parameters:
+//   - code (string): 6-digit TOTP code from the user's authenticator app
+// 
+// Return JSON structure:
+// {
+//     recoveryCodes: [
+//         (string) Single-use recovery code,
+//         . . .
+//     ]
+// }
+exports.enableTwoFactor = new RouteResolver(async (req, res) => {
+    const code = req.body['code'];
+    if (!code) {
+        throw new RouteError(
+            400,
+            'NO_TWO_FACTOR_CODE',
+            'No two-factor authentication code was provided in the body request');
+    }
+
+    const userId = res.locals.userInfo.id;
+    const dbRes = await res.locals.conn.query(`
+        SELECT totp_secret, totp_enabled FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes[0].totp_enabled) {
+        throw new RouteError(
+            400,
+            'TWO_FACTOR_ALREADY_ENABLED',
+            'Two-factor authentication is already enabled for the user');
+    }
+    if (!dbRes[0].totp_secret) {
+        throw new RouteError(
+            400,
+            'TWO_FACTOR_NOT_SET_UP',
+            'Two-factor authentication setup has not been started for the user');
+    }
+    const step = twoFactor.verifyCode(dbRes[0].totp_secret, code, null);
+    if (step === null) {
+        throw new RouteError(
+            400,
+            'INCORRECT_TWO_FACTOR_CODE',
+            'The provided two-factor authentication code was incorrect');
+    }
+
+    const recoveryCodes = twoFactor.generateRecoveryCodes(
+        +process.env.TWO_FACTOR_RECOVERY_CODE_COUNT);
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE user
+            SET
+                totp_enabled = TRUE,
+                totp_last_step = ?
+            WHERE id = ?;
+        `, [step, userId]);
+        await res.locals.conn.query(`
+            DELETE FROM recovery_code
+            WHERE user_id = ?;
+        `, [userId]);
+        await res.locals.conn.batch(`
+            INSERT INTO recovery_code (user_id, code_hash)
+            VALUES (?, ?);
+        `, recoveryCodes.map((recoveryCode) => [userId, twoFactor.hashRecoveryCode(recoveryCode)]));
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        recoveryCodes: recoveryCodes
+    });
+});
+
+// POST /auth/2fa/disable route
+// 
+// Disables two-factor authentication for the requesting user. Requires the
+// user's password and either a TOTP code or an unused recovery code. All
+// recovery codes of the user are removed.
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user
+//   - code (string): 6-digit TOTP code (if no recovery code is provided)
+//   - recovery-code (string): Recovery code (if no TOTP code is provided)
+exports.disableTwoFactor = new RouteResolver(async (req, res) => {
+    const password = req.body['password'];
+    validation.validatePassword(password);
+
+    const userId = res.locals.userInfo.id;
+    const dbRes = await res.locals.conn.query(`
+        SELECT id, password_hash, totp_secret, totp_enabled, totp_last_step FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (!passwords.comparePassword(password, dbRes[0].password_hash)) {
+        throw new RouteError(
+            400,
+            'INCORRECT_PASSWORD',
+            'The provided password was incorrect');
+    }
+    if (!dbRes[0].totp_enabled) {
+        throw new RouteError(
+            400,
+            'TWO_FACTOR_NOT_ENABLED',
+            'Two-factor authentication is not enabled for the user');
+    }
+    await verifySecondFactor(dbRes[0], req.body['code'], req.body['recovery-code'], res.locals.conn);
+
+    await res.locals.conn.query(`
+        UPDATE user
+        SET
+            totp_enabled = FALSE,
+            totp_secret = NULL,
+            totp_last_step = NULL
+        WHERE id = ?;
+    `, [userId]);
+    await res.locals.conn.query(`
+        DELETE FROM recovery_code
+        WHERE user_id = ?;
+    `, [userId]);
+
+    res.status(200).send({
+        message: 'Successfully disabled two-factor authentication'
     });
 });
 
 // POST /auth/logout route
 // 
-// Logs-out a user.
-exports.logout = new RouteResolver((req, res) => {
-    res.clearCookie('refresh_token');
-    res.clearCookie('access_token');
+// Logs-out a user. The login session of the provided refresh token is revoked
+// so that the refresh token can no longer be used. The X-CSRF-Token header is
+// not required.
+exports.logout = new RouteResolver(async (req, res) => {
+    let sessionId;
+    try {
+        sessionId = tokenEdit.verifyToken(req.cookies.refresh_token, 'refresh').sid;
+    } catch {
+    }
+    if (sessionId) {
+        await tokenEdit.revokeSession(sessionId, res.locals.conn);
+    }
+
+    tokenEdit.clearTokens(res);
     res.end();
 });
 
+// POST /auth/logout-all route
+// 
+// Logs-out a user from all devices. Every login session of the requesting user
+// is revoked, including the current one. API tokens of the user are kept
+// unless the api-tokens body parameter is set.
+// 
+// Optional body parameters:
+//   - api-tokens (bool): Indicates if all API tokens of the user are also
+//         revoked (defaults to false)
+exports.logoutAll = new RouteResolver(async (req, res) => {
+    const revokeApiTokens = req.body['api-tokens'];
+    if (revokeApiTokens !== undefined && typeof revokeApiTokens !== 'boolean') {
+        throw new RouteError(
+            400,
+            'INVALID_API_TOKENS',
+            'The provided api-tokens value must be a bool');
+    }
+
+    await tokenEdit.revokeUserSessions(res.locals.userInfo.id, res.locals.conn);
+    if (revokeApiTokens) {
+        await apiToken.revokeUserTokens(res.locals.userInfo.id, res.locals.conn);
+    }
+
+    tokenEdit.clearTokens(res);
+    res.status(200).send({
+        message: 'Successfully logged-out of all sessions'
+    });
+});
+
 // GET /auth/info route
 // 
 // Gets information about a logged-in requester. Includes the user's ID,
-// username, and access level.
+// username, access level, email address and its verification state,
+// two-factor authentication state, whether they must change their password,
+// when the account will be deleted if its deletion is scheduled, and the
+// active suspension of the user if they are suspended.
 // 
 // Return JSON structure:
 // {
-//     id:           (int) ID of the requesting user,
-//     username:     (string) Username of the requesting user,
-//     accessLevel:  (int) Access level number of the requesting user,
-//     expTimestamp: (int) Date when the info becomes invalid in UNIX seconds
+//     id:                    (int) ID of the requesting user,
+//     username:              (string) Username of the requesting user,
+//     accessLevel:           (int) Access level number of the requesting user,
+//     ~email:                (string) Email address of the requesting user,
+//     emailVerified:         (bool) Indicates if the email address of the
+//                                requesting user has been verified,
+//     twoFactorEnabled:      (bool) Indicates if two-factor authentication is
+//                                enabled for the requesting user,
+//     twoFactorSetupRequired: (bool) Indicates if the user must enable
+//                                two-factor authentication to use their
+//                                privileges,
+//     passwordResetRequired: (bool) Indicates if the user must change their
+//                                password before continuing,
+//     ~deletionTimestamp:    (number) Time the account is scheduled to be
+//                                deleted in UNIX seconds,
+//     ~suspension: {         (object) Active suspension of the user
+//         reason:            (string) Reason for the suspension,
+//         startTimestamp:    (number) Time the suspension started in UNIX
+//                                seconds,
+//         endTimestamp:      (number | null) Time the suspension ends in UNIX
+//                                seconds, or null if it does not expire
+//     },
+//     expTimestamp:          (int) Date when the info becomes invalid in UNIX
+//                                seconds,
+//     ~csrfToken:            (string) CSRF token to send in the X-CSRF-Token
+//                                header of non-GET requests
 // }
 // 
 // If the user is not logged-in, a 400-level error response is returned with
 // a corresponding error code and error message.
-exports.getInfo = new RouteResolver((req, res) => {
+exports.getInfo = new RouteResolver(async (req, res) => {
     const userInfo = res.locals.userInfo;
     if (!userInfo) {
-        res.clearCookie('refresh_token');
-        res.clearCookie('access_token');
+        tokenEdit.clearTokens(res);
         throw new RouteError(
             401,
             'NO_USER',
             'The requesting user is not logged-in');
     }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            access_level,
+            email,
+            email_verified,
+            totp_enabled,
+            UNIX_TIMESTAMP(date_deletion_scheduled) AS deletion_timestamp,
+            EXISTS(
+                SELECT 1 FROM topic_moderator
+                WHERE topic_moderator.user_id = user.id
+            ) AS topic_moderator
+        FROM user
+        WHERE id = ?;
+    `, [userInfo.id]);
+    if (dbRes.length === 0) {
+        tokenEdit.clearTokens(res);
+        throw new RouteError(
+            401,
+            'NO_USER',
+            'The requesting user is not logged-in');
+    }
+    const suspension = await suspensions.getActiveSuspension(userInfo.id, res.locals.conn);
     
     res.status(200).send({
         id: userInfo.id,
         username: userInfo.username,
         accessLevel: userInfo.access_level,
-        expTimestamp: userInfo.exp
+        email: dbRes[0].email || undefined,
+        emailVerified: Boolean(dbRes[0].email_verified),
+        twoFactorEnabled: Boolean(dbRes[0].totp_enabled),
+        twoFactorSetupRequired: validation.isTwoFactorRequired(
+                dbRes[0].access_level,
+                Boolean(dbRes[0].topic_moderator))
+            && !dbRes[0].totp_enabled,
+        passwordResetRequired: Boolean(userInfo.password_reset_required),
+        deletionTimestamp: dbRes[0].deletion_timestamp === null
+            ? undefined
+            : Number(dbRes[0].deletion_timestamp),
+        suspension: suspension
+            ? {
+                reason: suspension.reason,
+                startTimestamp: suspension.startTimestamp,
+                endTimestamp: suspension.endTimestamp
+            }
+            : undefined,
+        expTimestamp: userInfo.exp,
+        csrfToken: res.locals.csrfToken
     });
 });
 
 // POST /auth/renew-access-token
 // 
-// Renews a user's access token using their refresh token.
-exports.renewAccessToken = new RouteResolver((req, res) => {
-    // Access token renewal and rejection is all handled by the jwtVerifyStrict
-    // middleware, so just return success message.
+// Renews a user's access token using their refresh token. The refresh token is
+// rotated, so a new refresh token is also issued.
+// 
+// If a previously rotated refresh token is reused, the login session is
+// revoked and the error code REFRESH_TOKEN_REUSED is returned.
+exports.renewAccessToken = new RouteResolver(async (req, res) => {
+    if (!req.cookies.refresh_token) {
+        throw new RouteError(
+            401,
+            'USER_NOT_LOGGED_IN',
+            'The user is not logged-in');
+    }
+
+    let tokens;
+    try {
+        const refreshInfo = tokenEdit.verifyToken(req.cookies.refresh_token, 'refresh');
+        tokens = await tokenEdit.renewTokens(refreshInfo, res.locals.conn);
+    } catch (err) {
+        tokenEdit.clearTokens(res);
+        if (err instanceof RouteError) {
+            throw err;
+        }
+    }
+    if (!tokens) {
+        tokenEdit.clearTokens(res);
+        throw new RouteError(
+            401,
+            'USER_LOGIN_ENDED',
+            `The user's login period has ended`);
+    }
+
+    if (tokens.refreshToken) {
+        tokenEdit.setRefreshToken(tokens.refreshToken, res);
+    }
+    tokenEdit.setAccessToken(tokens.accessToken, res);
     res.status(201).send({
         message: 'Successfully renewed access token'
     });
@@ -129,4 +540,955 @@ exports.loginTest = new RouteResolver((req, res) => {
         message: `User is logged-in as ${userInfo.username}`
     });
     return;
-});
\ No newline at end of file
+});
+
+// POST /auth/password-reset/request route
+// 
+// Requests a password reset for the account with the given email address. A
+// single-use reset link is sent to the email address if an account uses it.
+// The same response is returned whether or not an account was found, so that
+// the route cannot be used to discover registered email addresses.
+// 
+// Expected body parameters:
+//   - email (string): Email address of the account
+exports.requestPasswordReset = new RouteResolver(async (req, res) => {
+    const email = req.body['email'];
+    validation.validateEmail(email);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT id, username FROM user
+        WHERE email = ?;
+    `, [email.toLowerCase()]);
+    if (dbRes.length !== 0) {
+        try {
+            await accountMail.sendPasswordResetEmail(
+                dbRes[0].id,
+                dbRes[0].username,
+                email,
+                res.locals.conn);
+        } catch (err) {
+            console.error('POST /auth/password-reset/request mail error');
+            console.error(err);
+        }
+    }
+
+    res.status(200).send({
+        message: 'If an account uses the email address, a password reset link was sent'
+    });
+});
+
+// POST /auth/password-reset/confirm route
+// 
+// Resets the password of an account using a password reset token. The token
+// can only be used once. All login sessions and API tokens of the account are
+// revoked.
+// 
+// The new password must pass the password strength policy (see
+// validation.validateNewPassword). The token is not used up if the new password
+// is rejected.
+// 
+// Expected body parameters:
+//   - token (string): Password reset token sent to the user's email address
+//   - new-password (string): New password to apply to the account
+exports.confirmPasswordReset = new RouteResolver(async (req, res) => {
+    const token = req.body['token'];
+    const newPassword = req.body['new-password'];
+    if (!token) {
+        throw new RouteError(
+            400,
+            'NO_TOKEN',
+            'No password reset token was provided in the body request');
+    }
+    validation.validatePassword(newPassword);
+
+    await res.locals.conn.beginTransaction();
+    try {
+        const userId = await oneTimeToken.redeemToken(token, 'password_reset', res.locals.conn);
+        if (!userId) {
+            throw new RouteError(
+                400,
+                'INVALID_TOKEN',
+                'The password reset token is invalid or has expired');
+        }
+        const dbRes = await res.locals.conn.query(`
+            SELECT username FROM user
+            WHERE id = ?;
+        `, [userId]);
+        await validation.validateNewPassword(newPassword, dbRes[0].username);
+
+        const passwordHash = passwords.hashPassword(newPassword);
+        await res.locals.conn.query(`
+            UPDATE user
+            SET
+                password_hash = ?,
+                password_reset_required = FALSE
+            WHERE id = ?;
+        `, [passwordHash, userId]);
+        await tokenEdit.revokeUserSessions(userId, res.locals.conn);
+        await apiToken.revokeUserTokens(userId, res.locals.conn);
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    tokenEdit.clearTokens(res);
+    res.status(200).send({
+        message: 'Successfully reset password'
+    });
+});
+
+// POST /auth/verify-email route
+// 
+// Verifies the email address of an account using an email verification token.
+// The token can only be used once.
+// 
+// Expected body parameters:
+//   - token (string): Email verification token sent to the email address
+exports.verifyEmail = new RouteResolver(async (req, res) => {
+    const token = req.body['token'];
+    if (!token) {
+        throw new RouteError(
+            400,
+            'NO_TOKEN',
+            'No email verification token was provided in the body request');
+    }
+
+    const userId = await oneTimeToken.redeemToken(token, 'email_verification', res.locals.conn);
+    if (!userId) {
+        throw new RouteError(
+            400,
+            'INVALID_TOKEN',
+            'The email verification token is invalid or has expired');
+    }
+    await res.locals.conn.query(`
+        UPDATE user
+        SET email_verified = TRUE
+        WHERE id = ?;
+    `, [userId]);
+
+    res.status(200).send({
+        message: 'Successfully verified email address'
+    });
+});
+
+// POST /auth/verify-email/request route
+// 
+// Sends a new email verification link to the requesting user's email address.
+// Any previously sent verification links are invalidated.
+exports.requestEmailVerification = new RouteResolver(async (req, res) => {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            username,
+            email,
+            email_verified
+        FROM user
+        WHERE id = ?;
+    `, [res.locals.userInfo.id]);
+    if (dbRes.length === 0 || !dbRes[0].email) {
+        throw new RouteError(
+            400,
+            'NO_EMAIL',
+            'The user does not have an email address');
+    }
+    if (dbRes[0].email_verified) {
+        throw new RouteError(
+            400,
+            'EMAIL_ALREADY_VERIFIED',
+            'The email address of the user is already verified');
+    }
+
+    await accountMail.sendVerificationEmail(
+        res.locals.userInfo.id,
+        dbRes[0].username,
+        dbRes[0].email,
+        res.locals.conn);
+
+    res.status(200).send({
+        message: 'Successfully sent email verification link'
+    });
+});
+
+// GET /auth/sessions route
+// 
+// Gets the active login sessions of the requesting user, ordered by most
+// recently renewed.
+// 
+// Return JSON structure:
+// {
+//     sessions: [
+//         {
+//             id:               (int) ID of the session,
+//             createdTimestamp: (int) Time the session was created in UNIX time,
+//             renewedTimestamp: (int) Time the session last renewed its access
+//                                   token in UNIX time,
+//             ~userAgent:       (string) User agent of the logged-in client,
+//             ~ip:              (string) IP address of the logged-in client,
+//             current:          (bool) Indicates if the session is the one
+//                                   used to make this request
+//         },
+//         . . .
+//     ]
+// }
+exports.getSessions = new RouteResolver(async (req, res) => {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            id,
+            UNIX_TIMESTAMP(date_created) AS created_timestamp,
+            UNIX_TIMESTAMP(date_renewed) AS renewed_timestamp,
+            user_agent,
+            ip_address
+        FROM user_session
+        WHERE user_id = ?
+        AND date_revoked IS NULL
+        AND date_expires > NOW()
+        ORDER BY date_renewed DESC;
+    `, [res.locals.userInfo.id]);
+
+    const resJSON = {
+        sessions: []
+    };
+    for (const session of dbRes) {
+        resJSON.sessions.push({
+            id: session.id,
+            createdTimestamp: Number(session.created_timestamp),
+            renewedTimestamp: Number(session.renewed_timestamp),
+            userAgent: session.user_agent || undefined,
+            ip: session.ip_address || undefined,
+            current: session.id === res.locals.userInfo.sid
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// DELETE /auth/sessions/:id route
+// 
+// Revokes one of the requesting user's login sessions. If the revoked session
+// is the current session, the user is also logged-out.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the session to revoke
+exports.removeSession = new RouteResolver(async (req, res) => {
+    const sessionId = req.params['id'];
+    if (!sessionId) {
+        throw new RouteError(
+            400,
+            'NO_SESSION_ID',
+            'No session ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+sessionId)) {
+        throw new RouteError(
+            400,
+            'INVALID_SESSION_ID',
+            'The provided session ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT id FROM user_session
+        WHERE id = ?
+        AND user_id = ?
+        AND date_revoked IS NULL
+        AND date_expires > NOW();
+    `, [sessionId, res.locals.userInfo.id]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'SESSION_NOT_FOUND',
+            `Active session with ID ${sessionId} not found`);
+    }
+    await tokenEdit.revokeSession(sessionId, res.locals.conn);
+
+    if (+sessionId === res.locals.userInfo.sid) {
+        tokenEdit.clearTokens(res);
+    }
+    res.status(200).send({
+        message: 'Successfully revoked session'
+    });
+});
+
+// POST /auth/tokens route
+// 
+// Creates a personal API token for the requesting user. API tokens are used in
+// an Authorization: Bearer header by scripts and bots, and they only grant
+// access to routes covered by their scopes. Access-level checks of the user
+// still apply to requests made with an API token. API tokens cannot be used
+// to manage API tokens.
+// 
+// The raw token is only returned once by this route.
+// 
+// Available scopes:
+//   - read: Access to logged-in GET routes
+//   - quibble:write: Posting and condemning quibbles, and voting on discussion
+//         choices
+//   - discussion:admin: Creating topics, tags, discussions, and discussion
+//         choices
+// 
+// Expected body parameters:
+//   - name (string): Name to identify the token with
+//   - scopes (array of strings): Scopes granted to the token
+// 
+// Optional body parameters:
+//   - expires-in-days (int): Number of days until the token expires, up to
+//         API_TOKEN_MAX_EXPIRE_DAYS (no expiry if not provided and
+//         API_TOKEN_MAX_EXPIRE_DAYS is 0)
+// 
+// Return JSON structure:
+// {
+//     message: (string) Success message,
+//     id:      (int) ID of the created token,
+//     token:   (string) Raw API token
+// }
+exports.createApiToken = new RouteResolver(async (req, res) => {
+    const name = req.body['name'];
+    const scopes = req.body['scopes'];
+    let expireDays = req.body['expires-in-days'];
+    const maxExpireDays = +process.env.API_TOKEN_MAX_EXPIRE_DAYS;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new RouteError(
+            400,
+            'NO_TOKEN_NAME',
+            'No token name was provided in the request body');
+    }
+    if (name.trim().length > 100) {
+        throw new RouteError(
+            400,
+            'INVALID_TOKEN_NAME',
+            'The token name cannot exceed 100 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new RouteError(
+            400,
+            'NO_TOKEN_SCOPES',
+            'No array of token scopes was provided in the request body');
+    }
+    for (const scope of scopes) {
+        if (!apiToken.SCOPES.includes(scope)) {
+            throw new RouteError(
+                400,
+                'INVALID_TOKEN_SCOPE',
+                `Unknown token scope ${scope}`);
+        }
+    }
+    if (expireDays !== undefined) {
+        if (!Number.isInteger(expireDays) || expireDays < 1) {
+            throw new RouteError(
+                400,
+                'INVALID_TOKEN_EXPIRY',
+                'The token expiry must be a positive int number of days');
+        }
+    }
+    else if (maxExpireDays > 0) {
+        expireDays = maxExpireDays;
+    }
+    if (maxExpireDays > 0 && expireDays > maxExpireDays) {
+        throw new RouteError(
+            400,
+            'INVALID_TOKEN_EXPIRY',
+            `The token expiry cannot exceed ${maxExpireDays} days`);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT COUNT(*) AS token_count FROM api_token
+        WHERE user_id = ?
+        AND date_revoked IS NULL
+        AND (date_expires IS NULL OR date_expires > NOW());
+    `, [res.locals.userInfo.id]);
+    if (Number(dbRes[0].token_count) >= +process.env.API_TOKEN_MAX_PER_USER) {
+        throw new RouteError(
+            400,
+            'TOO_MANY_API_TOKENS',
+            'The user has reached the maximum number of active API tokens');
+    }
+
+    const createdToken = await apiToken.createToken(
+        res.locals.userInfo.id,
+        name.trim(),
+        [...new Set(scopes)],
+        expireDays,
+        res.locals.conn);
+
+    res.status(201).send({
+        message: 'Successfully created API token',
+        id: createdToken.id,
+        token: createdToken.token
+    });
+});
+
+// GET /auth/tokens route
+// 
+// Gets the active API tokens of the requesting user, ordered by most recently
+// created. The raw tokens are not included.
+// 
+// Return JSON structure:
+// {
+//     tokens: [
+//         {
+//             id:                 (int) ID of the token,
+//             name:               (string) Name of the token,
+//             scopes:             (array of strings) Scopes of the token,
+//             createdTimestamp:   (int) Time the token was created in UNIX
+//                                     time,
+//             ~lastUsedTimestamp: (int) Time the token was last used in UNIX
+//                                     time,
+//             ~expiresTimestamp:  (int) Time the token expires in UNIX time
+//         },
+//         . . .
+//     ]
+// }
+exports.getApiTokens = new RouteResolver(async (req, res) => {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            id,
+            name,
+            scopes,
+            UNIX_TIMESTAMP(date_created) AS created_timestamp,
+            UNIX_TIMESTAMP(date_last_used) AS last_used_timestamp,
+            UNIX_TIMESTAMP(date_expires) AS expires_timestamp
+        FROM api_token
+        WHERE user_id = ?
+        AND date_revoked IS NULL
+        AND (date_expires IS NULL OR date_expires > NOW())
+        ORDER BY date_created DESC;
+    `, [res.locals.userInfo.id]);
+
+    const resJSON = {
+        tokens: []
+    };
+    for (const token of dbRes) {
+        resJSON.tokens.push({
+            id: token.id,
+            name: token.name,
+            scopes: token.scopes.split(','),
+            createdTimestamp: Number(token.created_timestamp),
+            lastUsedTimestamp: token.last_used_timestamp
+                ? Number(token.last_used_timestamp)
+                : undefined,
+            expiresTimestamp: token.expires_timestamp
+                ? Number(token.expires_timestamp)
+                : undefined
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// DELETE /auth/tokens/:id route
+// 
+// Revokes one of the requesting user's API tokens.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the token to revoke
+exports.removeApiToken = new RouteResolver(async (req, res) => {
+    const tokenId = req.params['id'];
+    if (!tokenId) {
+        throw new RouteError(
+            400,
+            'NO_TOKEN_ID',
+            'No token ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+tokenId)) {
+        throw new RouteError(
+            400,
+            'INVALID_TOKEN_ID',
+            'The provided token ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        UPDATE api_token
+        SET date_revoked = NOW()
+        WHERE id = ?
+        AND user_id = ?
+        AND date_revoked IS NULL;
+    `, [tokenId, res.locals.userInfo.id]);
+    if (dbRes.affectedRows === 0) {
+        throw new RouteError(
+            400,
+            'TOKEN_NOT_FOUND',
+            `Active API token with ID ${tokenId} not found`);
+    }
+
+    res.status(200).send({
+        message: 'Successfully revoked API token'
+    });
+});
+
+// GET /auth/oauth/providers route
+// 
+// Gets the names of the external identity providers that users can sign in
+// with.
+// 
+// Return JSON structure:
+// {
+//     providers: (array of strings) Names of the available providers
+// }
+exports.getOAuthProviders = new RouteResolver((req, res) => {
+    res.status(200).send({
+        providers: oauth.getProviderNames().filter(name => oauth.getProvider(name))
+    });
+});
+
+// GET /auth/oauth/:provider/start route
+// 
+// Starts signing in with an external identity provider by redirecting the
+// user to the provider's authorization page. The state, nonce, and PKCE code
+// verifier of the request are kept in a signed oauth_state cookie until the
+// provider redirects back to GET /auth/oauth/:provider/callback.
+// 
+// If the link query parameter is set, the external identity is linked to the
+// logged-in requester instead of being used to log-in.
+// 
+// Expected URL parameters:
+//   - provider (string): Name of the identity provider
+// 
+// Optional query parameters:
+//   - link (int): 1 to link the identity to the logged-in requester
+exports.startOAuth = new RouteResolver(async (req, res) => {
+    const provider = getOAuthProvider(req.params['provider']);
+    const link = +req.query['link'] === 1;
+    if (link && !res.locals.userInfo) {
+        throw new RouteError(
+            401,
+            'NO_USER',
+            'The requesting user must be logged-in to link an identity');
+    }
+
+    const authorization = await oauth.createAuthorization(provider);
+    const stateToken = tokenEdit.signToken(
+        {
+            provider: provider.name,
+            state: authorization.state,
+            nonce: authorization.nonce,
+            cv: authorization.codeVerifier,
+            link_id: link ? res.locals.userInfo.id : undefined
+        },
+        'oauth_state',
+        { expiresIn: process.env.OAUTH_STATE_EXPIRE_TIME }
+        );
+    tokenEdit.setOAuthState(stateToken, res);
+    res.redirect(302, authorization.url);
+});
+
+// GET /auth/oauth/:provider/callback route
+// 
+// Completes signing in with an external identity provider. The provider
+// redirects the user to this route after authorization. The state of the
+// request is validated against the oauth_state cookie, and the authorization
+// code is exchanged for the user's ID token.
+// 
+// If the external identity is linked to a user, that user is logged-in. If
+// not, a new user is created with a username derived from the identity, and
+// the identity is linked to it. Identities are never linked to existing users
+// by email address. If the user has two-factor authentication enabled, a
+// challenge token for POST /auth/2fa/verify is provided instead.
+// 
+// The user is redirected to OAUTH_LOGIN_REDIRECT_URL with the following
+// parameters:
+//   - oauth (query): 'logged-in', 'linked', or 'two-factor-required' on success
+//   - error (query): Error code on failure
+//   - two-factor-challenge (fragment): Challenge token if two-factor
+//         authentication is required
+// 
+// Expected URL parameters:
+//   - provider (string): Name of the identity provider
+exports.oauthCallback = new RouteResolver(async (req, res) => {
+    const redirectUrl = new URL(process.env.OAUTH_LOGIN_REDIRECT_URL);
+    try {
+        const result = await completeOAuth(req, res);
+        redirectUrl.searchParams.set('oauth', result.status);
+        if (result.challenge) {
+            redirectUrl.hash = `two-factor-challenge=${result.challenge}`;
+        }
+    } catch (err) {
+        let errorCode = 'INTERNAL_SERVER_ERROR';
+        if (err instanceof RouteError) {
+            errorCode = err.code;
+        }
+        else if (err.code === 'ER_DUP_ENTRY') {
+            errorCode = 'IDENTITY_ALREADY_LINKED';
+        }
+        else {
+            console.error('GET /auth/oauth/:provider/callback error');
+            console.error(err);
+        }
+        redirectUrl.searchParams.set('error', errorCode);
+    }
+
+    res.redirect(302, redirectUrl.toString());
+});
+
+// GET /auth/identities route
+// 
+// Gets the external identities linked to the requesting user.
+// 
+// Return JSON structure:
+// {
+//     identities: [
+//         {
+//             id:               (int) ID of the linked identity,
+//             provider:         (string) Name of the identity provider,
+//             ~email:           (string) Email address of the identity,
+//             createdTimestamp: (int) Time the identity was linked in UNIX
+//                                   time
+//         },
+//         . . .
+//     ]
+// }
+exports.getIdentities = new RouteResolver(async (req, res) => {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            id,
+            provider,
+            email,
+            UNIX_TIMESTAMP(date_created) AS created_timestamp
+        FROM user_identity
+        WHERE user_id = ?
+        ORDER BY date_created;
+    `, [res.locals.userInfo.id]);
+
+    const resJSON = {
+        identities: []
+    };
+    for (const identity of dbRes) {
+        resJSON.identities.push({
+            id: identity.id,
+            provider: identity.provider,
+            email: identity.email || undefined,
+            createdTimestamp: Number(identity.created_timestamp)
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// DELETE /auth/identities/:id route
+// 
+// Unlinks an external identity from the requesting user. The last linked
+// identity of a user without a password cannot be unlinked.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the linked identity to unlink
+exports.removeIdentity = new RouteResolver(async (req, res) => {
+    const identityId = req.params['id'];
+    if (!identityId) {
+        throw new RouteError(
+            400,
+            'NO_IDENTITY_ID',
+            'No identity ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+identityId)) {
+        throw new RouteError(
+            400,
+            'INVALID_IDENTITY_ID',
+            'The provided identity ID value must be an int');
+    }
+
+    const userId = res.locals.userInfo.id;
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            user.password_hash IS NOT NULL AS has_password,
+            (SELECT COUNT(*) FROM user_identity WHERE user_id = user.id) AS identity_count
+        FROM user
+        JOIN user_identity ON (user_identity.user_id = user.id)
+        WHERE user_identity.id = ?
+        AND user.id = ?;
+    `, [identityId, userId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'IDENTITY_NOT_FOUND',
+            `Linked identity with ID ${identityId} not found`);
+    }
+    if (!dbRes[0].has_password && Number(dbRes[0].identity_count) <= 1) {
+        throw new RouteError(
+            400,
+            'LAST_LOGIN_METHOD',
+            'The last linked identity cannot be unlinked before setting a password');
+    }
+
+    await res.locals.conn.query(`
+        DELETE FROM user_identity
+        WHERE id = ?
+        AND user_id = ?;
+    `, [identityId, userId]);
+
+    res.status(200).send({
+        message: 'Successfully unlinked identity'
+    });
+});
+
+// startLoginSession
+// 
+// Helper function for creating a new login session for a user and applying its
+// refresh and access tokens and a new CSRF token to the response object.
+async function startLoginSession(userId, req, res) {
+    const refreshToken = await tokenEdit.createRefreshToken(userId, req, res.locals.conn);
+    const accessToken = await tokenEdit.createAccessToken(
+        userId,
+        jwt.decode(refreshToken).sid,
+        res.locals.conn);
+
+    tokenEdit.setRefreshToken(refreshToken, res);
+    tokenEdit.setAccessToken(accessToken, res);
+    tokenEdit.setCsrfToken(res);
+}
+
+// verifySecondFactor
+// 
+// Helper function for verifying a TOTP code or a recovery code of a user with
+// two-factor authentication enabled. Requires the user's database row with the
+// id, totp_secret, and totp_last_step columns. Accepted codes are consumed so
+// that they cannot be used again.
+// 
+// Throws a RouteError if no code is provided or if the provided code is
+// incorrect.
+async function verifySecondFactor(userInfo, code, recoveryCode, conn) {
+    if (code) {
+        const step = twoFactor.verifyCode(userInfo.totp_secret, code, userInfo.totp_last_step);
+        if (step !== null) {
+            // Only succeeds if no concurrent request used the same time step
+            const updateRes = await conn.query(`
+                UPDATE user
+                SET totp_last_step = ?
+                WHERE id = ?
+                AND (totp_last_step IS NULL OR totp_last_step < ?);
+            `, [step, userInfo.id, step]);
+            if (updateRes.affectedRows > 0) {
+                return;
+            }
+        }
+    }
+    else if (recoveryCode && typeof recoveryCode === 'string') {
+        const updateRes = await conn.query(`
+            UPDATE recovery_code
+            SET date_used = NOW()
+            WHERE user_id = ?
+            AND code_hash = ?
+            AND date_used IS NULL;
+        `, [userInfo.id, twoFactor.hashRecoveryCode(recoveryCode)]);
+        if (updateRes.affectedRows > 0) {
+            return;
+        }
+    }
+    else {
+        throw new RouteError(
+            400,
+            'NO_TWO_FACTOR_CODE',
+            'No two-factor authentication code or recovery code was provided in the body request');
+    }
+
+    throw new RouteError(
+        400,
+        'INCORRECT_TWO_FACTOR_CODE',
+        'The provided two-factor authentication code was incorrect');
+}
+
+// getOAuthProvider
+// 
+// Helper function for getting the configuration of an enabled identity
+// provider given its name. Throws a RouteError if the provider is not
+// available.
+function getOAuthProvider(name) {
+    const provider = oauth.getProvider(name);
+    if (!provider) {
+        throw new RouteError(
+            400,
+            'OAUTH_PROVIDER_NOT_FOUND',
+            `Identity provider ${name} not found`);
+    }
+    return provider;
+}
+
+// completeOAuth
+// 
+// Helper function for completing the OAuth callback of GET
+// /auth/oauth/:provider/callback. Validates the state of the request,
+// retrieves the external identity, and either links it to the logged-in user
+// or logs-in its user.
+// 
+// Returns an object with the status of the callback and the two-factor
+// challenge token if one is required.
+async function completeOAuth(req, res) {
+    tokenEdit.clearOAuthState(res);
+    const provider = getOAuthProvider(req.params['provider']);
+    if (req.query['error']) {
+        throw new RouteError(
+            400,
+            'OAUTH_AUTHORIZATION_DENIED',
+            'The identity provider did not authorize the login');
+    }
+
+    let stateInfo;
+    try {
+        stateInfo = tokenEdit.verifyToken(req.cookies.oauth_state, 'oauth_state');
+    } catch {
+    }
+    const state = req.query['state'];
+    if (!stateInfo
+        || stateInfo.provider !== provider.name
+        || typeof state !== 'string'
+        || state.length !== stateInfo.state.length
+        || !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(stateInfo.state))) {
+        throw new RouteError(
+            400,
+            'INVALID_OAUTH_STATE',
+            'The login request is invalid or has expired');
+    }
+    const code = req.query['code'];
+    if (typeof code !== 'string' || !code) {
+        throw new RouteError(
+            400,
+            'NO_OAUTH_CODE',
+            'No authorization code was provided by the identity provider');
+    }
+
+    const identity = await oauth.getIdentity(provider, code, stateInfo.cv, stateInfo.nonce);
+    const dbRes = await res.locals.conn.query(`
+        SELECT user_id FROM user_identity
+        WHERE provider = ?
+        AND subject = ?;
+    `, [provider.name, identity.subject]);
+
+    // Link the identity to the logged-in user
+    if (stateInfo.link_id) {
+        if (!res.locals.userInfo || res.locals.userInfo.id !== stateInfo.link_id) {
+            throw new RouteError(
+                401,
+                'NO_USER',
+                'The requesting user must be logged-in to link an identity');
+        }
+        if (dbRes.length !== 0) {
+            if (dbRes[0].user_id !== stateInfo.link_id) {
+                throw new RouteError(
+                    400,
+                    'IDENTITY_ALREADY_LINKED',
+                    'The identity is already linked to another user');
+            }
+            return { status: 'linked' };
+        }
+        await res.locals.conn.query(`
+            INSERT INTO user_identity (user_id, provider, subject, email)
+            VALUES (?, ?, ?, ?);
+        `, [stateInfo.link_id, provider.name, identity.subject, identity.email || null]);
+        return { status: 'linked' };
+    }
+
+    let userId;
+    if (dbRes.length !== 0) {
+        userId = dbRes[0].user_id;
+    }
+    else {
+        userId = await provisionOAuthUser(provider, identity, res.locals.conn);
+    }
+
+    const userRes = await res.locals.conn.query(`
+        SELECT totp_enabled FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (userRes[0].totp_enabled) {
+        const challenge = tokenEdit.signToken(
+            { id: userId },
+            'two_factor_challenge',
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE_TIME }
+            );
+        return {
+            status: 'two-factor-required',
+            challenge: challenge
+        };
+    }
+
+    await startLoginSession(userId, req, res);
+    return { status: 'logged-in' };
+}
+
+// provisionOAuthUser
+// 
+// Helper function for creating a new user for an external identity that is
+// not linked to any user. The username is derived from the identity's
+// suggested username or email address, with a random number appended if it is
+// already taken or rejected by the automoderation rules. The identity's email
+// address is only applied if the provider verified it and it is not used by
+// another user.
+// 
+// Returns the ID of the new user.
+async function provisionOAuthUser(provider, identity, conn) {
+    const maxLength = +process.env.USERNAME_MAX_LENGTH;
+    const suggestedUsername = Array.from((identity.preferredUsername
+        || (identity.email ? identity.email.split('@')[0] : '')
+        ).normalize('NFKC')
+        .replace(/\s+/g, '_')
+        .replace(/[^\p{L}\p{M}\p{Nd}_.-]/gu, '')
+        .replace(/[_.-]{2,}/g, '_')
+        .replace(/^[_.-]+|[_.-]+$/g, ''))
+        .slice(0, maxLength - 4)
+        .join('');
+
+    // Fall back to a generic username if the suggested username is invalid,
+    // such as when it mixes scripts or is reserved
+    let username;
+    let verdict;
+    for (let attempt = 0; attempt < 10 && !username; ++attempt) {
+        const baseUsername = (attempt < 5 && suggestedUsername) || 'user';
+        const candidate = attempt === 0
+            ? baseUsername
+            : baseUsername + crypto.randomInt(1000, 10000);
+        try {
+            validation.validateUsername(candidate);
+            await validation.validateUsernameAvailable(candidate, conn);
+            verdict = await automod.enforce('username', candidate, undefined, conn);
+            username = candidate;
+        } catch (err) {
+            if (!(err instanceof RouteError)) {
+                throw err;
+            }
+        }
+    }
+    if (!username) {
+        throw new RouteError(
+            400,
+            'USERNAME_UNAVAILABLE',
+            'Unable to create a username for the identity');
+    }
+
+    let email = null;
+    if (identity.email && identity.emailVerified) {
+        const dbRes = await conn.query(`
+            SELECT id FROM user
+            WHERE email = ?;
+        `, [identity.email.toLowerCase()]);
+        if (dbRes.length === 0) {
+            email = identity.email.toLowerCase();
+        }
+    }
+
+    try {
+        await conn.beginTransaction();
+        const dbRes = await conn.query(`
+            INSERT INTO \`user\` (
+                username,
+                username_canonical,
+                username_skeleton,
+                email,
+                email_verified)
+            VALUES (?, ?, ?, ?, ?);
+        `, [
+            username,
+            usernames.getCanonicalUsername(username),
+            usernames.getUsernameSkeleton(username),
+            email,
+            email !== null
+        ]);
+        const userId = Number(dbRes.insertId);
+        await conn.query(`
+            INSERT INTO user_identity (user_id, provider, subject, email)
+            VALUES (?, ?, ?, ?);
+        `, [userId, provider.name, identity.subject, identity.email || null]);
+        await automod.recordFlags(verdict, 'username', username, userId, null, conn);
+        await conn.commit();
+        return userId;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    }
+}
@@ -8,10 +8,14 @@
 const RouteError = require('../util/routeerror.js')
 const RouteResolver = require('../util/routeresolver.js');
 const validation = require('../util/validation.js');
+const shadowbans = require('../util/shadowbans.js');
+const quibbles = require('../util/quibbles.js');
+const auditLog = require('../util/auditlog.js');
 
 // POST /discussion route
 // 
-// Adds a new discussion. Only accessible by admin-level users.
+// Adds a new discussion. Requires the discussion.create permission. The new
+// discussion is recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected body parameters:
 //   - title (string): Title of the new discussion
@@ -26,10 +30,6 @@ const validation = require('../util/validation.js');
 //     discussionId: (int) ID of the created discussion
 // }
 exports.addDiscussion = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
-
     const title = req.body['title'];
     const topicId = req.body['topic-id'];
     const description = req.body['description'];
@@ -79,6 +79,18 @@ exports.addDiscussion = new RouteResolver(async (req, res) => {
     const dbRes = await res.locals.conn.query(`
         SELECT LAST_INSERT_ID() AS id;
     `);
+    await auditLog.record({
+        req: req,
+        res: res,
+        action: 'discussion.create',
+        targetType: 'discussion',
+        targetId: dbRes[0].id,
+        after: {
+            title: title,
+            topicId: topicId,
+            description: description || null
+        }
+    });
     try {
         await res.locals.conn.commit();
     } catch (err) {
@@ -149,6 +161,10 @@ exports.addDiscussion = new RouteResolver(async (req, res) => {
 // 
 // The optional lastIndex attribute will only be included if at least one
 // discussion is included in the discussions array attribute.
+// 
+// Votes and quibbles hidden by a shadowban are not counted, except for the
+// requester's own votes and quibbles and for requesters with the
+// user.shadowban permission.
 exports.getDiscussions = new RouteResolver(async (req, res) => {
     const search = req.query['search'];
     const topicId = +req.query['topic-id'];
@@ -200,6 +216,8 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
                 'The provided sort by value is not one of the selectable types');
     }
     
+    const voteFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'user_choice', 'user_id', res.locals.conn);
+    const quibbleFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'quibble', 'author_id', res.locals.conn);
     let sqlStatement = `
         SELECT
             discussion_with_votes.*
@@ -217,12 +235,13 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
                 ROW_NUMBER() OVER (${sqlOrderByStatement}) AS row_index
             FROM discussion
             JOIN topic ON (topic_id = topic.id)
-            LEFT JOIN user_choice ON (discussion.id = discussion_id)
+            LEFT JOIN user_choice ON (discussion.id = discussion_id AND ${voteFilter.sql})
             LEFT JOIN (
                 SELECT
                     discussion_id,
                     MAX(UNIX_TIMESTAMP(date_posted)) AS activity_timestamp
                 FROM quibble
+                WHERE ${quibbleFilter.sql}
                 GROUP BY discussion_id
             ) activity ON (discussion.id = activity.discussion_id)
             LEFT JOIN (
@@ -230,7 +249,7 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
                     discussion.id,
                     COUNT(quibble.id) AS quibble_count
                 FROM discussion
-                LEFT JOIN quibble ON (discussion.id = discussion_id)
+                LEFT JOIN quibble ON (discussion.id = discussion_id AND ${quibbleFilter.sql})
                 GROUP BY discussion.id
             ) discussions_with_quibbles ON (discussion.id = discussions_with_quibbles.id)
             ${topicId ? 'WHERE topic_id = ?' : ''}
@@ -244,7 +263,7 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
         LIMIT ?;
     `;
 
-    const sqlArgList = [];
+    const sqlArgList = [...voteFilter.args, ...quibbleFilter.args, ...quibbleFilter.args];
     if (topicId) {
         sqlArgList.push(topicId);
     }
@@ -287,7 +306,8 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
 // GET /discussion/:id route
 // 
 // Gets information about a specific discussion. Includes the discussion title,
-// timestamp, topic, topic ID, and choices.
+// timestamp, topic, topic ID, lock status, and choices. Locked discussions do
+// not accept new quibbles or votes.
 // 
 // Expected URL parameters:
 //   - id (int): ID of the discussion
@@ -298,6 +318,7 @@ exports.getDiscussions = new RouteResolver(async (req, res) => {
 //     timestamp:   (int) Time the discussion was posted in UNIX time,
 //     topic:       (string) Name of the discussion topic,
 //     topicId:     (int) ID of the topic,
+//     locked:      (bool) Indicates if the discussion is locked,
 //     ~description (string) Description of the discussion,
 //     ~pageContent (string) Page content markdown string,
 //     choices: [
@@ -336,6 +357,7 @@ exports.getDiscussion = new RouteResolver(async (req, res) => {
             UNIX_TIMESTAMP(date_created) as timestamp, 
             topic_id, 
             topic_name, 
+            locked,
             description, 
             page_content
         FROM discussion
@@ -362,6 +384,7 @@ exports.getDiscussion = new RouteResolver(async (req, res) => {
         timestamp: discussionInfo[0].timestamp,
         topicId: discussionInfo[0].topic_id,
         topic: discussionInfo[0].topic_name,
+        locked: Boolean(discussionInfo[0].locked),
         description: discussionInfo[0].description || undefined,
         pageContent: discussionInfo[0].page_content || undefined,
         choices: []
@@ -378,7 +401,7 @@ exports.getDiscussion = new RouteResolver(async (req, res) => {
 
 // POST /discussion/:id/tag route
 // 
-// Adds a tag to a discussion. Only accessible by admin-level users.
+// Adds a tag to a discussion. Requires the discussion.edit permission.
 // 
 // Expected URL parameters:
 //   - id (int): ID of the target discussion
@@ -386,10 +409,6 @@ exports.getDiscussion = new RouteResolver(async (req, res) => {
 // Expected body parameters:
 //   - tag-id (int): ID of the tag to add
 exports.addDiscussionTag = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
-
     const discussionId = req.params['id'];
     const tagId = req.body['tag-id'];
 
@@ -491,7 +510,9 @@ exports.getDiscussionTags = new RouteResolver(async (req, res) => {
 
 // POST /discussion/:id/choice route
 // 
-// Adds a new choice to a discussion. Only accessible by admin-level users.
+// Adds a new choice to a discussion. Requires the discussion.choices
+// permission, which moderators of the discussion's topic also have within the
+// topic.
 //
 // Expected URL parameters:
 //   - id (int): ID of the discussion
@@ -499,10 +520,6 @@ exports.getDiscussionTags = new RouteResolver(async (req, res) => {
 // Expected body parameters:
 //   - choice-name (string): Name of the choice
 exports.addDiscussionChoice = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
-
     const discussionId = req.params['id'];
     const choiceName = req.body['choice-name'];
     if (!discussionId) {
@@ -515,6 +532,27 @@ exports.addDiscussionChoice = new RouteResolver(async (req, res) => {
             400,'NO_CHOICE_NAME',
             'No choice name was provided in the body request');
     }
+    if (!Number.isInteger(+discussionId)) {
+        throw new RouteError(
+            400,
+            'INVALID_DISCUSSION_ID',
+            'The provided discussion ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT topic_id FROM discussion
+        WHERE id = ?;
+    `, [discussionId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'DISCUSSION_ID_NOT_FOUND',
+            'The provided discussion ID was not found');
+    }
+    await validation.validatePermission('discussion.choices',
+        res.locals.userInfo.id,
+        res.locals.conn,
+        dbRes[0].topic_id);
 
     await res.locals.conn.query(`
         INSERT INTO choice (discussion_id, choice_name)
@@ -542,6 +580,11 @@ exports.addDiscussionChoice = new RouteResolver(async (req, res) => {
 // 
 // Adds a user's vote to a choice in a discussion.
 // 
+// If REQUIRE_EMAIL_VERIFICATION is enabled, only users with a verified email
+// address can vote. Suspended users cannot vote (error code USER_SUSPENDED),
+// and votes cannot be added to locked discussions (error code
+// DISCUSSION_LOCKED).
+// 
 // Expected URL parameters:
 //   - id (int): ID of the choice that was voted
 exports.addUserChoice = new RouteResolver(async (req, res) => {
@@ -559,6 +602,9 @@ exports.addUserChoice = new RouteResolver(async (req, res) => {
             'The provided choice ID value must be an int');
     }
 
+    await validation.validateEmailVerified(res.locals.userInfo.id, res.locals.conn);
+    await validation.validateNotSuspended(res.locals.userInfo.id, res.locals.conn);
+
     // Get discussion ID from choice ID
     const dbRes = await res.locals.conn.query(`
         SELECT discussion_id FROM choice
@@ -571,12 +617,14 @@ exports.addUserChoice = new RouteResolver(async (req, res) => {
             'The choice ID was not found');
     }
     const discussionId = dbRes[0].discussion_id;
+    await validation.validateDiscussionUnlocked(discussionId, res.locals.conn);
 
     // Add user choice
     await res.locals.conn.query(`
-        INSERT INTO user_choice (choice_id, user_id, discussion_id)
-        VALUES (?, ?, ?);
-    `, [choiceId, res.locals.userInfo.id, discussionId]);
+        INSERT INTO user_choice (choice_id, user_id, discussion_id, shadowed)
+        SELECT ?, id, ?, shadowbanned FROM user
+        WHERE id = ?;
+    `, [choiceId, discussionId, res.locals.userInfo.id]);
 
     res.status(201).send({
         message: 'Successfully added user choice'
@@ -661,6 +709,9 @@ exports.getUserChoice = new RouteResolver(async (req, res) => {
 // 
 // Expected URL parameters:
 //   - id (int): ID of the target discussion
+// 
+// Votes from shadowbanned users are not counted, except for the requester's
+// own vote and for requesters with the user.shadowban permission.
 exports.getChoiceVotes = new RouteResolver(async(req, res) => {
     const discussionId = req.params['id'];
     if (!discussionId) {
@@ -676,12 +727,13 @@ exports.getChoiceVotes = new RouteResolver(async(req, res) => {
             'The provided discussion ID value must be an int');
     }
 
+    const voteFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'user_choice', 'user_id', res.locals.conn);
     const dbRes = await res.locals.conn.query(`
         SELECT id, COUNT(user_id) AS choice_count FROM choice
-        LEFT JOIN user_choice ON (id = choice_id)
+        LEFT JOIN user_choice ON (id = choice_id AND ${voteFilter.sql})
         WHERE choice.discussion_id = ?
         GROUP BY id;
-    `, [discussionId]);
+    `, [...voteFilter.args, discussionId]);
 
     const resJSON = {
         choiceVotes: []
@@ -699,6 +751,55 @@ exports.getChoiceVotes = new RouteResolver(async(req, res) => {
 
 });
 
+// POST /discussion/:id/lock route
+// 
+// Locks a discussion, so that it no longer accepts new quibbles or votes.
+// Requires the discussion.lock permission, which moderators of the
+// discussion's topic also have within the topic. The lock is recorded in the
+// audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion to lock
+exports.lockDiscussion = new RouteResolver(async (req, res) => {
+    const discussionId = req.params['id'];
+    const discussion = await getLockTarget(discussionId, res);
+    if (discussion.locked) {
+        throw new RouteError(
+            400,
+            'DISCUSSION_ALREADY_LOCKED',
+            'The discussion is already locked');
+    }
+    await setLocked(discussionId, true, req, res);
+
+    res.status(200).send({
+        message: 'Successfully locked discussion'
+    });
+});
+
+// DELETE /discussion/:id/lock route
+// 
+// Unlocks a locked discussion. Requires the discussion.lock permission, which
+// moderators of the discussion's topic also have within the topic. The unlock
+// is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion to unlock
+exports.unlockDiscussion = new RouteResolver(async (req, res) => {
+    const discussionId = req.params['id'];
+    const discussion = await getLockTarget(discussionId, res);
+    if (!discussion.locked) {
+        throw new RouteError(
+            400,
+            'DISCUSSION_NOT_LOCKED',
+            'The discussion is not locked');
+    }
+    await setLocked(discussionId, false, req, res);
+
+    res.status(200).send({
+        message: 'Successfully unlocked discussion'
+    });
+});
+
 // GET /discussion/:id/quibbles route
 // 
 // Gets the quibbles from a specific discussion, starting from the newest.
@@ -727,6 +828,14 @@ exports.getChoiceVotes = new RouteResolver(async(req, res) => {
 //             ~condemns:   (int) Count of the number of condemns,
 //             ~condemned:  (bool, true) Indicates if the user has
 //                              condemned the quibble
+//             ~shadowed:   (bool, true) Indicates if the quibble is hidden
+//                              by a shadowban (only included for
+//                              requesters with the user.shadowban
+//                              permission)
+//             ~hidden:     (bool, true) Indicates if the quibble is hidden
+//                              pending moderator review
+//             ~hiddenReason: (string) Reason the quibble was hidden (only
+//                              included for hidden quibbles)
 //         },
 //         . . .
 //     ]
@@ -742,6 +851,16 @@ exports.getChoiceVotes = new RouteResolver(async(req, res) => {
 // Quibbles may be deleted by the user or my moderators. Deleted quibbles will
 // have their content attribute set to null.
 // 
+// Quibbles posted by users while they were shadowbanned are only returned to
+// their authors and to users with the user.shadowban permission.
+// Condemns sent by shadowbanned users are likewise only counted for
+// themselves and for users with the user.shadowban permission.
+// 
+// Quibbles hidden pending moderator review (such as quibbles with many
+// condemns) are returned as collapsed entries, with the hidden and
+// hiddenReason attributes and their content attribute set to null. Only users
+// with the quibble.reports permission receive the content of hidden quibbles.
+// 
 // If no discussion with the specified ID is found, an error code and message
 // is returned with the following structure:
 // {
@@ -777,19 +896,27 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
             'The provided count value must be a positive int');
     }
 
+    const quibbleFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'quibble', 'author_id', res.locals.conn);
+    const condemnFilter = await shadowbans.getCondemnVisibilityFilter(res.locals.userInfo, 'condemner', res.locals.conn);
     const sqlStatement = `
         SELECT 
             quibble.id,
             author_id,
-            username,
+            user.username,
             UNIX_TIMESTAMP(date_posted) as timestamp,
             content, 
             choice_id,
+            quibble.shadowed,
+            quibble.hidden_state,
+            quibble.hidden_reason,
             ${res.locals.userInfo ? 'condemned.user_id AS condemned,' : ''}
-            COUNT(condemning_user.user_id) AS condemn_count
+            COUNT(condemner.id) AS condemn_count
         FROM quibble
         JOIN user ON (author_id = user.id)
         LEFT JOIN condemning_user ON (quibble.id = quibble_id)
+        LEFT JOIN user condemner ON (
+            condemning_user.user_id = condemner.id
+            AND ${condemnFilter.sql})
         LEFT JOIN (
             SELECT
                 choice_id,
@@ -806,6 +933,7 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
             WHERE user_id = ?
         ) condemned ON (quibble.id = condemned.quibble_id)` : ''}
         WHERE quibble.discussion_id = ?
+        AND ${quibbleFilter.sql}
         ${afterQuibbleId ? 'AND quibble.id < ?' : ''}
         GROUP BY quibble.id
         ORDER BY quibble.id DESC
@@ -813,11 +941,13 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
     `;
 
     const sqlArgList = [];
+    sqlArgList.push(...condemnFilter.args);
     sqlArgList.push(+discussionId);
     if (res.locals.userInfo) {
         sqlArgList.push(res.locals.userInfo.id);
     }
     sqlArgList.push(+discussionId);
+    sqlArgList.push(...quibbleFilter.args);
     if (afterQuibbleId){
         sqlArgList.push(+afterQuibbleId);
     }
@@ -829,6 +959,8 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
     }
 
     const dbRes = await res.locals.conn.query(sqlStatement, sqlArgList);
+    const canViewShadowed = await shadowbans.canViewShadowed(res.locals.userInfo, res.locals.conn);
+    const canViewHidden = await quibbles.canViewHidden(res.locals.userInfo, res.locals.conn);
     const resJSON = { quibbles: [] };
     for (const quibble of dbRes) {
         const nextEntry = {
@@ -845,9 +977,86 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
         if (quibble.condemned) {
             nextEntry['condemned'] = true;
         }
+        if (quibble.shadowed && canViewShadowed) {
+            nextEntry['shadowed'] = true;
+        }
+        if (quibble.hidden_state === 'hidden') {
+            nextEntry['hidden'] = true;
+            nextEntry['hiddenReason'] = quibble.hidden_reason;
+            if (!canViewHidden) {
+                nextEntry['content'] = null;
+            }
+        }
 
         resJSON.quibbles.push(nextEntry);
     }
 
     res.status(200).send(resJSON);
-});
\ No newline at end of file
+});
+
+// getLockTarget
+// 
+// Helper function for getting the discussion targeted by a lock route, given
+// the discussion's ID and the route's response object. Validates that the
+// requester has the discussion.lock permission within the discussion's topic.
+async function getLockTarget(discussionId, res) {
+    if (!discussionId) {
+        throw new RouteError(
+            400,
+            'NO_DISCUSSION_ID',
+            'No discussion ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+discussionId)) {
+        throw new RouteError(
+            400,
+            'INVALID_DISCUSSION_ID',
+            'The provided discussion ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT topic_id, locked FROM discussion
+        WHERE id = ?;
+    `, [discussionId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'DISCUSSION_ID_NOT_FOUND',
+            'The provided discussion ID was not found');
+    }
+    await validation.validatePermission('discussion.lock',
+        res.locals.userInfo.id,
+        res.locals.conn,
+        dbRes[0].topic_id);
+    return {
+        locked: Boolean(dbRes[0].locked)
+    };
+}
+
+// setLocked
+// 
+// Helper function for locking or unlocking a discussion and recording the
+// change in the audit log, given the discussion's ID, whether the discussion
+// is locked, and the route's request and response objects.
+async function setLocked(discussionId, locked, req, res) {
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE discussion
+            SET locked = ?
+            WHERE id = ?;
+        `, [locked, discussionId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: locked ? 'discussion.lock' : 'discussion.unlock',
+            targetType: 'discussion',
+            targetId: discussionId,
+            before: { locked: !locked },
+            after: { locked: locked }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+}
@@ -0,0 +1,820 @@
+// moderation.js
+// 
+// Implements the route actions pertaining to the moderation queues of
+// reported quibbles, hidden quibbles, automoderation flags, and users
+// suspected of spam.
+
+'use strict'
+
+// utils
+const RouteError = require('../util/routeerror.js');
+const RouteResolver = require('../util/routeresolver.js');
+const validation = require('../util/validation.js');
+const tokenEdit = require('../util/tokenedit.js');
+const suspensions = require('../util/suspensions.js');
+const quibbles = require('../util/quibbles.js');
+const reports = require('../util/reports.js');
+const auditLog = require('../util/auditlog.js');
+const automod = require('../util/automod.js');
+const spamDetection = require('../util/spamdetection.js');
+const shadowbans = require('../util/shadowbans.js');
+
+// GET /moderation/reports route
+// 
+// Gets the open reports of quibbles, grouped by quibble and ordered by the
+// number of open reports (most reported first), then by the time of the
+// quibble's oldest open report. Requires the quibble.reports permission. Only
+// returns at most QUIBBLE_MAX_GET quibbles per call.
+// 
+// Optional query parameters:
+//   - count (int): Number of reported quibbles to retrieve (capped to
+//         QUIBBLE_MAX_GET quibbles)
+// 
+// Return JSON structure:
+// {
+//     quibbles: [
+//         {
+//             id:              (BigInt string) ID of the quibble,
+//             authorId:        (int | null) ID of the quibble's author,
+//             author:          (string | null) Username of the quibble's
+//                                  author,
+//             discussionId:    (int) ID of the quibble's discussion,
+//             discussion:      (string) Title of the quibble's discussion,
+//             content:         (string | null) Text content of the quibble
+//                                  (null if the quibble was deleted),
+//             timestamp:       (number) Time the quibble was posted,
+//             reportCount:     (int) Number of open reports of the quibble,
+//             reasonCounts:    (object) Number of open reports of each reason
+//                                  category, keyed by reason,
+//             firstTimestamp:  (number) Time of the oldest open report,
+//             reports: [
+//                 {
+//                     id:          (int) ID of the report,
+//                     reporterId:  (int | null) ID of the reporting user,
+//                     reporter:    (string | null) Username of the reporting
+//                                      user,
+//                     reason:      (string) Reason category of the report,
+//                     note:        (string | null) Details of the report,
+//                     timestamp:   (number) Time of the report
+//                 },
+//                 . . .
+//             ]
+//         },
+//         . . .
+//     ]
+// }
+exports.getReports = new RouteResolver(async (req, res) => {
+    const retrieveCount = req.query['count'];
+    if (retrieveCount && (!Number.isInteger(+retrieveCount) || retrieveCount < 0)) {
+        throw new RouteError(
+            400,
+            'INVALID_COUNT',
+            'The provided count value must be a positive int');
+    }
+    const limit = (!retrieveCount || +retrieveCount > process.env.QUIBBLE_MAX_GET)
+        ? +process.env.QUIBBLE_MAX_GET
+        : +retrieveCount;
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            quibble.id,
+            quibble.author_id,
+            author.username AS author,
+            discussion.id AS discussion_id,
+            discussion.title AS discussion,
+            quibble.content,
+            UNIX_TIMESTAMP(quibble.date_posted) AS timestamp,
+            COUNT(*) AS report_count,
+            UNIX_TIMESTAMP(MIN(quibble_report.date_reported)) AS first_timestamp
+        FROM quibble_report
+        JOIN quibble ON (quibble_report.quibble_id = quibble.id)
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        LEFT JOIN user author ON (quibble.author_id = author.id)
+        WHERE quibble_report.resolution_id IS NULL
+        GROUP BY quibble.id
+        ORDER BY report_count DESC, first_timestamp ASC
+        LIMIT ?;
+    `, [limit]);
+
+    const resJSON = {
+        quibbles: []
+    };
+    const quibbleMap = new Map();
+    for (const quibble of dbRes) {
+        const reasonCounts = {};
+        for (const reason of reports.REASONS) {
+            reasonCounts[reason] = 0;
+        }
+        const quibbleJSON = {
+            id: quibble.id,
+            authorId: quibble.author_id,
+            author: quibble.author,
+            discussionId: quibble.discussion_id,
+            discussion: quibble.discussion,
+            content: quibble.content,
+            timestamp: Number(quibble.timestamp),
+            reportCount: Number(quibble.report_count),
+            reasonCounts: reasonCounts,
+            firstTimestamp: Number(quibble.first_timestamp),
+            reports: []
+        };
+        resJSON.quibbles.push(quibbleJSON);
+        quibbleMap.set(String(quibble.id), quibbleJSON);
+    }
+
+    if (dbRes.length > 0) {
+        const quibbleIds = [];
+        for (const quibble of dbRes) {
+            quibbleIds.push(quibble.id);
+        }
+        const reportRes = await res.locals.conn.query(`
+            SELECT
+                quibble_report.id,
+                quibble_report.quibble_id,
+                quibble_report.reporter_id,
+                reporter.username AS reporter,
+                quibble_report.reason,
+                quibble_report.note,
+                UNIX_TIMESTAMP(quibble_report.date_reported) AS timestamp
+            FROM quibble_report
+            LEFT JOIN user reporter ON (quibble_report.reporter_id = reporter.id)
+            WHERE quibble_report.resolution_id IS NULL
+            AND quibble_report.quibble_id IN (${quibbleIds.map(() => '?').join(', ')})
+            ORDER BY quibble_report.date_reported, quibble_report.id;
+        `, quibbleIds);
+        for (const report of reportRes) {
+            const quibbleJSON = quibbleMap.get(String(report.quibble_id));
+            quibbleJSON.reasonCounts[report.reason]++;
+            quibbleJSON.reports.push({
+                id: report.id,
+                reporterId: report.reporter_id,
+                reporter: report.reporter,
+                reason: report.reason,
+                note: report.note,
+                timestamp: Number(report.timestamp)
+            });
+        }
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// POST /moderation/reports/:id/resolution route
+// 
+// Resolves all open reports of a quibble with an action, and records the
+// resolution. Requires the quibble.reports permission. Resolving with the
+// delete action additionally requires the quibble.delete permission (as with
+// DELETE /quibble/:id), and resolving with the suspend action additionally
+// requires the user.ban permission and a higher access level than the
+// quibble's author (as with POST /user/:id/suspension).
+// 
+// Expected URL parameters:
+//   - id (BigInt string): ID of the reported quibble
+// 
+// Expected body parameters:
+//   - action (string): Action resolving the reports, either 'dismiss' (the
+//         reports are closed), 'delete' (the quibble is deleted), or
+//         'suspend' (the quibble's author is suspended)
+// 
+// Optional body parameters:
+//   - note (string): Note of the resolution for other moderators (max 500
+//         characters)
+// 
+// Body parameters of the suspend action:
+//   - reason (string): Reason given to the user for the suspension (max 500
+//         characters)
+//   - expires-in-hours (int, optional): Number of hours until the suspension
+//         expires (the suspension does not expire if omitted)
+// 
+// Return JSON structure:
+// {
+//     id:              (int) ID of the resolution,
+//     resolvedCount:   (int) Number of reports resolved,
+//     ~suspensionId:   (int) ID of the author's suspension
+// }
+// 
+// The optional suspensionId attribute will only be included if the action is
+// 'suspend'.
+exports.resolveReports = new RouteResolver(async (req, res) => {
+    const quibbleId = quibbles.translateQuibbleId(req.params['id']);
+    const action = req.body['action'];
+    const note = req.body['note'];
+    if (!action) {
+        throw new RouteError(
+            400,
+            'NO_ACTION',
+            'No resolution action was provided in the body request');
+    }
+    if (!reports.RESOLUTION_ACTIONS.includes(action)) {
+        throw new RouteError(
+            400,
+            'INVALID_ACTION',
+            `The resolution action must be one of ${reports.RESOLUTION_ACTIONS.join(', ')}`);
+    }
+    if (note !== undefined && typeof note !== 'string') {
+        throw new RouteError(
+            400,
+            'INVALID_NOTE',
+            'The provided note value must be a string');
+    }
+    if (note && note.length > reports.MAX_NOTE_LENGTH) {
+        throw new RouteError(
+            400,
+            'NOTE_TOO_LONG',
+            `The length of the note cannot exceed ${reports.MAX_NOTE_LENGTH} characters`);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            quibble.author_id,
+            quibble.content,
+            discussion.topic_id,
+            author.access_level AS author_access_level
+        FROM quibble
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        LEFT JOIN user author ON (quibble.author_id = author.id)
+        WHERE quibble.id = ?;
+    `, [quibbleId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'QUIBBLE_ID_NOT_FOUND',
+            `Quibble with ID ${quibbleId} not found`);
+    }
+    const quibble = dbRes[0];
+
+    if (action === 'delete') {
+        await validation.validatePermission('quibble.delete',
+            res.locals.userInfo.id,
+            res.locals.conn,
+            quibble.topic_id);
+        if (quibble.content == null) {
+            throw new RouteError(
+                400,
+                'QUIBBLE_ALREADY_DELETED',
+                'The quibble was already deleted');
+        }
+    }
+    else if (action === 'suspend') {
+        await validation.validatePermission('user.ban',
+            res.locals.userInfo.id,
+            res.locals.conn);
+        if (quibble.author_id == null) {
+            throw new RouteError(
+                400,
+                'NO_QUIBBLE_AUTHOR',
+                'The quibble has no author to suspend');
+        }
+        validation.validateSuspension(req.body['reason'], req.body['expires-in-hours']);
+        await validation.validateAccessLevel(
+            quibble.author_access_level + 1,
+            res.locals.userInfo.id,
+            res.locals.conn);
+        if (await suspensions.getActiveSuspension(quibble.author_id, res.locals.conn)) {
+            throw new RouteError(
+                400,
+                'USER_ALREADY_SUSPENDED',
+                'The user is already suspended');
+        }
+    }
+
+    await res.locals.conn.beginTransaction();
+    let resolutionId;
+    let resolvedCount;
+    let suspensionId = null;
+    try {
+        if (action === 'delete') {
+            await quibbles.deleteQuibble(quibbleId, quibble.content, req, res);
+        }
+        else if (action === 'suspend') {
+            suspensionId = await suspensions.addSuspension(
+                quibble.author_id,
+                res.locals.userInfo.id,
+                req.body['reason'].trim(),
+                req.body['expires-in-hours'],
+                res.locals.conn);
+            await tokenEdit.revokeUserSessions(quibble.author_id, res.locals.conn);
+        }
+
+        const insertRes = await res.locals.conn.query(`
+            INSERT INTO report_resolution (
+                quibble_id,
+                moderator_id,
+                action,
+                note,
+                suspension_id)
+            VALUES (?, ?, ?, ?, ?);
+        `, [
+            quibbleId,
+            res.locals.userInfo.id,
+            action,
+            note ? note.trim() : null,
+            suspensionId
+        ]);
+        resolutionId = Number(insertRes.insertId);
+
+        const updateRes = await res.locals.conn.query(`
+            UPDATE quibble_report
+            SET resolution_id = ?
+            WHERE quibble_id = ?
+            AND resolution_id IS NULL;
+        `, [resolutionId, quibbleId]);
+        resolvedCount = updateRes.affectedRows;
+        if (resolvedCount === 0) {
+            throw new RouteError(
+                400,
+                'NO_OPEN_REPORTS',
+                'The quibble has no open reports');
+        }
+
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'quibble.reports.resolve',
+            targetType: 'quibble',
+            targetId: quibbleId,
+            after: {
+                action: action,
+                resolvedCount: resolvedCount,
+                suspensionId: suspensionId
+            }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    const resJSON = {
+        id: resolutionId,
+        resolvedCount: resolvedCount
+    };
+    if (suspensionId !== null) {
+        resJSON.suspensionId = suspensionId;
+    }
+    res.status(201).send(resJSON);
+});
+
+// GET /moderation/hidden-quibbles route
+// 
+// Gets the quibbles that were hidden automatically and are pending moderator
+// review, ordered by the time they were hidden (oldest first). Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET quibbles per
+// call.
+// 
+// Optional query parameters:
+//   - count (int): Number of hidden quibbles to retrieve (capped to
+//         QUIBBLE_MAX_GET quibbles)
+// 
+// Return JSON structure:
+// {
+//     quibbles: [
+//         {
+//             id:              (BigInt string) ID of the quibble,
+//             authorId:        (int | null) ID of the quibble's author,
+//             author:          (string | null) Username of the quibble's
+//                                  author,
+//             discussionId:    (int) ID of the quibble's discussion,
+//             discussion:      (string) Title of the quibble's discussion,
+//             content:         (string) Text content of the quibble,
+//             timestamp:       (number) Time the quibble was posted,
+//             condemns:        (int) Number of condemns of the quibble,
+//             hiddenReason:    (string) Reason the quibble was hidden,
+//             hiddenTimestamp: (number) Time the quibble was hidden
+//         },
+//         . . .
+//     ]
+// }
+exports.getHiddenQuibbles = new RouteResolver(async (req, res) => {
+    const retrieveCount = req.query['count'];
+    if (retrieveCount && (!Number.isInteger(+retrieveCount) || retrieveCount < 0)) {
+        throw new RouteError(
+            400,
+            'INVALID_COUNT',
+            'The provided count value must be a positive int');
+    }
+    const limit = (!retrieveCount || +retrieveCount > process.env.QUIBBLE_MAX_GET)
+        ? +process.env.QUIBBLE_MAX_GET
+        : +retrieveCount;
+
+    const condemnFilter = await shadowbans.getCondemnVisibilityFilter(res.locals.userInfo, 'condemner', res.locals.conn);
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            quibble.id,
+            quibble.author_id,
+            author.username AS author,
+            discussion.id AS discussion_id,
+            discussion.title AS discussion,
+            quibble.content,
+            UNIX_TIMESTAMP(quibble.date_posted) AS timestamp,
+            COUNT(condemner.id) AS condemn_count,
+            quibble.hidden_reason,
+            UNIX_TIMESTAMP(quibble.date_hidden) AS hidden_timestamp
+        FROM quibble
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        LEFT JOIN user author ON (quibble.author_id = author.id)
+        LEFT JOIN condemning_user ON (quibble.id = condemning_user.quibble_id)
+        LEFT JOIN user condemner ON (
+            condemning_user.user_id = condemner.id
+            AND ${condemnFilter.sql})
+        WHERE quibble.hidden_state = 'hidden'
+        AND quibble.content IS NOT NULL
+        GROUP BY quibble.id
+        ORDER BY quibble.date_hidden, quibble.id
+        LIMIT ?;
+    `, [...condemnFilter.args, limit]);
+
+    const resJSON = {
+        quibbles: []
+    };
+    for (const quibble of dbRes) {
+        resJSON.quibbles.push({
+            id: quibble.id,
+            authorId: quibble.author_id,
+            author: quibble.author,
+            discussionId: quibble.discussion_id,
+            discussion: quibble.discussion,
+            content: quibble.content,
+            timestamp: Number(quibble.timestamp),
+            condemns: Number(quibble.condemn_count),
+            hiddenReason: quibble.hidden_reason,
+            hiddenTimestamp: Number(quibble.hidden_timestamp)
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// POST /moderation/hidden-quibbles/:id/review route
+// 
+// Reviews a hidden quibble by either restoring it or confirming its removal.
+// Restored quibbles are visible again and are not hidden automatically again,
+// and removed quibbles are deleted (as with DELETE /quibble/:id). Requires the
+// quibble.reports permission and the quibble.delete permission, which
+// moderators of the quibble's topic also have within the topic. The review is
+// recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (BigInt string): ID of the hidden quibble
+// 
+// Expected body parameters:
+//   - action (string): Either 'restore' or 'remove'
+exports.reviewHiddenQuibble = new RouteResolver(async (req, res) => {
+    const quibbleId = quibbles.translateQuibbleId(req.params['id']);
+    const action = req.body['action'];
+    if (!action) {
+        throw new RouteError(
+            400,
+            'NO_ACTION',
+            'No review action was provided in the body request');
+    }
+    if (action !== 'restore' && action !== 'remove') {
+        throw new RouteError(
+            400,
+            'INVALID_ACTION',
+            `The review action must be either 'restore' or 'remove'`);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            quibble.content,
+            quibble.hidden_state,
+            quibble.hidden_reason,
+            discussion.topic_id
+        FROM quibble
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        WHERE quibble.id = ?;
+    `, [quibbleId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'QUIBBLE_ID_NOT_FOUND',
+            `Quibble with ID ${quibbleId} not found`);
+    }
+    await validation.validatePermission('quibble.delete',
+        res.locals.userInfo.id,
+        res.locals.conn,
+        dbRes[0].topic_id);
+    if (dbRes[0].hidden_state !== 'hidden' || dbRes[0].content == null) {
+        throw new RouteError(
+            400,
+            'QUIBBLE_NOT_HIDDEN',
+            'The quibble is not hidden pending review');
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        if (action === 'remove') {
+            await quibbles.deleteQuibble(quibbleId, dbRes[0].content, req, res);
+        }
+        else {
+            await res.locals.conn.query(`
+                UPDATE quibble
+                SET hidden_state = 'restored'
+                WHERE id = ?;
+            `, [quibbleId]);
+            await auditLog.record({
+                req: req,
+                res: res,
+                action: 'quibble.restore',
+                targetType: 'quibble',
+                targetId: quibbleId,
+                before: { hiddenState: 'hidden', hiddenReason: dbRes[0].hidden_reason },
+                after: { hiddenState: 'restored' }
+            });
+        }
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: action === 'remove'
+            ? 'Successfully removed quibble'
+            : 'Successfully restored quibble'
+    });
+});
+
+// GET /moderation/automod-flags route
+// 
+// Gets the quibbles and usernames that matched an automoderation hold or flag
+// rule (see GET /admin/automod-rules), ordered by most recent. Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET flags per
+// call.
+// 
+// Optional query parameters:
+//   - target (string): Only retrieve flags of a target, either 'quibble' or
+//         'username'
+//   - after-id (BigInt string): ID of the last flag retrieved, used as the
+//         cursor for retrieving the following flags
+//   - count (int): Number of flags to retrieve (capped to QUIBBLE_MAX_GET
+//         flags)
+// 
+// Return JSON structure:
+// {
+//     flags: [
+//         {
+//             id:         (BigInt string) ID of the flag,
+//             ruleId:     (int | null) ID of the matched rule (null if the
+//                             rule was removed),
+//             rule:       (string) Name of the matched rule,
+//             action:     (string) 'hold' or 'flag',
+//             target:     (string) 'quibble' or 'username',
+//             userId:     (int) ID of the author,
+//             username:   (string) Current username of the author,
+//             quibbleId:  (BigInt string | null) ID of the flagged quibble
+//                             (null for usernames),
+//             content:    (string) Flagged quibble content or username,
+//             timestamp:  (number) Time of the flag in UNIX seconds
+//         },
+//         . . .
+//     ],
+//     ~lastId: (BigInt string) ID of the last flag retrieved, to use as the
+//                  after-id of the next call
+// }
+// 
+// The optional lastId attribute will only be included if at least one flag is
+// included in the flags array attribute.
+exports.getAutomodFlags = new RouteResolver(async (req, res) => {
+    const target = req.query['target'];
+    const afterId = req.query['after-id'];
+    const retrieveCount = req.query['count'];
+    if (target && !automod.TARGETS.includes(target)) {
+        throw new RouteError(
+            400,
+            'INVALID_TARGET',
+            `The target must be one of ${automod.TARGETS.join(', ')}`);
+    }
+    if (afterId && !/^[0-9]+$/.test(afterId)) {
+        throw new RouteError(
+            400,
+            'INVALID_AFTER_ID',
+            'The provided after ID value must be an int');
+    }
+    if (retrieveCount && (!Number.isInteger(+retrieveCount) || retrieveCount < 0)) {
+        throw new RouteError(
+            400,
+            'INVALID_COUNT',
+            'The provided count value must be a positive int');
+    }
+
+    const conditions = [];
+    const sqlArgList = [];
+    if (target) {
+        conditions.push('automod_flag.target = ?');
+        sqlArgList.push(target);
+    }
+    if (afterId) {
+        conditions.push('automod_flag.id < ?');
+        sqlArgList.push(BigInt(afterId));
+    }
+    if (!retrieveCount || +retrieveCount > process.env.QUIBBLE_MAX_GET) {
+        sqlArgList.push(+process.env.QUIBBLE_MAX_GET);
+    }
+    else {
+        sqlArgList.push(+retrieveCount);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            automod_flag.id,
+            automod_flag.rule_id,
+            automod_flag.rule_name,
+            automod_flag.action,
+            automod_flag.target,
+            automod_flag.user_id,
+            user.username,
+            automod_flag.quibble_id,
+            automod_flag.content,
+            UNIX_TIMESTAMP(automod_flag.date_flagged) AS timestamp
+        FROM automod_flag
+        JOIN user ON (automod_flag.user_id = user.id)
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY automod_flag.id DESC
+        LIMIT ?;
+    `, sqlArgList);
+
+    const resJSON = {
+        flags: []
+    };
+    for (const flag of dbRes) {
+        resJSON.flags.push({
+            id: flag.id,
+            ruleId: flag.rule_id,
+            rule: flag.rule_name,
+            action: flag.action,
+            target: flag.target,
+            userId: flag.user_id,
+            username: flag.username,
+            quibbleId: flag.quibble_id,
+            content: flag.content,
+            timestamp: Number(flag.timestamp)
+        });
+    }
+    if (dbRes.length > 0) {
+        resJSON.lastId = dbRes[dbRes.length - 1].id;
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// GET /moderation/suspicious-users route
+// 
+// Gets the users with at least SPAM_REVIEW_THRESHOLD unreviewed spam
+// detections (duplicate quibbles, copied quibbles, or posting bursts), ordered
+// by the number of unreviewed detections (most first). Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET users per
+// call. Suspicious users can be suspended with POST /user/:id/suspension, and
+// their detections are cleared with DELETE /moderation/suspicious-users/:id.
+// 
+// Optional query parameters:
+//   - count (int): Number of users to retrieve (capped to QUIBBLE_MAX_GET
+//         users)
+// 
+// Return JSON structure:
+// {
+//     users: [
+//         {
+//             id:              (int) ID of the user,
+//             username:        (string) Username of the user,
+//             detectionCount:  (int) Number of unreviewed detections,
+//             typeCounts:      (object) Number of unreviewed detections of
+//                                  each type ('duplicate', 'copy', and
+//                                  'burst'),
+//             lastTimestamp:   (number) Time of the latest detection,
+//             detections: [
+//                 {
+//                     id:               (BigInt string) ID of the detection,
+//                     type:             (string) Type of the detection,
+//                     discussionId:     (int | null) ID of the target
+//                                           discussion,
+//                     content:          (string) Rejected quibble content,
+//                     matchedQuibbleId: (BigInt string | null) ID of the
+//                                           quibble the content duplicated,
+//                     timestamp:        (number) Time of the detection
+//                 },
+//                 . . . (max 10, most recent first)
+//             ]
+//         },
+//         . . .
+//     ]
+// }
+exports.getSuspiciousUsers = new RouteResolver(async (req, res) => {
+    const retrieveCount = req.query['count'];
+    if (retrieveCount && (!Number.isInteger(+retrieveCount) || retrieveCount < 0)) {
+        throw new RouteError(
+            400,
+            'INVALID_COUNT',
+            'The provided count value must be a positive int');
+    }
+    const limit = (!retrieveCount || +retrieveCount > process.env.QUIBBLE_MAX_GET)
+        ? +process.env.QUIBBLE_MAX_GET
+        : +retrieveCount;
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            user.id,
+            user.username,
+            COUNT(*) AS detection_count,
+            UNIX_TIMESTAMP(MAX(spam_detection.date_detected)) AS last_timestamp
+        FROM spam_detection
+        JOIN user ON (spam_detection.user_id = user.id)
+        WHERE spam_detection.date_reviewed IS NULL
+        GROUP BY user.id
+        HAVING detection_count >= ?
+        ORDER BY detection_count DESC, last_timestamp DESC
+        LIMIT ?;
+    `, [+process.env.SPAM_REVIEW_THRESHOLD || 1, limit]);
+
+    const resJSON = {
+        users: []
+    };
+    const userMap = new Map();
+    for (const user of dbRes) {
+        const typeCounts = {};
+        for (const type of spamDetection.DETECTION_TYPES) {
+            typeCounts[type] = 0;
+        }
+        const userJSON = {
+            id: user.id,
+            username: user.username,
+            detectionCount: Number(user.detection_count),
+            typeCounts: typeCounts,
+            lastTimestamp: Number(user.last_timestamp),
+            detections: []
+        };
+        resJSON.users.push(userJSON);
+        userMap.set(user.id, userJSON);
+    }
+
+    if (dbRes.length > 0) {
+        const userIds = [];
+        for (const user of dbRes) {
+            userIds.push(user.id);
+        }
+        const detectionRes = await res.locals.conn.query(`
+            SELECT
+                id,
+                user_id,
+                detection_type,
+                discussion_id,
+                content,
+                matched_quibble_id,
+                UNIX_TIMESTAMP(date_detected) AS timestamp
+            FROM spam_detection
+            WHERE date_reviewed IS NULL
+            AND user_id IN (${userIds.map(() => '?').join(', ')})
+            ORDER BY id DESC;
+        `, userIds);
+        for (const detection of detectionRes) {
+            const userJSON = userMap.get(detection.user_id);
+            userJSON.typeCounts[detection.detection_type]++;
+            if (userJSON.detections.length >= 10) {
+                continue;
+            }
+            userJSON.detections.push({
+                id: detection.id,
+                type: detection.detection_type,
+                discussionId: detection.discussion_id,
+                content: detection.content,
+                matchedQuibbleId: detection.matched_quibble_id,
+                timestamp: Number(detection.timestamp)
+            });
+        }
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// DELETE /moderation/suspicious-users/:id route
+// 
+// Marks the unreviewed spam detections of a user as reviewed, removing the
+// user from the suspicious users (see GET /moderation/suspicious-users) until
+// new detections are recorded. Requires the quibble.reports permission.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+exports.dismissSuspiciousUser = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const updateRes = await res.locals.conn.query(`
+        UPDATE spam_detection
+        SET
+            date_reviewed = NOW(),
+            reviewed_by_id = ?
+        WHERE user_id = ?
+        AND date_reviewed IS NULL;
+    `, [res.locals.userInfo.id, userId]);
+    if (updateRes.affectedRows === 0) {
+        throw new RouteError(
+            400,
+            'NO_SPAM_DETECTIONS',
+            'The user has no unreviewed spam detections');
+    }
+
+    res.status(200).send({
+        message: 'Successfully dismissed spam detections'
+    });
+});
@@ -8,11 +8,32 @@
 const RouteError = require('../util/routeerror.js')
 const RouteResolver = require('../util/routeresolver.js');
 const validation = require('../util/validation.js');
+const quibbles = require('../util/quibbles.js');
+const reports = require('../util/reports.js');
+const automod = require('../util/automod.js');
+const spamDetection = require('../util/spamdetection.js');
 
 // POST /quibble route
 // 
 // Adds a new quibble post.
 // 
+// If REQUIRE_EMAIL_VERIFICATION is enabled, only users with a verified email
+// address can post quibbles. Suspended users cannot post quibbles (error code
+// USER_SUSPENDED), and quibbles cannot be posted to locked discussions (error
+// code DISCUSSION_LOCKED).
+// 
+// New quibbles are evaluated against the automoderation rules (see
+// GET /admin/automod-rules). Quibbles matching a reject rule are rejected
+// (error code CONTENT_REJECTED), quibbles matching a hold rule are posted but
+// hidden pending moderator review, and quibbles matching a flag rule are
+// posted and listed for moderators.
+// 
+// Quibbles that are the same or near-identical to a recent quibble of the user
+// (in any discussion) or of another user are rejected (error code
+// DUPLICATE_QUIBBLE), and users posting too many quibbles or to too many
+// discussions within SPAM_BURST_WINDOW_SECONDS seconds are rejected (error code
+// POSTING_TOO_FAST, with a retryAfter attribute in seconds).
+// 
 // Expected body parameters:
 //   - discussion-id (int): ID of the target discussion
 //   - content (string): Text content of the quibble
@@ -23,7 +44,11 @@ const validation = require('../util/validation.js');
 //     authorName:  (string) Name of the quibble author,
 //     authorId:    (int) ID of the quibble author,
 //     timestamp:   (number) Time the quibble was posted in UNIX time,
-//     content:     (string) Text content of the quibble
+//     content:     (string) Text content of the quibble,
+//     ~hidden:     (bool, true) Indicates if the quibble is hidden pending
+//                      moderator review
+//     ~hiddenReason: (string) Reason the quibble was hidden (only included
+//                      for hidden quibbles)
 // }
 // 
 // If the quibble could not be added, an error code and message is returned with
@@ -66,31 +91,46 @@ exports.addQuibble = new RouteResolver(async (req, res) => {
             `The length of the content cannot exceed ${process.env.QUIBBLE_MAX_LEN} characters`);
     }
 
+    await validation.validateEmailVerified(res.locals.userInfo.id, res.locals.conn);
+    await validation.validateNotSuspended(res.locals.userInfo.id, res.locals.conn);
+    await validation.validateDiscussionUnlocked(discussionId, res.locals.conn);
+    await spamDetection.validateNotSpam(res.locals.userInfo.id, +discussionId, content, res, res.locals.conn);
+    const verdict = await automod.enforce('quibble', content, res.locals.userInfo.id, res.locals.conn);
+
     await res.locals.conn.beginTransaction();
-    await res.locals.conn.query(`
-        INSERT INTO quibble (discussion_id, author_id, content)
-        VALUES (?, ?, ?);
-    `, [discussionId, res.locals.userInfo.id, content]);
-    const dbRes = await res.locals.conn.query(`
-        SELECT quibble.id, username, author_id, UNIX_TIMESTAMP(date_posted) as timestamp, content
-        FROM quibble
-        JOIN user ON (author_id = user.id)
-        WHERE quibble.id = LAST_INSERT_ID();
-    `);
+    let dbRes;
     try {
+        await res.locals.conn.query(`
+            INSERT INTO quibble (discussion_id, author_id, content, shadowed)
+            SELECT ?, id, ?, shadowbanned FROM user
+            WHERE id = ?;
+        `, [discussionId, content, res.locals.userInfo.id]);
+        dbRes = await res.locals.conn.query(`
+            SELECT quibble.id, username, author_id, UNIX_TIMESTAMP(date_posted) as timestamp, content
+            FROM quibble
+            JOIN user ON (author_id = user.id)
+            WHERE quibble.id = LAST_INSERT_ID();
+        `);
+        if (verdict.action === 'hold') {
+            await quibbles.hideQuibble(dbRes[0].id, 'automod', res.locals.conn);
+        }
+        await automod.recordFlags(verdict, 'quibble', content, res.locals.userInfo.id, dbRes[0].id, res.locals.conn);
         await res.locals.conn.commit();
     } catch (err) {
-        await conn.rollback();
+        await res.locals.conn.rollback();
         throw err;
     }
 
     const quibble = dbRes[0];
+    const hidden = verdict.action === 'hold';
     res.status(201).send({
         id: quibble.id,
         authorName: quibble.username,
         authorId: quibble.author_id,
         timestamp: quibble.timestamp,
-        content: quibble.content
+        content: quibble.content,
+        hidden: hidden || undefined,
+        hiddenReason: hidden ? 'automod' : undefined
     });
 },
 {
@@ -103,17 +143,22 @@ exports.addQuibble = new RouteResolver(async (req, res) => {
 
 // POST /quibble/:id/condemning-user route
 // 
-// Adds a user to the condemn list of a specific quibble.
+// Adds a user to the condemn list of a specific quibble. Suspended users cannot
+// condemn quibbles (error code USER_SUSPENDED). Quibbles that collect enough
+// condemns are hidden pending moderator review (see
+// GET /moderation/hidden-quibbles).
 // 
 // Expected URL parameters:
 //   - id (BigInt string): ID of the target quibble
 exports.addCondemningUser = new RouteResolver(async (req, res) => {
-    let quibbleId = translateQuibbleId(req.params['id']);
+    let quibbleId = quibbles.translateQuibbleId(req.params['id']);
+    await validation.validateNotSuspended(res.locals.userInfo.id, res.locals.conn);
 
     await res.locals.conn.query(`
         INSERT INTO condemning_user (user_id, quibble_id)
         VALUES (?, ?);
     `, [res.locals.userInfo.id, quibbleId]);
+    await quibbles.hideIfCondemned(quibbleId, res.locals.conn);
 
     res.status(201).send({
         message: 'Successfully added user to the condemning list'
@@ -132,21 +177,54 @@ exports.addCondemningUser = new RouteResolver(async (req, res) => {
     }
 });
 
-// DELETE /quibble/:id route
+// POST /quibble/:id/report route
 // 
-// Removes a specific quibble. Only accessible by moderator-level users.
+// Reports a quibble to the moderators. Reported quibbles are listed in the
+// moderation queue (see GET /moderation/reports) until their reports are
+// resolved. Each user can only report a quibble once, and users cannot report
+// their own quibbles.
 // 
 // Expected URL parameters:
 //   - id (BigInt string): ID of the target quibble
-exports.removeQuibble = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
+// 
+// Expected body parameters:
+//   - reason (string): Reason category of the report, one of 'spam',
+//         'harassment', 'hate', 'misinformation', 'off-topic', or 'other'
+// 
+// Optional body parameters:
+//   - note (string): Details of the report for the moderators (max 500
+//         characters)
+exports.addReport = new RouteResolver(async (req, res) => {
+    const quibbleId = quibbles.translateQuibbleId(req.params['id']);
+    const reason = req.body['reason'];
+    const note = req.body['note'];
+    if (!reason) {
+        throw new RouteError(
+            400,
+            'NO_REASON',
+            'No report reason was provided in the body request');
+    }
+    if (!reports.REASONS.includes(reason)) {
+        throw new RouteError(
+            400,
+            'INVALID_REASON',
+            `The report reason must be one of ${reports.REASONS.join(', ')}`);
+    }
+    if (note !== undefined && typeof note !== 'string') {
+        throw new RouteError(
+            400,
+            'INVALID_NOTE',
+            'The provided note value must be a string');
+    }
+    if (note && note.length > reports.MAX_NOTE_LENGTH) {
+        throw new RouteError(
+            400,
+            'NOTE_TOO_LONG',
+            `The length of the note cannot exceed ${reports.MAX_NOTE_LENGTH} characters`);
+    }
 
-    const quibbleId = translateQuibbleId(req.params['id']);
-    
     const dbRes = await res.locals.conn.query(`
-        SELECT content FROM quibble
+        SELECT author_id, content FROM quibble
         WHERE id = ?;
     `, [quibbleId]);
     if (dbRes.length == 0) {
@@ -159,39 +237,74 @@ exports.removeQuibble = new RouteResolver(async (req, res) => {
         throw new RouteError(
             400,
             'QUIBBLE_ALREADY_DELETED',
-            `The quibble was already deleted`);
+            'The quibble was already deleted');
+    }
+    if (dbRes[0].author_id === res.locals.userInfo.id) {
+        throw new RouteError(
+            400,
+            'CANNOT_REPORT_OWN_QUIBBLE',
+            'Users cannot report their own quibbles');
     }
+
     await res.locals.conn.query(`
-        UPDATE quibble
-        SET content = NULL
-        WHERE id = ?;
-    `, [quibbleId]);
+        INSERT INTO quibble_report (quibble_id, reporter_id, reason, note)
+        VALUES (?, ?, ?, ?);
+    `, [quibbleId, res.locals.userInfo.id, reason, note ? note.trim() : null]);
 
-    res.status(200).send({
-        message: 'Successfully removed quibble'
+    res.status(201).send({
+        message: 'Successfully reported quibble'
     });
+},
+{
+    ER_DUP_ENTRY: {
+        status: 400,
+        code: 'QUIBBLE_ALREADY_REPORTED',
+        message: 'The user has already reported the quibble'
+    }
 });
 
-// translateQuibbleId
+// DELETE /quibble/:id route
 // 
-// Helper function for Translating and validating a given quibbleId
-// representation (such as a string) into a BigInt value. 
+// Removes a specific quibble. Requires the quibble.delete permission, which
+// moderators of the quibble's topic also have within the topic. The removal is
+// recorded in the audit log (see GET /admin/audit-log).
 // 
-// Throws a RouteError if the quibbleId is undefined or if the quibbleId
-// representation cannot be turned into a BigInt value.
-function translateQuibbleId(quibbleId) {
-    if (!quibbleId) {
+// Expected URL parameters:
+//   - id (BigInt string): ID of the target quibble
+exports.removeQuibble = new RouteResolver(async (req, res) => {
+    const quibbleId = quibbles.translateQuibbleId(req.params['id']);
+    
+    const dbRes = await res.locals.conn.query(`
+        SELECT content, topic_id FROM quibble
+        JOIN discussion ON (discussion_id = discussion.id)
+        WHERE quibble.id = ?;
+    `, [quibbleId]);
+    if (dbRes.length == 0) {
         throw new RouteError(
             400,
-            'NO_QUIBBLE_ID',
-            'No quibble ID was provided in the URL parameters');
+            'QUIBBLE_ID_NOT_FOUND',
+            `Quibble with ID ${quibbleId} not found`);
     }
-    try {
-        return BigInt(quibbleId);
-    } catch {
+    await validation.validatePermission('quibble.delete',
+        res.locals.userInfo.id,
+        res.locals.conn,
+        dbRes[0].topic_id);
+    if (dbRes[0].content == null) {
         throw new RouteError(
             400,
-            'INVALID_QUIBBLE_ID',
-            'The provided quibble ID value must be a BigInt string');
+            'QUIBBLE_ALREADY_DELETED',
+            `The quibble was already deleted`);
+    }
+    await res.locals.conn.beginTransaction();
+    try {
+        await quibbles.deleteQuibble(quibbleId, dbRes[0].content, req, res);
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
     }
-}
\ No newline at end of file
+
+    res.status(200).send({
+        message: 'Successfully removed quibble'
+    });
+});
@@ -10,18 +10,11 @@ const RouteResolver = require('../util/routeresolver.js');
 
 // POST /tag route
 // 
-// Adds a new tag. Only accessible by admin-level users.
+// Adds a new tag. Requires the tag.manage permission.
 // 
 // Expected body parameters:
 //   - name (string): Name of the new tag
 exports.addTag = new RouteResolver(async (req, res) => {
-    if (res.locals.userInfo.access_level < 3) {
-        throw new RouteError(
-            403,
-            'UNAUTHORIZED_ACCESS',
-            'Only admin-level users or above can add tags');
-    }
-
     const tagName = req.body['name'];
     if (!tagName) {
         throw new RouteError(
@@ -8,10 +8,12 @@
 const RouteError = require('../util/routeerror.js');
 const RouteResolver = require('../util/routeresolver.js');
 const validation = require('../util/validation.js');
+const auditLog = require('../util/auditlog.js');
 
 // POST /topic route
 // 
-// Adds a new discussion topic. Only accessible by admin-level users.
+// Adds a new discussion topic. Requires the topic.manage permission. The new
+// topic is recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected body parameters:
 //   - name (string): Name of the new topic
@@ -21,10 +23,6 @@ const validation = require('../util/validation.js');
 //     topicId: (int) ID of the created topic
 // }
 exports.addTopic = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
-
     const topicName = req.body['name'];
     if (!topicName) {
         throw new RouteError(
@@ -41,6 +39,14 @@ exports.addTopic = new RouteResolver(async (req, res) => {
     const dbRes = await res.locals.conn.query(`
         SELECT LAST_INSERT_ID() AS id;
     `);
+    await auditLog.record({
+        req: req,
+        res: res,
+        action: 'topic.create',
+        targetType: 'topic',
+        targetId: dbRes[0].id,
+        after: { name: topicName }
+    });
     try {
         await res.locals.conn.commit();
     } catch (err) {
@@ -145,3 +151,203 @@ exports.getTopics = new RouteResolver(async(req, res) => {
 
     res.status(200).send(resJSON);
 });
+
+// GET /topic/:id/moderators route
+// 
+// Gets the moderators of a specific topic, ordered by username. Topic
+// moderators can delete quibbles, lock discussions, and add choices within the
+// discussions of the topic (see permissions.TOPIC_PERMISSIONS).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+// 
+// Return JSON structure:
+// {
+//     moderators: [
+//         {
+//             id:                (int) ID of the moderator,
+//             username:          (string) Username of the moderator,
+//             assignedTimestamp: (number) Time the moderator was assigned in
+//                                    UNIX seconds
+//         },
+//         . . .
+//     ]
+// }
+exports.getTopicModerators = new RouteResolver(async (req, res) => {
+    const topicId = req.params['id'];
+    await validateTopicId(topicId, res.locals.conn);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            user.id,
+            user.username,
+            UNIX_TIMESTAMP(topic_moderator.date_assigned) AS assigned_timestamp
+        FROM topic_moderator
+        JOIN user ON (topic_moderator.user_id = user.id)
+        WHERE topic_moderator.topic_id = ?
+        ORDER BY user.username;
+    `, [topicId]);
+
+    const resJSON = {
+        moderators: []
+    };
+    for (const moderator of dbRes) {
+        resJSON.moderators.push({
+            id: moderator.id,
+            username: moderator.username,
+            assignedTimestamp: Number(moderator.assigned_timestamp)
+        });
+    }
+
+    res.status(200).send(resJSON);
+});
+
+// POST /topic/:id/moderators route
+// 
+// Assigns a user as a moderator of a specific topic. Requires the
+// topic.moderators permission. The assignment is recorded in the audit log
+// (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+// 
+// Expected body parameters:
+//   - user-id (int): ID of the user to assign
+exports.addTopicModerator = new RouteResolver(async (req, res) => {
+    const topicId = req.params['id'];
+    const userId = req.body['user-id'];
+    await validateTopicId(topicId, res.locals.conn);
+    if (!userId) {
+        throw new RouteError(
+            400,
+            'NO_USER_ID',
+            'No user ID was provided in the body request');
+    }
+    if (!Number.isInteger(+userId)) {
+        throw new RouteError(
+            400,
+            'INVALID_USER_ID',
+            'The provided user ID value must be an int');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT id FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            INSERT INTO topic_moderator (topic_id, user_id, assigned_by_id)
+            VALUES (?, ?, ?);
+        `, [topicId, userId, res.locals.userInfo.id]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'topic.moderator.add',
+            targetType: 'topic',
+            targetId: topicId,
+            after: { userId: +userId }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(201).send({
+        message: 'Successfully assigned topic moderator'
+    });
+},
+{
+    ER_DUP_ENTRY: {
+        status: 400,
+        code: 'TOPIC_MODERATOR_ALREADY_ASSIGNED',
+        message: 'The user is already a moderator of the topic'
+    }
+});
+
+// DELETE /topic/:id/moderators/:userId route
+// 
+// Removes a user from the moderators of a specific topic. Requires the
+// topic.moderators permission. The removal is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+//   - userId (int): ID of the moderator to remove
+exports.removeTopicModerator = new RouteResolver(async (req, res) => {
+    const topicId = req.params['id'];
+    const userId = req.params['userId'];
+    await validateTopicId(topicId, res.locals.conn);
+    validation.validateUserId(userId);
+
+    await res.locals.conn.beginTransaction();
+    try {
+        const dbRes = await res.locals.conn.query(`
+            DELETE FROM topic_moderator
+            WHERE topic_id = ?
+            AND user_id = ?;
+        `, [topicId, userId]);
+        if (dbRes.affectedRows === 0) {
+            throw new RouteError(
+                400,
+                'TOPIC_MODERATOR_NOT_FOUND',
+                'The user is not a moderator of the topic');
+        }
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'topic.moderator.remove',
+            targetType: 'topic',
+            targetId: topicId,
+            before: { userId: +userId }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully removed topic moderator'
+    });
+});
+
+// validateTopicId
+// 
+// Helper function for validating that a topic ID is provided, is an int, and
+// belongs to an existing topic.
+// 
+// Throws a RouteError if the topic ID is invalid or the topic does not exist.
+async function validateTopicId(topicId, conn) {
+    if (!topicId) {
+        throw new RouteError(
+            400,
+            'NO_TOPIC_ID',
+            'No topic ID was provided in the URL parameters');
+    }
+    if (!Number.isInteger(+topicId)) {
+        throw new RouteError(
+            400,
+            'INVALID_TOPIC_ID',
+            'The provided topic ID value must be an int');
+    }
+
+    const dbRes = await conn.query(`
+        SELECT id FROM topic
+        WHERE id = ?;
+    `, [topicId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            404,
+            'TOPIC_ID_NOT_FOUND',
+            'The provided topic ID was not found');
+    }
+}
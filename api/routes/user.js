@@ -4,31 +4,98 @@
 
 'use strict'
 
-// bcrypt
-const bcrypt = require('bcryptjs');
-
 // util
 const RouteError = require('../util/routeerror.js')
 const RouteResolver = require('../util/routeresolver.js');
 const validation = require('../util/validation.js');
+const tokenEdit = require('../util/tokenedit.js');
+const apiToken = require('../util/apitoken.js');
+const accountMail = require('../util/accountmail.js');
+const usernames = require('../util/usernames.js');
+const passwords = require('../util/passwords.js');
+const accountDeletion = require('../util/accountdeletion.js');
+const suspensions = require('../util/suspensions.js');
+const shadowbans = require('../util/shadowbans.js');
+const quibbles = require('../util/quibbles.js');
+const automod = require('../util/automod.js');
+const auditLog = require('../util/auditlog.js');
 
 // POST /user route
 // 
-// Adds a new user account.
+// Adds a new user account. If an email address is provided, a verification
+// link is sent to it.
+// 
+// Usernames are unique regardless of case, and cannot look too similar to an
+// existing username (error code USERNAME_TOO_SIMILAR). See
+// validation.validateUsername for the username requirements.
+// 
+// The password must pass the password strength policy. Weak or breached
+// passwords are rejected with the error code PASSWORD_TOO_WEAK or
+// PASSWORD_BREACHED, along with feedback for choosing a stronger password
+// (see validation.validateNewPassword).
+// 
+// Usernames are evaluated against the automoderation rules (see
+// GET /admin/automod-rules). Usernames matching a reject rule are rejected
+// (error code USERNAME_REJECTED), and usernames matching a hold or flag rule
+// are applied and listed for moderators. New-account rules do not apply.
 // 
 // Expected body parameters:
 //   - username (string): Username of the new user
 //   - password (string): Password for the account
+// 
+// Optional body parameters:
+//   - email (string): Email address for the account
 exports.addUser = new RouteResolver(async (req, res) => {
-    const { username, password } = req.body;
-    validation.validateUsername(username);
-    validation.validatePassword(password);
+    const { password, email } = req.body;
+    validation.validateUsername(req.body['username']);
+    const username = req.body['username'].normalize('NFKC');
+    await validation.validateNewPassword(password, username);
+    await validation.validateUsernameAvailable(username, res.locals.conn);
+    const verdict = await automod.enforce('username', username, undefined, res.locals.conn);
+    if (email !== undefined) {
+        validation.validateEmail(email);
+        const dbRes = await res.locals.conn.query(`
+            SELECT id FROM user
+            WHERE email = ?;
+        `, [email.toLowerCase()]);
+        if (dbRes.length !== 0) {
+            throw new RouteError(
+                400,
+                'EMAIL_ALREADY_TAKEN',
+                'Email address is already being used');
+        }
+    }
 
-    const passwordHash = bcrypt.hashSync(password, +process.env.PASSWORD_SALT_ROUNDS);
-    await res.locals.conn.query(`
-        INSERT INTO \`user\` (username, password_hash) 
-        VALUES (?, ?);
-    `, [username, passwordHash]);
+    const passwordHash = passwords.hashPassword(password);
+    const dbRes = await res.locals.conn.query(`
+        INSERT INTO \`user\` (
+            username,
+            username_canonical,
+            username_skeleton,
+            password_hash,
+            email)
+        VALUES (?, ?, ?, ?, ?);
+    `, [
+        username,
+        usernames.getCanonicalUsername(username),
+        usernames.getUsernameSkeleton(username),
+        passwordHash,
+        email ? email.toLowerCase() : null
+    ]);
+    await automod.recordFlags(verdict, 'username', username, Number(dbRes.insertId), null, res.locals.conn);
+
+    if (email) {
+        try {
+            await accountMail.sendVerificationEmail(
+                Number(dbRes.insertId),
+                username,
+                email,
+                res.locals.conn);
+        } catch (err) {
+            console.error('POST /user mail error');
+            console.error(err);
+        }
+    }
     
     res.status(201).send({
         message: `Successfully added user ${username}`
@@ -44,20 +111,19 @@ exports.addUser = new RouteResolver(async (req, res) => {
 
 // DELETE /user/:id route
 // 
-// Removes a user from the service. Only accessible by admin-level users.
+// Removes a user from the service. Requires the user.delete permission. The
+// removal is recorded in the audit log (see GET /admin/audit-log), and the
+// user's final username is kept on hold like a changed username (see
+// PUT /user/:id/username).
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to remove
 exports.removeUser = new RouteResolver(async (req, res) => {
-    await validation.validateAccessLevel(process.env.ACCESS_LEVEL_ADMIN,
-        res.locals.userInfo.id,
-        res.locals.conn);
-
     const userId = req.params['id'];
     validation.validateUserId(userId);
 
     const dbRes = await res.locals.conn.query(`
-        SELECT id FROM user
+        SELECT id, username, access_level FROM user
         WHERE id = ?;
     `, [userId]);
     if (dbRes.length == 0) {
@@ -65,21 +131,464 @@ exports.removeUser = new RouteResolver(async (req, res) => {
             'USER_ID_NOT_FOUND',
             `User with ID ${userId} not found`);
     }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await usernames.recordFinalUsername(userId, res.locals.userInfo.id, res.locals.conn);
+        await res.locals.conn.query(`
+            DELETE FROM user
+            WHERE id = ?;
+        `, [userId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'user.delete',
+            targetType: 'user',
+            targetId: userId,
+            before: {
+                username: dbRes[0].username,
+                accessLevel: dbRes[0].access_level
+            }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully removed user'
+    });
+});
+
+// POST /user/:id/deletion route
+// 
+// Schedules the deletion of a user's account. Users are only authorized to
+// delete their own account, and their current password must be provided (if
+// the user has a password). The account is deleted after a grace period of
+// ACCOUNT_DELETION_GRACE_DAYS days, during which the user can still log-in and
+// cancel the deletion with DELETE /user/:id/deletion. A personal data export
+// can be downloaded with GET /user/:id/export before the account is deleted.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to delete
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user (if the user has a
+//         password)
+// 
+// Optional body parameters:
+//   - quibbles (string): Action applied to the user's quibbles, either
+//         'anonymize' to keep them without an author (default) or 'delete' to
+//         remove their content
+// 
+// Return JSON structure:
+// {
+//     message:           (string) Success message,
+//     deletionTimestamp: (number) Time the account will be deleted in UNIX
+//                            seconds
+// }
+exports.requestDeletion = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    const password = req.body['password'];
+    const quibbleAction = req.body['quibbles'] || 'anonymize';
+    validation.validateUserId(userId);
+    if (userId != res.locals.userInfo.id) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_ACCESS',
+            'Users can only delete their own account');
+    }
+    if (!accountDeletion.QUIBBLE_ACTIONS.includes(quibbleAction)) {
+        throw new RouteError(
+            400,
+            'INVALID_QUIBBLE_ACTION',
+            `Quibble action must be one of: ${accountDeletion.QUIBBLE_ACTIONS.join(', ')}`);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            username,
+            email,
+            email_verified,
+            password_hash,
+            date_deletion_scheduled
+        FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    if (dbRes[0].password_hash) {
+        validation.validatePassword(password);
+        if (!passwords.comparePassword(password, dbRes[0].password_hash)) {
+            throw new RouteError(
+                400,
+                'INCORRECT_PASSWORD',
+                'The provided password was incorrect');
+        }
+    }
+    if (dbRes[0].date_deletion_scheduled) {
+        throw new RouteError(
+            400,
+            'DELETION_ALREADY_SCHEDULED',
+            'The deletion of the account is already scheduled');
+    }
+
     await res.locals.conn.query(`
-        DELETE FROM user
+        UPDATE user
+        SET
+            date_deletion_scheduled = NOW() + INTERVAL ? DAY,
+            deletion_quibble_action = ?
+        WHERE id = ?;
+    `, [+process.env.ACCOUNT_DELETION_GRACE_DAYS || 0, quibbleAction, userId]);
+    const scheduleRes = await res.locals.conn.query(`
+        SELECT UNIX_TIMESTAMP(date_deletion_scheduled) AS deletion_timestamp FROM user
         WHERE id = ?;
     `, [userId]);
+    const deletionTimestamp = Number(scheduleRes[0].deletion_timestamp);
+
+    if (dbRes[0].email && dbRes[0].email_verified) {
+        try {
+            await accountMail.sendDeletionScheduledEmail(
+                dbRes[0].username,
+                dbRes[0].email,
+                deletionTimestamp);
+        } catch (err) {
+            console.error('POST /user/:id/deletion mail error');
+            console.error(err);
+        }
+    }
 
     res.status(200).send({
-        message: 'Successfully removed user'
+        message: 'Successfully scheduled account deletion',
+        deletionTimestamp: deletionTimestamp
     });
 });
 
+// DELETE /user/:id/deletion route
+// 
+// Cancels the scheduled deletion of a user's account. Users are only
+// authorized to cancel the deletion of their own account.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+exports.cancelDeletion = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+    if (userId != res.locals.userInfo.id) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_ACCESS',
+            'Users can only cancel the deletion of their own account');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        UPDATE user
+        SET
+            date_deletion_scheduled = NULL,
+            deletion_quibble_action = NULL
+        WHERE id = ?
+        AND date_deletion_scheduled IS NOT NULL;
+    `, [userId]);
+    if (dbRes.affectedRows === 0) {
+        throw new RouteError(
+            400,
+            'DELETION_NOT_SCHEDULED',
+            'The deletion of the account is not scheduled');
+    }
+
+    res.status(200).send({
+        message: 'Successfully cancelled account deletion'
+    });
+});
+
+// GET /user/:id/export route
+// 
+// Gets an archive of all personal data of a user as a JSON file download.
+// Users are only authorized to export their own data.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     exportTimestamp:  (number) Time the archive was created in UNIX seconds,
+//     profile: {
+//         id:                (int) ID of the user,
+//         username:          (string) Username of the user,
+//         accessLevel:       (int) Access level of the user,
+//         email:             (string | null) Email address of the user,
+//         emailVerified:     (bool) Indicates if the email address is verified,
+//         twoFactorEnabled:  (bool) Indicates if two-factor authentication is
+//                                enabled,
+//         joinTimestamp:     (number) Time the user joined in UNIX seconds,
+//         deletionTimestamp: (number | null) Time the account is scheduled to
+//                                be deleted in UNIX seconds
+//     },
+//     usernameHistory: [
+//         { username: (string), timestamp: (number) }, . . .
+//     ],
+//     identities: [
+//         { provider: (string), email: (string | null), timestamp: (number) },
+//         . . .
+//     ],
+//     apiTokens: [
+//         {
+//             name:              (string) Name of the API token,
+//             scopes:            (array of strings) Scopes of the API token,
+//             createdTimestamp:  (number) Time the token was created,
+//             lastUsedTimestamp: (number | null) Time the token was last used,
+//             revoked:           (bool) Indicates if the token was revoked
+//         },
+//         . . .
+//     ],
+//     sessions: [
+//         {
+//             createdTimestamp: (number) Time the session was created,
+//             renewedTimestamp: (number) Time the session was last renewed,
+//             userAgent:        (string | null) User agent of the session,
+//             ipAddress:        (string | null) IP address of the session
+//         },
+//         . . .
+//     ],
+//     votes: [
+//         {
+//             discussionId: (int) ID of the discussion,
+//             discussion:   (string) Title of the discussion,
+//             choiceId:     (int) ID of the chosen choice,
+//             choice:       (string) Name of the chosen choice
+//         },
+//         . . .
+//     ],
+//     quibbles: [
+//         {
+//             id:           (BigInt string) ID of the quibble,
+//             discussionId: (int) ID of the quibble's discussion,
+//             discussion:   (string) Title of the quibble's discussion,
+//             timestamp:    (number) Time the quibble was posted,
+//             content:      (string | null) Text content of the quibble
+//         },
+//         . . .
+//     ],
+//     condemns: [
+//         {
+//             quibbleId:    (BigInt string) ID of the condemned quibble,
+//             discussionId: (int) ID of the quibble's discussion,
+//             discussion:   (string) Title of the quibble's discussion
+//         },
+//         . . .
+//     ]
+// }
+// All timestamps are in UNIX seconds.
+exports.exportData = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+    if (userId != res.locals.userInfo.id) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_ACCESS',
+            'Users can only export their own data');
+    }
+
+    const conn = res.locals.conn;
+    const profileRes = await conn.query(`
+        SELECT
+            id,
+            username,
+            access_level,
+            email,
+            email_verified,
+            totp_enabled,
+            UNIX_TIMESTAMP(date_joined) AS join_timestamp,
+            UNIX_TIMESTAMP(date_deletion_scheduled) AS deletion_timestamp
+        FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (profileRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    const profile = profileRes[0];
+
+    const usernameRes = await conn.query(`
+        SELECT username, UNIX_TIMESTAMP(date_changed) AS timestamp
+        FROM username_history
+        WHERE user_id = ?
+        ORDER BY date_changed;
+    `, [userId]);
+    const identityRes = await conn.query(`
+        SELECT provider, email, UNIX_TIMESTAMP(date_created) AS timestamp
+        FROM user_identity
+        WHERE user_id = ?
+        ORDER BY date_created;
+    `, [userId]);
+    const tokenRes = await conn.query(`
+        SELECT
+            name,
+            scopes,
+            UNIX_TIMESTAMP(date_created) AS created_timestamp,
+            UNIX_TIMESTAMP(date_last_used) AS last_used_timestamp,
+            date_revoked IS NOT NULL AS revoked
+        FROM api_token
+        WHERE user_id = ?
+        ORDER BY date_created;
+    `, [userId]);
+    const sessionRes = await conn.query(`
+        SELECT
+            UNIX_TIMESTAMP(date_created) AS created_timestamp,
+            UNIX_TIMESTAMP(date_renewed) AS renewed_timestamp,
+            user_agent,
+            ip_address
+        FROM user_session
+        WHERE user_id = ?
+        ORDER BY date_created;
+    `, [userId]);
+    const voteRes = await conn.query(`
+        SELECT
+            discussion.id AS discussion_id,
+            discussion.title AS discussion_title,
+            choice.id AS choice_id,
+            choice.choice_name
+        FROM user_choice
+        JOIN choice ON (user_choice.choice_id = choice.id)
+        JOIN discussion ON (user_choice.discussion_id = discussion.id)
+        WHERE user_choice.user_id = ?
+        ORDER BY discussion.id;
+    `, [userId]);
+    const quibbleRes = await conn.query(`
+        SELECT
+            quibble.id,
+            discussion.id AS discussion_id,
+            discussion.title AS discussion_title,
+            UNIX_TIMESTAMP(quibble.date_posted) AS timestamp,
+            quibble.content
+        FROM quibble
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        WHERE quibble.author_id = ?
+        ORDER BY quibble.id;
+    `, [userId]);
+    const condemnRes = await conn.query(`
+        SELECT
+            quibble.id AS quibble_id,
+            discussion.id AS discussion_id,
+            discussion.title AS discussion_title
+        FROM condemning_user
+        JOIN quibble ON (condemning_user.quibble_id = quibble.id)
+        JOIN discussion ON (quibble.discussion_id = discussion.id)
+        WHERE condemning_user.user_id = ?
+        ORDER BY quibble.id;
+    `, [userId]);
+
+    const resJSON = {
+        exportTimestamp: Math.floor(Date.now() / 1000),
+        profile: {
+            id: profile.id,
+            username: profile.username,
+            accessLevel: profile.access_level,
+            email: profile.email,
+            emailVerified: Boolean(profile.email_verified),
+            twoFactorEnabled: Boolean(profile.totp_enabled),
+            joinTimestamp: Number(profile.join_timestamp),
+            deletionTimestamp: profile.deletion_timestamp === null
+                ? null
+                : Number(profile.deletion_timestamp)
+        },
+        usernameHistory: [],
+        identities: [],
+        apiTokens: [],
+        sessions: [],
+        votes: [],
+        quibbles: [],
+        condemns: []
+    };
+    for (const entry of usernameRes) {
+        resJSON.usernameHistory.push({
+            username: entry.username,
+            timestamp: Number(entry.timestamp)
+        });
+    }
+    for (const identity of identityRes) {
+        resJSON.identities.push({
+            provider: identity.provider,
+            email: identity.email,
+            timestamp: Number(identity.timestamp)
+        });
+    }
+    for (const token of tokenRes) {
+        resJSON.apiTokens.push({
+            name: token.name,
+            scopes: token.scopes.split(','),
+            createdTimestamp: Number(token.created_timestamp),
+            lastUsedTimestamp: token.last_used_timestamp === null
+                ? null
+                : Number(token.last_used_timestamp),
+            revoked: Boolean(token.revoked)
+        });
+    }
+    for (const session of sessionRes) {
+        resJSON.sessions.push({
+            createdTimestamp: Number(session.created_timestamp),
+            renewedTimestamp: Number(session.renewed_timestamp),
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address
+        });
+    }
+    for (const vote of voteRes) {
+        resJSON.votes.push({
+            discussionId: vote.discussion_id,
+            discussion: vote.discussion_title,
+            choiceId: vote.choice_id,
+            choice: vote.choice_name
+        });
+    }
+    for (const quibble of quibbleRes) {
+        resJSON.quibbles.push({
+            id: quibble.id,
+            discussionId: quibble.discussion_id,
+            discussion: quibble.discussion_title,
+            timestamp: Number(quibble.timestamp),
+            content: quibble.content
+        });
+    }
+    for (const condemn of condemnRes) {
+        resJSON.condemns.push({
+            quibbleId: condemn.quibble_id,
+            discussionId: condemn.discussion_id,
+            discussion: condemn.discussion_title
+        });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="fribblequibble-export-${profile.id}.json"`);
+    res.status(200).send(resJSON);
+});
+
 // PUT /user/:id/username route
 // 
-// Updates a user's username. Moderator-level users and below are only 
-// authorized to change their own usernames. Admin-level users and above can
-// change the username of other users below their access level.
+// Updates a user's username. Users can always change their own username, and
+// users with the user.rename permission can change the username of other
+// users below their access level. The same
+// username requirements as POST /user apply.
+// 
+// Previous usernames are kept in the user's username history (see
+// GET /user/:id/username-history). Users can only change their own username
+// once every USERNAME_CHANGE_COOLDOWN_DAYS days, otherwise the error code
+// USERNAME_CHANGE_COOLDOWN is returned with a retryAfter attribute (in
+// seconds). A released username cannot be claimed by another user for
+// USERNAME_RELEASE_HOLD_DAYS days (error code USERNAME_ON_HOLD).
+// 
+// Users' own username changes are evaluated against the automoderation rules
+// (see GET /admin/automod-rules). Usernames matching a reject rule are
+// rejected (error code USERNAME_REJECTED), and usernames matching a hold or
+// flag rule are applied and listed for moderators.
+// 
+// Changes to the username of another user are recorded in the audit log (see
+// GET /admin/audit-log).
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
@@ -88,13 +597,18 @@ exports.removeUser = new RouteResolver(async (req, res) => {
 //   - username (string): New username to apply to the user
 exports.changeUsername = new RouteResolver(async (req, res) => {
     const userId = req.params['id'];
-    const username = req.body['username'];
     validation.validateUserId(userId);
-    validation.validateUsername(username);
+    validation.validateUsername(req.body['username']);
+    const username = req.body['username'].normalize('NFKC');
 
     // Check if target user exists and get access level
     const dbRes = await res.locals.conn.query(`
-        SELECT access_level FROM user
+        SELECT
+            username,
+            username_canonical,
+            username_skeleton,
+            access_level
+        FROM user
         WHERE id = ?;
     `, [userId]);
     if (dbRes.length == 0) {
@@ -103,21 +617,81 @@ exports.changeUsername = new RouteResolver(async (req, res) => {
             'USER_ID_NOT_FOUND',
             `User with ID ${userId} not found`);
     }
+    if (dbRes[0].username === username) {
+        throw new RouteError(
+            400,
+            'USERNAME_UNCHANGED',
+            'The provided username is already applied to the user');
+    }
 
     // Authorization for changing other users' usernames
     if (userId != res.locals.userInfo.id) {
         await validation.validateAccessLevel(
-            Math.max(process.env.ACCESS_LEVEL_ADMIN, dbRes[0].access_level + 1),
+            dbRes[0].access_level + 1,
             res.locals.userInfo.id,
             res.locals.conn);
     }
+    else {
+        await validateRenameCooldown(userId, res);
+    }
+
+    // Automoderation of users' own username changes
+    let verdict = null;
+    if (userId == res.locals.userInfo.id) {
+        verdict = await automod.enforce('username', username, userId, res.locals.conn);
+    }
 
     // Apply username change
-    await res.locals.conn.query(`
-        UPDATE user
-        SET username = ?
-        WHERE id = ?;
-    `, [username, userId]);
+    await validation.validateUsernameAvailable(username, res.locals.conn, userId);
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            INSERT INTO username_history (
+                user_id,
+                username,
+                username_canonical,
+                username_skeleton,
+                changed_by_id)
+            VALUES (?, ?, ?, ?, ?);
+        `, [
+            userId,
+            dbRes[0].username,
+            dbRes[0].username_canonical || usernames.getCanonicalUsername(dbRes[0].username),
+            dbRes[0].username_skeleton || usernames.getUsernameSkeleton(dbRes[0].username),
+            res.locals.userInfo.id
+        ]);
+        await res.locals.conn.query(`
+            UPDATE user
+            SET
+                username = ?,
+                username_canonical = ?,
+                username_skeleton = ?
+            WHERE id = ?;
+        `, [
+            username,
+            usernames.getCanonicalUsername(username),
+            usernames.getUsernameSkeleton(username),
+            userId
+        ]);
+        if (verdict) {
+            await automod.recordFlags(verdict, 'username', username, userId, null, res.locals.conn);
+        }
+        if (userId != res.locals.userInfo.id) {
+            await auditLog.record({
+                req: req,
+                res: res,
+                action: 'user.username.change',
+                targetType: 'user',
+                targetId: userId,
+                before: { username: dbRes[0].username },
+                after: { username: username }
+            });
+        }
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
 
     res.status(200).send({
         message: 'Successfully updated username'
@@ -131,13 +705,82 @@ exports.changeUsername = new RouteResolver(async (req, res) => {
     }
 });
 
+// GET /user/:id/username-history route
+// 
+// Gets the previous usernames of a user, ordered by most recent. Requires the
+// user.inspect permission.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     username: (string) Current username of the user,
+//     history: [
+//         {
+//             username:      (string) Previous username of the user,
+//             timestamp:     (number) Time the username was changed in UNIX
+//                                seconds,
+//             changedById:   (int | null) ID of the user that changed the
+//                                username (null if that user was removed),
+//             changedBy:     (string | null) Current username of the user that
+//                                changed the username
+//         },
+//         . . .
+//     ]
+// }
+exports.getUsernameHistory = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const userRes = await res.locals.conn.query(`
+        SELECT username FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (userRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            username_history.username,
+            UNIX_TIMESTAMP(username_history.date_changed) AS timestamp,
+            username_history.changed_by_id,
+            changer.username AS changed_by
+        FROM username_history
+        LEFT JOIN user changer ON (username_history.changed_by_id = changer.id)
+        WHERE username_history.user_id = ?
+        ORDER BY username_history.date_changed DESC, username_history.id DESC;
+    `, [userId]);
+
+    const resJSON = {
+        username: userRes[0].username,
+        history: []
+    };
+    for (const entry of dbRes) {
+        resJSON.history.push({
+            username: entry.username,
+            timestamp: Number(entry.timestamp),
+            changedById: entry.changed_by_id,
+            changedBy: entry.changed_by
+        });
+    }
+    res.status(200).send(resJSON);
+});
+
 // PUT /user/:id/access-level route
 // 
-// Updates a user's access level. Only accessible by admin-level users. Access
-// levels can only be set if the set level does not exceed the access level of
-// the requesting user. Additionally, users cannot modify the access levels
+// Updates a user's access level. Requires the user.access-level permission.
+// Access levels can only be set if the set level does not exceed the access
+// level of the requesting user. Additionally, users cannot modify the access levels
 // of other users with equal or higher access levels.
 // 
+// All login sessions of the updated user are revoked. The change is recorded
+// in the audit log (see GET /admin/audit-log).
+// 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
 // 
@@ -175,24 +818,563 @@ exports.changeAccessLevel = new RouteResolver(async (req, res) => {
             `User with ID ${userId} not found`);
     }
     await validation.validateAccessLevel(
-        Math.max(accessLevel, process.env.ACCESS_LEVEL_ADMIN, dbRes[0].access_level + 1),
+        Math.max(accessLevel, dbRes[0].access_level + 1),
         res.locals.userInfo.id,
         res.locals.conn);
 
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE user
+            SET access_level = ?
+            WHERE id = ?;
+        `, [accessLevel, userId]);
+
+        // Force the user to log-in again so the new access level is applied
+        await tokenEdit.revokeUserSessions(userId, res.locals.conn);
+
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'user.access-level',
+            targetType: 'user',
+            targetId: userId,
+            before: { accessLevel: dbRes[0].access_level },
+            after: { accessLevel: +accessLevel }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully updated access level'
+    });
+});
+
+// PUT /user/:id/password route
+// 
+// Updates a user's password. Users are only authorized to change their own
+// password, and the current password must be provided. All other login
+// sessions and all API tokens of the user are revoked, and any admin-issued
+// password reset requirement is cleared.
+// 
+// Users that signed up with an external identity provider have no password,
+// and can set one without providing a current password.
+// 
+// The new password must pass the password strength policy (see
+// validation.validateNewPassword).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - current-password (string): Current password of the user (if the user
+//         has a password)
+//   - new-password (string): New password to apply to the user
+exports.changePassword = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    const currentPassword = req.body['current-password'];
+    const newPassword = req.body['new-password'];
+    validation.validateUserId(userId);
+    if (userId != res.locals.userInfo.id) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_ACCESS',
+            'Users can only change their own password');
+    }
+    validation.validatePassword(newPassword);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT username, password_hash FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    if (dbRes[0].password_hash) {
+        if (!currentPassword) {
+            throw new RouteError(
+                400,
+                'NO_CURRENT_PASSWORD',
+                'No current password was provided in the body request');
+        }
+        if (!passwords.comparePassword(currentPassword, dbRes[0].password_hash)) {
+            throw new RouteError(
+                400,
+                'INCORRECT_PASSWORD',
+                'The provided current password was incorrect');
+        }
+    }
+
+    await validation.validateNewPassword(newPassword, dbRes[0].username);
+
+    const passwordHash = passwords.hashPassword(newPassword);
     await res.locals.conn.query(`
         UPDATE user
-        SET access_level = ?
+        SET
+            password_hash = ?,
+            password_reset_required = FALSE
         WHERE id = ?;
-    `, [accessLevel, userId]);
+    `, [passwordHash, userId]);
+
+    // Log-out other devices and reissue the access token of this session so
+    // that it no longer carries the password reset requirement
+    const sessionId = res.locals.userInfo.sid;
+    await tokenEdit.revokeUserSessions(userId, res.locals.conn, sessionId);
+    await apiToken.revokeUserTokens(userId, res.locals.conn);
+    const accessToken = await tokenEdit.createAccessToken(userId, sessionId, res.locals.conn);
+    if (accessToken) {
+        tokenEdit.setAccessToken(accessToken, res);
+    }
 
     res.status(200).send({
-        message: 'Successfully updated access level'
+        message: 'Successfully updated password'
+    });
+});
+
+// PUT /user/:id/email route
+// 
+// Updates a user's email address. Users are only authorized to change their own
+// email address, and their current password must be provided. The email
+// address is used for self-service password resets. A changed email address
+// is unverified until the verification link sent to it is used.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - email (string): New email address to apply to the user
+//   - password (string): Current password of the user
+exports.changeEmail = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    const email = req.body['email'];
+    const password = req.body['password'];
+    validation.validateUserId(userId);
+    if (userId != res.locals.userInfo.id) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_ACCESS',
+            'Users can only change their own email address');
+    }
+    validation.validateEmail(email);
+    validation.validatePassword(password);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT username, email, password_hash FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    if (!passwords.comparePassword(password, dbRes[0].password_hash)) {
+        throw new RouteError(
+            400,
+            'INCORRECT_PASSWORD',
+            'The provided password was incorrect');
+    }
+    if (dbRes[0].email === email.toLowerCase()) {
+        throw new RouteError(
+            400,
+            'EMAIL_UNCHANGED',
+            'The provided email address is already applied to the user');
+    }
+
+    await res.locals.conn.query(`
+        UPDATE user
+        SET
+            email = ?,
+            email_verified = FALSE
+        WHERE id = ?;
+    `, [email.toLowerCase(), userId]);
+
+    try {
+        await accountMail.sendVerificationEmail(
+            userId,
+            dbRes[0].username,
+            email,
+            res.locals.conn);
+    } catch (err) {
+        console.error('PUT /user/:id/email mail error');
+        console.error(err);
+    }
+
+    res.status(200).send({
+        message: 'Successfully updated email address'
+    });
+},
+{
+    ER_DUP_ENTRY: {
+        status: 400,
+        code: 'EMAIL_ALREADY_TAKEN',
+        message: 'Email address is already being used'
+    }
+});
+
+// PUT /user/:id/password-reset-required route
+// 
+// Sets whether a user must change their password before they can continue
+// using their account. Requires the user.password-reset permission, and only
+// applies to users below the requesting user's access level. Setting the requirement
+// revokes all login sessions of the user. The change is recorded in the audit
+// log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - required (bool): Indicates if a password reset is required
+exports.changePasswordResetRequired = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    const required = req.body['required'];
+    validation.validateUserId(userId);
+    if (typeof required !== 'boolean') {
+        throw new RouteError(
+            400,
+            'INVALID_REQUIRED',
+            'The provided required value must be a bool');
+    }
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT access_level, password_reset_required FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    await validation.validateAccessLevel(
+        dbRes[0].access_level + 1,
+        res.locals.userInfo.id,
+        res.locals.conn);
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE user
+            SET password_reset_required = ?
+            WHERE id = ?;
+        `, [required, userId]);
+        if (required) {
+            await tokenEdit.revokeUserSessions(userId, res.locals.conn);
+        }
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'user.password-reset-required',
+            targetType: 'user',
+            targetId: userId,
+            before: { passwordResetRequired: Boolean(dbRes[0].password_reset_required) },
+            after: { passwordResetRequired: required }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully updated password reset requirement'
+    });
+});
+
+// POST /user/:id/suspension route
+// 
+// Suspends a user. Requires the user.ban permission, and only users with a
+// lower access level can be suspended. Suspended users can
+// still log-in and manage their account, but requests to post, vote, condemn,
+// or change the service return the error code USER_SUSPENDED along with the
+// end date of the suspension. All login sessions of the suspended user are
+// revoked, and the suspension is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Suspensions with an expiry are lifted automatically once they expire.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to suspend
+// 
+// Expected body parameters:
+//   - reason (string): Reason for the suspension, shown to the user
+// 
+// Optional body parameters:
+//   - expires-in-hours (int): Number of hours until the suspension is lifted.
+//         The suspension does not expire if not provided
+// 
+// Return JSON structure:
+// {
+//     id:           (int) ID of the suspension,
+//     endTimestamp: (number | null) Time the suspension ends in UNIX seconds,
+//                       or null if the suspension does not expire
+// }
+exports.suspendUser = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    const reason = req.body['reason'];
+    const expireHours = req.body['expires-in-hours'];
+    validation.validateUserId(userId);
+    validation.validateSuspension(reason, expireHours);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT access_level FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    await validation.validateAccessLevel(
+        dbRes[0].access_level + 1,
+        res.locals.userInfo.id,
+        res.locals.conn);
+    if (await suspensions.getActiveSuspension(userId, res.locals.conn)) {
+        throw new RouteError(
+            400,
+            'USER_ALREADY_SUSPENDED',
+            'The user is already suspended');
+    }
+
+    await res.locals.conn.beginTransaction();
+    let suspensionId;
+    let suspension;
+    try {
+        suspensionId = await suspensions.addSuspension(
+            userId,
+            res.locals.userInfo.id,
+            reason.trim(),
+            expireHours,
+            res.locals.conn);
+        await tokenEdit.revokeUserSessions(userId, res.locals.conn);
+        suspension = await suspensions.getActiveSuspension(userId, res.locals.conn);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'user.suspend',
+            targetType: 'user',
+            targetId: userId,
+            after: suspension
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(201).send({
+        id: suspensionId,
+        endTimestamp: suspension ? suspension.endTimestamp : null
+    });
+});
+
+// DELETE /user/:id/suspension route
+// 
+// Lifts the active suspension of a user. Requires the user.ban permission,
+// and only applies to users with a lower access level. The lift is recorded in
+// the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the suspended user
+exports.liftSuspension = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT access_level FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    await validation.validateAccessLevel(
+        dbRes[0].access_level + 1,
+        res.locals.userInfo.id,
+        res.locals.conn);
+
+    const suspension = await suspensions.getActiveSuspension(userId, res.locals.conn);
+    if (!suspension) {
+        throw new RouteError(
+            400,
+            'USER_NOT_SUSPENDED',
+            'The user is not suspended');
+    }
+
+    await res.locals.conn.beginTransaction();
+    try {
+        await res.locals.conn.query(`
+            UPDATE user_suspension
+            SET
+                date_lifted = NOW(),
+                lifted_by_id = ?
+            WHERE user_id = ?
+            AND date_lifted IS NULL
+            AND (date_expires IS NULL OR date_expires > NOW());
+        `, [res.locals.userInfo.id, userId]);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: 'user.suspension.lift',
+            targetType: 'user',
+            targetId: userId,
+            before: suspension
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+
+    res.status(200).send({
+        message: 'Successfully lifted suspension'
+    });
+});
+
+// GET /user/:id/suspensions route
+// 
+// Gets the current and past suspensions of a user, ordered by most recent.
+// Users with the user.inspect permission can get the suspensions of any user,
+// and other users can only get their own suspensions.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     suspensions: [
+//         {
+//             id:              (int) ID of the suspension,
+//             reason:          (string) Reason for the suspension,
+//             moderatorId:     (int | null) ID of the suspending moderator,
+//             moderator:       (string | null) Username of the suspending
+//                                  moderator,
+//             startTimestamp:  (number) Time the suspension started,
+//             endTimestamp:    (number | null) Time the suspension expires,
+//             liftedTimestamp: (number | null) Time the suspension was
+//                                  lifted by a moderator,
+//             active:          (bool) Indicates if the suspension is active
+//         },
+//         . . .
+//     ]
+// }
+// All timestamps are in UNIX seconds.
+exports.getSuspensions = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            user_suspension.id,
+            user_suspension.reason,
+            user_suspension.moderator_id,
+            moderator.username AS moderator,
+            UNIX_TIMESTAMP(user_suspension.date_created) AS start_timestamp,
+            UNIX_TIMESTAMP(user_suspension.date_expires) AS end_timestamp,
+            UNIX_TIMESTAMP(user_suspension.date_lifted) AS lifted_timestamp,
+            (user_suspension.date_lifted IS NULL
+                AND (user_suspension.date_expires IS NULL
+                    OR user_suspension.date_expires > NOW())) AS active
+        FROM user_suspension
+        LEFT JOIN user moderator ON (user_suspension.moderator_id = moderator.id)
+        WHERE user_suspension.user_id = ?
+        ORDER BY user_suspension.date_created DESC, user_suspension.id DESC;
+    `, [userId]);
+
+    const resJSON = {
+        suspensions: []
+    };
+    for (const suspension of dbRes) {
+        resJSON.suspensions.push({
+            id: suspension.id,
+            reason: suspension.reason,
+            moderatorId: suspension.moderator_id,
+            moderator: suspension.moderator,
+            startTimestamp: Number(suspension.start_timestamp),
+            endTimestamp: suspension.end_timestamp === null
+                ? null
+                : Number(suspension.end_timestamp),
+            liftedTimestamp: suspension.lifted_timestamp === null
+                ? null
+                : Number(suspension.lifted_timestamp),
+            active: Boolean(suspension.active)
+        });
+    }
+    res.status(200).send(resJSON);
+});
+
+// POST /user/:id/shadowban route
+// 
+// Shadowbans a user. Requires the user.shadowban permission, and only users
+// with a lower access level can be shadowbanned. Quibbles posted by a
+// shadowbanned user are only shown to the user and to users with the
+// user.shadowban permission, and the user's votes are not counted for anyone
+// else. The user is
+// not notified of the shadowban. The shadowban is recorded in the audit log
+// (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to shadowban
+exports.shadowbanUser = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const target = await getShadowbanTarget(userId, res);
+    if (target.shadowbanned) {
+        throw new RouteError(
+            400,
+            'USER_ALREADY_SHADOWBANNED',
+            'The user is already shadowbanned');
+    }
+    await setShadowbanned(userId, true, req, res);
+
+    res.status(200).send({
+        message: 'Successfully shadowbanned user'
+    });
+});
+
+// DELETE /user/:id/shadowban route
+// 
+// Lifts the shadowban of a user. Requires the user.shadowban permission, and
+// only applies to users with a lower access level. The user's votes are
+// counted again, but quibbles posted during the shadowban stay hidden. The
+// lift is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the shadowbanned user
+exports.unshadowbanUser = new RouteResolver(async (req, res) => {
+    const userId = req.params['id'];
+    validation.validateUserId(userId);
+
+    const target = await getShadowbanTarget(userId, res);
+    if (!target.shadowbanned) {
+        throw new RouteError(
+            400,
+            'USER_NOT_SHADOWBANNED',
+            'The user is not shadowbanned');
+    }
+    await setShadowbanned(userId, false, req, res);
+
+    res.status(200).send({
+        message: 'Successfully lifted shadowban'
     });
 });
 
 // GET /user/:id/statistics
 // 
 // Gets the statistics information about a specific user given their user ID.
+// Shadowed votes and quibbles, and condemns sent by shadowbanned users, are
+// only counted for the user themselves and users with the user.shadowban
+// permission.
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
@@ -205,6 +1387,9 @@ exports.changeAccessLevel = new RouteResolver(async (req, res) => {
 //     totalQuibbles:       (number) Number of quibbles the user has posted
 //     sentCondemns:        (number) Number of condemns the user has sent
 //     receivedCondemns:    (number) Number of condemns the user has received
+//     ~shadowbanned:       (bool) Indicates if the user is shadowbanned (only
+//                              included for requesters with the
+//                              user.shadowban permission)
 // }
 // 
 // If no user with the specified ID is found, an error code and message is
@@ -217,9 +1402,13 @@ exports.getStatistics = new RouteResolver(async (req, res) => {
     const userId = req.params['id'];
     validation.validateUserId(userId);
 
+    const voteFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'user_choice', 'user_id', res.locals.conn);
+    const quibbleFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'quibble', 'author_id', res.locals.conn);
+    const condemnFilter = await shadowbans.getCondemnVisibilityFilter(res.locals.userInfo, 'condemner', res.locals.conn);
     const dbRes = await res.locals.conn.query(`
         SELECT
             username,
+            shadowbanned,
             UNIX_TIMESTAMP(date_joined) as join_timestamp,
             total_votes,
             total_quibbles,
@@ -232,6 +1421,7 @@ exports.getStatistics = new RouteResolver(async (req, res) => {
                 COUNT(*) AS total_votes
             FROM user_choice
             WHERE user_id = ?
+            AND ${voteFilter.sql}
         ) votes ON (user.id = votes.user_id)
         LEFT JOIN (
             SELECT
@@ -239,24 +1429,41 @@ exports.getStatistics = new RouteResolver(async (req, res) => {
                 COUNT(*) AS total_quibbles
             FROM quibble
             WHERE author_id = ?
+            AND ${quibbleFilter.sql}
         ) quibbles ON (user.id = quibbles.author_id)
         LEFT JOIN (
             SELECT
                 user_id,
                 COUNT(*) AS sent_condemns
             FROM condemning_user
+            JOIN user condemner ON (condemning_user.user_id = condemner.id)
             WHERE user_id = ?
+            AND ${condemnFilter.sql}
         ) sent ON (user.id = sent.user_id)
         LEFT JOIN (
             SELECT
                 author_id,
                 COUNT(*) AS received_condemns
             FROM quibble
-            JOIN condemning_user ON (id = quibble_id)
+            JOIN condemning_user ON (quibble.id = condemning_user.quibble_id)
+            JOIN user condemner ON (condemning_user.user_id = condemner.id)
             WHERE author_id = ?
+            AND ${quibbleFilter.sql}
+            AND ${condemnFilter.sql}
         ) received ON (user.id = received.author_id)
         WHERE user.id = ?;
-    `, [userId, userId, userId, userId, userId]);
+    `, [
+        userId,
+        ...voteFilter.args,
+        userId,
+        ...quibbleFilter.args,
+        userId,
+        ...condemnFilter.args,
+        userId,
+        ...quibbleFilter.args,
+        ...condemnFilter.args,
+        userId
+    ]);
     if (dbRes.length === 0) {
         throw new RouteError(
             400,
@@ -270,7 +1477,10 @@ exports.getStatistics = new RouteResolver(async (req, res) => {
         totalVotes: Number(dbRes[0].total_votes),
         totalQuibbles: Number(dbRes[0].total_quibbles),
         sentCondemns: Number(dbRes[0].sent_condemns),
-        receivedCondemns: Number(dbRes[0].received_condemns)
+        receivedCondemns: Number(dbRes[0].received_condemns),
+        shadowbanned: await shadowbans.canViewShadowed(res.locals.userInfo, res.locals.conn)
+            ? Boolean(dbRes[0].shadowbanned)
+            : undefined
     });
 });
 
@@ -300,6 +1510,7 @@ exports.getTopDiscussions = new RouteResolver(async (req, res) => {
     const userId = req.params['id'];
     validation.validateUserId(userId);
 
+    const quibbleFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'quibble', 'author_id', res.locals.conn);
     const dbRes = await res.locals.conn.query(`
         SELECT
             discussion.id,
@@ -308,10 +1519,11 @@ exports.getTopDiscussions = new RouteResolver(async (req, res) => {
         FROM discussion
         JOIN quibble ON (discussion.id = discussion_id)
         WHERE author_id = ?
+        AND ${quibbleFilter.sql}
         GROUP BY discussion.id
         ORDER BY user_quibble_count DESC
         LIMIT 5;
-    `, [userId]);
+    `, [userId, ...quibbleFilter.args]);
 
     const resJSON = {
         discussions: []
@@ -354,6 +1566,14 @@ exports.getTopDiscussions = new RouteResolver(async (req, res) => {
 //             ~condemns:    (int) Count of the number of condemns,
 //             ~condemned:   (bool, true) Indicates if the user has
 //                               condemned the quibble
+//             ~shadowed:    (bool, true) Indicates if the quibble is hidden
+//                               by a shadowban (only included for
+//                               requesters with the user.shadowban
+//                               permission)
+//             ~hidden:      (bool, true) Indicates if the quibble is hidden
+//                               pending moderator review
+//             ~hiddenReason: (string) Reason the quibble was hidden (only
+//                               included for hidden quibbles)
 //         },
 //         . . . (min 0, max 20)
 //     ]
@@ -368,6 +1588,16 @@ exports.getTopDiscussions = new RouteResolver(async (req, res) => {
 //
 // Quibbles may be deleted by the user or by moderators. Deleted quibbles will
 // have their content attribute set to null.
+// 
+// Quibbles posted while the user was shadowbanned are only returned to the
+// user themselves and to users with the user.shadowban permission.
+// Condemns sent by shadowbanned users are likewise only counted for
+// themselves and for users with the user.shadowban permission.
+// 
+// Quibbles hidden pending moderator review are returned as collapsed entries,
+// with the hidden and hiddenReason attributes and their content attribute set
+// to null. Only users with the quibble.reports permission receive the content
+// of hidden quibbles.
 exports.getQuibbles = new RouteResolver(async (req, res) => {
     const userId = req.params['id'];
     const afterQuibbleId = req.query['after-quibble-id'];
@@ -386,6 +1616,8 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
             'The provided count value must be a positive int');
     }
 
+    const quibbleFilter = await shadowbans.getVisibilityFilter(res.locals.userInfo, 'quibble', 'author_id', res.locals.conn);
+    const condemnFilter = await shadowbans.getCondemnVisibilityFilter(res.locals.userInfo, 'condemner', res.locals.conn);
     const sqlStatement = `
         SELECT 
             quibble.id,
@@ -393,11 +1625,17 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
             discussion.id AS discussion_id,
             UNIX_TIMESTAMP(date_posted) AS timestamp,
             content, 
+            quibble.shadowed,
+            quibble.hidden_state,
+            quibble.hidden_reason,
             ${res.locals.userInfo ? 'condemned.user_id AS condemned,' : ''}
-            COUNT(condemning_user.user_id) AS condemn_count
+            COUNT(condemner.id) AS condemn_count
         FROM quibble
         JOIN discussion ON (discussion_id = discussion.id)
         LEFT JOIN condemning_user ON (quibble.id = quibble_id)
+        LEFT JOIN user condemner ON (
+            condemning_user.user_id = condemner.id
+            AND ${condemnFilter.sql})
         ${res.locals.userInfo ? `
         LEFT JOIN (
             SELECT
@@ -407,6 +1645,7 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
             WHERE user_id = ?
         ) condemned ON (quibble.id = condemned.quibble_id)` : ''}
         WHERE quibble.author_id = ?
+        AND ${quibbleFilter.sql}
         ${afterQuibbleId ? 'AND quibble.id < ?' : ''}
         GROUP BY quibble.id
         ORDER BY quibble.id DESC
@@ -414,10 +1653,12 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
     `;
 
     const sqlArgList = [];
+    sqlArgList.push(...condemnFilter.args);
     if (res.locals.userInfo) {
         sqlArgList.push(res.locals.userInfo.id);
     }
     sqlArgList.push(+userId);
+    sqlArgList.push(...quibbleFilter.args);
     if (afterQuibbleId){
         sqlArgList.push(+afterQuibbleId);
     }
@@ -429,18 +1670,105 @@ exports.getQuibbles = new RouteResolver(async (req, res) => {
     }
 
     const dbRes = await res.locals.conn.query(sqlStatement, sqlArgList);
+    const canViewShadowed = await shadowbans.canViewShadowed(res.locals.userInfo, res.locals.conn);
+    const canViewHidden = await quibbles.canViewHidden(res.locals.userInfo, res.locals.conn);
     const resJSON = { quibbles: [] };
     for (const quibble of dbRes) {
+        const hidden = quibble.hidden_state === 'hidden';
         resJSON.quibbles.push({
             id: quibble.id,
             discussion: quibble.discussion_title,
             discussionId: quibble.discussion_id,
             timestamp: quibble.timestamp,
-            content: quibble.content,
+            content: (hidden && !canViewHidden) ? null : quibble.content,
             condemns: (quibble.condemn_count > 0n) ? Number(quibble.condemn_count) : undefined,
-            condemned: quibble.condemned || undefined
+            condemned: quibble.condemned || undefined,
+            shadowed: (quibble.shadowed && canViewShadowed) || undefined,
+            hidden: hidden || undefined,
+            hiddenReason: hidden ? quibble.hidden_reason : undefined
         });
     }
 
     res.status(200).send(resJSON);
-});
\ No newline at end of file
+});
+
+// validateRenameCooldown
+// 
+// Helper function for validating that a user has not changed their own
+// username within the last USERNAME_CHANGE_COOLDOWN_DAYS days. Renames made by
+// admins do not count towards the cooldown.
+// 
+// Throws a RouteError with the code USERNAME_CHANGE_COOLDOWN if the user must
+// wait before changing their username again.
+async function validateRenameCooldown(userId, res) {
+    const dbRes = await res.locals.conn.query(`
+        SELECT
+            TIMESTAMPDIFF(SECOND, NOW(), date_changed + INTERVAL ? DAY) AS retry_after
+        FROM username_history
+        WHERE user_id = ?
+        AND changed_by_id = user_id
+        ORDER BY date_changed DESC
+        LIMIT 1;
+    `, [+process.env.USERNAME_CHANGE_COOLDOWN_DAYS || 0, userId]);
+    if (dbRes.length === 0 || Number(dbRes[0].retry_after) <= 0) {
+        return;
+    }
+
+    const retryAfter = Number(dbRes[0].retry_after);
+    res.set('Retry-After', retryAfter);
+    throw new RouteError(
+        429,
+        'USERNAME_CHANGE_COOLDOWN',
+        `Username was changed recently. Try again in ${retryAfter} seconds`,
+        { retryAfter: retryAfter });
+}
+
+// getShadowbanTarget
+// 
+// Helper function for getting the user targeted by a shadowban route, given
+// the user's ID and the route's response object. Validates that the requester
+// has a higher access level than the user.
+async function getShadowbanTarget(userId, res) {
+    const dbRes = await res.locals.conn.query(`
+        SELECT access_level, shadowbanned FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length == 0) {
+        throw new RouteError(
+            400,
+            'USER_ID_NOT_FOUND',
+            `User with ID ${userId} not found`);
+    }
+    await validation.validateAccessLevel(
+        dbRes[0].access_level + 1,
+        res.locals.userInfo.id,
+        res.locals.conn);
+    return {
+        shadowbanned: Boolean(dbRes[0].shadowbanned)
+    };
+}
+
+// setShadowbanned
+// 
+// Helper function for shadowbanning or un-shadowbanning a user and recording
+// the change in the audit log, given the user's ID, whether the user is
+// shadowbanned, and the route's request and response objects.
+async function setShadowbanned(userId, shadowbanned, req, res) {
+    await res.locals.conn.beginTransaction();
+    try {
+        await shadowbans.setShadowbanned(userId, shadowbanned, res.locals.conn);
+        await auditLog.record({
+            req: req,
+            res: res,
+            action: shadowbanned ? 'user.shadowban' : 'user.unshadowban',
+            targetType: 'user',
+            targetId: userId,
+            before: { shadowbanned: !shadowbanned },
+            after: { shadowbanned: shadowbanned }
+        });
+        await res.locals.conn.commit();
+    } catch (err) {
+        await res.locals.conn.rollback();
+        throw err;
+    }
+}
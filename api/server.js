@@ -10,16 +10,22 @@
 const express = require('express');
 const app = express();
 
-// jsonwebtoken
-const jwt = require('jsonwebtoken');
-
 // cookie-parser
 const cookieParser = require('cookie-parser');
 
+// crypto
+const crypto = require('crypto');
+
 // util
 const RouteError = require('./util/routeerror.js');
 const tokenEdit = require('./util/tokenedit.js');
 const dbPool = require('./util/dbpool.js');
+const apiToken = require('./util/apitoken.js');
+const usernames = require('./util/usernames.js');
+const accountDeletion = require('./util/accountdeletion.js');
+const suspensions = require('./util/suspensions.js');
+const validation = require('./util/validation.js');
+const clientInfo = require('./util/clientinfo.js');
 
 // routes
 const user = require('./routes/user.js');
@@ -28,6 +34,8 @@ const topic = require('./routes/topic.js');
 const tag = require('./routes/tag.js');
 const discussion = require('./routes/discussion.js');
 const quibble = require('./routes/quibble.js');
+const admin = require('./routes/admin.js');
+const moderation = require('./routes/moderation.js');
 
 // Hijack BigInt to support string serialization
 // Needed since some GET requests need to return BigInt values
@@ -35,6 +43,50 @@ BigInt.prototype.toJSON = function () {
     return this.toString();
 }
 
+// Routes that remain accessible to logged-in users that are required to reset
+// their password
+const passwordResetRoutes = new Set([
+    'PUT /user/:id/password',
+    'POST /auth/logout-all',
+    'GET /auth/sessions',
+    'DELETE /auth/sessions/:id'
+]);
+
+// Routes that change the service but remain accessible to suspended users, so
+// that they can still manage their account. Routes using safe HTTP methods
+// (such as GET) are always accessible.
+const suspendedRoutes = new Set([
+    'PUT /user/:id/password',
+    'PUT /user/:id/email',
+    'POST /user/:id/deletion',
+    'DELETE /user/:id/deletion',
+    'POST /auth/2fa/setup',
+    'POST /auth/2fa/enable',
+    'POST /auth/2fa/disable',
+    'POST /auth/logout-all',
+    'POST /auth/verify-email/request',
+    'DELETE /auth/sessions/:id',
+    'DELETE /auth/tokens/:id',
+    'DELETE /auth/identities/:id'
+]);
+
+// HTTP methods that do not require a CSRF token
+const csrfSafeMethods = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Routes that do not require a CSRF token, so that browsers with login cookies
+// but no CSRF token cookie can always log-in and log-out
+const csrfExemptRoutes = new Set([
+    'POST /auth/login',
+    'POST /auth/logout'
+]);
+
+// Origins allowed to make cross-origin requests to the API, in addition to the
+// nginx CORS headers
+const corsAllowedOrigins = new Set((process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(origin => origin));
+
 // Force close server on SIGTERM for faster Docker container restarts
 // Currently not graceful shutdown
 process.on('SIGTERM', () => {
@@ -42,14 +94,28 @@ process.on('SIGTERM', () => {
     process.exit();
 });
 
+// Only trust forwarded client addresses from the configured proxies
+app.set('trust proxy', clientInfo.getTrustProxy());
+
 app.use(
     cookieParser(),
-    express.json()
+    express.json(),
+    corsHandler,
+    csrfVerify
 );
 app.listen(process.env.API_PORT, () => {
     console.log('API server is running.');
 });
 
+// Fill in the canonical usernames of users created before they were stored
+usernames.backfillCanonicalUsernames().catch((err) => {
+    console.error('Canonical username backfill error');
+    console.error(err);
+});
+
+// Remove accounts whose deletion grace period has passed
+accountDeletion.startPurgeInterval();
+
 // GET / route
 // 
 // Gets the default HTML page. Used to test if the database is accessible.
@@ -59,11 +125,29 @@ app.get('/', (req, res) => {
 
 // POST /user route
 // 
-// Adds a new user account.
+// Adds a new user account. If an email address is provided, a verification
+// link is sent to it.
+// 
+// Usernames are unique regardless of case, and cannot look too similar to an
+// existing username (error code USERNAME_TOO_SIMILAR). See
+// validation.validateUsername for the username requirements.
+// 
+// The password must pass the password strength policy. Weak or breached
+// passwords are rejected with the error code PASSWORD_TOO_WEAK or
+// PASSWORD_BREACHED, along with feedback for choosing a stronger password
+// (see validation.validateNewPassword).
+// 
+// Usernames are evaluated against the automoderation rules (see
+// GET /admin/automod-rules). Usernames matching a reject rule are rejected
+// (error code USERNAME_REJECTED), and usernames matching a hold or flag rule
+// are applied and listed for moderators. New-account rules do not apply.
 // 
 // Expected body parameters:
 //   - username (string): Username of the new user
 //   - password (string): Password for the account
+// 
+// Optional body parameters:
+//   - email (string): Email address for the account
 app.post('/user', async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.addUser,
@@ -77,11 +161,14 @@ app.post('/user', async (req, res, next) => {
 
 // DELETE /user/:id route
 // 
-// Removes a user from the service. Only accessible by admin-level users.
+// Removes a user from the service. Requires the user.delete permission. The
+// removal is recorded in the audit log (see GET /admin/audit-log), and the
+// user's final username is kept on hold like a changed username (see
+// PUT /user/:id/username).
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to remove
-app.delete('/user/:id', jwtVerifyStrict, async (req, res, next) => {
+app.delete('/user/:id', jwtVerifyStrict, requirePermission('user.delete'), async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.removeUser,
         routeName: 'DELETE /user/:id',
@@ -92,16 +179,179 @@ app.delete('/user/:id', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
+// POST /user/:id/deletion route
+// 
+// Schedules the deletion of a user's account. Users are only authorized to
+// delete their own account, and their current password must be provided (if
+// the user has a password). The account is deleted after a grace period of
+// ACCOUNT_DELETION_GRACE_DAYS days, during which the user can still log-in and
+// cancel the deletion with DELETE /user/:id/deletion. A personal data export
+// can be downloaded with GET /user/:id/export before the account is deleted.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to delete
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user (if the user has a
+//         password)
+// 
+// Optional body parameters:
+//   - quibbles (string): Action applied to the user's quibbles, either
+//         'anonymize' to keep them without an author (default) or 'delete' to
+//         remove their content
+// 
+// Return JSON structure:
+// {
+//     message:           (string) Success message,
+//     deletionTimestamp: (number) Time the account will be deleted in UNIX
+//                            seconds
+// }
+app.post('/user/:id/deletion', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.requestDeletion,
+        routeName: 'POST /user/:id/deletion',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /user/:id/deletion route
+// 
+// Cancels the scheduled deletion of a user's account. Users are only
+// authorized to cancel the deletion of their own account.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+app.delete('/user/:id/deletion', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.cancelDeletion,
+        routeName: 'DELETE /user/:id/deletion',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /user/:id/export route
+// 
+// Gets an archive of all personal data of a user as a JSON file download.
+// Users are only authorized to export their own data.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     exportTimestamp:  (number) Time the archive was created in UNIX seconds,
+//     profile: {
+//         id:                (int) ID of the user,
+//         username:          (string) Username of the user,
+//         accessLevel:       (int) Access level of the user,
+//         email:             (string | null) Email address of the user,
+//         emailVerified:     (bool) Indicates if the email address is verified,
+//         twoFactorEnabled:  (bool) Indicates if two-factor authentication is
+//                                enabled,
+//         joinTimestamp:     (number) Time the user joined in UNIX seconds,
+//         deletionTimestamp: (number | null) Time the account is scheduled to
+//                                be deleted in UNIX seconds
+//     },
+//     usernameHistory: [
+//         { username: (string), timestamp: (number) }, . . .
+//     ],
+//     identities: [
+//         { provider: (string), email: (string | null), timestamp: (number) },
+//         . . .
+//     ],
+//     apiTokens: [
+//         {
+//             name:              (string) Name of the API token,
+//             scopes:            (array of strings) Scopes of the API token,
+//             createdTimestamp:  (number) Time the token was created,
+//             lastUsedTimestamp: (number | null) Time the token was last used,
+//             revoked:           (bool) Indicates if the token was revoked
+//         },
+//         . . .
+//     ],
+//     sessions: [
+//         {
+//             createdTimestamp: (number) Time the session was created,
+//             renewedTimestamp: (number) Time the session was last renewed,
+//             userAgent:        (string | null) User agent of the session,
+//             ipAddress:        (string | null) IP address of the session
+//         },
+//         . . .
+//     ],
+//     votes: [
+//         {
+//             discussionId: (int) ID of the discussion,
+//             discussion:   (string) Title of the discussion,
+//             choiceId:     (int) ID of the chosen choice,
+//             choice:       (string) Name of the chosen choice
+//         },
+//         . . .
+//     ],
+//     quibbles: [
+//         {
+//             id:           (BigInt string) ID of the quibble,
+//             discussionId: (int) ID of the quibble's discussion,
+//             discussion:   (string) Title of the quibble's discussion,
+//             timestamp:    (number) Time the quibble was posted,
+//             content:      (string | null) Text content of the quibble
+//         },
+//         . . .
+//     ],
+//     condemns: [
+//         {
+//             quibbleId:    (BigInt string) ID of the condemned quibble,
+//             discussionId: (int) ID of the quibble's discussion,
+//             discussion:   (string) Title of the quibble's discussion
+//         },
+//         . . .
+//     ]
+// }
+// All timestamps are in UNIX seconds.
+app.get('/user/:id/export', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.exportData,
+        routeName: 'GET /user/:id/export',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
 // PUT /user/:id/username route
 // 
-// Updates a user's username.
+// Updates a user's username. Users can always change their own username, and
+// users with the user.rename permission can change the username of other
+// users below their access level. The same
+// username requirements as POST /user apply.
+// 
+// Previous usernames are kept in the user's username history (see
+// GET /user/:id/username-history). Users can only change their own username
+// once every USERNAME_CHANGE_COOLDOWN_DAYS days, otherwise the error code
+// USERNAME_CHANGE_COOLDOWN is returned with a retryAfter attribute (in
+// seconds). A released username cannot be claimed by another user for
+// USERNAME_RELEASE_HOLD_DAYS days (error code USERNAME_ON_HOLD).
+// 
+// Users' own username changes are evaluated against the automoderation rules
+// (see GET /admin/automod-rules). Usernames matching a reject rule are
+// rejected (error code USERNAME_REJECTED), and usernames matching a hold or
+// flag rule are applied and listed for moderators.
+// 
+// Changes to the username of another user are recorded in the audit log (see
+// GET /admin/audit-log).
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
 // 
 // Expected body parameters:
 //   - username (string): New username to apply to the user
-app.put('/user/:id/username', jwtVerifyStrict, async (req, res, next) => {
+app.put('/user/:id/username', jwtVerifyStrict, requirePermission('user.rename', { allowSelf: true }), async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.changeUsername,
         routeName: 'POST /user/:id/access-level',
@@ -112,19 +362,57 @@ app.put('/user/:id/username', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
+// GET /user/:id/username-history route
+// 
+// Gets the previous usernames of a user, ordered by most recent. Requires the
+// user.inspect permission.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     username: (string) Current username of the user,
+//     history: [
+//         {
+//             username:      (string) Previous username of the user,
+//             timestamp:     (number) Time the username was changed in UNIX
+//                                seconds,
+//             changedById:   (int | null) ID of the user that changed the
+//                                username (null if that user was removed),
+//             changedBy:     (string | null) Current username of the user that
+//                                changed the username
+//         },
+//         . . .
+//     ]
+// }
+app.get('/user/:id/username-history', jwtVerifyStrict, requirePermission('user.inspect'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.getUsernameHistory,
+        routeName: 'GET /user/:id/username-history',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
 // PUT /user/:id/access-level route
 // 
-// Updates a user's access level. Only accessible by admin-level users. Access
-// levels can only be set if the set level does not exceed the access level of
-// the requesting user. Additionally, users cannot modify the access levels
+// Updates a user's access level. Requires the user.access-level permission.
+// Access levels can only be set if the set level does not exceed the access
+// level of the requesting user. Additionally, users cannot modify the access levels
 // of other users with equal or higher access levels.
 // 
+// All login sessions of the updated user are revoked. The change is recorded
+// in the audit log (see GET /admin/audit-log).
+// 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
 // 
 // Expected body parameters:
 //   - access-level (int): Access level to apply to the user
-app.put('/user/:id/access-level', jwtVerifyStrict, async (req, res, next) => {
+app.put('/user/:id/access-level', jwtVerifyStrict, requirePermission('user.access-level'), async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.changeAccessLevel,
         routeName: 'POST /user/:id/access-level',
@@ -135,9 +423,231 @@ app.put('/user/:id/access-level', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
+// PUT /user/:id/password route
+// 
+// Updates a user's password. Users are only authorized to change their own
+// password, and the current password must be provided. All other login
+// sessions and all API tokens of the user are revoked, and any admin-issued
+// password reset requirement is cleared.
+// 
+// Users that signed up with an external identity provider have no password,
+// and can set one without providing a current password.
+// 
+// The new password must pass the password strength policy (see
+// validation.validateNewPassword).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - current-password (string): Current password of the user (if the user
+//         has a password)
+//   - new-password (string): New password to apply to the user
+app.put('/user/:id/password', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.changePassword,
+        routeName: 'PUT /user/:id/password',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// PUT /user/:id/email route
+// 
+// Updates a user's email address. Users are only authorized to change their own
+// email address, and their current password must be provided. The email
+// address is used for self-service password resets. A changed email address
+// is unverified until the verification link sent to it is used.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - email (string): New email address to apply to the user
+//   - password (string): Current password of the user
+app.put('/user/:id/email', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.changeEmail,
+        routeName: 'PUT /user/:id/email',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// PUT /user/:id/password-reset-required route
+// 
+// Sets whether a user must change their password before they can continue
+// using their account. Requires the user.password-reset permission, and only
+// applies to users below the requesting user's access level. Setting the requirement
+// revokes all login sessions of the user. The change is recorded in the audit
+// log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to update
+// 
+// Expected body parameters:
+//   - required (bool): Indicates if a password reset is required
+app.put('/user/:id/password-reset-required', jwtVerifyStrict, requirePermission('user.password-reset'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.changePasswordResetRequired,
+        routeName: 'PUT /user/:id/password-reset-required',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /user/:id/suspension route
+// 
+// Suspends a user. Requires the user.ban permission, and only users with a
+// lower access level can be suspended. Suspended users can
+// still log-in and manage their account, but requests to post, vote, condemn,
+// or change the service return the error code USER_SUSPENDED along with the
+// end date of the suspension. All login sessions of the suspended user are
+// revoked, and the suspension is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Suspensions with an expiry are lifted automatically once they expire.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to suspend
+// 
+// Expected body parameters:
+//   - reason (string): Reason for the suspension, shown to the user
+// 
+// Optional body parameters:
+//   - expires-in-hours (int): Number of hours until the suspension is lifted.
+//         The suspension does not expire if not provided
+// 
+// Return JSON structure:
+// {
+//     id:           (int) ID of the suspension,
+//     endTimestamp: (number | null) Time the suspension ends in UNIX seconds,
+//                       or null if the suspension does not expire
+// }
+app.post('/user/:id/suspension', jwtVerifyStrict, requirePermission('user.ban'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.suspendUser,
+        routeName: 'POST /user/:id/suspension',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /user/:id/suspension route
+// 
+// Lifts the active suspension of a user. Requires the user.ban permission,
+// and only applies to users with a lower access level. The lift is recorded in
+// the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the suspended user
+app.delete('/user/:id/suspension', jwtVerifyStrict, requirePermission('user.ban'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.liftSuspension,
+        routeName: 'DELETE /user/:id/suspension',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /user/:id/suspensions route
+// 
+// Gets the current and past suspensions of a user, ordered by most recent.
+// Users with the user.inspect permission can get the suspensions of any user,
+// and other users can only get their own suspensions.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user
+// 
+// Return JSON structure:
+// {
+//     suspensions: [
+//         {
+//             id:              (int) ID of the suspension,
+//             reason:          (string) Reason for the suspension,
+//             moderatorId:     (int | null) ID of the suspending moderator,
+//             moderator:       (string | null) Username of the suspending
+//                                  moderator,
+//             startTimestamp:  (number) Time the suspension started,
+//             endTimestamp:    (number | null) Time the suspension expires,
+//             liftedTimestamp: (number | null) Time the suspension was
+//                                  lifted by a moderator,
+//             active:          (bool) Indicates if the suspension is active
+//         },
+//         . . .
+//     ]
+// }
+// All timestamps are in UNIX seconds.
+app.get('/user/:id/suspensions', jwtVerifyStrict, requirePermission('user.inspect', { allowSelf: true }), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.getSuspensions,
+        routeName: 'GET /user/:id/suspensions',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /user/:id/shadowban route
+// 
+// Shadowbans a user. Requires the user.shadowban permission, and only users
+// with a lower access level can be shadowbanned. Quibbles posted by a
+// shadowbanned user are only shown to the user and to users with the
+// user.shadowban permission, and the user's votes are not counted for anyone
+// else. The user is
+// not notified of the shadowban. The shadowban is recorded in the audit log
+// (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the user to shadowban
+app.post('/user/:id/shadowban', jwtVerifyStrict, requirePermission('user.shadowban'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.shadowbanUser,
+        routeName: 'POST /user/:id/shadowban',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /user/:id/shadowban route
+// 
+// Lifts the shadowban of a user. Requires the user.shadowban permission, and
+// only applies to users with a lower access level. The user's votes are
+// counted again, but quibbles posted during the shadowban stay hidden. The
+// lift is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the shadowbanned user
+app.delete('/user/:id/shadowban', jwtVerifyStrict, requirePermission('user.shadowban'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: user.unshadowbanUser,
+        routeName: 'DELETE /user/:id/shadowban',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
 // GET /user/:id/statistics
 // 
 // Gets the statistics information about a specific user given their user ID.
+// Shadowed votes and quibbles, and condemns sent by shadowbanned users, are
+// only counted for the user themselves and users with the user.shadowban
+// permission.
 // 
 // Expected URL parameters:
 //   - id (int): ID of the user to update
@@ -150,6 +660,9 @@ app.put('/user/:id/access-level', jwtVerifyStrict, async (req, res, next) => {
 //     totalQuibbles:       (number) Number of quibbles the user has posted
 //     sentCondemns:        (number) Number of condemns the user has sent
 //     receivedCondemns:    (number) Number of condemns the user has received
+//     ~shadowbanned:       (bool) Indicates if the user is shadowbanned (only
+//                              included for requesters with the
+//                              user.shadowban permission)
 // }
 // 
 // If no user with the specified ID is found, an error code and message is
@@ -158,7 +671,7 @@ app.put('/user/:id/access-level', jwtVerifyStrict, async (req, res, next) => {
 //     error:   (string) Error code
 //     message: (string) Descriptive error message
 // }
-app.get('/user/:id/statistics', async (req, res, next) => {
+app.get('/user/:id/statistics', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.getStatistics,
         routeName: 'POST /user/:id/statistics',
@@ -191,7 +704,7 @@ app.get('/user/:id/statistics', async (req, res, next) => {
 // 
 // The returned discussions array main contain 0 to 5 entries, depending on the
 // number of discussions the user has interacted with.
-app.get('/user/:id/top-discussions', async (req, res, next) => {
+app.get('/user/:id/top-discussions', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.getTopDiscussions,
         routeName: 'POST /user/:id/top-discussions',
@@ -230,6 +743,14 @@ app.get('/user/:id/top-discussions', async (req, res, next) => {
 //             ~condemns:    (int) Count of the number of condemns,
 //             ~condemned:   (bool, true) Indicates if the user has
 //                               condemned the quibble
+//             ~shadowed:    (bool, true) Indicates if the quibble is hidden
+//                               by a shadowban (only included for
+//                               requesters with the user.shadowban
+//                               permission)
+//             ~hidden:      (bool, true) Indicates if the quibble is hidden
+//                               pending moderator review
+//             ~hiddenReason: (string) Reason the quibble was hidden (only
+//                               included for hidden quibbles)
 //         },
 //         . . . (min 0, max 20)
 //     ]
@@ -244,7 +765,17 @@ app.get('/user/:id/top-discussions', async (req, res, next) => {
 //
 // Quibbles may be deleted by the user or by moderators. Deleted quibbles will
 // have their content attribute set to null.
-app.get('/user/:id/quibbles', jwtVerifySoft, async (req, res, next) => {
+// 
+// Quibbles posted while the user was shadowbanned are only returned to the
+// user themselves and to users with the user.shadowban permission.
+// Condemns sent by shadowbanned users are likewise only counted for
+// themselves and for users with the user.shadowban permission.
+// 
+// Quibbles hidden pending moderator review are returned as collapsed entries,
+// with the hidden and hiddenReason attributes and their content attribute set
+// to null. Only users with the quibble.reports permission receive the content
+// of hidden quibbles.
+app.get('/user/:id/quibbles', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: user.getQuibbles,
         routeName: 'GET /user/:id/quibbles',
@@ -257,11 +788,26 @@ app.get('/user/:id/quibbles', jwtVerifySoft, async (req, res, next) => {
 
 // POST /auth/login route
 // 
-// Logs-in a user to an account.
+// Logs-in a user to an account. Usernames are matched regardless of case and
+// Unicode normalization. The X-CSRF-Token header is not required.
+// 
+// Failed attempts are throttled per username and per client IP address. Too
+// many failed attempts result in a temporary lock-out with the error code
+// ACCOUNT_TEMPORARILY_LOCKED and a retryAfter attribute in seconds.
+// 
+// If the account has two-factor authentication enabled, the user is not
+// logged-in yet. Instead, a short-lived challenge token is returned that must
+// be sent to POST /auth/2fa/verify along with a TOTP code or recovery code.
 // 
 // Expected body parameters:
 //   - username (string): Username of the new user
 //   - password (string): Password for the account
+// 
+// Return JSON structure if two-factor authentication is required:
+// {
+//     twoFactorRequired: (bool, true) Indicates that a second step is needed,
+//     challenge:         (string) Challenge token for POST /auth/2fa/verify
+// }
 app.post('/auth/login', async (req, res, next) => {
     await resolveRouteHandler({
         routeResolver: auth.login,
@@ -273,38 +819,527 @@ app.post('/auth/login', async (req, res, next) => {
     });
 });
 
-// POST /auth/logout route
+// POST /auth/2fa/verify route
 // 
-// Logs-out a user.
-app.post('/auth/logout', async (req, res, next) => {
+// Completes the login of an account with two-factor authentication enabled
+// using the challenge token returned by POST /auth/login. Either a TOTP code
+// from the user's authenticator app or an unused recovery code must be
+// provided. Recovery codes can only be used once.
+// 
+// Failed attempts are throttled in the same way as POST /auth/login.
+// 
+// Expected body parameters:
+//   - challenge (string): Challenge token returned by POST /auth/login
+//   - code (string): 6-digit TOTP code (if no recovery code is provided)
+//   - recovery-code (string): Recovery code (if no TOTP code is provided)
+app.post('/auth/2fa/verify', async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: auth.logout,
-        routeName: 'POST /auth/logout',
+        routeResolver: auth.verifyTwoFactor,
+        routeName: 'POST /auth/2fa/verify',
         req: req,
         res: res,
         next: next,
-        createConn: false
+        createConn: true
     });
 });
 
-// GET /auth/info route
+// POST /auth/2fa/setup route
 // 
-// Gets information about a logged-in requester. Includes the user's ID,
-// username, and access level.
+// Starts two-factor authentication enrollment for the requesting user. A new
+// TOTP secret is generated and returned along with an otpauth:// key URI that
+// can be added to an authenticator app. Two-factor authentication is not
+// enabled until a code is confirmed with POST /auth/2fa/enable.
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user
 // 
 // Return JSON structure:
 // {
-//     id:           (int) ID of the requesting user,
-//     username:     (string) Username of the requesting user,
-//     accessLevel:  (int) Access level number of the requesting user,
-//     expTimestamp: (int) Date when the info becomes invalid in UNIX seconds
+//     secret: (string) Base32 TOTP secret,
+//     keyUri: (string) otpauth:// key URI of the secret
 // }
-// 
-// If the user is not logged-in, a 400-level error response is returned with
-// a corresponding error code and error message.
-app.get('/auth/info', jwtVerifySoft, async (req, res, next) => {
+app.post('/auth/2fa/setup', jwtVerifyStrict, async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: auth.getInfo,
+        routeResolver: auth.setupTwoFactor,
+        routeName: 'POST /auth/2fa/setup',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/2fa/enable route
+// 
+// Enables two-factor authentication for the requesting user after confirming
+// a TOTP code generated from the secret returned by POST /auth/2fa/setup. A new
+// set of recovery codes is returned. The recovery codes are only shown once.
+// 
+// Expected body parameters:
+//   - code (string): 6-digit TOTP code from the user's authenticator app
+// 
+// Return JSON structure:
+// {
+//     recoveryCodes: [
+//         (string) Single-use recovery code,
+//         . . .
+//     ]
+// }
+app.post('/auth/2fa/enable', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.enableTwoFactor,
+        routeName: 'POST /auth/2fa/enable',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/2fa/disable route
+// 
+// Disables two-factor authentication for the requesting user. Requires the
+// user's password and either a TOTP code or an unused recovery code. All
+// recovery codes of the user are removed.
+// 
+// Expected body parameters:
+//   - password (string): Current password of the user
+//   - code (string): 6-digit TOTP code (if no recovery code is provided)
+//   - recovery-code (string): Recovery code (if no TOTP code is provided)
+app.post('/auth/2fa/disable', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.disableTwoFactor,
+        routeName: 'POST /auth/2fa/disable',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/logout route
+// 
+// Logs-out a user. The login session of the provided refresh token is revoked
+// so that the refresh token can no longer be used. The X-CSRF-Token header is
+// not required.
+app.post('/auth/logout', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.logout,
+        routeName: 'POST /auth/logout',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/logout-all route
+// 
+// Logs-out a user from all devices. Every login session of the requesting user
+// is revoked, including the current one. API tokens of the user are kept
+// unless the api-tokens body parameter is set.
+// 
+// Optional body parameters:
+//   - api-tokens (bool): Indicates if all API tokens of the user are also
+//         revoked (defaults to false)
+app.post('/auth/logout-all', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.logoutAll,
+        routeName: 'POST /auth/logout-all',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/password-reset/request route
+// 
+// Requests a password reset for the account with the given email address. A
+// single-use reset link is sent to the email address if an account uses it.
+// The same response is returned whether or not an account was found, so that
+// the route cannot be used to discover registered email addresses.
+// 
+// Expected body parameters:
+//   - email (string): Email address of the account
+app.post('/auth/password-reset/request', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.requestPasswordReset,
+        routeName: 'POST /auth/password-reset/request',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/password-reset/confirm route
+// 
+// Resets the password of an account using a password reset token. The token
+// can only be used once. All login sessions and API tokens of the account are
+// revoked.
+// 
+// The new password must pass the password strength policy (see
+// validation.validateNewPassword). The token is not used up if the new password
+// is rejected.
+// 
+// Expected body parameters:
+//   - token (string): Password reset token sent to the user's email address
+//   - new-password (string): New password to apply to the account
+app.post('/auth/password-reset/confirm', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.confirmPasswordReset,
+        routeName: 'POST /auth/password-reset/confirm',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/verify-email route
+// 
+// Verifies the email address of an account using an email verification token.
+// The token can only be used once.
+// 
+// Expected body parameters:
+//   - token (string): Email verification token sent to the email address
+app.post('/auth/verify-email', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.verifyEmail,
+        routeName: 'POST /auth/verify-email',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/verify-email/request route
+// 
+// Sends a new email verification link to the requesting user's email address.
+// Any previously sent verification links are invalidated.
+app.post('/auth/verify-email/request', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.requestEmailVerification,
+        routeName: 'POST /auth/verify-email/request',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /auth/sessions route
+// 
+// Gets the active login sessions of the requesting user, ordered by most
+// recently renewed.
+// 
+// Return JSON structure:
+// {
+//     sessions: [
+//         {
+//             id:               (int) ID of the session,
+//             createdTimestamp: (int) Time the session was created in UNIX time,
+//             renewedTimestamp: (int) Time the session last renewed its access
+//                                   token in UNIX time,
+//             ~userAgent:       (string) User agent of the logged-in client,
+//             ~ip:              (string) IP address of the logged-in client,
+//             current:          (bool) Indicates if the session is the one
+//                                   used to make this request
+//         },
+//         . . .
+//     ]
+// }
+app.get('/auth/sessions', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.getSessions,
+        routeName: 'GET /auth/sessions',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /auth/sessions/:id route
+// 
+// Revokes one of the requesting user's login sessions. If the revoked session
+// is the current session, the user is also logged-out.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the session to revoke
+app.delete('/auth/sessions/:id', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.removeSession,
+        routeName: 'DELETE /auth/sessions/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/tokens route
+// 
+// Creates a personal API token for the requesting user. API tokens are used in
+// an Authorization: Bearer header by scripts and bots, and they only grant
+// access to routes covered by their scopes. Access-level checks of the user
+// still apply to requests made with an API token. API tokens cannot be used
+// to manage API tokens.
+// 
+// The raw token is only returned once by this route.
+// 
+// Available scopes:
+//   - read: Access to logged-in GET routes
+//   - quibble:write: Posting and condemning quibbles, and voting on discussion
+//         choices
+//   - discussion:admin: Creating topics, tags, discussions, and discussion
+//         choices
+// 
+// Expected body parameters:
+//   - name (string): Name to identify the token with
+//   - scopes (array of strings): Scopes granted to the token
+// 
+// Optional body parameters:
+//   - expires-in-days (int): Number of days until the token expires, up to
+//         API_TOKEN_MAX_EXPIRE_DAYS (no expiry if not provided and
+//         API_TOKEN_MAX_EXPIRE_DAYS is 0)
+// 
+// Return JSON structure:
+// {
+//     message: (string) Success message,
+//     id:      (int) ID of the created token,
+//     token:   (string) Raw API token
+// }
+app.post('/auth/tokens', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.createApiToken,
+        routeName: 'POST /auth/tokens',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /auth/tokens route
+// 
+// Gets the active API tokens of the requesting user, ordered by most recently
+// created. The raw tokens are not included.
+// 
+// Return JSON structure:
+// {
+//     tokens: [
+//         {
+//             id:                 (int) ID of the token,
+//             name:               (string) Name of the token,
+//             scopes:             (array of strings) Scopes of the token,
+//             createdTimestamp:   (int) Time the token was created in UNIX
+//                                     time,
+//             ~lastUsedTimestamp: (int) Time the token was last used in UNIX
+//                                     time,
+//             ~expiresTimestamp:  (int) Time the token expires in UNIX time
+//         },
+//         . . .
+//     ]
+// }
+app.get('/auth/tokens', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.getApiTokens,
+        routeName: 'GET /auth/tokens',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /auth/tokens/:id route
+// 
+// Revokes one of the requesting user's API tokens.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the token to revoke
+app.delete('/auth/tokens/:id', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.removeApiToken,
+        routeName: 'DELETE /auth/tokens/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /auth/oauth/providers route
+// 
+// Gets the names of the external identity providers that users can sign in
+// with.
+// 
+// Return JSON structure:
+// {
+//     providers: (array of strings) Names of the available providers
+// }
+app.get('/auth/oauth/providers', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.getOAuthProviders,
+        routeName: 'GET /auth/oauth/providers',
+        req: req,
+        res: res,
+        next: next,
+        createConn: false
+    });
+});
+
+// GET /auth/oauth/:provider/start route
+// 
+// Starts signing in with an external identity provider by redirecting the
+// user to the provider's authorization page. The state, nonce, and PKCE code
+// verifier of the request are kept in a signed oauth_state cookie until the
+// provider redirects back to GET /auth/oauth/:provider/callback.
+// 
+// If the link query parameter is set, the external identity is linked to the
+// logged-in requester instead of being used to log-in.
+// 
+// Expected URL parameters:
+//   - provider (string): Name of the identity provider
+// 
+// Optional query parameters:
+//   - link (int): 1 to link the identity to the logged-in requester
+app.get('/auth/oauth/:provider/start', jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.startOAuth,
+        routeName: 'GET /auth/oauth/:provider/start',
+        req: req,
+        res: res,
+        next: next,
+        createConn: false
+    });
+});
+
+// GET /auth/oauth/:provider/callback route
+// 
+// Completes signing in with an external identity provider. The provider
+// redirects the user to this route after authorization. The state of the
+// request is validated against the oauth_state cookie, and the authorization
+// code is exchanged for the user's ID token.
+// 
+// If the external identity is linked to a user, that user is logged-in. If
+// not, a new user is created with a username derived from the identity, and
+// the identity is linked to it. Identities are never linked to existing users
+// by email address. If the user has two-factor authentication enabled, a
+// challenge token for POST /auth/2fa/verify is provided instead.
+// 
+// The user is redirected to OAUTH_LOGIN_REDIRECT_URL with the following
+// parameters:
+//   - oauth (query): 'logged-in', 'linked', or 'two-factor-required' on success
+//   - error (query): Error code on failure
+//   - two-factor-challenge (fragment): Challenge token if two-factor
+//         authentication is required
+// 
+// Expected URL parameters:
+//   - provider (string): Name of the identity provider
+app.get('/auth/oauth/:provider/callback', jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.oauthCallback,
+        routeName: 'GET /auth/oauth/:provider/callback',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /auth/identities route
+// 
+// Gets the external identities linked to the requesting user.
+// 
+// Return JSON structure:
+// {
+//     identities: [
+//         {
+//             id:               (int) ID of the linked identity,
+//             provider:         (string) Name of the identity provider,
+//             ~email:           (string) Email address of the identity,
+//             createdTimestamp: (int) Time the identity was linked in UNIX
+//                                   time
+//         },
+//         . . .
+//     ]
+// }
+app.get('/auth/identities', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.getIdentities,
+        routeName: 'GET /auth/identities',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /auth/identities/:id route
+// 
+// Unlinks an external identity from the requesting user. The last linked
+// identity of a user without a password cannot be unlinked.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the linked identity to unlink
+app.delete('/auth/identities/:id', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.removeIdentity,
+        routeName: 'DELETE /auth/identities/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /auth/info route
+// 
+// Gets information about a logged-in requester. Includes the user's ID,
+// username, access level, email address and its verification state,
+// two-factor authentication state, whether they must change their password,
+// when the account will be deleted if its deletion is scheduled, and the
+// active suspension of the user if they are suspended.
+// 
+// Return JSON structure:
+// {
+//     id:                    (int) ID of the requesting user,
+//     username:              (string) Username of the requesting user,
+//     accessLevel:           (int) Access level number of the requesting user,
+//     ~email:                (string) Email address of the requesting user,
+//     emailVerified:         (bool) Indicates if the email address of the
+//                                requesting user has been verified,
+//     twoFactorEnabled:      (bool) Indicates if two-factor authentication is
+//                                enabled for the requesting user,
+//     twoFactorSetupRequired: (bool) Indicates if the user must enable
+//                                two-factor authentication to use their
+//                                privileges,
+//     passwordResetRequired: (bool) Indicates if the user must change their
+//                                password before continuing,
+//     ~deletionTimestamp:    (number) Time the account is scheduled to be
+//                                deleted in UNIX seconds,
+//     ~suspension: {         (object) Active suspension of the user
+//         reason:            (string) Reason for the suspension,
+//         startTimestamp:    (number) Time the suspension started in UNIX
+//                                seconds,
+//         endTimestamp:      (number | null) Time the suspension ends in UNIX
+//                                seconds, or null if it does not expire
+//     },
+//     expTimestamp:          (int) Date when the info becomes invalid in UNIX
+//                                seconds,
+//     ~csrfToken:            (string) CSRF token to send in the X-CSRF-Token
+//                                header of non-GET requests
+// }
+// 
+// If the user is not logged-in, a 400-level error response is returned with
+// a corresponding error code and error message.
+app.get('/auth/info', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.getInfo,
         routeName: 'GET /auth/info',
         req: req,
         res: res,
@@ -313,50 +1348,712 @@ app.get('/auth/info', jwtVerifySoft, async (req, res, next) => {
     });
 });
 
-// POST /auth/renew-access-token
+// POST /auth/renew-access-token
+// 
+// Renews a user's access token using their refresh token. The refresh token is
+// rotated, so a new refresh token is also issued.
+// 
+// If a previously rotated refresh token is reused, the login session is
+// revoked and the error code REFRESH_TOKEN_REUSED is returned.
+app.post('/auth/renew-access-token', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.renewAccessToken,
+        routeName: 'POST /auth/renew-access-token',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /auth/login/test route
+// 
+// Tests if a user is successfully logged-in. Returns a 200 HTTP response status
+// if logged-in. Otherwise, returns a 401 HTTP response status.
+app.get('/auth/login/test', apiTokenVerify('read'), jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: auth.loginTest,
+        routeName: 'POST /auth/login/test',
+        req: req,
+        res: res,
+        next: next,
+        createConn: false
+    });
+});
+
+// POST /topic route
+// 
+// Adds a new discussion topic. Requires the topic.manage permission. The new
+// topic is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected body parameters:
+//   - name (string): Name of the new topic
+// 
+// On success, the following JSON structure is returned:
+// {
+//     topicId: (int) ID of the created topic
+// }
+app.post('/topic', apiTokenVerify('discussion:admin'), jwtVerifyStrict, requirePermission('topic.manage'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.addTopic,
+        routeName: 'POST /topic',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /topic/:id route
+// 
+// Gets the name of a specific topic given its ID.
+// 
+// Expected URL parameters:
+//   - id (number): ID of the topic
+// 
+// Return JSON structure:
+// {
+//     topicName: (string) Name of the given topic ID
+// }
+// 
+// If no topic with the specified ID is found, an error code and message is
+// returned with the following structure:
+// {
+//     error:   (string) Error code
+//     message: (string) Descriptive error message
+// }
+app.get('/topic/:id', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.getTopic,
+        routeName: 'GET /topic/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /topic/:id/moderators route
+// 
+// Gets the moderators of a specific topic, ordered by username. Topic
+// moderators can delete quibbles, lock discussions, and add choices within the
+// discussions of the topic (see permissions.TOPIC_PERMISSIONS).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+// 
+// Return JSON structure:
+// {
+//     moderators: [
+//         {
+//             id:                (int) ID of the moderator,
+//             username:          (string) Username of the moderator,
+//             assignedTimestamp: (number) Time the moderator was assigned in
+//                                    UNIX seconds
+//         },
+//         . . .
+//     ]
+// }
+app.get('/topic/:id/moderators', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.getTopicModerators,
+        routeName: 'GET /topic/:id/moderators',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /topic/:id/moderators route
+// 
+// Assigns a user as a moderator of a specific topic. Requires the
+// topic.moderators permission. The assignment is recorded in the audit log
+// (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+// 
+// Expected body parameters:
+//   - user-id (int): ID of the user to assign
+app.post('/topic/:id/moderators', jwtVerifyStrict, requirePermission('topic.moderators'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.addTopicModerator,
+        routeName: 'POST /topic/:id/moderators',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /topic/:id/moderators/:userId route
+// 
+// Removes a user from the moderators of a specific topic. Requires the
+// topic.moderators permission. The removal is recorded in the audit log (see
+// GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the topic
+//   - userId (int): ID of the moderator to remove
+app.delete('/topic/:id/moderators/:userId', jwtVerifyStrict, requirePermission('topic.moderators'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.removeTopicModerator,
+        routeName: 'DELETE /topic/:id/moderators/:userId',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /topics route
+// 
+// Gets a list of all topics.
+// 
+// Return JSON structure:
+// {
+//     topics: [
+//         {
+//             id:      (int) ID of the topic
+//             name:    (string) Name of the topic
+//         },
+//         . . .
+//     ]
+// }
+app.get('/topics', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: topic.getTopics,
+        routeName: 'GET /topics',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /tag route
+// 
+// Adds a new tag. Requires the tag.manage permission.
+// 
+// Expected body parameters:
+//   - name (string): Name of the new tag
+app.post('/tag', apiTokenVerify('discussion:admin'), jwtVerifyStrict, requirePermission('tag.manage'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: tag.addTag,
+        routeName: 'POST /tag',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /discussion route
+// 
+// Adds a new discussion. Requires the discussion.create permission. The new
+// discussion is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected body parameters:
+//   - title (string): Title of the new discussion
+//   - topic-id (int): ID of the discussion's topic
+// 
+// Optional body parameters:
+//   - description (string): Description of the new discussion
+//   - page-content (string): Content of the discussion page as markdown syntax
+// 
+// On success, the following JSON structure is returned:
+// {
+//     discussionId: (int) ID of the created discussion
+// }
+app.post('/discussion', apiTokenVerify('discussion:admin'), jwtVerifyStrict, requirePermission('discussion.create'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.addDiscussion,
+        routeName: 'POST /discussion',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussions
+//
+// Gets a list of discussions that include identifying and meta information.
+// The discussion list can be filtered given a set of optional query parameters.
+// Only returns at most 20 discussions per call.
+// 
+// Calls that return discussions will include the index of the last discussion
+// item. The index is the position of a specific discussion in the given sort
+// order and is used to retrieve discussions past the initial 20 and so on.
+//
+// Optional query parameters:
+//   - search (string): Search term to match with retrieved discussion titles
+//   - topic-id (int): ID of the topic for the retrieved discussions
+//   - after-index (int): Index that specifies a position that discussion
+//         retrieval will start from (excluding)
+//   - count (int): Number of discussions to retrieve (capped to 20 discussions)
+//   - sort-by (string): Sort method to retrieve discussions
+// 
+// sort-by methods:
+//   - 'date-new': Discussions sorted by initial post date ascending (default)
+//   - 'date-old': Discussions sorted by initial post date descending
+//   - 'activity': Discussions sorted by recent post activity
+//   - 'votes': Discussions sorted by vote count
+//   - 'quibbles': Discussions sorted by quibble count
+// 
+// Return JSON structure: 
+// {
+//     discussions: [
+//         {
+//             id:           (int) ID of the discussion,
+//             title:        (string) Title of the discussion,
+//             timestamp:    (int) Time the discussion was posted in UNIX time,
+//             lastActivity: (int) Time of the last user activity in UNIX time,
+//             topic:        (string) Name of the discussion's topic,
+//             topicId:      (int) ID of the discussion's topic,
+//             voteCount:    (int) Count of total user votes,
+//             quibbleCount: (int) Count of total user quibbles,
+//             ~description: (stirng) Description of the discussion
+//         },
+//         . . .
+//     ],
+//     ~lastIndex:  (int) Index of the last discussion retrieved in the array
+// }
+// 
+// The optional lastIndex attribute will only be included if at least one
+// discussion is included in the discussions array attribute.
+// 
+// Votes and quibbles hidden by a shadowban are not counted, except for the
+// requester's own votes and quibbles and for requesters with the
+// user.shadowban permission.
+app.get('/discussions', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getDiscussions,
+        routeName: 'GET /discussions',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussion/:id route
+// 
+// Gets information about a specific discussion. Includes the discussion title,
+// timestamp, topic, topic ID, lock status, and choices. Locked discussions do
+// not accept new quibbles or votes.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion
+// 
+// Return JSON structure:
+// {
+//     title:       (string) Title of the discussion,
+//     timestamp:   (int) Time the discussion was posted in UNIX time,
+//     topic:       (string) Name of the discussion topic,
+//     topicId:     (int) ID of the topic,
+//     locked:      (bool) Indicates if the discussion is locked,
+//     ~description (string) Description of the discussion,
+//     ~pageContent (string) Page content markdown string,
+//     choices: [
+//         {
+//             id:      (int): ID of the choice,
+//             name:    (string) Name of the choice
+//         },
+//         . . .
+//     ]
+// }
+// 
+// If no discussion with the specified ID is found, an error code and message
+// is returned with the following structure:
+// {
+//     error:   (string) Error code
+//     message: (string) Descriptive error message
+// }
+app.get('/discussion/:id', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getDiscussion,
+        routeName: 'GET /discussion/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /discussion/:id/tag route
+// 
+// Adds a tag to a discussion. Requires the discussion.edit permission.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the target discussion
+// 
+// Expected body parameters:
+//   - tag-id (int): ID of the tag to add
+app.post('/discussion/:id/tag', apiTokenVerify('discussion:admin'), jwtVerifyStrict, requirePermission('discussion.edit'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.addDiscussionTag,
+        routeName: 'POST /discussion/:id/tag',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussion/:id/tags route
+// 
+// Gets the tags applied to a specific discussion. Includes the tag name and tag
+// ID.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion
+// 
+// Return JSON structure:
+// {
+//     tags: [
+//         {
+//             id:   (int) ID of the tag
+//             name: (string) Name of the tag
+//         },
+//         . . .
+//     ]
+// }
+// 
+// If no discussion with the specified ID is found, an error code and message
+// is returned with the following structure:
+// {
+//     error:   (string) Error code
+//     message: (string) Descriptive error message
+// }
+app.get('/discussion/:id/tags', async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getDiscussionTags,
+        routeName: 'GET /discussion/:id/tags',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /discussion/:id/choice route
+// 
+// Adds a new choice to a discussion. Requires the discussion.choices
+// permission, which moderators of the discussion's topic also have within the
+// topic.
+//
+// Expected URL parameters:
+//   - id (int): ID of the discussion
+// 
+// Expected body parameters:
+//   - choice-name (string): Name of the choice
+app.post('/discussion/:id/choice', apiTokenVerify('discussion:admin'), jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.addDiscussionChoice,
+        routeName: 'POST /discussion/:id/choice',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /discussion/:id/lock route
+// 
+// Locks a discussion, so that it no longer accepts new quibbles or votes.
+// Requires the discussion.lock permission, which moderators of the
+// discussion's topic also have within the topic. The lock is recorded in the
+// audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion to lock
+app.post('/discussion/:id/lock', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.lockDiscussion,
+        routeName: 'POST /discussion/:id/lock',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// DELETE /discussion/:id/lock route
+// 
+// Unlocks a locked discussion. Requires the discussion.lock permission, which
+// moderators of the discussion's topic also have within the topic. The unlock
+// is recorded in the audit log (see GET /admin/audit-log).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion to unlock
+app.delete('/discussion/:id/lock', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.unlockDiscussion,
+        routeName: 'DELETE /discussion/:id/lock',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /discussion/choice/:id/user route
+// 
+// Adds a user's vote to a choice in a discussion.
+// 
+// If REQUIRE_EMAIL_VERIFICATION is enabled, only users with a verified email
+// address can vote. Suspended users cannot vote (error code USER_SUSPENDED),
+// and votes cannot be added to locked discussions (error code
+// DISCUSSION_LOCKED).
+// 
+// Expected URL parameters:
+//   - id (int): ID of the choice that was voted
+app.post('/discussion/choice/:id/user', apiTokenVerify('quibble:write'), jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.addUserChoice,
+        routeName: 'POST /discussion/:id/user-choice',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussion/:id/user-choice route
+// 
+// Gets the user's choice from a specific discussion. Includes the choice ID and
+// choice name.
+// 
+// Return JSON structure:
+// {
+//     choiceId:        (int) ID of the choice the user selected,
+//     choiceName:      (string) Name of the choice the user selected
+// }
+// 
+// If the user has not selected a choice, a 400 HTTP response will be returned
+// with an error code 'USER_HAS_NO_CHOICE'.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the target discussion
+app.get('/discussion/:id/user-choice', apiTokenVerify('read'), jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getUserChoice,
+        routeName: 'GET /discussion/:id/user-choice',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussion/:id/choice-votes route
+// 
+// Gets the vote count for each choice of the target discussion.
+// 
+// Return JSON structure:
+// {
+//     choiceVotes: [
+//         {
+//             choiceId:  (int) ID of the choice
+//             voteCount: (int) Count of how many votes the choice has
+//         },
+//         . . .
+//     ]
+// }
+// 
+// Expected URL parameters:
+//   - id (int): ID of the target discussion
+// 
+// Votes from shadowbanned users are not counted, except for the requester's
+// own vote and for requesters with the user.shadowban permission.
+app.get('/discussion/:id/choice-votes', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getChoiceVotes,
+        routeName: 'GET /discussion/:id/choice-votes',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /discussion/:id/quibbles route
+// 
+// Gets the quibbles from a specific discussion, starting from the newest.
+// Includes the quibble ID, author name, author ID, timestamp, and quibble
+// content. Also potentially includes the comdemn count and if the current user
+// has condemned a specific quibble. Only returns at most 20 quibbles per call.
+// 
+// Expected URL parameters:
+//   - id (int): ID of the discussion
+// 
+// Optional query parameters:
+//   - after-quibble-id (int): ID of a specific quibble in which retrieved
+//         quibbles will be after it
+//   - count (int): Number of quibbles to retrieve (capped to 20 quibbles)
+// 
+// Return JSON structure:
+// {
+//     quibbles: [
+//         {
+//             id:          (BigInt string) ID of the quibble,
+//             authorName:  (string) Name of the quibble author,
+//             authorId:    (int) ID of the quibble author,
+//             timestamp:   (number) Time the quibble was posted in UNIX time,
+//             content:     (string) Text content of the quibble,
+//             ~choiceId:   (int) ID of the user's choice
+//             ~condemns:   (int) Count of the number of condemns,
+//             ~condemned:  (bool, true) Indicates if the user has
+//                              condemned the quibble
+//             ~shadowed:   (bool, true) Indicates if the quibble is hidden
+//                              by a shadowban (only included for
+//                              requesters with the user.shadowban
+//                              permission)
+//             ~hidden:     (bool, true) Indicates if the quibble is hidden
+//                              pending moderator review
+//             ~hiddenReason: (string) Reason the quibble was hidden (only
+//                              included for hidden quibbles)
+//         },
+//         . . .
+//     ]
+// }
+// The condemns and condemned attributes are optional, meaning they may or may
+// not be provided for a quibble. If the condemns attribute is not provided,
+// assume that the quibble has no condemn count. The condemned attribute will
+// only be present if the user has condemned the quibble, and the attribute will
+// always be set to the value true.
+// 
+// The quibbles array is sorted by quibble ID, descending.
+//
+// Quibbles may be deleted by the user or my moderators. Deleted quibbles will
+// have their content attribute set to null.
+// 
+// Quibbles posted by users while they were shadowbanned are only returned to
+// their authors and to users with the user.shadowban permission.
+// Condemns sent by shadowbanned users are likewise only counted for
+// themselves and for users with the user.shadowban permission.
+// 
+// Quibbles hidden pending moderator review (such as quibbles with many
+// condemns) are returned as collapsed entries, with the hidden and
+// hiddenReason attributes and their content attribute set to null. Only users
+// with the quibble.reports permission receive the content of hidden quibbles.
+// 
+// If no discussion with the specified ID is found, an error code and message
+// is returned with the following structure:
+// {
+//     error:   (string) Error code
+//     message: (string) Descriptive error message
+// }
+app.get('/discussion/:id/quibbles', apiTokenVerify('read'), jwtVerifySoft, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: discussion.getQuibbles,
+        routeName: 'GET /discussion/:id/quibbles route',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /quibble route
+// 
+// Adds a new quibble post.
+// 
+// If REQUIRE_EMAIL_VERIFICATION is enabled, only users with a verified email
+// address can post quibbles. Suspended users cannot post quibbles (error code
+// USER_SUSPENDED), and quibbles cannot be posted to locked discussions (error
+// code DISCUSSION_LOCKED).
+// 
+// New quibbles are evaluated against the automoderation rules (see
+// GET /admin/automod-rules). Quibbles matching a reject rule are rejected
+// (error code CONTENT_REJECTED), quibbles matching a hold rule are posted but
+// hidden pending moderator review, and quibbles matching a flag rule are
+// posted and listed for moderators.
+// 
+// Quibbles that are the same or near-identical to a recent quibble of the user
+// (in any discussion) or of another user are rejected (error code
+// DUPLICATE_QUIBBLE), and users posting too many quibbles or to too many
+// discussions within SPAM_BURST_WINDOW_SECONDS seconds are rejected (error code
+// POSTING_TOO_FAST, with a retryAfter attribute in seconds).
 // 
-// Renews a user's access token using their refresh token.
-app.post('/auth/renew-access-token', jwtVerifyStrict, async (req, res, next) => {
+// Expected body parameters:
+//   - discussion-id (int): ID of the target discussion
+//   - content (string): Text content of the quibble
+//
+// Returns the formatted JSON quibble with the following structure:
+// {
+//     id:          (BigInt string) ID of the quibble,
+//     authorName:  (string) Name of the quibble author,
+//     authorId:    (int) ID of the quibble author,
+//     timestamp:   (number) Time the quibble was posted in UNIX time,
+//     content:     (string) Text content of the quibble,
+//     ~hidden:     (bool, true) Indicates if the quibble is hidden pending
+//                      moderator review
+//     ~hiddenReason: (string) Reason the quibble was hidden (only included
+//                      for hidden quibbles)
+// }
+// 
+// If the quibble could not be added, an error code and message is returned with
+// the following structure:
+// {
+//     error:   (string) Error code
+//     message: (string) Descriptive error message
+// }
+app.post('/quibble', apiTokenVerify('quibble:write'), jwtVerifyStrict, async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: auth.renewAccessToken,
-        routeName: 'POST /auth/renew-access-token',
+        routeResolver: quibble.addQuibble,
+        routeName: 'POST /quibble',
         req: req,
         res: res,
         next: next,
-        createConn: false
+        createConn: true
     });
 });
 
-// POST /auth/login/test route
+// POST /quibble/:id/condemning-user route
 // 
-// Tests if a user is successfully logged-in. Returns a 200 HTTP response status
-// if logged-in. Otherwise, returns a 401 HTTP response status.
-app.get('/auth/login/test', jwtVerifyStrict, async (req, res, next) => {
+// Adds a user to the condemn list of a specific quibble. Suspended users cannot
+// condemn quibbles (error code USER_SUSPENDED). Quibbles that collect enough
+// condemns are hidden pending moderator review (see
+// GET /moderation/hidden-quibbles).
+// 
+// Expected URL parameters:
+//   - id (BigInt string): ID of the target quibble
+app.post('/quibble/:id/condemning-user', apiTokenVerify('quibble:write'), jwtVerifyStrict, async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: auth.loginTest,
-        routeName: 'POST /auth/login/test',
+        routeResolver: quibble.addCondemningUser,
+        routeName: 'POST /quibble/:id/condemning-user',
         req: req,
         res: res,
         next: next,
-        createConn: false
+        createConn: true
     });
 });
 
-// POST /topic route
+// POST /quibble/:id/report route
 // 
-// Adds a new discussion topic. Only accessible by admin-level users.
+// Reports a quibble to the moderators. Reported quibbles are listed in the
+// moderation queue (see GET /moderation/reports) until their reports are
+// resolved. Each user can only report a quibble once, and users cannot report
+// their own quibbles. Suspended users cannot report quibbles (error code
+// USER_SUSPENDED).
+// 
+// Expected URL parameters:
+//   - id (BigInt string): ID of the target quibble
 // 
 // Expected body parameters:
-//   - name (string): Name of the new topic
+//   - reason (string): Reason category of the report, one of 'spam',
+//         'harassment', 'hate', 'misinformation', 'off-topic', or 'other'
 // 
-// On success, the following JSON structure is returned:
-// {
-//     topicId: (int) ID of the created topic
-// }
-app.post('/topic', jwtVerifyStrict, async (req, res, next) => {
+// Optional body parameters:
+//   - note (string): Details of the report for the moderators (max 500
+//         characters)
+app.post('/quibble/:id/report', apiTokenVerify('quibble:write'), jwtVerifyStrict, async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: topic.addTopic,
-        routeName: 'POST /topic',
+        routeResolver: quibble.addReport,
+        routeName: 'POST /quibble/:id/report',
         req: req,
         res: res,
         next: next,
@@ -364,28 +2061,120 @@ app.post('/topic', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// GET /topic/:id route
+// DELETE /quibble/:id route
 // 
-// Gets the name of a specific topic given its ID.
+// Removes a specific quibble. Requires the quibble.delete permission, which
+// moderators of the quibble's topic also have within the topic. The removal is
+// recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (number): ID of the topic
+//   - id (BigInt string): ID of the target quibble
+app.delete('/quibble/:id', jwtVerifyStrict, async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: quibble.removeQuibble,
+        routeName: 'DELETE /quibble/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /moderation/reports route
+// 
+// Gets the open reports of quibbles, grouped by quibble and ordered by the
+// number of open reports (most reported first), then by the time of the
+// quibble's oldest open report. Requires the quibble.reports permission. Only
+// returns at most QUIBBLE_MAX_GET quibbles per call.
+// 
+// Optional query parameters:
+//   - count (int): Number of reported quibbles to retrieve (capped to
+//         QUIBBLE_MAX_GET quibbles)
 // 
 // Return JSON structure:
 // {
-//     topicName: (string) Name of the given topic ID
+//     quibbles: [
+//         {
+//             id:              (BigInt string) ID of the quibble,
+//             authorId:        (int | null) ID of the quibble's author,
+//             author:          (string | null) Username of the quibble's
+//                                  author,
+//             discussionId:    (int) ID of the quibble's discussion,
+//             discussion:      (string) Title of the quibble's discussion,
+//             content:         (string | null) Text content of the quibble
+//                                  (null if the quibble was deleted),
+//             timestamp:       (number) Time the quibble was posted,
+//             reportCount:     (int) Number of open reports of the quibble,
+//             reasonCounts:    (object) Number of open reports of each reason
+//                                  category, keyed by reason,
+//             firstTimestamp:  (number) Time of the oldest open report,
+//             reports: [
+//                 {
+//                     id:          (int) ID of the report,
+//                     reporterId:  (int | null) ID of the reporting user,
+//                     reporter:    (string | null) Username of the reporting
+//                                      user,
+//                     reason:      (string) Reason category of the report,
+//                     note:        (string | null) Details of the report,
+//                     timestamp:   (number) Time of the report
+//                 },
+//                 . . .
+//             ]
+//         },
+//         . . .
+//     ]
 // }
+app.get('/moderation/reports', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: moderation.getReports,
+        routeName: 'GET /moderation/reports',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /moderation/reports/:id/resolution route
 // 
-// If no topic with the specified ID is found, an error code and message is
-// returned with the following structure:
+// Resolves all open reports of a quibble with an action, and records the
+// resolution. Requires the quibble.reports permission. Resolving with the
+// delete action additionally requires the quibble.delete permission (as with
+// DELETE /quibble/:id), and resolving with the suspend action additionally
+// requires the user.ban permission and a higher access level than the
+// quibble's author (as with POST /user/:id/suspension).
+// 
+// Expected URL parameters:
+//   - id (BigInt string): ID of the reported quibble
+// 
+// Expected body parameters:
+//   - action (string): Action resolving the reports, either 'dismiss' (the
+//         reports are closed), 'delete' (the quibble is deleted), or
+//         'suspend' (the quibble's author is suspended)
+// 
+// Optional body parameters:
+//   - note (string): Note of the resolution for other moderators (max 500
+//         characters)
+// 
+// Body parameters of the suspend action:
+//   - reason (string): Reason given to the user for the suspension (max 500
+//         characters)
+//   - expires-in-hours (int, optional): Number of hours until the suspension
+//         expires (the suspension does not expire if omitted)
+// 
+// Return JSON structure:
 // {
-//     error:   (string) Error code
-//     message: (string) Descriptive error message
+//     id:              (int) ID of the resolution,
+//     resolvedCount:   (int) Number of reports resolved,
+//     ~suspensionId:   (int) ID of the author's suspension
 // }
-app.get('/topic/:id', async (req, res, next) => {
+// 
+// The optional suspensionId attribute will only be included if the action is
+// 'suspend'.
+app.post('/moderation/reports/:id/resolution', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: topic.getTopic,
-        routeName: 'GET /topic/:id',
+        routeResolver: moderation.resolveReports,
+        routeName: 'POST /moderation/reports/:id/resolution',
         req: req,
         res: res,
         next: next,
@@ -393,24 +2182,40 @@ app.get('/topic/:id', async (req, res, next) => {
     });
 });
 
-// GET /topics route
+// GET /moderation/hidden-quibbles route
 // 
-// Gets a list of all topics.
+// Gets the quibbles that were hidden automatically and are pending moderator
+// review, ordered by the time they were hidden (oldest first). Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET quibbles per
+// call.
+// 
+// Optional query parameters:
+//   - count (int): Number of hidden quibbles to retrieve (capped to
+//         QUIBBLE_MAX_GET quibbles)
 // 
 // Return JSON structure:
 // {
-//     topics: [
+//     quibbles: [
 //         {
-//             id:      (int) ID of the topic
-//             name:    (string) Name of the topic
+//             id:              (BigInt string) ID of the quibble,
+//             authorId:        (int | null) ID of the quibble's author,
+//             author:          (string | null) Username of the quibble's
+//                                  author,
+//             discussionId:    (int) ID of the quibble's discussion,
+//             discussion:      (string) Title of the quibble's discussion,
+//             content:         (string) Text content of the quibble,
+//             timestamp:       (number) Time the quibble was posted,
+//             condemns:        (int) Number of condemns of the quibble,
+//             hiddenReason:    (string) Reason the quibble was hidden,
+//             hiddenTimestamp: (number) Time the quibble was hidden
 //         },
 //         . . .
 //     ]
 // }
-app.get('/topics', async (req, res, next) => {
+app.get('/moderation/hidden-quibbles', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: topic.getTopics,
-        routeName: 'GET /topics',
+        routeResolver: moderation.getHiddenQuibbles,
+        routeName: 'GET /moderation/hidden-quibbles',
         req: req,
         res: res,
         next: next,
@@ -418,16 +2223,24 @@ app.get('/topics', async (req, res, next) => {
     });
 });
 
-// POST /tag route
+// POST /moderation/hidden-quibbles/:id/review route
+// 
+// Reviews a hidden quibble by either restoring it or confirming its removal.
+// Restored quibbles are visible again and are not hidden automatically again,
+// and removed quibbles are deleted (as with DELETE /quibble/:id). Requires the
+// quibble.reports permission and the quibble.delete permission, which
+// moderators of the quibble's topic also have within the topic. The review is
+// recorded in the audit log (see GET /admin/audit-log).
 // 
-// Adds a new tag. Only accessible by admin-level users.
+// Expected URL parameters:
+//   - id (BigInt string): ID of the hidden quibble
 // 
 // Expected body parameters:
-//   - name (string): Name of the new tag
-app.post('/tag', jwtVerifyStrict, async (req, res, next) => {
+//   - action (string): Either 'restore' or 'remove'
+app.post('/moderation/hidden-quibbles/:id/review', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: tag.addTag,
-        routeName: 'POST /tag',
+        routeResolver: moderation.reviewHiddenQuibble,
+        routeName: 'POST /moderation/hidden-quibbles/:id/review',
         req: req,
         res: res,
         next: next,
@@ -435,26 +2248,50 @@ app.post('/tag', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// POST /discussion route
-// 
-// Adds a new discussion. Only accessible by admin-level users.
+// GET /moderation/automod-flags route
 // 
-// Expected body parameters:
-//   - title (string): Title of the new discussion
-//   - topic-id (int): ID of the discussion's topic
+// Gets the quibbles and usernames that matched an automoderation hold or flag
+// rule (see GET /admin/automod-rules), ordered by most recent. Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET flags per
+// call.
 // 
-// Optional body parameters:
-//   - description (string): Description of the new discussion
-//   - page-content (string): Content of the discussion page as markdown syntax
+// Optional query parameters:
+//   - target (string): Only retrieve flags of a target, either 'quibble' or
+//         'username'
+//   - after-id (BigInt string): ID of the last flag retrieved, used as the
+//         cursor for retrieving the following flags
+//   - count (int): Number of flags to retrieve (capped to QUIBBLE_MAX_GET
+//         flags)
 // 
-// On success, the following JSON structure is returned:
+// Return JSON structure:
 // {
-//     discussionId: (int) ID of the created discussion
+//     flags: [
+//         {
+//             id:         (BigInt string) ID of the flag,
+//             ruleId:     (int | null) ID of the matched rule (null if the
+//                             rule was removed),
+//             rule:       (string) Name of the matched rule,
+//             action:     (string) 'hold' or 'flag',
+//             target:     (string) 'quibble' or 'username',
+//             userId:     (int) ID of the author,
+//             username:   (string) Current username of the author,
+//             quibbleId:  (BigInt string | null) ID of the flagged quibble
+//                             (null for usernames),
+//             content:    (string) Flagged quibble content or username,
+//             timestamp:  (number) Time of the flag in UNIX seconds
+//         },
+//         . . .
+//     ],
+//     ~lastId: (BigInt string) ID of the last flag retrieved, to use as the
+//                  after-id of the next call
 // }
-app.post('/discussion', jwtVerifyStrict, async (req, res, next) => {
+// 
+// The optional lastId attribute will only be included if at least one flag is
+// included in the flags array attribute.
+app.get('/moderation/automod-flags', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.addDiscussion,
-        routeName: 'POST /discussion',
+        routeResolver: moderation.getAutomodFlags,
+        routeName: 'GET /moderation/automod-flags',
         req: req,
         res: res,
         next: next,
@@ -462,56 +2299,51 @@ app.post('/discussion', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// GET /discussions
-//
-// Gets a list of discussions that include identifying and meta information.
-// The discussion list can be filtered given a set of optional query parameters.
-// Only returns at most 20 discussions per call.
+// GET /moderation/suspicious-users route
 // 
-// Calls that return discussions will include the index of the last discussion
-// item. The index is the position of a specific discussion in the given sort
-// order and is used to retrieve discussions past the initial 20 and so on.
-//
-// Optional query parameters:
-//   - search (string): Search term to match with retrieved discussion titles
-//   - topic-id (int): ID of the topic for the retrieved discussions
-//   - after-index (int): Index that specifies a position that discussion
-//         retrieval will start from (excluding)
-//   - count (int): Number of discussions to retrieve (capped to 20 discussions)
-//   - sort-by (string): Sort method to retrieve discussions
+// Gets the users with at least SPAM_REVIEW_THRESHOLD unreviewed spam
+// detections (duplicate quibbles, copied quibbles, or posting bursts), ordered
+// by the number of unreviewed detections (most first). Requires the
+// quibble.reports permission. Only returns at most QUIBBLE_MAX_GET users per
+// call. Suspicious users can be suspended with POST /user/:id/suspension, and
+// their detections are cleared with DELETE /moderation/suspicious-users/:id.
 // 
-// sort-by methods:
-//   - 'date-new': Discussions sorted by initial post date ascending (default)
-//   - 'date-old': Discussions sorted by initial post date descending
-//   - 'activity': Discussions sorted by recent post activity
-//   - 'votes': Discussions sorted by vote count
-//   - 'quibbles': Discussions sorted by quibble count
+// Optional query parameters:
+//   - count (int): Number of users to retrieve (capped to QUIBBLE_MAX_GET
+//         users)
 // 
-// Return JSON structure: 
+// Return JSON structure:
 // {
-//     discussions: [
+//     users: [
 //         {
-//             id:           (int) ID of the discussion,
-//             title:        (string) Title of the discussion,
-//             timestamp:    (int) Time the discussion was posted in UNIX time,
-//             lastActivity: (int) Time of the last user activity in UNIX time,
-//             topic:        (string) Name of the discussion's topic,
-//             topicId:      (int) ID of the discussion's topic,
-//             voteCount:    (int) Count of total user votes,
-//             quibbleCount: (int) Count of total user quibbles,
-//             ~description: (stirng) Description of the discussion
+//             id:              (int) ID of the user,
+//             username:        (string) Username of the user,
+//             detectionCount:  (int) Number of unreviewed detections,
+//             typeCounts:      (object) Number of unreviewed detections of
+//                                  each type ('duplicate', 'copy', and
+//                                  'burst'),
+//             lastTimestamp:   (number) Time of the latest detection,
+//             detections: [
+//                 {
+//                     id:               (BigInt string) ID of the detection,
+//                     type:             (string) Type of the detection,
+//                     discussionId:     (int | null) ID of the target
+//                                           discussion,
+//                     content:          (string) Rejected quibble content,
+//                     matchedQuibbleId: (BigInt string | null) ID of the
+//                                           quibble the content duplicated,
+//                     timestamp:        (number) Time of the detection
+//                 },
+//                 . . . (max 10, most recent first)
+//             ]
 //         },
 //         . . .
-//     ],
-//     ~lastIndex:  (int) Index of the last discussion retrieved in the array
+//     ]
 // }
-// 
-// The optional lastIndex attribute will only be included if at least one
-// discussion is included in the discussions array attribute.
-app.get('/discussions', async (req, res, next) => {
+app.get('/moderation/suspicious-users', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getDiscussions,
-        routeName: 'GET /discussions',
+        routeResolver: moderation.getSuspiciousUsers,
+        routeName: 'GET /moderation/suspicious-users',
         req: req,
         res: res,
         next: next,
@@ -519,41 +2351,50 @@ app.get('/discussions', async (req, res, next) => {
     });
 });
 
-// GET /discussion/:id route
+// DELETE /moderation/suspicious-users/:id route
 // 
-// Gets information about a specific discussion. Includes the discussion title,
-// timestamp, topic, topic ID, and choices.
+// Marks the unreviewed spam detections of a user as reviewed, removing the
+// user from the suspicious users (see GET /moderation/suspicious-users) until
+// new detections are recorded. Requires the quibble.reports permission.
 // 
 // Expected URL parameters:
-//   - id (int): ID of the discussion
+//   - id (int): ID of the user
+app.delete('/moderation/suspicious-users/:id', jwtVerifyStrict, requirePermission('quibble.reports'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: moderation.dismissSuspiciousUser,
+        routeName: 'DELETE /moderation/suspicious-users/:id',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /admin/login-lockouts route
+// 
+// Gets the usernames and IP addresses that are currently locked-out from
+// logging-in due to too many failed login attempts. Requires the
+// admin.login-lockouts permission.
 // 
 // Return JSON structure:
 // {
-//     title:       (string) Title of the discussion,
-//     timestamp:   (int) Time the discussion was posted in UNIX time,
-//     topic:       (string) Name of the discussion topic,
-//     topicId:     (int) ID of the topic,
-//     ~description (string) Description of the discussion,
-//     ~pageContent (string) Page content markdown string,
-//     choices: [
+//     lockouts: [
 //         {
-//             id:      (int): ID of the choice,
-//             name:    (string) Name of the choice
+//             id:                   (int) ID of the lock-out,
+//             type:                 (string) 'username' or 'ip',
+//             key:                  (string) Locked-out username or IP address,
+//             failedAttempts:       (int) Number of recent failed attempts,
+//             lastFailedTimestamp:  (int) Time of the last failed attempt in
+//                                       UNIX time,
+//             lockedUntilTimestamp: (int) Time the lock-out ends in UNIX time
 //         },
 //         . . .
 //     ]
 // }
-// 
-// If no discussion with the specified ID is found, an error code and message
-// is returned with the following structure:
-// {
-//     error:   (string) Error code
-//     message: (string) Descriptive error message
-// }
-app.get('/discussion/:id', async (req, res, next) => {
+app.get('/admin/login-lockouts', jwtVerifyStrict, requirePermission('admin.login-lockouts'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getDiscussion,
-        routeName: 'GET /discussion/:id',
+        routeResolver: admin.getLoginLockouts,
+        routeName: 'GET /admin/login-lockouts',
         req: req,
         res: res,
         next: next,
@@ -561,19 +2402,18 @@ app.get('/discussion/:id', async (req, res, next) => {
     });
 });
 
-// POST /discussion/:id/tag route
+// DELETE /admin/login-lockouts/:id route
 // 
-// Adds a tag to a discussion. Only accessible by admin-level users.
+// Clears a login lock-out and its failed attempt count. Requires the
+// admin.login-lockouts permission. The cleared lock-out is recorded in the audit
+// log (see GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (int): ID of the target discussion
-// 
-// Expected body parameters:
-//   - tag-id (int): ID of the tag to add
-app.post('/discussion/:id/tag', jwtVerifyStrict, async (req, res, next) => {
+//   - id (int): ID of the lock-out to clear
+app.delete('/admin/login-lockouts/:id', jwtVerifyStrict, requirePermission('admin.login-lockouts'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.addDiscussionTag,
-        routeName: 'POST /discussion/:id/tag',
+        routeResolver: admin.removeLoginLockout,
+        routeName: 'DELETE /admin/login-lockouts/:id',
         req: req,
         res: res,
         next: next,
@@ -581,35 +2421,31 @@ app.post('/discussion/:id/tag', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// GET /discussion/:id/tags route
-// 
-// Gets the tags applied to a specific discussion. Includes the tag name and tag
-// ID.
+// GET /admin/jwt-keys route
 // 
-// Expected URL parameters:
-//   - id (int): ID of the discussion
+// Gets the keys of the JWT signing keyring, ordered by most recently created.
+// Requires the admin.jwt-keys permission.
 // 
 // Return JSON structure:
 // {
-//     tags: [
+//     keys: [
 //         {
-//             id:   (int) ID of the tag
-//             name: (string) Name of the tag
+//             kid:              (string) ID of the key,
+//             algorithm:        (string) Signing algorithm of the key,
+//             status:           (string) 'active' for the signing key,
+//                                   'verify' for verification-only keys, or
+//                                   'retired',
+//             canSign:          (bool) Indicates if the key has a private key
+//                                   or secret,
+//             createdTimestamp: (int) Time the key was created in UNIX time
 //         },
 //         . . .
 //     ]
 // }
-// 
-// If no discussion with the specified ID is found, an error code and message
-// is returned with the following structure:
-// {
-//     error:   (string) Error code
-//     message: (string) Descriptive error message
-// }
-app.get('/discussion/:id/tags', async (req, res, next) => {
+app.get('/admin/jwt-keys', jwtVerifyStrict, requirePermission('admin.jwt-keys'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getDiscussionTags,
-        routeName: 'GET /discussion/:id/tags',
+        routeResolver: admin.getJwtKeys,
+        routeName: 'GET /admin/jwt-keys',
         req: req,
         res: res,
         next: next,
@@ -617,19 +2453,29 @@ app.get('/discussion/:id/tags', async (req, res, next) => {
     });
 });
 
-// POST /discussion/:id/choice route
+// POST /admin/jwt-keys/rotate route
 // 
-// Adds a new choice to a discussion. Only accessible by admin-level users.
-//
-// Expected URL parameters:
-//   - id (int): ID of the discussion
+// Rotates the JWT signing key. New tokens are signed with the new active key,
+// and the previously active key is kept as a verification-only key so that
+// existing login sessions remain valid until it is retired. Requires the
+// admin.jwt-keys permission. The rotation is recorded in the audit log (see
+// GET /admin/audit-log).
 // 
-// Expected body parameters:
-//   - choice-name (string): Name of the choice
-app.post('/discussion/:id/choice', jwtVerifyStrict, async (req, res, next) => {
+// Optional body parameters:
+//   - algorithm (string): Algorithm of the generated key ('HS256', 'RS256', or
+//         'EdDSA'). Defaults to JWT_KEY_ALGORITHM
+//   - kid (string): ID of an existing key file to activate instead of
+//         generating a new key
+// 
+// Return JSON structure:
+// {
+//     message: (string) Success message,
+//     kid:     (string) ID of the new active key
+// }
+app.post('/admin/jwt-keys/rotate', jwtVerifyStrict, requirePermission('admin.jwt-keys'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.addDiscussionChoice,
-        routeName: 'POST /discussion/:id/choice',
+        routeResolver: admin.rotateJwtKey,
+        routeName: 'POST /admin/jwt-keys/rotate',
         req: req,
         res: res,
         next: next,
@@ -637,16 +2483,19 @@ app.post('/discussion/:id/choice', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// POST /discussion/choice/:id/user route
+// DELETE /admin/jwt-keys/:kid route
 // 
-// Adds a user's vote to a choice in a discussion.
+// Retires a verification-only JWT key. Tokens signed by the key are no longer
+// accepted, which ends the login sessions that still use them. The active key
+// cannot be retired. Requires the admin.jwt-keys permission. The retirement is
+// recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (int): ID of the choice that was voted
-app.post('/discussion/choice/:id/user', jwtVerifyStrict, async (req, res, next) => {
+//   - kid (string): ID of the key to retire
+app.delete('/admin/jwt-keys/:kid', jwtVerifyStrict, requirePermission('admin.jwt-keys'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.addUserChoice,
-        routeName: 'POST /discussion/:id/user-choice',
+        routeResolver: admin.retireJwtKey,
+        routeName: 'DELETE /admin/jwt-keys/:kid',
         req: req,
         res: res,
         next: next,
@@ -654,26 +2503,25 @@ app.post('/discussion/choice/:id/user', jwtVerifyStrict, async (req, res, next)
     });
 });
 
-// GET /discussion/:id/user-choice route
+// GET /admin/permissions route
 // 
-// Gets the user's choice from a specific discussion. Includes the choice ID and
-// choice name.
+// Gets the permissions that can be granted to roles, ordered by name. Requires
+// the admin.permissions permission.
 // 
 // Return JSON structure:
 // {
-//     choiceId:        (int) ID of the choice the user selected,
-//     choiceName:      (string) Name of the choice the user selected
+//     permissions: [
+//         {
+//             name:        (string) Name of the permission,
+//             description: (string) Description of what the permission allows
+//         },
+//         . . .
+//     ]
 // }
-// 
-// If the user has not selected a choice, a 400 HTTP response will be returned
-// with an error code 'USER_HAS_NO_CHOICE'.
-// 
-// Expected URL parameters:
-//   - id (int): ID of the target discussion
-app.get('/discussion/:id/user-choice', jwtVerifyStrict, async (req, res, next) => {
+app.get('/admin/permissions', jwtVerifyStrict, requirePermission('admin.permissions'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getUserChoice,
-        routeName: 'GET /discussion/:id/user-choice',
+        routeResolver: admin.getPermissions,
+        routeName: 'GET /admin/permissions',
         req: req,
         res: res,
         next: next,
@@ -681,27 +2529,26 @@ app.get('/discussion/:id/user-choice', jwtVerifyStrict, async (req, res, next) =
     });
 });
 
-// GET /discussion/:id/choice-votes route
+// GET /admin/roles route
 // 
-// Gets the vote count for each choice of the target discussion.
+// Gets the roles (access levels) and the permissions granted to each role,
+// ordered by access level. Requires the admin.permissions permission.
 // 
 // Return JSON structure:
 // {
-//     choiceVotes: [
+//     roles: [
 //         {
-//             choiceId:  (int) ID of the choice
-//             voteCount: (int) Count of how many votes the choice has
+//             accessLevel: (int) Access level of the role,
+//             title:       (string) Title of the role,
+//             permissions: (array of strings) Names of the role's permissions
 //         },
 //         . . .
 //     ]
 // }
-// 
-// Expected URL parameters:
-//   - id (int): ID of the target discussion
-app.get('/discussion/:id/choice-votes', async (req, res, next) => {
+app.get('/admin/roles', jwtVerifyStrict, requirePermission('admin.permissions'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getChoiceVotes,
-        routeName: 'GET /discussion/:id/choice-votes',
+        routeResolver: admin.getRoles,
+        routeName: 'GET /admin/roles',
         req: req,
         res: res,
         next: next,
@@ -709,59 +2556,112 @@ app.get('/discussion/:id/choice-votes', async (req, res, next) => {
     });
 });
 
-// GET /discussion/:id/quibbles route
+// PUT /admin/roles/:level/permissions route
 // 
-// Gets the quibbles from a specific discussion, starting from the newest.
-// Includes the quibble ID, author name, author ID, timestamp, and quibble
-// content. Also potentially includes the comdemn count and if the current user
-// has condemned a specific quibble. Only returns at most 20 quibbles per call.
+// Replaces the permissions granted to a role. Requires the admin.permissions
+// permission, and only roles below the requesting user's access level can be
+// edited. Changes apply to the next request of each user of the role, and are
+// recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (int): ID of the discussion
+//   - level (int): Access level of the role
+// 
+// Expected body parameters:
+//   - permissions (array of strings): Names of the permissions to grant to
+//         the role (see GET /admin/permissions)
+app.put('/admin/roles/:level/permissions', jwtVerifyStrict, requirePermission('admin.permissions'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: admin.setRolePermissions,
+        routeName: 'PUT /admin/roles/:level/permissions',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /admin/audit-log route
+// 
+// Gets the entries of the audit log of privileged actions, ordered by most
+// recent. Requires the admin.audit-log permission. Only returns at most
+// AUDIT_LOG_MAX_GET entries per call.
 // 
 // Optional query parameters:
-//   - after-quibble-id (int): ID of a specific quibble in which retrieved
-//         quibbles will be after it
-//   - count (int): Number of quibbles to retrieve (capped to 20 quibbles)
+//   - actor-id (int): ID of the user that performed the actions
+//   - action (string): Name of the action (e.g. 'user.delete')
+//   - target-type (string): Type of the targets (e.g. 'user')
+//   - target-id (string): ID of the target, used with target-type
+//   - from (int): Start of the date range in UNIX seconds (including)
+//   - to (int): End of the date range in UNIX seconds (excluding)
+//   - after-id (BigInt string): ID of the last entry retrieved, used as the
+//         cursor for retrieving the following entries
+//   - count (int): Number of entries to retrieve (capped to
+//         AUDIT_LOG_MAX_GET entries)
 // 
 // Return JSON structure:
 // {
-//     quibbles: [
+//     entries: [
 //         {
-//             id:          (BigInt string) ID of the quibble,
-//             authorName:  (string) Name of the quibble author,
-//             authorId:    (int) ID of the quibble author,
-//             timestamp:   (number) Time the quibble was posted in UNIX time,
-//             content:     (string) Text content of the quibble,
-//             ~choiceId:   (int) ID of the user's choice
-//             ~condemns:   (int) Count of the number of condemns,
-//             ~condemned:  (bool, true) Indicates if the user has
-//                              condemned the quibble
+//             id:         (BigInt string) ID of the entry,
+//             actorId:    (int | null) ID of the user that performed the
+//                             action,
+//             actor:      (string | null) Current username of the user that
+//                             performed the action (null if the user was
+//                             removed),
+//             action:     (string) Name of the action,
+//             targetType: (string) Type of the target,
+//             targetId:   (string) ID of the target,
+//             before:     (object | null) Values of the target before the
+//                             action,
+//             after:      (object | null) Values of the target after the
+//                             action,
+//             ip:         (string | null) IP address of the requester,
+//             timestamp:  (number) Time of the action in UNIX seconds
 //         },
 //         . . .
-//     ]
+//     ],
+//     ~lastId: (BigInt string) ID of the last entry retrieved, to use as the
+//                  after-id of the next call
 // }
-// The condemns and condemned attributes are optional, meaning they may or may
-// not be provided for a quibble. If the condemns attribute is not provided,
-// assume that the quibble has no condemn count. The condemned attribute will
-// only be present if the user has condemned the quibble, and the attribute will
-// always be set to the value true.
 // 
-// The quibbles array is sorted by quibble ID, descending.
-//
-// Quibbles may be deleted by the user or my moderators. Deleted quibbles will
-// have their content attribute set to null.
+// The optional lastId attribute will only be included if at least one entry
+// is included in the entries array attribute.
+app.get('/admin/audit-log', jwtVerifyStrict, requirePermission('admin.audit-log'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: admin.getAuditLog,
+        routeName: 'GET /admin/audit-log',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// GET /admin/automod-rules route
 // 
-// If no discussion with the specified ID is found, an error code and message
-// is returned with the following structure:
+// Gets all automoderation rules evaluated on new quibbles and username changes,
+// ordered by ID. Requires the admin.automod permission.
+// 
+// Return JSON structure:
 // {
-//     error:   (string) Error code
-//     message: (string) Descriptive error message
+//     rules: [
+//         {
+//             id:      (int) ID of the rule,
+//             name:    (string) Name of the rule,
+//             type:    (string) Type of the rule,
+//             value:   (string) Value of the rule,
+//             action:  (string) 'reject', 'hold', or 'flag',
+//             targets: (array of strings) Targets the rule applies to
+//                          ('quibble' and/or 'username'),
+//             enabled: (bool) Indicates if the rule is evaluated
+//         },
+//         . . .
+//     ]
 // }
-app.get('/discussion/:id/quibbles', jwtVerifySoft, async (req, res, next) => {
+app.get('/admin/automod-rules', jwtVerifyStrict, requirePermission('admin.automod'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: discussion.getQuibbles,
-        routeName: 'GET /discussion/:id/quibbles route',
+        routeResolver: admin.getAutomodRules,
+        routeName: 'GET /admin/automod-rules',
         req: req,
         res: res,
         next: next,
@@ -769,33 +2669,73 @@ app.get('/discussion/:id/quibbles', jwtVerifySoft, async (req, res, next) => {
     });
 });
 
-// POST /quibble route
+// POST /admin/automod-rules route
 // 
-// Adds a new quibble post.
+// Adds an automoderation rule. Requires the admin.automod permission. The
+// addition is recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected body parameters:
-//   - discussion-id (int): ID of the target discussion
-//   - content (string): Text content of the quibble
-//
-// Returns the formatted JSON quibble with the following structure:
+//   - name (string): Name of the rule (max 100 characters)
+//   - type (string): Type of the rule, one of 'banned-words', 'regex',
+//         'link-limit', 'caps-ratio', 'repeated-chars', or 'new-account' (see
+//         automod.js for the value each type expects)
+//   - value (string or number): Value of the rule
+//   - action (string): Action applied once the rule matches, either 'reject'
+//         (rejected with an error code), 'hold' (hidden pending moderator
+//         review), or 'flag' (accepted but listed for moderators)
+//   - targets (array of strings): Targets the rule applies to ('quibble'
+//         and/or 'username')
+// 
+// Optional body parameters:
+//   - enabled (bool): Indicates if the rule is evaluated (defaults to true)
+// 
+// Return JSON structure:
 // {
-//     id:          (BigInt string) ID of the quibble,
-//     authorName:  (string) Name of the quibble author,
-//     authorId:    (int) ID of the quibble author,
-//     timestamp:   (number) Time the quibble was posted in UNIX time,
-//     content:     (string) Text content of the quibble
+//     id: (int) ID of the new rule
 // }
+app.post('/admin/automod-rules', jwtVerifyStrict, requirePermission('admin.automod'), async (req, res, next) => {
+    await resolveRouteHandler({
+        routeResolver: admin.addAutomodRule,
+        routeName: 'POST /admin/automod-rules',
+        req: req,
+        res: res,
+        next: next,
+        createConn: true
+    });
+});
+
+// POST /admin/automod-rules/test route
 // 
-// If the quibble could not be added, an error code and message is returned with
-// the following structure:
+// Evaluates the enabled automoderation rules against a text without posting
+// it, as a dry-run for testing rules. Requires the admin.automod permission.
+// 
+// Expected body parameters:
+//   - text (string): Text to evaluate
+// 
+// Optional body parameters:
+//   - target (string): Target whose rules are evaluated, either 'quibble' or
+//         'username' (defaults to 'quibble')
+//   - user-id (int): ID of the author used for new-account rules (new-account
+//         rules are skipped if omitted)
+// 
+// Return JSON structure:
 // {
-//     error:   (string) Error code
-//     message: (string) Descriptive error message
+//     action:  (string) Action that would be applied, either 'allow',
+//                  'flag', 'hold', or 'reject',
+//     matches: [
+//         {
+//             id:     (int) ID of the matched rule,
+//             name:   (string) Name of the matched rule,
+//             type:   (string) Type of the matched rule,
+//             action: (string) Action of the matched rule
+//         },
+//         . . .
+//     ]
 // }
-app.post('/quibble', jwtVerifyStrict, async (req, res, next) => {
+app.post('/admin/automod-rules/test', jwtVerifyStrict, requirePermission('admin.automod'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: quibble.addQuibble,
-        routeName: 'POST /quibble',
+        routeResolver: admin.testAutomodRules,
+        routeName: 'POST /admin/automod-rules/test',
         req: req,
         res: res,
         next: next,
@@ -803,16 +2743,19 @@ app.post('/quibble', jwtVerifyStrict, async (req, res, next) => {
     });
 });
 
-// POST /quibble/:id/condemning-user route
+// PUT /admin/automod-rules/:id route
 // 
-// Adds a user to the condemn list of a specific quibble.
+// Replaces an automoderation rule. Requires the admin.automod permission. The
+// change is recorded in the audit log (see GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (BigInt string): ID of the target quibble
-app.post('/quibble/:id/condemning-user', jwtVerifyStrict, async (req, res, next) => {
+//   - id (int): ID of the rule
+// 
+// Expected body parameters are the same as POST /admin/automod-rules.
+app.put('/admin/automod-rules/:id', jwtVerifyStrict, requirePermission('admin.automod'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: quibble.addCondemningUser,
-        routeName: 'POST /quibble/:id/condemning-user',
+        routeResolver: admin.editAutomodRule,
+        routeName: 'PUT /admin/automod-rules/:id',
         req: req,
         res: res,
         next: next,
@@ -820,16 +2763,18 @@ app.post('/quibble/:id/condemning-user', jwtVerifyStrict, async (req, res, next)
     });
 });
 
-// DELETE /quibble/:id route
+// DELETE /admin/automod-rules/:id route
 // 
-// Removes a specific quibble. Only accessible by moderator-level users.
+// Removes an automoderation rule. Requires the admin.automod permission. Flags
+// recorded by the rule are kept. The removal is recorded in the audit log (see
+// GET /admin/audit-log).
 // 
 // Expected URL parameters:
-//   - id (BigInt string): ID of the target quibble
-app.delete('/quibble/:id', jwtVerifyStrict, async (req, res, next) => {
+//   - id (int): ID of the rule
+app.delete('/admin/automod-rules/:id', jwtVerifyStrict, requirePermission('admin.automod'), async (req, res, next) => {
     await resolveRouteHandler({
-        routeResolver: quibble.removeQuibble,
-        routeName: 'DELETE /quibble/:id',
+        routeResolver: admin.removeAutomodRule,
+        routeName: 'DELETE /admin/automod-rules/:id',
         req: req,
         res: res,
         next: next,
@@ -896,11 +2841,12 @@ async function resolveRouteHandler(params) {
 // errorHandler
 // 
 // Middleware function for handling errors. Returns the thrown error if it is
-// already formatted as a RouteError object. Otherwise, returns a 500 request
-// status. 
+// already formatted as a RouteError object, including any additional details
+// attributes. Otherwise, returns a 500 request status. 
 function errorHandler(err, req, res, next) {
     if (err instanceof RouteError) {
         res.status(err.status).send({
+            ...err.details,
             error: err.code,
             message: err.message
         });
@@ -918,33 +2864,63 @@ function errorHandler(err, req, res, next) {
 // Middleware function for verifying that the requesting user is logged-in and
 // that their JWT login token has not expired. Attempts to generate a new
 // access token using the refresh token if the current access token is expired.
+// The login session of the refresh token must not be revoked, and the refresh
+// token is rotated on renewal (see tokenEdit.renewTokens).
 // 
 // If the user is successfully logged-in, the request will add a userInfo
 // attribute with information contained in the JWT to req.locals. Otherwise, a
-// 401 HTTP response will be sent to the requester.
+// 401 HTTP response will be sent to the requester. If a previously rotated
+// refresh token is reused, the session is revoked and the error code
+// REFRESH_TOKEN_REUSED is returned.
+// 
+// Users that are required to reset their password are only allowed to access
+// the routes in passwordResetRoutes. Other routes return a 403 HTTP response
+// with the error code PASSWORD_RESET_REQUIRED. Suspended users are only
+// allowed to access GET routes and the routes in suspendedRoutes. Other routes
+// return a 403 HTTP response with the error code USER_SUSPENDED.
+// 
+// Requests with an Authorization header are authenticated by apiTokenVerify
+// instead of login cookies. If the route does not accept API tokens, a 403
+// HTTP response with the error code API_TOKEN_NOT_ACCEPTED is returned.
 async function jwtVerifyStrict(req, res, next) {
+    if (req.get('Authorization') !== undefined) {
+        if (res.locals.userInfo) {
+            await nextIfUnrestricted(req, res, next);
+        }
+        else {
+            next(apiTokenNotAcceptedError());
+        }
+        return;
+    }
+
     try {
-        res.locals.userInfo = jwt.verify(req.cookies.access_token, process.env.JWT_SECRET);
-        next();
+        res.locals.userInfo = tokenEdit.verifyToken(req.cookies.access_token, 'access');
+        await nextIfUnrestricted(req, res, next);
         return;
     } catch {
     }
 
     // Try to create access token from refresh token
     try {
-        const userId = jwt.verify(req.cookies.refresh_token, process.env.JWT_SECRET).id;
-        const accessToken = await tokenEdit.createAccessToken(userId);
-        if (!accessToken) {
-            throw new Error('User does not exist');
+        const refreshInfo = tokenEdit.verifyToken(req.cookies.refresh_token, 'refresh');
+        const tokens = await tokenEdit.renewTokens(refreshInfo);
+        if (!tokens) {
+            throw new Error('Login session does not exist');
         }
-        tokenEdit.setAccessToken(accessToken, res);
-        res.locals.userInfo = jwt.verify(accessToken, process.env.JWT_SECRET);
-        next();
+        if (tokens.refreshToken) {
+            tokenEdit.setRefreshToken(tokens.refreshToken, res);
+        }
+        tokenEdit.setAccessToken(tokens.accessToken, res);
+        res.locals.userInfo = tokenEdit.verifyToken(tokens.accessToken, 'access');
+        await nextIfUnrestricted(req, res, next);
         return;
-    } catch {
-        if (req.cookies.refresh_token) {
-            res.clearCookie('refresh_token');
-            res.clearCookie('access_token');
+    } catch (err) {
+        if (err instanceof RouteError) {
+            tokenEdit.clearTokens(res);
+            next(err);
+        }
+        else if (req.cookies.refresh_token) {
+            tokenEdit.clearTokens(res);
             res.status(401).send({
                 error: 'USER_LOGIN_ENDED',
                 message: `The user's login period has ended`
@@ -967,11 +2943,22 @@ async function jwtVerifyStrict(req, res, next) {
 // 
 // Similar behavior to jwtVerifyStrict, but will not return a 401 HTTP response
 // if the user is not logged-in. Will only add a userInfo attribute to
-// res.locals if available. In all situations, the next middleware function
-// will be called normally.
+// res.locals if available. In all situations except for requests with an API
+// token to a route that does not accept API tokens, the next middleware
+// function will be called normally.
 async function jwtVerifySoft(req, res, next) {
+    if (req.get('Authorization') !== undefined) {
+        if (res.locals.userInfo) {
+            next();
+        }
+        else {
+            next(apiTokenNotAcceptedError());
+        }
+        return;
+    }
+
     try {
-        res.locals.userInfo = jwt.verify(req.cookies.access_token, process.env.JWT_SECRET);
+        res.locals.userInfo = tokenEdit.verifyToken(req.cookies.access_token, 'access');
         next();
         return;
     } catch {
@@ -979,18 +2966,218 @@ async function jwtVerifySoft(req, res, next) {
 
     // Try to create access token from refresh token
     try {
-        const userId = jwt.verify(req.cookies.refresh_token, process.env.JWT_SECRET).id;
-        const accessToken = await tokenEdit.createAccessToken(userId);
-        if (accessToken) {
-            tokenEdit.setAccessToken(accessToken, res);
-            res.locals.userInfo = jwt.verify(accessToken, process.env.JWT_SECRET);
+        const refreshInfo = tokenEdit.verifyToken(req.cookies.refresh_token, 'refresh');
+        const tokens = await tokenEdit.renewTokens(refreshInfo);
+        if (tokens) {
+            if (tokens.refreshToken) {
+                tokenEdit.setRefreshToken(tokens.refreshToken, res);
+            }
+            tokenEdit.setAccessToken(tokens.accessToken, res);
+            res.locals.userInfo = tokenEdit.verifyToken(tokens.accessToken, 'access');
         }
     } catch {
         if (req.cookies.refresh_token) {
-            res.clearCookie('refresh_token');
-            res.clearCookie('access_token');
+            tokenEdit.clearTokens(res);
+        }
+    }
+
+    next();
+}
+
+// nextIfUnrestricted
+// 
+// Helper function for jwtVerifyStrict that calls the next middleware function
+// if the logged-in user is not restricted from the requested route. Otherwise,
+// passes a RouteError to the next function.
+// 
+// Access tokens of suspended users keep their suspended claim until they are
+// renewed, so the suspension is checked again in the database in case it was
+// lifted by a moderator since the token was issued.
+async function nextIfUnrestricted(req, res, next) {
+    const routeName = `${req.method} ${req.route.path}`;
+    if (res.locals.userInfo.password_reset_required
+        && !passwordResetRoutes.has(routeName)) {
+        next(new RouteError(
+            403,
+            'PASSWORD_RESET_REQUIRED',
+            'The user must change their password before continuing'));
+        return;
+    }
+    if (suspensions.isSuspended(res.locals.userInfo)
+        && !csrfSafeMethods.has(req.method)
+        && !suspendedRoutes.has(routeName)) {
+        let conn;
+        let suspension;
+        try {
+            conn = await dbPool.getConnection();
+            suspension = await suspensions.getActiveSuspension(res.locals.userInfo.id, conn);
+        } catch (err) {
+            console.error('nextIfUnrestricted suspension error');
+            console.error(err);
+            next(err);
+            return;
+        } finally {
+            if (conn) conn.end();
+        }
+        if (suspension) {
+            next(suspensions.suspendedError(suspension.endTimestamp));
+            return;
+        }
+    }
+    next();
+}
+
+// apiTokenVerify
+// 
+// Creates a middleware function for authenticating requests made with an API
+// token in an Authorization: Bearer header, given the token scope required by
+// the route. Must be placed before jwtVerifyStrict or jwtVerifySoft, which
+// only accept API tokens on routes that use this middleware. Requests without
+// an Authorization header are passed on to be verified using login cookies.
+// 
+// If the API token is valid and has the required scope, a userInfo attribute
+// with the token's user info is added to res.locals. Otherwise, the error from
+// apiToken.verifyToken is passed to the next function.
+function apiTokenVerify(scope) {
+    return async (req, res, next) => {
+        const token = apiToken.getBearerToken(req);
+        if (token === undefined) {
+            next();
+            return;
+        }
+
+        try {
+            res.locals.userInfo = await apiToken.verifyToken(token, scope);
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// requirePermission
+// 
+// Creates a middleware function for authorizing requests given the permission
+// required by the route (see permissions.js), and an optional options object.
+// Must be placed after jwtVerifyStrict. If the logged-in user does not have
+// the permission, the error from validation.validatePermission is passed to
+// the next function. Routes with topic-scoped permissions (such as
+// DELETE /quibble/:id) validate the permission in their route resolver
+// instead, since the topic is only known once the target is looked up.
+// 
+// Optional parameters in options object:
+//   - allowSelf (bool): Indicates if requests targeting the logged-in user's
+//         own account (given by the id URL parameter) are allowed without the
+//         permission
+function requirePermission(permission, options) {
+    return async (req, res, next) => {
+        if (options && options.allowSelf && req.params['id'] == res.locals.userInfo.id) {
+            next();
+            return;
         }
+
+        let conn;
+        try {
+            conn = await dbPool.getConnection();
+            await validation.validatePermission(permission, res.locals.userInfo.id, conn);
+        } catch (err) {
+            if (!(err instanceof RouteError)) {
+                console.error(`requirePermission ${permission} error`);
+                console.error(err);
+            }
+            next(err);
+            return;
+        } finally {
+            if (conn) conn.end();
+        }
+        next();
+    };
+}
+
+// apiTokenNotAcceptedError
+// 
+// Helper function for creating the RouteError passed for API token requests to
+// routes that do not accept API tokens.
+function apiTokenNotAcceptedError() {
+    return new RouteError(
+        403,
+        'API_TOKEN_NOT_ACCEPTED',
+        'The requested route does not accept API tokens');
+}
+
+// corsHandler
+// 
+// Middleware function for applying CORS headers to requests from the origins in
+// CORS_ALLOWED_ORIGINS, so that the API does not rely on the nginx allowed
+// origin map. Preflight requests from allowed origins are answered directly.
+// Does nothing if CORS_ALLOWED_ORIGINS is empty.
+function corsHandler(req, res, next) {
+    if (corsAllowedOrigins.size === 0) {
+        next();
+        return;
+    }
+
+    const origin = req.get('Origin');
+    res.vary('Origin');
+    if (!origin || !corsAllowedOrigins.has(origin)) {
+        next();
+        return;
+    }
+
+    res.set({
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Credentials': 'true'
+    });
+    if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+        res.set({
+            'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS, POST, PUT, DELETE',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+            'Access-Control-Max-Age': '600'
+        });
+        res.status(204).end();
+        return;
+    }
+    next();
+}
+
+// csrfVerify
+// 
+// Middleware function for protecting cookie-authenticated requests from
+// cross-site request forgery using the double-submit cookie pattern. Requests
+// with login cookies that do not use a safe HTTP method (such as GET) must
+// provide the value of the csrf_token cookie in the X-CSRF-Token header.
+// Otherwise, a 403 HTTP response with the error code CSRF_TOKEN_INVALID is
+// returned.
+// 
+// A CSRF token cookie is issued to logged-in requesters that do not have one,
+// and the current CSRF token is added to res.locals.csrfToken. Requests with
+// an Authorization header are exempt, since browsers do not attach those
+// headers to cross-site requests, and so are the routes in csrfExemptRoutes.
+function csrfVerify(req, res, next) {
+    if ((!req.cookies.access_token && !req.cookies.refresh_token)
+        || req.get('Authorization') !== undefined) {
+        next();
+        return;
+    }
+
+    const csrfToken = req.cookies.csrf_token;
+    res.locals.csrfToken = csrfToken || tokenEdit.setCsrfToken(res);
+    if (csrfSafeMethods.has(req.method)
+        || csrfExemptRoutes.has(`${req.method} ${req.path}`)) {
+        next();
+        return;
     }
 
+    const cookieBuffer = Buffer.from(csrfToken || '');
+    const headerBuffer = Buffer.from(req.get('X-CSRF-Token') || '');
+    if (cookieBuffer.length === 0
+        || cookieBuffer.length !== headerBuffer.length
+        || !crypto.timingSafeEqual(cookieBuffer, headerBuffer)) {
+        next(new RouteError(
+            403,
+            'CSRF_TOKEN_INVALID',
+            'The X-CSRF-Token header is missing or does not match the CSRF token cookie'));
+        return;
+    }
     next();
-}
\ No newline at end of file
+}
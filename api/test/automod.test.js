@@ -0,0 +1,151 @@
+// automod.test.js
+// 
+// Tests the evaluation of automoderation rules against quibbles and usernames,
+// and the validation of regex rule patterns.
+
+'use strict'
+
+// node
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// util
+const automod = require('../util/automod.js');
+const RouteError = require('../util/routeerror.js');
+
+// ruleRow
+// 
+// Helper function for creating an automod_rule row as returned by the
+// database.
+function ruleRow(id, type, value, action, targets) {
+    return {
+        id: id,
+        name: `rule-${id}`,
+        rule_type: type,
+        rule_value: String(value),
+        action: action || 'flag',
+        targets: targets || 'quibble,username',
+        enabled: 1
+    };
+}
+
+// fakeConn
+// 
+// Helper function for creating a connection that returns the given rule rows,
+// and the given account age in hours for new-account rules.
+function fakeConn(rows, ageHours) {
+    return {
+        query: async (sql) => {
+            if (sql.includes('FROM automod_rule')) {
+                return rows;
+            }
+            return ageHours === undefined ? [] : [{ age_hours: ageHours }];
+        }
+    };
+}
+
+// evaluateRule
+// 
+// Helper function for evaluating a single rule against a text. Returns true if
+// the rule matched.
+async function evaluateRule(row, target, text, userId, ageHours) {
+    const verdict = await automod.evaluate(target, text, userId, fakeConn([row], ageHours));
+    return verdict.matches.length > 0;
+}
+
+test('banned-words rules match whole words in quibbles', async () => {
+    const rule = ruleRow(1, 'banned-words', 'spam, buy now');
+    assert.equal(await evaluateRule(rule, 'quibble', 'This is SPAM.'), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'You should buy now'), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'I like spammers'), false);
+});
+
+test('banned-words rules match anywhere in usernames', async () => {
+    const rule = ruleRow(1, 'banned-words', 'spam');
+    assert.equal(await evaluateRule(rule, 'username', 'xXSpamKingXx'), true);
+    assert.equal(await evaluateRule(rule, 'username', 'quibbler'), false);
+});
+
+test('regex rules match case-insensitively', async () => {
+    const rule = ruleRow(1, 'regex', 'fr[e3]{2} m[o0]ney');
+    assert.equal(await evaluateRule(rule, 'quibble', 'FREE MONEY here'), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'fr33 m0ney'), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'free time'), false);
+});
+
+test('regex rules with unsafe patterns are never matched', async () => {
+    const rule = ruleRow(1, 'regex', '(a+)+$');
+    assert.equal(await evaluateRule(rule, 'quibble', 'aaaa'), false);
+});
+
+test('link-limit rules match texts with more links than the limit', async () => {
+    const rule = ruleRow(1, 'link-limit', 1);
+    assert.equal(await evaluateRule(rule, 'quibble', 'see https://a.example'), false);
+    assert.equal(await evaluateRule(rule, 'quibble', 'see https://a.example and www.b.example'), true);
+});
+
+test('caps-ratio rules only apply to texts with enough letters', async () => {
+    const rule = ruleRow(1, 'caps-ratio', 0.5);
+    assert.equal(await evaluateRule(rule, 'quibble', 'THIS IS VERY LOUD'), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'This is calm enough'), false);
+    assert.equal(await evaluateRule(rule, 'quibble', 'OK NO'), false);
+});
+
+test('repeated-chars rules match characters repeated more than the limit', async () => {
+    const rule = ruleRow(1, 'repeated-chars', 3);
+    assert.equal(await evaluateRule(rule, 'quibble', 'nooo'), false);
+    assert.equal(await evaluateRule(rule, 'quibble', 'noooo'), true);
+});
+
+test('new-account rules match authors with young accounts', async () => {
+    const rule = ruleRow(1, 'new-account', 24);
+    assert.equal(await evaluateRule(rule, 'quibble', 'hello', 1, 2), true);
+    assert.equal(await evaluateRule(rule, 'quibble', 'hello', 1, 48), false);
+    assert.equal(await evaluateRule(rule, 'quibble', 'hello', undefined, 2), false);
+});
+
+test('evaluate applies the strictest action of the matched rules', async () => {
+    const rows = [
+        ruleRow(1, 'banned-words', 'spam', 'flag'),
+        ruleRow(2, 'repeated-chars', 3, 'hold')
+    ];
+    const verdict = await automod.evaluate('quibble', 'spam!!!!!', 1, fakeConn(rows));
+    assert.equal(verdict.action, 'hold');
+    assert.equal(verdict.matches.length, 2);
+
+    const allowed = await automod.evaluate('quibble', 'hello', 1, fakeConn(rows));
+    assert.equal(allowed.action, 'allow');
+    assert.deepEqual(allowed.matches, []);
+});
+
+test('evaluate downgrades hold rules to flags for usernames', async () => {
+    const rows = [ruleRow(1, 'banned-words', 'spam', 'hold')];
+    const verdict = await automod.evaluate('username', 'spammer', 1, fakeConn(rows));
+    assert.equal(verdict.action, 'flag');
+});
+
+test('enforce rejects texts matching a reject rule', async () => {
+    const rows = [ruleRow(1, 'banned-words', 'spam', 'reject')];
+    await assert.rejects(
+        automod.enforce('quibble', 'spam', 1, fakeConn(rows)),
+        (err) => err instanceof RouteError && err.code === 'CONTENT_REJECTED');
+    await assert.rejects(
+        automod.enforce('username', 'spammer', 1, fakeConn(rows)),
+        (err) => err instanceof RouteError && err.code === 'USERNAME_REJECTED');
+    const verdict = await automod.enforce('quibble', 'hello', 1, fakeConn(rows));
+    assert.equal(verdict.action, 'allow');
+});
+
+test('isSafePattern accepts patterns without nested quantifiers', () => {
+    for (const pattern of ['spam', 'fr[e3]+ m[o0]ney', '(?:ab)+', '(a|b)+', '(a+){3}', '[(+)]+', '\\bfoo\\b']) {
+        assert.equal(automod.isSafePattern(pattern), true, pattern);
+    }
+});
+
+test('isSafePattern rejects nested quantifiers, backreferences, and long patterns', () => {
+    for (const pattern of ['(a+)+', '(a*)*b', '(\\w*\\s?)*', '((ab)*c)+', '(a+){2,}', '(a)\\1', '(?<x>a)\\k<x>']) {
+        assert.equal(automod.isSafePattern(pattern), false, pattern);
+    }
+    assert.equal(automod.isSafePattern('a'.repeat(automod.REGEX_MAX_LENGTH)), true);
+    assert.equal(automod.isSafePattern('a'.repeat(automod.REGEX_MAX_LENGTH + 1)), false);
+});
@@ -0,0 +1,138 @@
+// keyring.test.js
+// 
+// Tests the signing and verification of JWTs with the keyring, including key
+// rotation and retirement. The keyring is kept in a temporary directory.
+
+'use strict'
+
+// node
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// fs
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// jsonwebtoken
+const jwt = require('jsonwebtoken');
+
+// util
+const keyring = require('../util/keyring.js');
+const RouteError = require('../util/routeerror.js');
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-test-'));
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_KEY_ALGORITHM = 'HS256';
+
+test.after(() => fs.rmSync(keysDir, { recursive: true, force: true }));
+
+// replaceHeader
+// 
+// Helper function for replacing the header of a signed token while keeping its
+// payload and signature.
+function replaceHeader(token, header) {
+    const [, encodedPayload, signature] = token.split('.');
+    const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+    return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+test('sign and verify round-trip tokens of every algorithm', () => {
+    for (const algorithm of keyring.ALGORITHMS) {
+        const kid = keyring.rotate(algorithm);
+        const token = keyring.sign({ id: 1 }, { expiresIn: '1h' });
+        const header = jwt.decode(token, { complete: true }).header;
+        assert.equal(header.kid, kid);
+        assert.equal(header.alg, algorithm);
+        assert.equal(keyring.verify(token, {}).id, 1, algorithm);
+    }
+});
+
+test('verify rejects tampered tokens', () => {
+    for (const algorithm of keyring.ALGORITHMS) {
+        keyring.rotate(algorithm);
+        const token = keyring.sign({ id: 1 }, {});
+        const forged = keyring.sign({ id: 2 }, {});
+        const tampered = `${token.split('.')[0]}.${forged.split('.')[1]}.${token.split('.')[2]}`;
+        assert.throws(
+            () => keyring.verify(tampered, {}),
+            { name: 'JsonWebTokenError', message: 'invalid signature' },
+            algorithm);
+    }
+});
+
+test('verify applies the claim checks of the verify options', () => {
+    for (const algorithm of keyring.ALGORITHMS) {
+        keyring.rotate(algorithm);
+        const expired = keyring.sign({ id: 1, exp: Math.floor(Date.now() / 1000) - 60 }, {});
+        assert.throws(() => keyring.verify(expired, {}), { name: 'TokenExpiredError' }, algorithm);
+
+        const token = keyring.sign({ id: 1 }, { audience: 'api' });
+        assert.throws(() => keyring.verify(token, { audience: 'web' }), /audience invalid/, algorithm);
+    }
+});
+
+test('verify rejects tokens without a key ID', () => {
+    keyring.rotate('HS256');
+    const token = keyring.sign({ id: 1 }, {});
+    assert.throws(
+        () => keyring.verify(replaceHeader(token, { alg: 'HS256', typ: 'JWT' }), {}),
+        { name: 'JsonWebTokenError', message: 'jwt key ID missing' });
+});
+
+test('verify rejects tokens with an unknown key ID or a different algorithm', () => {
+    const hsKid = keyring.rotate('HS256');
+    const token = keyring.sign({ id: 1 }, {});
+    assert.throws(
+        () => keyring.verify(replaceHeader(token, { alg: 'HS256', typ: 'JWT', kid: 'unknown' }), {}),
+        { message: 'jwt key unknown or retired' });
+    assert.throws(
+        () => keyring.verify(replaceHeader(token, { alg: 'none', typ: 'JWT', kid: hsKid }), {}),
+        { message: 'invalid algorithm' });
+
+    const edKid = keyring.rotate('EdDSA');
+    assert.throws(
+        () => keyring.verify(replaceHeader(token, { alg: 'HS256', typ: 'JWT', kid: edKid }), {}),
+        { message: 'invalid algorithm' });
+});
+
+test('rotate keeps tokens signed by the previous key valid until it is retired', () => {
+    const oldKid = keyring.rotate('HS256');
+    const token = keyring.sign({ id: 1 }, {});
+
+    const newKid = keyring.rotate('EdDSA');
+    assert.notEqual(newKid, oldKid);
+    assert.equal(keyring.verify(token, {}).id, 1);
+    assert.equal(keyring.getKeyInfo().find(key => key.kid === oldKid).status, 'verify');
+
+    keyring.retire(oldKid);
+    assert.equal(keyring.getKeyInfo().find(key => key.kid === oldKid).status, 'retired');
+    assert.throws(() => keyring.verify(token, {}), { message: 'jwt key unknown or retired' });
+});
+
+test('rotate activates existing keys', () => {
+    const oldKid = keyring.rotate('HS256');
+    keyring.rotate('HS256');
+    assert.equal(keyring.rotate(undefined, oldKid), oldKid);
+    assert.equal(keyring.getKeyInfo().find(key => key.kid === oldKid).status, 'active');
+
+    const retiredKid = keyring.rotate('HS256');
+    keyring.rotate(undefined, oldKid);
+    keyring.retire(retiredKid);
+    assert.throws(
+        () => keyring.rotate(undefined, retiredKid),
+        (err) => err instanceof RouteError && err.code === 'KEY_RETIRED');
+    assert.throws(
+        () => keyring.rotate(undefined, 'unknown'),
+        (err) => err instanceof RouteError && err.code === 'KEY_NOT_FOUND');
+});
+
+test('retire rejects the active key and unknown keys', () => {
+    const activeKid = keyring.rotate('HS256');
+    assert.throws(
+        () => keyring.retire(activeKid),
+        (err) => err instanceof RouteError && err.code === 'KEY_ACTIVE');
+    assert.throws(
+        () => keyring.retire('unknown'),
+        (err) => err instanceof RouteError && err.code === 'KEY_NOT_FOUND');
+});
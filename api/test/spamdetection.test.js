@@ -0,0 +1,45 @@
+// spamdetection.test.js
+// 
+// Tests the similarity scoring used to detect duplicate and copied quibbles.
+
+'use strict'
+
+// node
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// util
+const spamDetection = require('../util/spamdetection.js');
+
+test('getSimilarity scores identical texts as 1', () => {
+    assert.equal(spamDetection.getSimilarity('buy cheap pills', 'buy cheap pills'), 1);
+});
+
+test('getSimilarity scores texts without common bigrams as 0', () => {
+    assert.equal(spamDetection.getSimilarity('abcd', 'wxyz'), 0);
+});
+
+test('getSimilarity scores texts shorter than a bigram as 0', () => {
+    assert.equal(spamDetection.getSimilarity('a', 'ab'), 0);
+    assert.equal(spamDetection.getSimilarity('', 'ab'), 0);
+});
+
+test('getSimilarity is symmetric', () => {
+    const a = 'the quick brown fox';
+    const b = 'the quick brown dog';
+    assert.equal(spamDetection.getSimilarity(a, b), spamDetection.getSimilarity(b, a));
+});
+
+test('getSimilarity scores near-identical texts above unrelated texts', () => {
+    const original = 'visit my site for free followers today';
+    const nearCopy = 'visit my site for free followers today!!';
+    const unrelated = 'i think the second choice is better';
+    const nearScore = spamDetection.getSimilarity(original, nearCopy);
+    assert.ok(nearScore > 0.9);
+    assert.ok(nearScore > spamDetection.getSimilarity(original, unrelated));
+});
+
+test('getSimilarity counts repeated bigrams only as often as they match', () => {
+    // 'aaaa' has three 'aa' bigrams and 'aa' only one
+    assert.equal(spamDetection.getSimilarity('aaaa', 'aa'), 2 * 1 / (4 + 2 - 2));
+});
@@ -0,0 +1,86 @@
+// twofactor.test.js
+// 
+// Tests the verification of time-based one-time passwords (TOTP) and the
+// hashing of recovery codes.
+
+'use strict'
+
+// node
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// util
+const twoFactor = require('../util/twofactor.js');
+
+// The SHA-1 secret from the RFC 6238 test vectors ('12345678901234567890')
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// mockTime
+// 
+// Helper function for setting the current time to a given number of seconds
+// since the epoch for the rest of a test.
+function mockTime(t, seconds) {
+    t.mock.method(Date, 'now', () => seconds * 1000);
+}
+
+test('verifyCode accepts the RFC 6238 test vectors', (t) => {
+    // The RFC gives 8-digit codes; 6-digit codes are their last six digits
+    mockTime(t, 59);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '287082', null), 1);
+    mockTime(t, 1111111109);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', null), 37037036);
+    mockTime(t, 1234567890);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '005924', null), 41152263);
+});
+
+test('verifyCode accepts codes from adjacent time steps', (t) => {
+    mockTime(t, 1111111109 + 30);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', null), 37037036);
+    mockTime(t, 1111111109 - 30);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', null), 37037036);
+    mockTime(t, 1111111109 + 60);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', null), null);
+});
+
+test('verifyCode rejects wrong codes', (t) => {
+    mockTime(t, 1111111109);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081805', null), null);
+    assert.equal(twoFactor.verifyCode(twoFactor.generateSecret(), '081804', null), null);
+});
+
+test('verifyCode rejects codes from already used time steps', (t) => {
+    mockTime(t, 1111111109);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', 37037036), null);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', 37037037), null);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '081804', 37037035), 37037036);
+});
+
+test('verifyCode rejects codes that are not six digits', (t) => {
+    mockTime(t, 1111111109);
+    for (const code of ['81804', '0081804', '08180a', ' 081804', 81804, null, undefined]) {
+        assert.equal(twoFactor.verifyCode(RFC_SECRET, code, null), null, String(code));
+    }
+});
+
+test('generateSecret returns distinct base32 secrets', () => {
+    const secret = twoFactor.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, twoFactor.generateSecret());
+});
+
+test('generateRecoveryCodes returns distinct codes in the expected format', () => {
+    const codes = twoFactor.generateRecoveryCodes(10);
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    for (const code of codes) {
+        assert.match(code, /^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    }
+});
+
+test('hashRecoveryCode ignores case, dashes, and whitespace', () => {
+    const hash = twoFactor.hashRecoveryCode('abcde-fghij');
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(twoFactor.hashRecoveryCode('ABCDE-FGHIJ'), hash);
+    assert.equal(twoFactor.hashRecoveryCode(' abcdefghij '), hash);
+    assert.notEqual(twoFactor.hashRecoveryCode('abcde-fghik'), hash);
+});
@@ -0,0 +1,54 @@
+// usernames.test.js
+// 
+// Tests the canonical and skeleton forms of usernames used for uniqueness
+// checks.
+
+'use strict'
+
+// node
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// util
+const dbPool = require('../util/dbpool.js');
+const usernames = require('../util/usernames.js');
+
+// The pool is created when usernames.js is required and is never used here
+test.after(() => dbPool.end());
+
+test('getCanonicalUsername folds case', () => {
+    assert.equal(usernames.getCanonicalUsername('QuibbleKing'), 'quibbleking');
+    assert.equal(usernames.getCanonicalUsername('Straße'), 'strasse');
+});
+
+test('getCanonicalUsername applies NFKC normalization', () => {
+    assert.equal(usernames.getCanonicalUsername('ＡＤＭＩＮ'), 'admin');
+    assert.equal(usernames.getCanonicalUsername('Cafe\u0301'), usernames.getCanonicalUsername('Caf\u00e9'));
+});
+
+test('getCanonicalUsername keeps accents and look-alike characters', () => {
+    assert.notEqual(usernames.getCanonicalUsername('café'), usernames.getCanonicalUsername('cafe'));
+    assert.notEqual(usernames.getCanonicalUsername('pаypаl'), usernames.getCanonicalUsername('paypal'));
+});
+
+test('getUsernameSkeleton maps look-alike characters to the same skeleton', () => {
+    const skeleton = usernames.getUsernameSkeleton('paypal');
+    assert.equal(usernames.getUsernameSkeleton('pаypаl'), skeleton);
+    assert.equal(usernames.getUsernameSkeleton('PAYPAL'), skeleton);
+    assert.equal(usernames.getUsernameSkeleton('adm1n'), usernames.getUsernameSkeleton('admin'));
+    assert.equal(usernames.getUsernameSkeleton('g00gle'), usernames.getUsernameSkeleton('google'));
+});
+
+test('getUsernameSkeleton removes accents', () => {
+    assert.equal(usernames.getUsernameSkeleton('Café'), usernames.getUsernameSkeleton('cafe'));
+});
+
+test('getUsernameSkeleton replaces look-alike sequences', () => {
+    assert.equal(usernames.getUsernameSkeleton('rnodern'), usernames.getUsernameSkeleton('modem'));
+    assert.equal(usernames.getUsernameSkeleton('vvizard'), usernames.getUsernameSkeleton('wizard'));
+});
+
+test('getUsernameSkeleton keeps distinct usernames apart', () => {
+    assert.notEqual(usernames.getUsernameSkeleton('alice'), usernames.getUsernameSkeleton('bob'));
+    assert.notEqual(usernames.getUsernameSkeleton('quibbler1'), usernames.getUsernameSkeleton('quibbler2'));
+});
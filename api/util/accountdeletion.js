@@ -0,0 +1,93 @@
+// accountdeletion.js
+// 
+// Provides the removal of accounts that users scheduled for deletion. Users
+// request the deletion of their own account with POST /user/:id/deletion, and
+// the account is kept for a grace period of ACCOUNT_DELETION_GRACE_DAYS days
+// during which the deletion can be cancelled. Accounts past their grace period
+// are removed by purgeScheduledDeletions, which is run every
+// ACCOUNT_DELETION_PURGE_INTERVAL_MINUTES minutes.
+
+'use strict'
+
+// util
+const dbPool = require('./dbpool.js');
+const usernames = require('./usernames.js');
+
+// Available actions applied to the quibbles of a deleted account:
+//   - anonymize: Quibbles are kept without an author
+//   - delete: Quibbles are deleted (their content is removed) and kept without
+//         an author
+exports.QUIBBLE_ACTIONS = Object.freeze([
+    'anonymize',
+    'delete'
+]);
+
+// deleteAccount
+// 
+// Removes an account given the user's ID, the action applied to the user's
+// quibbles (see QUIBBLE_ACTIONS), and a connection to the database. All other
+// data of the user is removed along with the account, except the username
+// history, which keeps the final username on hold (see
+// usernames.recordFinalUsername).
+exports.deleteAccount = async (userId, quibbleAction, conn) => {
+    await conn.beginTransaction();
+    try {
+        await usernames.recordFinalUsername(userId, userId, conn);
+        if (quibbleAction === 'delete') {
+            await conn.query(`
+                UPDATE quibble
+                SET content = NULL
+                WHERE author_id = ?;
+            `, [userId]);
+        }
+        await conn.query(`
+            DELETE FROM user
+            WHERE id = ?;
+        `, [userId]);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    }
+}
+
+// purgeScheduledDeletions
+// 
+// Removes all accounts whose scheduled deletion date has passed. Accounts that
+// fail to be removed are logged and retried on the next purge.
+exports.purgeScheduledDeletions = async () => {
+    let conn;
+    try {
+        conn = await dbPool.getConnection();
+        const dbRes = await conn.query(`
+            SELECT id, deletion_quibble_action FROM user
+            WHERE date_deletion_scheduled <= NOW();
+        `);
+
+        for (const user of dbRes) {
+            try {
+                await exports.deleteAccount(user.id, user.deletion_quibble_action, conn);
+            } catch (err) {
+                console.error(`Scheduled account deletion error (user ${user.id})`);
+                console.error(err);
+            }
+        }
+    } finally {
+        if (conn) conn.end();
+    }
+}
+
+// startPurgeInterval
+// 
+// Starts removing accounts past their grace period every
+// ACCOUNT_DELETION_PURGE_INTERVAL_MINUTES minutes, and once immediately.
+exports.startPurgeInterval = () => {
+    const purge = () => {
+        exports.purgeScheduledDeletions().catch((err) => {
+            console.error('Scheduled account deletion error');
+            console.error(err);
+        });
+    };
+    purge();
+    setInterval(purge, (+process.env.ACCOUNT_DELETION_PURGE_INTERVAL_MINUTES || 60) * 60 * 1000);
+}
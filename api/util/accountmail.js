@@ -0,0 +1,76 @@
+// accountmail.js
+// 
+// Provides functions for sending account-related emails, such as password
+// reset and email verification links.
+
+'use strict'
+
+// util
+const oneTimeToken = require('./onetimetoken.js');
+const mailTransport = require('./mailtransport.js');
+
+// sendPasswordResetEmail
+// 
+// Creates a password reset token for a user and sends the reset link to the
+// given email address. Requires the user's ID, username, email address, and a
+// connection to the database.
+exports.sendPasswordResetEmail = async (userId, username, email, conn) => {
+    const token = await oneTimeToken.createToken(
+        userId,
+        'password_reset',
+        process.env.PASSWORD_RESET_EXPIRE_MINUTES,
+        conn);
+
+    await mailTransport.sendMail({
+        to: email,
+        subject: 'Reset your FribbleQuibble password',
+        text: `Hi ${username},\n\n`
+            + 'Use the following link to reset your password. The link '
+            + `expires in ${process.env.PASSWORD_RESET_EXPIRE_MINUTES} minutes.\n\n`
+            + `${process.env.PASSWORD_RESET_URL}?token=${token}\n\n`
+            + 'If you did not request a password reset, you can ignore this email.'
+    });
+}
+
+// sendVerificationEmail
+// 
+// Creates an email verification token for a user and sends the verification
+// link to the given email address. Requires the user's ID, username, email
+// address, and a connection to the database.
+exports.sendVerificationEmail = async (userId, username, email, conn) => {
+    const token = await oneTimeToken.createToken(
+        userId,
+        'email_verification',
+        process.env.EMAIL_VERIFICATION_EXPIRE_MINUTES,
+        conn);
+
+    await mailTransport.sendMail({
+        to: email,
+        subject: 'Verify your FribbleQuibble email address',
+        text: `Hi ${username},\n\n`
+            + 'Use the following link to verify your email address. The link '
+            + `expires in ${process.env.EMAIL_VERIFICATION_EXPIRE_MINUTES} minutes.\n\n`
+            + `${process.env.EMAIL_VERIFICATION_URL}?token=${token}\n\n`
+            + 'If you did not add this email address to a FribbleQuibble account, '
+            + 'you can ignore this email.'
+    });
+}
+
+// sendDeletionScheduledEmail
+// 
+// Notifies a user that the deletion of their account was scheduled. Requires
+// the user's username, email address, and the time the account will be
+// deleted in UNIX seconds.
+exports.sendDeletionScheduledEmail = async (username, email, deletionTimestamp) => {
+    const deletionDate = new Date(deletionTimestamp * 1000).toUTCString();
+    await mailTransport.sendMail({
+        to: email,
+        subject: 'Your FribbleQuibble account will be deleted',
+        text: `Hi ${username},\n\n`
+            + `Your account is scheduled to be deleted on ${deletionDate}. `
+            + 'Until then, you can log-in and cancel the deletion from your '
+            + 'account settings.\n\n'
+            + 'If you did not request the deletion of your account, log-in and '
+            + 'cancel the deletion, then change your password.'
+    });
+}
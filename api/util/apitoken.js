@@ -0,0 +1,173 @@
+// apitoken.js
+// 
+// Provides creation and verification of personal API tokens. API tokens allow
+// scripts and bots to authenticate using an Authorization: Bearer header
+// instead of login cookies. Each token is limited to a set of scopes, and only
+// a SHA-256 hash of each token is stored in the database.
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+// util
+const RouteError = require('./routeerror.js');
+const dbPool = require('./dbpool.js');
+const suspensions = require('./suspensions.js');
+
+// Prefix applied to all raw API tokens to make them recognizable
+const TOKEN_PREFIX = 'fq_';
+
+// Available API token scopes:
+//   - read: Access to logged-in GET routes
+//   - quibble:write: Posting and condemning quibbles, and voting on discussion
+//         choices
+//   - discussion:admin: Creating topics, tags, discussions, and discussion
+//         choices
+exports.SCOPES = Object.freeze([
+    'read',
+    'quibble:write',
+    'discussion:admin'
+]);
+
+// createToken
+// 
+// Creates a new API token for a user given the user's ID, the name of the
+// token, an array of scopes, the number of days until the token expires (or
+// undefined for no expiry), and a connection to the database.
+// 
+// Returns an object with the id of the token and the raw token string. The raw
+// token is not stored and cannot be retrieved again.
+exports.createToken = async (userId, name, scopes, expireDays, conn) => {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const dbRes = await conn.query(`
+        INSERT INTO api_token (user_id, name, scopes, token_hash, date_expires)
+        VALUES (
+            ?,
+            ?,
+            ?,
+            ?,
+            IF(? IS NULL, NULL, NOW() + INTERVAL ? DAY)
+        );
+    `, [userId, name, scopes.join(','), hashToken(token), expireDays, expireDays]);
+
+    return {
+        id: Number(dbRes.insertId),
+        token: token
+    };
+}
+
+// verifyToken
+// 
+// Verifies a raw API token given the token, the scope required by the
+// requested route, and a connection to the database. If no connection is
+// provided, one is automatically created in the function.
+// 
+// Returns a user info object equivalent to the payload of an access token
+// (including the suspension state of the user), with an additional tid
+// attribute for the ID of the API token. Throws a RouteError with the code
+// INVALID_API_TOKEN if the token is unknown, revoked, or expired, and with the
+// code INSUFFICIENT_TOKEN_SCOPE if the token does not have the required scope.
+exports.verifyToken = async (token, scope, conn) => {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) {
+        throw invalidTokenError();
+    }
+
+    let dbConn;
+    try {
+        dbConn = conn || await dbPool.getConnection();
+        const dbRes = await dbConn.query(`
+            SELECT
+                api_token.id,
+                api_token.scopes,
+                user.id AS user_id,
+                user.username,
+                user.access_level,
+                user.password_reset_required
+            FROM api_token
+            JOIN user ON (api_token.user_id = user.id)
+            WHERE api_token.token_hash = ?
+            AND api_token.date_revoked IS NULL
+            AND (api_token.date_expires IS NULL OR api_token.date_expires > NOW());
+        `, [hashToken(token)]);
+        if (dbRes.length === 0) {
+            throw invalidTokenError();
+        }
+        const tokenInfo = dbRes[0];
+
+        if (!tokenInfo.scopes.split(',').includes(scope)) {
+            throw new RouteError(
+                403,
+                'INSUFFICIENT_TOKEN_SCOPE',
+                `The API token does not have the ${scope} scope`);
+        }
+
+        await dbConn.query(`
+            UPDATE api_token
+            SET date_last_used = NOW()
+            WHERE id = ?;
+        `, [tokenInfo.id]);
+
+        const suspension = await suspensions.getActiveSuspension(tokenInfo.user_id, dbConn);
+
+        return {
+            id: tokenInfo.user_id,
+            tid: tokenInfo.id,
+            username: tokenInfo.username,
+            access_level: tokenInfo.access_level,
+            password_reset_required: Boolean(tokenInfo.password_reset_required),
+            suspended: suspension !== null,
+            suspension_end: suspension ? suspension.endTimestamp : null
+        };
+    } finally {
+        if (!conn && dbConn) dbConn.end();
+    }
+}
+
+// revokeUserTokens
+// 
+// Revokes all API tokens of a user given the user's ID and a connection to the
+// database. Used along with tokenEdit.revokeUserSessions when the user's
+// credentials change, so that tokens created by someone who took over the
+// account stop working.
+exports.revokeUserTokens = async (userId, conn) => {
+    await conn.query(`
+        UPDATE api_token
+        SET date_revoked = NOW()
+        WHERE user_id = ?
+        AND date_revoked IS NULL;
+    `, [userId]);
+}
+
+// getBearerToken
+// 
+// Gets the raw token from the Authorization: Bearer header of a given Express
+// req object. Returns undefined if the request has no Authorization header, and
+// null if the header is not a valid Bearer header.
+exports.getBearerToken = (req) => {
+    const authHeader = req.get('Authorization');
+    if (authHeader === undefined) {
+        return undefined;
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(authHeader);
+    return match ? match[1] : null;
+}
+
+// hashToken
+// 
+// Helper function for hashing a raw token string for storage.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// invalidTokenError
+// 
+// Helper function for creating the RouteError thrown for unusable API tokens.
+function invalidTokenError() {
+    return new RouteError(
+        401,
+        'INVALID_API_TOKEN',
+        'The provided API token is invalid, revoked, or expired');
+}
@@ -0,0 +1,62 @@
+// auditlog.js
+// 
+// Provides the audit log of privileged actions. Each entry records the user
+// that performed the action, the action, the target of the action, the values
+// of the target before and after the action, and the requester's IP address.
+// 
+// The audit_log table is append-only: updates and deletions are rejected by
+// database triggers. Entries do not reference the user table, so they are
+// kept when the acting or targeted user is removed.
+
+'use strict'
+
+// util
+const clientInfo = require('./clientinfo.js');
+
+// record
+// 
+// Adds an entry to the audit log using the database connection and user info
+// of a request. Should be called within the same transaction as the action,
+// so that the entry is only kept if the action is applied.
+// 
+// Arguments are passed to the function using a single object with the
+// following attributes:
+//   - req (object): Express req object of the request
+//   - res (object): Express res object of the request
+//   - action (string): Name of the action (e.g. 'user.delete')
+//   - targetType (string): Type of the target (e.g. 'user')
+//   - targetId (int, BigInt, or string): ID of the target
+//   - before (object, optional): Values of the target before the action
+//   - after (object, optional): Values of the target after the action
+exports.record = async (params) => {
+    await params.res.locals.conn.query(`
+        INSERT INTO audit_log (
+            actor_id,
+            action,
+            target_type,
+            target_id,
+            before_value,
+            after_value,
+            ip_address)
+        VALUES (?, ?, ?, ?, ?, ?, ?);
+    `, [
+        params.res.locals.userInfo.id,
+        params.action,
+        params.targetType,
+        String(params.targetId),
+        params.before ? JSON.stringify(params.before) : null,
+        params.after ? JSON.stringify(params.after) : null,
+        clientInfo.getIp(params.req)
+    ]);
+}
+
+// parseValue
+// 
+// Parses a before or after value of an audit log entry as returned by the
+// database. Returns null if the entry has no value.
+exports.parseValue = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
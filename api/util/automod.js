@@ -0,0 +1,354 @@
+// automod.js
+// 
+// Provides the automoderation of new quibbles, and of usernames on sign-up and
+// username changes. Admins manage a set of rules (see
+// GET /admin/automod-rules), and each enabled rule that applies to the target
+// is evaluated against the submitted text. Each rule has one of the following
+// actions once it matches:
+//   - reject: The quibble or username is rejected with an error code
+//   - hold: The quibble is posted but hidden pending moderator review (see
+//         GET /moderation/hidden-quibbles)
+//   - flag: The quibble or username is accepted but listed for moderators (see
+//         GET /moderation/automod-flags)
+// 
+// Usernames cannot be held for review, so hold rules only flag usernames.
+// When several rules match, the strictest action is applied.
+
+'use strict'
+
+// util
+const RouteError = require('./routeerror.js');
+
+// Available rule types, and the value each type expects:
+//   - banned-words: Comma-separated words or phrases, matched as whole words
+//         in quibbles and anywhere in usernames (case-insensitive)
+//   - regex: Regular expression pattern (case-insensitive), of at most
+//         REGEX_MAX_LENGTH characters and without nested quantifiers or
+//         backreferences (see isSafePattern)
+//   - link-limit: Maximum number of links (int)
+//   - caps-ratio: Maximum ratio of upper-case letters from 0 to 1, only
+//         checked for texts with at least CAPS_MIN_LETTERS letters
+//   - repeated-chars: Maximum number of times a character can be repeated
+//         consecutively (int)
+//   - new-account: Minimum age of the author's account in hours (int)
+exports.RULE_TYPES = Object.freeze([
+    'banned-words',
+    'regex',
+    'link-limit',
+    'caps-ratio',
+    'repeated-chars',
+    'new-account'
+]);
+
+// Available rule actions, from least to most strict
+exports.ACTIONS = Object.freeze([
+    'flag',
+    'hold',
+    'reject'
+]);
+
+// Available targets that rules apply to
+exports.TARGETS = Object.freeze([
+    'quibble',
+    'username'
+]);
+
+// Maximum length of the pattern of regex rules
+exports.REGEX_MAX_LENGTH = 200;
+
+// Minimum number of letters of a text for caps-ratio rules to be checked
+const CAPS_MIN_LETTERS = 10;
+
+// Maximum number of compiled patterns kept by getRegExp
+const REGEX_CACHE_MAX_SIZE = 500;
+
+// Compiled patterns of the rules, keyed by flags and pattern
+const regexCache = new Map();
+
+// Pattern matching links in texts
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// getRules
+// 
+// Gets all automoderation rules given a connection to the database, ordered by
+// ID.
+// 
+// Returns an array of objects with the following attributes:
+//   - id (int): ID of the rule
+//   - name (string): Name of the rule
+//   - type (string): Type of the rule (see RULE_TYPES)
+//   - value (string): Value of the rule
+//   - action (string): Action of the rule (see ACTIONS)
+//   - targets (array of strings): Targets the rule applies to (see TARGETS)
+//   - enabled (bool): Indicates if the rule is evaluated
+exports.getRules = async (conn) => {
+    const dbRes = await conn.query(`
+        SELECT id, name, rule_type, rule_value, action, targets, enabled
+        FROM automod_rule
+        ORDER BY id;
+    `);
+
+    const rules = [];
+    for (const rule of dbRes) {
+        rules.push(formatRule(rule));
+    }
+    return rules;
+}
+
+// getRule
+// 
+// Gets an automoderation rule given the rule's ID and a connection to the
+// database. Returns an object with the same attributes as the entries of
+// getRules, or null if the rule does not exist.
+exports.getRule = async (ruleId, conn) => {
+    const dbRes = await conn.query(`
+        SELECT id, name, rule_type, rule_value, action, targets, enabled
+        FROM automod_rule
+        WHERE id = ?;
+    `, [ruleId]);
+    return dbRes.length > 0 ? formatRule(dbRes[0]) : null;
+}
+
+// evaluate
+// 
+// Evaluates the enabled automoderation rules of a target against a text given
+// the target (see TARGETS), the text, the ID of the author (or undefined to
+// skip new-account rules), and a connection to the database.
+// 
+// Returns an object with the following attributes:
+//   - action (string): Strictest action of the matched rules, or 'allow' if
+//         no rules matched
+//   - matches (array of objects): Matched rules, with the same attributes as
+//         the entries of getRules
+exports.evaluate = async (target, text, userId, conn) => {
+    const dbRes = await conn.query(`
+        SELECT id, name, rule_type, rule_value, action, targets, enabled
+        FROM automod_rule
+        WHERE enabled = TRUE
+        AND FIND_IN_SET(?, targets) > 0
+        ORDER BY id;
+    `, [target]);
+
+    let accountAgeHours = null;
+    if (userId !== undefined && dbRes.some((rule) => rule.rule_type === 'new-account')) {
+        const userRes = await conn.query(`
+            SELECT TIMESTAMPDIFF(SECOND, date_joined, NOW()) / 3600 AS age_hours
+            FROM user
+            WHERE id = ?;
+        `, [userId]);
+        if (userRes.length > 0) {
+            accountAgeHours = Number(userRes[0].age_hours);
+        }
+    }
+
+    const verdict = {
+        action: 'allow',
+        matches: []
+    };
+    for (const row of dbRes) {
+        const rule = formatRule(row);
+        if (!matchesRule(rule, target, text, accountAgeHours)) {
+            continue;
+        }
+        verdict.matches.push(rule);
+        if (exports.ACTIONS.indexOf(rule.action) > exports.ACTIONS.indexOf(verdict.action)) {
+            verdict.action = rule.action;
+        }
+    }
+    if (target === 'username' && verdict.action === 'hold') {
+        verdict.action = 'flag';
+    }
+    return verdict;
+}
+
+// enforce
+// 
+// Evaluates the enabled automoderation rules of a target against a text (see
+// evaluate), and rejects the text if a reject rule matched.
+// 
+// Returns the verdict of evaluate if the text was not rejected.
+// 
+// Throws a RouteError with the code CONTENT_REJECTED for quibbles or
+// USERNAME_REJECTED for usernames if the text was rejected.
+exports.enforce = async (target, text, userId, conn) => {
+    const verdict = await exports.evaluate(target, text, userId, conn);
+    if (verdict.action !== 'reject') {
+        return verdict;
+    }
+
+    const rule = verdict.matches.find((match) => match.action === 'reject');
+    throw new RouteError(
+        400,
+        target === 'username' ? 'USERNAME_REJECTED' : 'CONTENT_REJECTED',
+        `The ${target} was rejected by the automoderation rule '${rule.name}'`);
+}
+
+// recordFlags
+// 
+// Records the hold and flag matches of a verdict (see evaluate) for moderator
+// review, given the verdict, the target, the text, the ID of the author, the
+// ID of the quibble (or null for usernames), and a connection to the database.
+exports.recordFlags = async (verdict, target, text, userId, quibbleId, conn) => {
+    for (const rule of verdict.matches) {
+        if (rule.action === 'reject') {
+            continue;
+        }
+        await conn.query(`
+            INSERT INTO automod_flag (
+                rule_id,
+                rule_name,
+                action,
+                target,
+                user_id,
+                quibble_id,
+                content)
+            VALUES (?, ?, ?, ?, ?, ?, ?);
+        `, [
+            rule.id,
+            rule.name,
+            target === 'username' ? 'flag' : rule.action,
+            target,
+            userId,
+            quibbleId,
+            text
+        ]);
+    }
+}
+
+// isSafePattern
+// 
+// Checks if the pattern of a regex rule can be evaluated without risking
+// catastrophic backtracking, which would block the server while a text is
+// matched. Patterns longer than REGEX_MAX_LENGTH characters, patterns with
+// backreferences, and patterns with a repeated group that itself contains a
+// quantifier (such as (a+)+ or (\w*\s?)*) are rejected.
+exports.isSafePattern = (pattern) => {
+    if (pattern.length > exports.REGEX_MAX_LENGTH) {
+        return false;
+    }
+
+    // Each entry indicates if the open group contains a quantifier
+    const groups = [];
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            const next = pattern[i + 1] || '';
+            if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+                return false;
+            }
+            i++;
+            continue;
+        }
+        if (inClass) {
+            inClass = char !== ']';
+            continue;
+        }
+        if (char === '[') {
+            inClass = true;
+        }
+        else if (char === '(') {
+            groups.push(false);
+        }
+        else if (char === ')') {
+            const quantified = groups.pop();
+            if (quantified && /^(?:[*+]|\{\d*,)/.test(pattern.substring(i + 1))) {
+                return false;
+            }
+            if (groups.length > 0) {
+                groups[groups.length - 1] ||= quantified;
+            }
+        }
+        else if (/[*+?{]/.test(char) && pattern[i - 1] !== '(' && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return true;
+}
+
+// formatRule
+// 
+// Helper function for formatting an automod_rule row from the database into a
+// rule object.
+function formatRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.rule_type,
+        value: row.rule_value,
+        action: row.action,
+        targets: row.targets ? row.targets.split(',') : [],
+        enabled: Boolean(row.enabled)
+    };
+}
+
+// matchesRule
+// 
+// Helper function for checking if a text matches a rule given the rule, the
+// target, the text, and the age of the author's account in hours (or null if
+// unknown).
+function matchesRule(rule, target, text, accountAgeHours) {
+    switch (rule.type) {
+        case 'banned-words': {
+            const lowerText = text.toLowerCase();
+            for (const word of rule.value.split(',')) {
+                const lowerWord = word.trim().toLowerCase();
+                if (lowerWord.length === 0) {
+                    continue;
+                }
+                if (target === 'username'
+                    ? lowerText.includes(lowerWord)
+                    : getRegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(lowerWord)}($|[^\\p{L}\\p{N}_])`, 'u').test(lowerText)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        case 'regex':
+            // Patterns are validated when rules are saved, but are checked
+            // again so that an unsafe pattern can never block the server
+            return exports.isSafePattern(rule.value)
+                && getRegExp(rule.value, 'iu').test(text);
+        case 'link-limit':
+            return (text.match(LINK_PATTERN) || []).length > +rule.value;
+        case 'caps-ratio': {
+            const letterCount = (text.match(/\p{L}/gu) || []).length;
+            if (letterCount < CAPS_MIN_LETTERS) {
+                return false;
+            }
+            const upperCount = (text.match(/\p{Lu}/gu) || []).length;
+            return upperCount / letterCount > +rule.value;
+        }
+        case 'repeated-chars':
+            return getRegExp(`(.)\\1{${+rule.value},}`, 'su').test(text);
+        case 'new-account':
+            return accountAgeHours !== null && accountAgeHours < +rule.value;
+        default:
+            return false;
+    }
+}
+
+// getRegExp
+// 
+// Helper function for getting a compiled regular expression given its pattern
+// and flags, so that the patterns of the rules are only compiled once.
+function getRegExp(pattern, flags) {
+    const key = `${flags}/${pattern}`;
+    let regex = regexCache.get(key);
+    if (!regex) {
+        if (regexCache.size >= REGEX_CACHE_MAX_SIZE) {
+            regexCache.clear();
+        }
+        regex = new RegExp(pattern, flags);
+        regexCache.set(key, regex);
+    }
+    return regex;
+}
+
+// escapeRegExp
+// 
+// Helper function for escaping the special characters of a string to match it
+// literally in a regular expression.
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,45 @@
+// clientinfo.js
+// 
+// Provides helper functions for identifying the client of a request.
+
+'use strict'
+
+// net
+const net = require('net');
+
+// getIp
+// 
+// Gets the IP address of the requesting client. Forwarded addresses (such as
+// the X-Forwarded-For header set by the nginx reverse proxy) are only used if
+// the proxy is trusted with the TRUST_PROXY setting (see getTrustProxy), so
+// that clients cannot spoof their address when the API is reached directly.
+// Returns null if the address is not a valid IP address.
+exports.getIp = (req) => {
+    return (req.ip && net.isIP(req.ip)) ? req.ip : null;
+}
+
+// getTrustProxy
+// 
+// Gets the Express 'trust proxy' setting from the TRUST_PROXY env setting.
+// TRUST_PROXY is either empty or 0 to trust no proxy, the number of trusted
+// proxy hops in front of the API, or a comma-separated list of trusted proxy
+// addresses or subnets.
+exports.getTrustProxy = () => {
+    const trustProxy = (process.env.TRUST_PROXY || '').trim();
+    if (!trustProxy || trustProxy === '0') {
+        return false;
+    }
+    if (Number.isInteger(+trustProxy)) {
+        return +trustProxy;
+    }
+    return trustProxy.split(',').map(address => address.trim());
+}
+
+// getUserAgent
+// 
+// Gets the user agent string of the requesting client, truncated to the max
+// length stored in the database. Returns null if no user agent was provided.
+exports.getUserAgent = (req) => {
+    const userAgent = req.get('User-Agent');
+    return userAgent ? userAgent.substring(0, 255) : null;
+}
@@ -0,0 +1,89 @@
+// confusables.js
+// 
+// Provides a table of characters that look alike (confusable characters) for
+// detecting usernames that imitate other usernames. Each character is mapped
+// to the Latin character or sequence it can be mistaken for. Based on a subset
+// of the Unicode confusables data (UTS #39) covering the scripts and symbols
+// most commonly used to imitate Latin usernames.
+
+'use strict'
+
+// Single characters mapped to their Latin look-alikes. Applied before case
+// folding, so characters that only look alike in uppercase are included.
+exports.CHARACTERS = Object.freeze({
+    // Digits
+    '0': 'o',
+    '1': 'l',
+
+    // Latin
+    'ı': 'i',
+    'ȷ': 'j',
+    'ɑ': 'a',
+    'ɡ': 'g',
+    'ɩ': 'i',
+    'ʋ': 'u',
+    'ƅ': 'b',
+
+    // Cyrillic
+    'А': 'a', 'а': 'a',
+    'В': 'b', 'в': 'b',
+    'Е': 'e', 'е': 'e',
+    'Ё': 'e', 'ё': 'e',
+    'З': '3', 'з': '3',
+    'І': 'l', 'і': 'i',
+    'Ј': 'j', 'ј': 'j',
+    'К': 'k', 'к': 'k',
+    'М': 'm', 'м': 'm',
+    'Н': 'h', 'н': 'h',
+    'О': 'o', 'о': 'o',
+    'Р': 'p', 'р': 'p',
+    'С': 'c', 'с': 'c',
+    'Т': 't', 'т': 't',
+    'У': 'y', 'у': 'y',
+    'Х': 'x', 'х': 'x',
+    'Ѕ': 's', 'ѕ': 's',
+    'Ԁ': 'd', 'ԁ': 'd',
+    'Һ': 'h', 'һ': 'h',
+    'Ӏ': 'l', 'ӏ': 'l',
+    'Ԛ': 'q', 'ԛ': 'q',
+    'Ԝ': 'w', 'ԝ': 'w',
+    'Ү': 'y', 'ү': 'y',
+    'Ь': 'b', 'ь': 'b',
+    'п': 'n',
+    'г': 'r',
+
+    // Greek
+    'Α': 'a', 'α': 'a',
+    'Β': 'b', 'β': 'b',
+    'Ε': 'e', 'ε': 'e',
+    'Ζ': 'z',
+    'Η': 'h', 'η': 'n',
+    'Ι': 'l', 'ι': 'i',
+    'Κ': 'k', 'κ': 'k',
+    'Μ': 'm',
+    'Ν': 'n', 'ν': 'v',
+    'Ο': 'o', 'ο': 'o',
+    'Ρ': 'p', 'ρ': 'p',
+    'Τ': 't', 'τ': 't',
+    'Υ': 'y', 'υ': 'u',
+    'Χ': 'x', 'χ': 'x',
+    'ω': 'w',
+
+    // Armenian
+    'օ': 'o',
+    'ս': 'u',
+    'ց': 'g',
+    'հ': 'h',
+    'ո': 'n',
+    'ք': 'p'
+});
+
+// Character sequences mapped to their look-alikes. Applied in order after case
+// folding. 'i' is mapped to 'l' since 'I' and 'l' cannot be told apart in many
+// fonts.
+exports.SEQUENCES = Object.freeze([
+    ['i', 'l'],
+    ['rn', 'm'],
+    ['vv', 'w'],
+    ['cl', 'd']
+]);
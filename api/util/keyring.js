@@ -0,0 +1,427 @@
+// keyring.js
+// 
+// Provides the keyring of keys used to sign and verify JWTs. The keyring has a
+// single active key that signs new tokens, and any number of verification-only
+// keys that keep tokens signed before a key rotation valid. The key used for a
+// token is identified by the kid attribute of the token's header.
+// 
+// Keys are stored as files in the JWT_KEYS_DIR directory (relative to the api
+// directory):
+//   - <kid>.key: Base64 secret of an HS256 key
+//   - <kid>.pem: PKCS#8 private key of an RS256 (RSA) or EdDSA (Ed25519) key
+//   - <kid>.pub.pem: Public key of an RS256 or EdDSA key that can only verify
+//         tokens
+// 
+// The IDs of the active key and the retired keys are stored in the
+// keyring.json file of the same directory. Tokens signed by retired keys are
+// no longer accepted. If the keyring has no usable active key, a new key is
+// generated using the JWT_KEY_ALGORITHM algorithm. Tokens without a kid
+// attribute are rejected.
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+// fs
+const fs = require('fs');
+const path = require('path');
+
+// jsonwebtoken
+const jwt = require('jsonwebtoken');
+
+// util
+const RouteError = require('./routeerror.js');
+
+// Signing algorithms supported by the keyring
+exports.ALGORITHMS = Object.freeze([
+    'HS256',
+    'RS256',
+    'EdDSA'
+]);
+
+const MANIFEST_FILE_NAME = 'keyring.json';
+const KID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+let keys;
+let activeKid;
+let retiredKids;
+
+// sign
+// 
+// Signs a JWT with the active key given its payload and jsonwebtoken sign
+// options. The ID of the active key is added to the kid attribute of the
+// token's header.
+exports.sign = (payload, options) => {
+    const key = getKeys().get(activeKid);
+
+    if (key.algorithm === 'EdDSA') {
+        return signEdDSA(payload, options, key);
+    }
+    return jwt.sign(payload, key.signingKey, {
+        ...options,
+        algorithm: key.algorithm,
+        keyid: key.kid
+    });
+}
+
+// verify
+// 
+// Verifies a JWT given the token and jsonwebtoken verify options. The token
+// must be signed by a key of the keyring that is not retired, using the
+// algorithm of that key. Returns the decoded payload if the token is valid.
+// Otherwise, throws an error.
+exports.verify = (token, options) => {
+    const decodedToken = jwt.decode(token, { complete: true });
+    if (!decodedToken) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = getVerificationKey(decodedToken.header.kid);
+    if (decodedToken.header.alg !== key.algorithm) {
+        throw new jwt.JsonWebTokenError('invalid algorithm');
+    }
+
+    if (key.algorithm === 'EdDSA') {
+        return verifyEdDSA(token, options, key);
+    }
+    return jwt.verify(token, key.verificationKey, {
+        ...options,
+        algorithms: [key.algorithm]
+    });
+}
+
+// getKeyInfo
+// 
+// Gets information about every key of the keyring, ordered by most recently
+// created. The key files are reloaded so that newly added files are included.
+// 
+// Each key is represented by an object with the following attributes:
+//   - kid (string): ID of the key
+//   - algorithm (string): Signing algorithm of the key
+//   - status (string): 'active', 'verify' for verification-only keys, or
+//         'retired'
+//   - canSign (bool): Indicates if the key has a private key or secret
+//   - createdTimestamp (int): Time the key file was created in UNIX time
+exports.getKeyInfo = () => {
+    loadKeyring();
+
+    const keyInfo = [];
+    for (const key of keys.values()) {
+        let status = 'verify';
+        if (key.kid === activeKid) {
+            status = 'active';
+        }
+        else if (retiredKids.has(key.kid)) {
+            status = 'retired';
+        }
+
+        keyInfo.push({
+            kid: key.kid,
+            algorithm: key.algorithm,
+            status: status,
+            canSign: Boolean(key.signingKey),
+            createdTimestamp: key.createdTimestamp
+        });
+    }
+    return keyInfo.sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+}
+
+// rotate
+// 
+// Replaces the active key of the keyring. The previously active key becomes a
+// verification-only key. If kid is provided, the existing key with that ID is
+// activated. Otherwise, a new key is generated using the given algorithm (one
+// of ALGORITHMS), or JWT_KEY_ALGORITHM if no algorithm is provided.
+// 
+// Returns the ID of the new active key. Throws a RouteError if the key cannot
+// be activated.
+exports.rotate = (algorithm, kid) => {
+    loadKeyring();
+
+    if (kid === undefined) {
+        const newKey = generateKey(algorithm || process.env.JWT_KEY_ALGORITHM);
+        keys.set(newKey.kid, newKey);
+        kid = newKey.kid;
+    }
+    else {
+        const key = keys.get(kid);
+        if (!key) {
+            throw new RouteError(
+                400,
+                'KEY_NOT_FOUND',
+                `Key with ID ${kid} not found`);
+        }
+        if (retiredKids.has(kid)) {
+            throw new RouteError(
+                400,
+                'KEY_RETIRED',
+                `Key with ID ${kid} is retired`);
+        }
+        if (!key.signingKey) {
+            throw new RouteError(
+                400,
+                'KEY_CANNOT_SIGN',
+                `Key with ID ${kid} is verification-only`);
+        }
+    }
+
+    activeKid = kid;
+    writeManifest();
+    return kid;
+}
+
+// retire
+// 
+// Retires a verification-only key given its ID. Tokens signed by the key are
+// no longer accepted. Throws a RouteError if the key does not exist, is
+// already retired, or is the active key.
+exports.retire = (kid) => {
+    loadKeyring();
+
+    if (!keys.has(kid)) {
+        throw new RouteError(
+            400,
+            'KEY_NOT_FOUND',
+            `Key with ID ${kid} not found`);
+    }
+    if (kid === activeKid) {
+        throw new RouteError(
+            400,
+            'KEY_ACTIVE',
+            'The active key cannot be retired (rotate the keyring first)');
+    }
+    if (retiredKids.has(kid)) {
+        throw new RouteError(
+            400,
+            'KEY_ALREADY_RETIRED',
+            `Key with ID ${kid} is already retired`);
+    }
+
+    retiredKids.add(kid);
+    writeManifest();
+}
+
+// getKeys
+// 
+// Helper function for getting the map of keys, loading the keyring on first
+// use.
+function getKeys() {
+    if (!keys) {
+        loadKeyring();
+    }
+    return keys;
+}
+
+// getVerificationKey
+// 
+// Helper function for getting the key used to verify tokens with a given kid
+// header attribute. Throws a JsonWebTokenError if no usable key exists.
+function getVerificationKey(kid) {
+    if (kid === undefined) {
+        throw new jwt.JsonWebTokenError('jwt key ID missing');
+    }
+
+    const key = getKeys().get(kid);
+    if (!key || retiredKids.has(kid)) {
+        throw new jwt.JsonWebTokenError('jwt key unknown or retired');
+    }
+    return key;
+}
+
+// loadKeyring
+// 
+// Helper function for loading the keys and manifest of the keyring from
+// JWT_KEYS_DIR. Generates a new active key if the keyring has no usable
+// active key.
+function loadKeyring() {
+    const keysDir = getKeysDir();
+    fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
+
+    const loadedKeys = new Map();
+    for (const fileName of fs.readdirSync(keysDir)) {
+        const key = readKeyFile(fileName);
+        if (key && !loadedKeys.get(key.kid)?.signingKey) {
+            loadedKeys.set(key.kid, key);
+        }
+    }
+
+    let manifest = {};
+    const manifestPath = path.join(keysDir, MANIFEST_FILE_NAME);
+    if (fs.existsSync(manifestPath)) {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+
+    keys = loadedKeys;
+    activeKid = manifest.activeKid;
+    retiredKids = new Set(manifest.retiredKids || []);
+
+    if (!keys.get(activeKid)?.signingKey || retiredKids.has(activeKid)) {
+        const newKey = generateKey(process.env.JWT_KEY_ALGORITHM);
+        keys.set(newKey.kid, newKey);
+        activeKid = newKey.kid;
+        writeManifest();
+    }
+}
+
+// readKeyFile
+// 
+// Helper function for reading a key file of the keyring given its file name.
+// Returns null if the file is not a key file.
+function readKeyFile(fileName) {
+    let kid;
+    let keyType;
+    if (fileName.endsWith('.pub.pem')) {
+        kid = fileName.slice(0, -'.pub.pem'.length);
+        keyType = 'public';
+    }
+    else if (fileName.endsWith('.pem')) {
+        kid = fileName.slice(0, -'.pem'.length);
+        keyType = 'private';
+    }
+    else if (fileName.endsWith('.key')) {
+        kid = fileName.slice(0, -'.key'.length);
+        keyType = 'secret';
+    }
+    if (!keyType || !KID_REGEX.test(kid)) {
+        return null;
+    }
+
+    const filePath = path.join(getKeysDir(), fileName);
+    const fileContents = fs.readFileSync(filePath, 'utf8');
+    const key = {
+        kid: kid,
+        createdTimestamp: Math.floor(fs.statSync(filePath).mtimeMs / 1000)
+    };
+
+    if (keyType === 'secret') {
+        key.algorithm = 'HS256';
+        key.signingKey = crypto.createSecretKey(Buffer.from(fileContents.trim(), 'base64'));
+        key.verificationKey = key.signingKey;
+    }
+    else if (keyType === 'private') {
+        key.signingKey = crypto.createPrivateKey(fileContents);
+        key.verificationKey = crypto.createPublicKey(key.signingKey);
+        key.algorithm = getAsymmetricAlgorithm(key.verificationKey, kid);
+    }
+    else {
+        key.signingKey = null;
+        key.verificationKey = crypto.createPublicKey(fileContents);
+        key.algorithm = getAsymmetricAlgorithm(key.verificationKey, kid);
+    }
+    return key;
+}
+
+// generateKey
+// 
+// Helper function for generating a new key of a given algorithm and saving it
+// to a key file. Returns the generated key.
+function generateKey(algorithm) {
+    const kid = crypto.randomBytes(8).toString('hex');
+    let fileName;
+    let fileContents;
+
+    if (algorithm === 'HS256') {
+        fileName = `${kid}.key`;
+        fileContents = crypto.randomBytes(64).toString('base64');
+    }
+    else if (algorithm === 'RS256' || algorithm === 'EdDSA') {
+        const keyPair = algorithm === 'RS256'
+            ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+            : crypto.generateKeyPairSync('ed25519');
+        fileName = `${kid}.pem`;
+        fileContents = keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    }
+    else {
+        throw new Error(`Unsupported JWT key algorithm ${algorithm}`);
+    }
+
+    fs.writeFileSync(path.join(getKeysDir(), fileName), fileContents, {
+        mode: 0o600,
+        flag: 'wx'
+    });
+    return readKeyFile(fileName);
+}
+
+// writeManifest
+// 
+// Helper function for saving the active key ID and retired key IDs to the
+// manifest file of the keyring.
+function writeManifest() {
+    const manifestPath = path.join(getKeysDir(), MANIFEST_FILE_NAME);
+    fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify({
+        activeKid: activeKid,
+        retiredKids: [...retiredKids]
+    }, null, 4));
+    fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+// getKeysDir
+// 
+// Helper function for getting the directory of the keyring files. Relative
+// paths are resolved from the api directory so that the keys are kept in the
+// mounted source directory of the Docker container.
+function getKeysDir() {
+    return path.resolve(__dirname, '..', process.env.JWT_KEYS_DIR || './keys');
+}
+
+// getAsymmetricAlgorithm
+// 
+// Helper function for getting the signing algorithm of a public key. Throws an
+// error if the key type is not supported.
+function getAsymmetricAlgorithm(publicKey, kid) {
+    if (publicKey.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (publicKey.asymmetricKeyType === 'ed25519') {
+        return 'EdDSA';
+    }
+    throw new Error(`Unsupported key type ${publicKey.asymmetricKeyType} for JWT key ${kid}`);
+}
+
+// signEdDSA
+// 
+// Helper function for signing a JWT with an EdDSA key. jsonwebtoken does not
+// support EdDSA, so it is only used to build the claims of an unsigned token,
+// which is then signed using crypto.
+function signEdDSA(payload, options, key) {
+    const unsignedToken = jwt.sign(payload, null, {
+        ...options,
+        algorithm: 'none'
+    });
+    const encodedHeader = Buffer.from(JSON.stringify({
+        alg: 'EdDSA',
+        typ: 'JWT',
+        kid: key.kid
+    })).toString('base64url');
+    const signingInput = `${encodedHeader}.${unsignedToken.split('.')[1]}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), key.signingKey);
+
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// verifyEdDSA
+// 
+// Helper function for verifying a JWT signed with an EdDSA key. The signature
+// is verified using crypto, and the claims are then validated by jsonwebtoken
+// using an unsigned copy of the token.
+function verifyEdDSA(token, options, key) {
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    const isValid = crypto.verify(
+        null,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        key.verificationKey,
+        Buffer.from(signature || '', 'base64url'));
+    if (!isValid) {
+        throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    const unsignedHeader = Buffer.from(JSON.stringify({
+        alg: 'none',
+        typ: 'JWT'
+    })).toString('base64url');
+    return jwt.verify(`${unsignedHeader}.${encodedPayload}.`, undefined, {
+        ...options,
+        algorithms: ['none']
+    });
+}
@@ -0,0 +1,112 @@
+// loginthrottle.js
+// 
+// Provides helper functions for throttling failed login attempts. Failed
+// attempts are tracked in the database per username and per client IP address.
+// Once the number of failed attempts within LOGIN_FAILURE_WINDOW_SECONDS reaches
+// the configured maximum, the username or IP address is locked-out for an
+// exponentially increasing amount of time.
+
+'use strict'
+
+// util
+const RouteError = require('./routeerror.js');
+const usernames = require('./usernames.js');
+
+// validateNotLocked
+// 
+// Validates that neither the given username nor the given IP address is
+// currently locked-out. Requires the Express res object to apply the
+// Retry-After header, and a connection to the database.
+// 
+// Throws a RouteError object with the error code ACCOUNT_TEMPORARILY_LOCKED and
+// a retryAfter attribute (in seconds) if either is locked-out.
+exports.validateNotLocked = async (username, ip, res, conn) => {
+    const dbRes = await conn.query(`
+        SELECT
+            MAX(TIMESTAMPDIFF(SECOND, NOW(), date_locked_until)) AS retry_after
+        FROM login_throttle
+        WHERE date_locked_until > NOW()
+        AND (
+            (throttle_type = 'username' AND throttle_key = ?)
+            OR (throttle_type = 'ip' AND throttle_key = ?)
+        );
+    `, [getUsernameKey(username), ip]);
+    if (dbRes[0].retry_after === null) {
+        return;
+    }
+
+    const retryAfter = Math.max(1, Number(dbRes[0].retry_after));
+    res.set('Retry-After', retryAfter);
+    throw new RouteError(
+        429,
+        'ACCOUNT_TEMPORARILY_LOCKED',
+        `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+        { retryAfter: retryAfter });
+}
+
+// recordFailure
+// 
+// Records a failed login attempt for the given username and IP address given a
+// connection to the database. Applies a lock-out to either if their number of
+// recent failed attempts reaches the configured maximum.
+exports.recordFailure = async (username, ip, conn) => {
+    await upsertFailure('username', getUsernameKey(username),
+        +process.env.LOGIN_MAX_FAILED_ATTEMPTS_USERNAME, conn);
+    if (ip) {
+        await upsertFailure('ip', ip, +process.env.LOGIN_MAX_FAILED_ATTEMPTS_IP, conn);
+    }
+}
+
+// clearFailures
+// 
+// Clears the failed login attempts of the given username after a successful
+// login given a connection to the database. Failed attempts of the IP address
+// are kept so that a valid login cannot be used to reset guessing against other
+// accounts.
+exports.clearFailures = async (username, conn) => {
+    await conn.query(`
+        DELETE FROM login_throttle
+        WHERE throttle_type = 'username'
+        AND throttle_key = ?;
+    `, [getUsernameKey(username)]);
+}
+
+// upsertFailure
+// 
+// Helper function for incrementing the failed attempt count of a throttle key
+// and applying a lock-out if the count reaches the given maximum. Failed
+// attempts older than LOGIN_FAILURE_WINDOW_SECONDS are discarded. The lock-out
+// duration starts at LOGIN_LOCKOUT_BASE_SECONDS and doubles with each further
+// failed attempt, capped at LOGIN_LOCKOUT_MAX_SECONDS.
+async function upsertFailure(throttleType, throttleKey, maxAttempts, conn) {
+    await conn.query(`
+        INSERT INTO login_throttle (throttle_type, throttle_key, failed_count, date_last_failed)
+        VALUES (?, ?, 1, NOW())
+        ON DUPLICATE KEY UPDATE
+            failed_count = IF(
+                date_last_failed < NOW() - INTERVAL ? SECOND,
+                1,
+                failed_count + 1),
+            date_last_failed = NOW(),
+            date_locked_until = IF(
+                failed_count >= ?,
+                NOW() + INTERVAL FLOOR(LEAST(? * POW(2, failed_count - ?), ?)) SECOND,
+                date_locked_until);
+    `, [
+        throttleType,
+        throttleKey,
+        +process.env.LOGIN_FAILURE_WINDOW_SECONDS,
+        maxAttempts,
+        +process.env.LOGIN_LOCKOUT_BASE_SECONDS,
+        maxAttempts,
+        +process.env.LOGIN_LOCKOUT_MAX_SECONDS
+    ]);
+}
+
+// getUsernameKey
+// 
+// Helper function for getting the throttle key of a username. Uses the
+// canonical username so that variations of a username share a throttle.
+function getUsernameKey(username) {
+    return usernames.getCanonicalUsername(username).substring(0, 100);
+}
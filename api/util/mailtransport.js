@@ -0,0 +1,111 @@
+// mailtransport.js
+// 
+// Provides mail transports for sending emails to users. The transport used by
+// sendMail is selected with the MAIL_TRANSPORT environment variable:
+//   - 'smtp': Sends emails through the SMTP server configured by the SMTP_*
+//         environment variables
+//   - 'file': Writes emails as JSON files to the MAIL_OUTBOX_DIR directory
+//         instead of sending them. Used for development and testing without a
+//         mail server
+
+'use strict'
+
+// fs
+const fs = require('fs/promises');
+const path = require('path');
+
+// nodemailer
+const nodemailer = require('nodemailer');
+
+// SmtpMailTransport
+// 
+// Mail transport that delivers emails through an SMTP server.
+class SmtpMailTransport {
+    constructor(options) {
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? {
+                user: options.user,
+                pass: options.pass
+            } : undefined
+        });
+    }
+
+    // send
+    // 
+    // Sends a given message object with from, to, subject, and text
+    // attributes.
+    async send(message) {
+        await this.transporter.sendMail(message);
+    }
+}
+
+// FileMailTransport
+// 
+// Mail transport that writes each email to a JSON file in an outbox directory
+// instead of delivering it.
+class FileMailTransport {
+    constructor(options) {
+        this.outboxDir = options.outboxDir;
+    }
+
+    // send
+    // 
+    // Writes a given message object with from, to, subject, and text attributes
+    // to a new file in the outbox directory.
+    async send(message) {
+        await fs.mkdir(this.outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}.json`;
+        await fs.writeFile(
+            path.join(this.outboxDir, fileName),
+            JSON.stringify({ ...message, date: new Date().toISOString() }, null, 4));
+    }
+}
+
+let mailTransport;
+
+// sendMail
+// 
+// Sends an email using the transport configured by the environment variables.
+// 
+// Expected message attributes:
+//   - to (string): Email address of the recipient
+//   - subject (string): Subject line of the email
+//   - text (string): Plain text body of the email
+exports.sendMail = async (message) => {
+    if (!mailTransport) {
+        mailTransport = createMailTransport();
+    }
+    await mailTransport.send({
+        from: process.env.MAIL_FROM,
+        ...message
+    });
+}
+
+// createMailTransport
+// 
+// Helper function for creating the mail transport selected by the
+// MAIL_TRANSPORT environment variable.
+function createMailTransport() {
+    switch (process.env.MAIL_TRANSPORT) {
+        case 'smtp':
+            return new SmtpMailTransport({
+                host: process.env.SMTP_HOST,
+                port: +process.env.SMTP_PORT,
+                secure: +process.env.SMTP_SECURE === 1,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        case 'file':
+            return new FileMailTransport({
+                outboxDir: process.env.MAIL_OUTBOX_DIR
+            });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT ${process.env.MAIL_TRANSPORT}`);
+    }
+}
+
+exports.SmtpMailTransport = SmtpMailTransport;
+exports.FileMailTransport = FileMailTransport;
@@ -0,0 +1,312 @@
+// oauth.js
+// 
+// Provides sign-in with external OAuth 2.0 / OpenID Connect identity
+// providers. Providers are configured with the following environment
+// variables, where <NAME> is the upper-cased name of the provider:
+//   - OAUTH_PROVIDERS: Comma-separated names of the enabled providers
+//   - OAUTH_<NAME>_ISSUER: Issuer URL of the provider, used to discover its
+//         endpoints from /.well-known/openid-configuration
+//   - OAUTH_<NAME>_CLIENT_ID: Client ID registered with the provider
+//   - OAUTH_<NAME>_CLIENT_SECRET: Client secret registered with the provider
+//   - OAUTH_<NAME>_SCOPES (optional): Requested scopes, defaults to
+//         'openid email profile'
+// 
+// Any issuer that supports discovery can be used, including a local mock OIDC
+// issuer for development and testing.
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+// jsonwebtoken
+const jwt = require('jsonwebtoken');
+
+// util
+const RouteError = require('./routeerror.js');
+
+// Algorithms accepted for ID token signatures
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Minimum number of seconds between refetches of a provider's signing keys
+const JWKS_REFETCH_SECONDS = 60;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// getProvider
+// 
+// Gets the configuration of an enabled provider given its name. Returns null
+// if the provider is not enabled or is not fully configured.
+exports.getProvider = (name) => {
+    if (typeof name !== 'string' || !exports.getProviderNames().includes(name)) {
+        return null;
+    }
+
+    const envPrefix = `OAUTH_${name.toUpperCase().replace(/-/g, '_')}_`;
+    const provider = {
+        name: name,
+        issuer: process.env[`${envPrefix}ISSUER`],
+        clientId: process.env[`${envPrefix}CLIENT_ID`],
+        clientSecret: process.env[`${envPrefix}CLIENT_SECRET`],
+        scopes: process.env[`${envPrefix}SCOPES`] || 'openid email profile'
+    };
+    if (!provider.issuer || !provider.clientId) {
+        return null;
+    }
+    return provider;
+}
+
+// getProviderNames
+// 
+// Gets the names of the enabled providers.
+exports.getProviderNames = () => {
+    return (process.env.OAUTH_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => /^[a-z0-9-]+$/.test(name));
+}
+
+// createAuthorization
+// 
+// Creates an authorization request for a given provider configuration. A new
+// state, nonce, and PKCE code verifier are generated for the request, and they
+// must be kept by the client until the callback.
+// 
+// Returns an object with the following attributes:
+//   - url (string): Authorization URL of the provider to redirect the user to
+//   - state (string): State value that must match the callback state
+//   - nonce (string): Nonce value that must match the ID token nonce
+//   - codeVerifier (string): PKCE code verifier for exchanging the code
+exports.createAuthorization = async (provider) => {
+    const discovery = await getDiscovery(provider);
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256')
+        .update(codeVerifier)
+        .digest('base64url');
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', exports.getRedirectUri(provider));
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return {
+        url: url.toString(),
+        state: state,
+        nonce: nonce,
+        codeVerifier: codeVerifier
+    };
+}
+
+// getIdentity
+// 
+// Exchanges an authorization code for tokens given a provider configuration,
+// the code, and the code verifier and nonce of the authorization request. The
+// ID token is verified using the provider's published signing keys.
+// 
+// Returns an object with the following attributes:
+//   - subject (string): Unique ID of the user at the provider
+//   - email (string or undefined): Email address of the user
+//   - emailVerified (bool): Indicates if the provider verified the email
+//   - preferredUsername (string or undefined): Username suggested by the
+//         provider
+// 
+// Throws a RouteError with the code OAUTH_PROVIDER_ERROR if the exchange
+// fails, or with the code INVALID_ID_TOKEN if the ID token is invalid.
+exports.getIdentity = async (provider, code, codeVerifier, nonce) => {
+    const discovery = await getDiscovery(provider);
+
+    const headers = {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+    };
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: exports.getRedirectUri(provider),
+        code_verifier: codeVerifier,
+        client_id: provider.clientId
+    });
+    if (provider.clientSecret) {
+        headers['Authorization'] = 'Basic ' + Buffer.from(
+            `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`
+            ).toString('base64');
+    }
+    const tokenRes = await fetchJSON(discovery.token_endpoint, {
+        method: 'POST',
+        headers: headers,
+        body: body
+    });
+    if (typeof tokenRes.id_token !== 'string') {
+        throw new RouteError(
+            502,
+            'OAUTH_PROVIDER_ERROR',
+            'The identity provider did not return an ID token');
+    }
+
+    const claims = await verifyIdToken(provider, discovery, tokenRes.id_token);
+    if (typeof claims.nonce !== 'string'
+        || claims.nonce.length !== nonce.length
+        || !crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(nonce))) {
+        throw invalidIdTokenError();
+    }
+
+    return {
+        subject: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email : undefined,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        preferredUsername: claims.preferred_username || claims.nickname || claims.name
+    };
+}
+
+// getRedirectUri
+// 
+// Gets the callback URI of a given provider configuration, based on
+// OAUTH_REDIRECT_BASE_URL.
+exports.getRedirectUri = (provider) => {
+    const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL.replace(/\/+$/, '');
+    return `${baseUrl}/auth/oauth/${provider.name}/callback`;
+}
+
+// getDiscovery
+// 
+// Helper function for getting the OpenID Connect discovery document of a
+// provider. Discovery documents are cached after the first request.
+async function getDiscovery(provider) {
+    if (discoveryCache.has(provider.name)) {
+        return discoveryCache.get(provider.name);
+    }
+
+    const discovery = await fetchJSON(
+        `${provider.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+    if (discovery.issuer !== provider.issuer
+        || !discovery.authorization_endpoint
+        || !discovery.token_endpoint
+        || !discovery.jwks_uri) {
+        throw new RouteError(
+            502,
+            'OAUTH_PROVIDER_ERROR',
+            'The identity provider returned an invalid discovery document');
+    }
+    discoveryCache.set(provider.name, discovery);
+    return discovery;
+}
+
+// verifyIdToken
+// 
+// Helper function for verifying the signature, issuer, audience, and expiry of
+// an ID token. Returns the claims of the ID token.
+async function verifyIdToken(provider, discovery, idToken) {
+    const decodedToken = jwt.decode(idToken, { complete: true });
+    if (!decodedToken || !ID_TOKEN_ALGORITHMS.includes(decodedToken.header.alg)) {
+        throw invalidIdTokenError();
+    }
+
+    const publicKey = await getSigningKey(provider, discovery, decodedToken.header.kid);
+    let claims;
+    try {
+        claims = jwt.verify(idToken, publicKey, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: discovery.issuer,
+            audience: provider.clientId
+        });
+    } catch {
+        throw invalidIdTokenError();
+    }
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw invalidIdTokenError();
+    }
+    return claims;
+}
+
+// getSigningKey
+// 
+// Helper function for getting a public key of a provider given its key ID. The
+// provider's key set is refetched if the key ID is unknown, so that rotated
+// keys are picked up.
+async function getSigningKey(provider, discovery, kid) {
+    let cached = jwksCache.get(provider.name);
+    let jwk = findJwk(cached, kid);
+    if (!jwk && (!cached || Date.now() - cached.fetchTime > JWKS_REFETCH_SECONDS * 1000)) {
+        const jwks = await fetchJSON(discovery.jwks_uri);
+        cached = {
+            keys: Array.isArray(jwks.keys) ? jwks.keys : [],
+            fetchTime: Date.now()
+        };
+        jwksCache.set(provider.name, cached);
+        jwk = findJwk(cached, kid);
+    }
+    if (!jwk) {
+        throw invalidIdTokenError();
+    }
+
+    try {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch {
+        throw invalidIdTokenError();
+    }
+}
+
+// findJwk
+// 
+// Helper function for finding a signing key in a cached key set given its key
+// ID. If the ID token has no key ID, the key set must have a single signing
+// key.
+function findJwk(cached, kid) {
+    if (!cached) {
+        return undefined;
+    }
+    const signingKeys = cached.keys.filter(key => !key.use || key.use === 'sig');
+    if (kid === undefined) {
+        return signingKeys.length === 1 ? signingKeys[0] : undefined;
+    }
+    return signingKeys.find(key => key.kid === kid);
+}
+
+// fetchJSON
+// 
+// Helper function for requesting a JSON document from a provider. Throws a
+// RouteError with the code OAUTH_PROVIDER_ERROR if the request fails.
+async function fetchJSON(url, options) {
+    let response;
+    let body;
+    try {
+        response = await fetch(url, {
+            ...options,
+            signal: AbortSignal.timeout(10000)
+        });
+        body = await response.json();
+    } catch (err) {
+        console.error(`OAuth request error (${url})`);
+        console.error(err);
+        throw new RouteError(
+            502,
+            'OAUTH_PROVIDER_ERROR',
+            'Unable to reach the identity provider');
+    }
+    if (!response.ok) {
+        console.error(`OAuth request error (${url}): ${response.status}`);
+        throw new RouteError(
+            502,
+            'OAUTH_PROVIDER_ERROR',
+            'The identity provider rejected the request');
+    }
+    return body;
+}
+
+// invalidIdTokenError
+// 
+// Helper function for creating the RouteError thrown for invalid ID tokens.
+function invalidIdTokenError() {
+    return new RouteError(
+        502,
+        'INVALID_ID_TOKEN',
+        'The identity provider returned an invalid ID token');
+}
@@ -0,0 +1,77 @@
+// onetimetoken.js
+// 
+// Provides creation and redemption of single-use tokens that are sent to users,
+// such as password reset tokens. Only a SHA-256 hash of each token is stored in
+// the database.
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+// createToken
+// 
+// Creates a new single-use token for a user given the user's ID, the purpose of
+// the token, the number of minutes until the token expires, and a connection
+// to the database. Any unused tokens of the same purpose for the user are
+// invalidated.
+// 
+// Returns the raw token string. The raw token is not stored and cannot be
+// retrieved again.
+exports.createToken = async (userId, purpose, expireMinutes, conn) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await conn.query(`
+        UPDATE one_time_token
+        SET date_used = NOW()
+        WHERE user_id = ?
+        AND purpose = ?
+        AND date_used IS NULL;
+    `, [userId, purpose]);
+    await conn.query(`
+        INSERT INTO one_time_token (user_id, purpose, token_hash, date_expires)
+        VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE);
+    `, [userId, purpose, hashToken(token), +expireMinutes]);
+
+    return token;
+}
+
+// redeemToken
+// 
+// Redeems a single-use token given the raw token string, the expected purpose
+// of the token, and a connection to the database. The token is marked as used
+// so that it cannot be redeemed again.
+// 
+// Returns the ID of the token's user if the token is valid, unused, and
+// unexpired. Otherwise, returns null.
+exports.redeemToken = async (token, purpose, conn) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const tokenHash = hashToken(token);
+
+    const updateRes = await conn.query(`
+        UPDATE one_time_token
+        SET date_used = NOW()
+        WHERE token_hash = ?
+        AND purpose = ?
+        AND date_used IS NULL
+        AND date_expires > NOW();
+    `, [tokenHash, purpose]);
+    if (updateRes.affectedRows === 0) {
+        return null;
+    }
+
+    const dbRes = await conn.query(`
+        SELECT user_id FROM one_time_token
+        WHERE token_hash = ?;
+    `, [tokenHash]);
+    return dbRes[0].user_id;
+}
+
+// hashToken
+// 
+// Helper function for hashing a raw token string for storage.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
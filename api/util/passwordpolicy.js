@@ -0,0 +1,382 @@
+// passwordpolicy.js
+// 
+// Provides the strength policy applied to new passwords. Passwords are scored
+// from 0 (very weak) to 4 (very strong) based on an estimate of the number of
+// guesses needed to find them. Each character adds guesses based on the kinds
+// of characters used, while characters that are part of a weak pattern found
+// by a policy check (dictionary words, repeated characters, sequences, and the
+// username) only add the guesses of the pattern.
+// 
+// Passwords are also checked against an offline list of breached passwords,
+// read from PASSWORD_BREACH_PATH. The path is either:
+//   - A file of SHA-1 password hashes, one hash per line, optionally followed
+//         by ':' and a count
+//   - A directory of k-anonymity range files named after the first 5
+//         characters of the SHA-1 hashes (e.g. 5BAA6.txt), where each line
+//         holds the rest of a hash, optionally followed by ':' and a count.
+//         This is the layout of the Pwned Passwords range downloads
+// 
+// If PASSWORD_BREACH_PATH is not set, resources/breached-passwords.txt is
+// used, which holds the 10,000 most common passwords. The dictionary words
+// are read from resources/common-words.txt, ordered from most to least
+// common. Both lists are generated from the frequency lists of zxcvbn (MIT
+// license).
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+// fs
+const fs = require('fs');
+
+// path
+const path = require('path');
+
+// util
+const usernames = require('./usernames.js');
+
+const RESOURCES_DIR = path.join(__dirname, '..', 'resources');
+
+// Minimum number of characters of dictionary words found in passwords
+const MIN_WORD_LENGTH = 4;
+
+// Minimum number of characters of repeats and sequences found in passwords
+const MIN_PATTERN_LENGTH = 3;
+
+// Bits of guesses needed for scores 1 to 4
+const SCORE_BITS = [28, 36, 50, 64];
+
+// Commonly substituted characters mapped to the letters they replace
+const SUBSTITUTIONS = Object.freeze({
+    '4': 'a', '@': 'a',
+    '8': 'b',
+    '(': 'c',
+    '3': 'e',
+    '6': 'g',
+    '1': 'i', '!': 'i',
+    '|': 'l',
+    '0': 'o',
+    '5': 's', '$': 's',
+    '7': 't', '+': 't',
+    '2': 'z'
+});
+
+// Policy checks applied to passwords, by name. See exports.addCheck.
+const checks = new Map([
+    ['username', findUsername],
+    ['dictionary', findDictionaryWords],
+    ['repeat', findRepeats],
+    ['sequence', findSequences]
+]);
+
+let dictionary;
+let breachedHashes;
+
+// checkPassword
+// 
+// Checks the strength of a normalized password given the password and the
+// context of the password, an object with the following attributes:
+//   - username (string): Username of the password's user
+// 
+// Returns an object with the following attributes:
+//   - score (number): Strength of the password, from 0 to 4
+//   - breached (bool): Indicates if the password is in the breached-password
+//         list
+//   - warnings (array of strings): Explanations of the weak patterns found
+//   - suggestions (array of strings): Suggestions for a stronger password
+exports.checkPassword = async (password, context) => {
+    const chars = [...password];
+    const charBits = Math.log2(getPoolSize(chars));
+    const bits = chars.map(() => charBits);
+    const warnings = new Set();
+    const suggestions = new Set();
+
+    for (const check of checks.values()) {
+        for (const match of check(chars, context || {})) {
+            const matchCharBits = match.bits / (match.end - match.start);
+            let weakened = false;
+            for (let i = match.start; i < match.end; ++i) {
+                if (matchCharBits < bits[i]) {
+                    bits[i] = matchCharBits;
+                    weakened = true;
+                }
+            }
+            if (weakened) {
+                warnings.add(match.warning);
+                suggestions.add(match.suggestion);
+            }
+        }
+    }
+
+    const totalBits = bits.reduce((sum, charBits) => sum + charBits, 0);
+    const score = SCORE_BITS.filter(scoreBits => totalBits >= scoreBits).length;
+    const breached = await isBreached(password);
+    if (breached) {
+        warnings.add('This password has appeared in a data breach');
+        suggestions.add('Use a password that is not used anywhere else');
+    }
+    if (score < SCORE_BITS.length) {
+        suggestions.add('Use a longer password, such as a few uncommon words');
+    }
+
+    return {
+        score: score,
+        breached: breached,
+        warnings: [...warnings],
+        suggestions: [...suggestions]
+    };
+}
+
+// addCheck
+// 
+// Adds a policy check to the password policy, or replaces the check with the
+// same name. A check is a function given an array of the characters of the
+// password and the context passed to exports.checkPassword, that returns an
+// array of weak patterns found in the password. Each pattern is an object with
+// the following attributes:
+//   - start (number): Index of the first character of the pattern
+//   - end (number): Index after the last character of the pattern
+//   - bits (number): Bits of guesses needed to find the pattern
+//   - warning (string): Explanation of the weak pattern
+//   - suggestion (string): Suggestion for avoiding the weak pattern
+exports.addCheck = (name, check) => {
+    checks.set(name, check);
+}
+
+// findUsername
+// 
+// Policy check for finding the username (or the reversed username) in a
+// password.
+function findUsername(chars, context) {
+    if (!context.username) {
+        return [];
+    }
+
+    const username = simplifyChars([...usernames.getCanonicalUsername(context.username)]);
+    const simplified = simplifyChars(chars);
+    const matches = [];
+    for (const target of [username.join(''), [...username].reverse().join('')]) {
+        for (let i = 0; i + username.length <= chars.length; ++i) {
+            if (simplified.slice(i, i + username.length).join('') === target) {
+                matches.push({
+                    start: i,
+                    end: i + username.length,
+                    bits: 1,
+                    warning: 'Passwords containing the username are easy to guess',
+                    suggestion: 'Avoid using your username in the password'
+                });
+            }
+        }
+    }
+    return matches;
+}
+
+// findDictionaryWords
+// 
+// Policy check for finding common words in a password, including words with
+// upper-case letters or substituted characters (such as 'p@ssw0rd').
+function findDictionaryWords(chars) {
+    const words = getDictionary();
+    const simplified = simplifyChars(chars);
+    const matches = [];
+    for (let start = 0; start < chars.length; ++start) {
+        for (let end = start + MIN_WORD_LENGTH; end <= chars.length; ++end) {
+            const rank = words.get(simplified.slice(start, end).join(''));
+            if (rank === undefined) {
+                continue;
+            }
+
+            const original = chars.slice(start, end).join('');
+            const substituted = /[^a-z]/i.test(original);
+            let bits = Math.log2(rank + 1);
+            if (/[A-Z]/.test(original)) {
+                bits += 1;
+            }
+            if (substituted) {
+                bits += 1;
+            }
+            matches.push({
+                start: start,
+                end: end,
+                bits: bits,
+                warning: 'Common words are easy to guess',
+                suggestion: substituted
+                    ? 'Predictable substitutions like \'@\' instead of \'a\' do not help very much'
+                    : 'Avoid common words, or combine several uncommon words'
+            });
+        }
+    }
+    return matches;
+}
+
+// findRepeats
+// 
+// Policy check for finding repeated characters (such as 'aaa') and repeated
+// patterns (such as 'abcabc') in a password.
+function findRepeats(chars) {
+    const matches = [];
+    let start = 0;
+    while (start < chars.length) {
+        let repeat;
+        for (let unit = 1; start + unit * 2 <= chars.length; ++unit) {
+            let end = start + unit;
+            while (end + unit <= chars.length
+                && chars.slice(end, end + unit).join('') === chars.slice(start, start + unit).join('')) {
+                end += unit;
+            }
+            if (end - start >= Math.max(unit * 2, MIN_PATTERN_LENGTH)
+                && (!repeat || end > repeat.end)) {
+                repeat = { unit: unit, end: end };
+            }
+        }
+        if (!repeat) {
+            ++start;
+            continue;
+        }
+
+        const unitChars = chars.slice(start, start + repeat.unit);
+        matches.push({
+            start: start,
+            end: repeat.end,
+            bits: repeat.unit * Math.log2(getPoolSize(unitChars))
+                + Math.log2((repeat.end - start) / repeat.unit),
+            warning: repeat.unit === 1
+                ? 'Repeated characters like \'aaa\' are easy to guess'
+                : 'Repeated patterns like \'abcabc\' are only slightly harder to guess than \'abc\'',
+            suggestion: 'Avoid repeated words and characters'
+        });
+        start = repeat.end;
+    }
+    return matches;
+}
+
+// findSequences
+// 
+// Policy check for finding sequences of characters (such as 'abc' or '4321')
+// in a password.
+function findSequences(chars) {
+    const matches = [];
+    let start = 0;
+    while (start < chars.length - 1) {
+        const step = chars[start + 1].codePointAt(0) - chars[start].codePointAt(0);
+        let end = start + 2;
+        while (end < chars.length
+            && chars[end].codePointAt(0) - chars[end - 1].codePointAt(0) === step) {
+            ++end;
+        }
+        if (Math.abs(step) !== 1 || end - start < MIN_PATTERN_LENGTH) {
+            ++start;
+            continue;
+        }
+
+        matches.push({
+            start: start,
+            end: end,
+            bits: Math.log2(getPoolSize([chars[start]])) + Math.log2(end - start) + (step < 0 ? 1 : 0),
+            warning: 'Sequences like \'abc\' or \'6543\' are easy to guess',
+            suggestion: 'Avoid sequences of letters or numbers'
+        });
+        start = end;
+    }
+    return matches;
+}
+
+// isBreached
+// 
+// Helper function for checking if a password is in the breached-password
+// list. The list is loaded into memory the first time that it is used, unless
+// it is a directory of range files.
+async function isBreached(password) {
+    const hash = crypto.createHash('sha1')
+        .update(password)
+        .digest('hex')
+        .toUpperCase();
+    const breachPath = process.env.PASSWORD_BREACH_PATH
+        ? path.resolve(__dirname, '..', process.env.PASSWORD_BREACH_PATH)
+        : path.join(RESOURCES_DIR, 'breached-passwords.txt');
+
+    if (!breachedHashes && (await fs.promises.stat(breachPath)).isDirectory()) {
+        let rangeFile;
+        try {
+            rangeFile = await fs.promises.readFile(
+                path.join(breachPath, `${hash.substring(0, 5)}.txt`),
+                'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return false;
+            }
+            throw err;
+        }
+        return parseHashes(rangeFile).has(hash.substring(5));
+    }
+
+    if (!breachedHashes) {
+        breachedHashes = parseHashes(await fs.promises.readFile(breachPath, 'utf8'));
+    }
+    return breachedHashes.has(hash);
+}
+
+// parseHashes
+// 
+// Helper function for parsing the lines of a breached-password list into a
+// set of upper-case hashes.
+function parseHashes(list) {
+    const hashes = new Set();
+    for (const line of list.split('\n')) {
+        const hash = line.split(':')[0].trim().toUpperCase();
+        if (hash) {
+            hashes.add(hash);
+        }
+    }
+    return hashes;
+}
+
+// getDictionary
+// 
+// Helper function for getting the dictionary words, mapped to their rank from
+// most to least common (starting from 1).
+function getDictionary() {
+    if (!dictionary) {
+        dictionary = new Map();
+        const words = fs.readFileSync(path.join(RESOURCES_DIR, 'common-words.txt'), 'utf8');
+        for (const word of words.split('\n')) {
+            if (word.trim() && !dictionary.has(word.trim())) {
+                dictionary.set(word.trim(), dictionary.size + 1);
+            }
+        }
+    }
+    return dictionary;
+}
+
+// simplifyChars
+// 
+// Helper function for lower-casing the characters of a password and replacing
+// commonly substituted characters with the letters they replace.
+function simplifyChars(chars) {
+    return chars.map(char => SUBSTITUTIONS[char] ?? char.toLowerCase());
+}
+
+// getPoolSize
+// 
+// Helper function for estimating the number of possible characters of each
+// character of a password, based on the kinds of characters used.
+function getPoolSize(chars) {
+    let poolSize = 0;
+    if (chars.some(char => /[a-z]/.test(char))) {
+        poolSize += 26;
+    }
+    if (chars.some(char => /[A-Z]/.test(char))) {
+        poolSize += 26;
+    }
+    if (chars.some(char => /[0-9]/.test(char))) {
+        poolSize += 10;
+    }
+    if (chars.some(char => /[\x20-\x2F\x3A-\x40\x5B-\x60\x7B-\x7E]/.test(char))) {
+        poolSize += 33;
+    }
+    if (chars.some(char => /[^\x00-\x7F]/.test(char))) {
+        poolSize += 100;
+    }
+    return Math.max(poolSize, 10);
+}
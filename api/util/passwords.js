@@ -0,0 +1,46 @@
+// passwords.js
+// 
+// Provides hashing and comparison of passwords. Passwords are normalized with
+// Unicode normalization (NFKC) before they are hashed or compared, so that the
+// same password typed on different devices or keyboards produces the same
+// hash. Ascii passwords are unchanged by normalization, so passwords hashed
+// before normalization was introduced are still accepted.
+
+'use strict'
+
+// bcrypt
+const bcrypt = require('bcryptjs');
+
+// Maximum number of bytes of a password used by bcrypt. Any further bytes are
+// ignored by bcrypt, so longer passwords are rejected.
+exports.MAX_BYTES = 72;
+
+// normalizePassword
+// 
+// Gets the normalized form of a password.
+exports.normalizePassword = (password) => {
+    return String(password).normalize('NFKC');
+}
+
+// hashPassword
+// 
+// Hashes a password for storage.
+exports.hashPassword = (password) => {
+    return bcrypt.hashSync(
+        exports.normalizePassword(password),
+        +process.env.PASSWORD_SALT_ROUNDS);
+}
+
+// comparePassword
+// 
+// Compares a password with a stored password hash. Returns false if the hash
+// is null, which is the case for accounts that can only log-in with an
+// external identity provider.
+exports.comparePassword = (password, passwordHash) => {
+    if (!passwordHash || typeof password !== 'string') {
+        return false;
+    }
+    return bcrypt.compareSync(
+        exports.normalizePassword(password),
+        passwordHash.toString());
+}
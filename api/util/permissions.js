@@ -0,0 +1,150 @@
+// permissions.js
+// 
+// Provides lookups and edits of the permissions granted to roles. Routes are
+// authorized with named permissions (such as 'quibble.delete') instead of
+// access level comparisons. The roles are the access levels of the access
+// table, and the permissions of each role are stored in the role_permission
+// table, so that they can be changed by admins without code changes.
+// 
+// Actions that target another user (such as suspending the user) additionally
+// require a higher access level than the target user.
+// 
+// Users can also be assigned as moderators of specific topics. Topic
+// moderators have the permissions in TOPIC_PERMISSIONS within the discussions
+// of their topics, regardless of their role.
+
+'use strict'
+
+// Permissions granted to topic moderators within the discussions of their
+// topics
+exports.TOPIC_PERMISSIONS = Object.freeze([
+    'quibble.delete',
+    'discussion.lock',
+    'discussion.choices'
+]);
+
+// hasPermission
+// 
+// Checks if a user has a permission given the user's ID, the name of the
+// permission, and a connection to the database.
+exports.hasPermission = async (userId, permission, conn) => {
+    const dbRes = await conn.query(`
+        SELECT 1 FROM user
+        JOIN role_permission ON (user.access_level = role_permission.access_level)
+        WHERE user.id = ?
+        AND role_permission.permission_name = ?;
+    `, [userId, permission]);
+    return dbRes.length > 0;
+}
+
+// getTopicPermissionGrant
+// 
+// Checks how a user is granted a permission within the discussions of a topic
+// given the user's ID, the name of the permission, the ID of the topic, and a
+// connection to the database. The permission is granted either by the user's
+// role or, for the permissions in TOPIC_PERMISSIONS, by being a moderator of
+// the topic.
+// 
+// Returns 'role' or 'topic-moderator' depending on what grants the permission,
+// or null if the user does not have the permission.
+exports.getTopicPermissionGrant = async (userId, permission, topicId, conn) => {
+    if (await exports.hasPermission(userId, permission, conn)) {
+        return 'role';
+    }
+    if (exports.TOPIC_PERMISSIONS.includes(permission)
+        && await exports.isTopicModerator(userId, topicId, conn)) {
+        return 'topic-moderator';
+    }
+    return null;
+}
+
+// isTopicModerator
+// 
+// Checks if a user is a moderator of a topic given the user's ID, the ID of
+// the topic, and a connection to the database.
+exports.isTopicModerator = async (userId, topicId, conn) => {
+    const dbRes = await conn.query(`
+        SELECT 1 FROM topic_moderator
+        WHERE topic_id = ?
+        AND user_id = ?;
+    `, [topicId, userId]);
+    return dbRes.length > 0;
+}
+
+// getPermissions
+// 
+// Gets all available permissions given a connection to the database, ordered
+// by name.
+// 
+// Returns an array of objects with the following attributes:
+//   - name (string): Name of the permission
+//   - description (string): Description of what the permission allows
+exports.getPermissions = async (conn) => {
+    const dbRes = await conn.query(`
+        SELECT permission_name, description FROM permission
+        ORDER BY permission_name;
+    `);
+
+    const permissions = [];
+    for (const permission of dbRes) {
+        permissions.push({
+            name: permission.permission_name,
+            description: permission.description
+        });
+    }
+    return permissions;
+}
+
+// getRoles
+// 
+// Gets all roles and their permissions given a connection to the database,
+// ordered by access level.
+// 
+// Returns an array of objects with the following attributes:
+//   - accessLevel (int): Access level of the role
+//   - title (string): Title of the role
+//   - permissions (array of strings): Names of the role's permissions
+exports.getRoles = async (conn) => {
+    const dbRes = await conn.query(`
+        SELECT
+            access.access_level,
+            access.title,
+            role_permission.permission_name
+        FROM access
+        LEFT JOIN role_permission ON (access.access_level = role_permission.access_level)
+        ORDER BY access.access_level, role_permission.permission_name;
+    `);
+
+    const roles = [];
+    for (const row of dbRes) {
+        if (roles.length === 0 || roles[roles.length - 1].accessLevel !== row.access_level) {
+            roles.push({
+                accessLevel: row.access_level,
+                title: row.title,
+                permissions: []
+            });
+        }
+        if (row.permission_name !== null) {
+            roles[roles.length - 1].permissions.push(row.permission_name);
+        }
+    }
+    return roles;
+}
+
+// setRolePermissions
+// 
+// Replaces the permissions of a role given the role's access level, an array
+// of permission names, and a connection to the database. Should be called
+// within a transaction.
+exports.setRolePermissions = async (accessLevel, permissions, conn) => {
+    await conn.query(`
+        DELETE FROM role_permission
+        WHERE access_level = ?;
+    `, [accessLevel]);
+    for (const permission of permissions) {
+        await conn.query(`
+            INSERT INTO role_permission (access_level, permission_name)
+            VALUES (?, ?);
+        `, [accessLevel, permission]);
+    }
+}
@@ -0,0 +1,155 @@
+// quibbles.js
+// 
+// Provides quibble helpers shared between routes, such as deleting a quibble
+// directly (DELETE /quibble/:id) or while resolving its reports.
+// 
+// Quibbles can also be hidden automatically, such as once they collect enough
+// condemns (see hideIfCondemned) or match an automoderation hold rule (see
+// automod.js). Hidden quibbles are returned as collapsed
+// entries without their content, and are listed for moderator review (see
+// GET /moderation/hidden-quibbles) until a moderator restores or removes them.
+// Restored quibbles are not hidden automatically again.
+
+'use strict'
+
+// util
+const RouteError = require('./routeerror.js');
+const auditLog = require('./auditlog.js');
+const permissions = require('./permissions.js');
+
+// deleteQuibble
+// 
+// Deletes a quibble given the quibble's ID, the quibble's current content, and
+// the req and res objects of the request. Deleted quibbles are kept with their
+// content set to null, and hidden quibbles pending review are marked as
+// removed. The deletion is recorded in the audit log, so this function should
+// be called within a transaction.
+exports.deleteQuibble = async (quibbleId, content, req, res) => {
+    await res.locals.conn.query(`
+        UPDATE quibble
+        SET
+            content = NULL,
+            hidden_state = IF(hidden_state = 'hidden', 'removed', hidden_state)
+        WHERE id = ?;
+    `, [quibbleId]);
+    await auditLog.record({
+        req: req,
+        res: res,
+        action: 'quibble.delete',
+        targetType: 'quibble',
+        targetId: quibbleId,
+        before: { content: content },
+        after: { content: null }
+    });
+}
+
+// hideIfCondemned
+// 
+// Hides a quibble pending moderator review if it has collected enough
+// condemns, given the quibble's ID and a connection to the database. A quibble
+// is hidden once it has at least QUIBBLE_HIDE_MIN_CONDEMNS condemns, and at
+// least QUIBBLE_HIDE_CONDEMN_RATIO condemns per participant of its discussion
+// (users that voted or posted quibbles in the discussion). Condemns and
+// participation of shadowbanned users are not counted. Automatic hiding is
+// disabled if QUIBBLE_HIDE_MIN_CONDEMNS is 0.
+// 
+// Returns true if the quibble was hidden.
+exports.hideIfCondemned = async (quibbleId, conn) => {
+    const minCondemns = +process.env.QUIBBLE_HIDE_MIN_CONDEMNS || 0;
+    if (minCondemns <= 0) {
+        return false;
+    }
+
+    const dbRes = await conn.query(`
+        SELECT
+            quibble.discussion_id,
+            COUNT(condemner.id) AS condemn_count
+        FROM quibble
+        LEFT JOIN condemning_user ON (quibble.id = condemning_user.quibble_id)
+        LEFT JOIN user condemner ON (
+            condemning_user.user_id = condemner.id
+            AND condemner.shadowbanned = FALSE)
+        WHERE quibble.id = ?
+        AND quibble.hidden_state IS NULL
+        AND quibble.content IS NOT NULL
+        GROUP BY quibble.id;
+    `, [quibbleId]);
+    if (dbRes.length === 0 || Number(dbRes[0].condemn_count) < minCondemns) {
+        return false;
+    }
+
+    const participantRes = await conn.query(`
+        SELECT COUNT(*) AS participant_count FROM (
+            SELECT user_id FROM user_choice
+            WHERE discussion_id = ?
+            UNION
+            SELECT author_id FROM quibble
+            WHERE discussion_id = ?
+            AND author_id IS NOT NULL
+        ) participant
+        JOIN user ON (participant.user_id = user.id)
+        WHERE user.shadowbanned = FALSE;
+    `, [dbRes[0].discussion_id, dbRes[0].discussion_id]);
+    const condemnRatio = Number(dbRes[0].condemn_count)
+        / Math.max(Number(participantRes[0].participant_count), 1);
+    if (condemnRatio < (+process.env.QUIBBLE_HIDE_CONDEMN_RATIO || 0)) {
+        return false;
+    }
+
+    return await exports.hideQuibble(quibbleId, 'condemns', conn);
+}
+
+// hideQuibble
+// 
+// Hides a quibble pending moderator review given the quibble's ID, the reason
+// it is hidden (either 'condemns' or 'automod'), and a connection to the
+// database. Quibbles that were already reviewed are not hidden again.
+// 
+// Returns true if the quibble was hidden.
+exports.hideQuibble = async (quibbleId, reason, conn) => {
+    const updateRes = await conn.query(`
+        UPDATE quibble
+        SET
+            hidden_state = 'hidden',
+            hidden_reason = ?,
+            date_hidden = NOW()
+        WHERE id = ?
+        AND hidden_state IS NULL;
+    `, [reason, quibbleId]);
+    return updateRes.affectedRows > 0;
+}
+
+// canViewHidden
+// 
+// Checks if a requester can view the content of hidden quibbles given the
+// requester's user info (or undefined if the requester is not logged-in) and
+// a connection to the database. Only users with the quibble.reports permission
+// can view the content of hidden quibbles.
+exports.canViewHidden = async (userInfo, conn) => {
+    return Boolean(userInfo)
+        && await permissions.hasPermission(userInfo.id, 'quibble.reports', conn);
+}
+
+// translateQuibbleId
+// 
+// Translates and validates a given quibbleId representation (such as a
+// string) into a BigInt value.
+// 
+// Throws a RouteError if the quibbleId is undefined or if the quibbleId
+// representation cannot be turned into a BigInt value.
+exports.translateQuibbleId = (quibbleId) => {
+    if (!quibbleId) {
+        throw new RouteError(
+            400,
+            'NO_QUIBBLE_ID',
+            'No quibble ID was provided in the URL parameters');
+    }
+    try {
+        return BigInt(quibbleId);
+    } catch {
+        throw new RouteError(
+            400,
+            'INVALID_QUIBBLE_ID',
+            'The provided quibble ID value must be a BigInt string');
+    }
+}
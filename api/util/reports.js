@@ -0,0 +1,31 @@
+// reports.js
+// 
+// Provides the categories of quibble reports and the actions that resolve
+// them. Users report quibbles with POST /quibble/:id/report, and the open
+// reports of each quibble are resolved together from the moderation queue
+// (see GET /moderation/reports).
+
+'use strict'
+
+// Available reason categories of reports
+exports.REASONS = Object.freeze([
+    'spam',
+    'harassment',
+    'hate',
+    'misinformation',
+    'off-topic',
+    'other'
+]);
+
+// Available actions for resolving the reports of a quibble:
+//   - dismiss: The reports are closed without any other action
+//   - delete: The quibble is deleted (its content is removed)
+//   - suspend: The author of the quibble is suspended
+exports.RESOLUTION_ACTIONS = Object.freeze([
+    'dismiss',
+    'delete',
+    'suspend'
+]);
+
+// Maximum number of characters of report and resolution notes
+exports.MAX_NOTE_LENGTH = 500;
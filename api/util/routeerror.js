@@ -3,12 +3,15 @@
 // RouteError
 // 
 // Error class for representing errors that occur during route handling. Used to
-// indicate an internal error versus an external error.
+// indicate an internal error versus an external error. An optional details
+// object can be provided to include additional attributes in the error
+// response body.
 module.exports = class RouteError extends Error {
-    constructor(status, code, message) {
+    constructor(status, code, message, details) {
         super(message || 'Unable to service request');
         this.status = status || 500;
         this.code = code || 'INTERNAL_SERVER_ERROR';
+        this.details = details;
     }
 }
 
@@ -0,0 +1,99 @@
+// shadowbans.js
+// 
+// Provides the filtering of content from shadowbanned users. Quibbles posted
+// while a user is shadowbanned are marked as shadowed, and the votes of a user
+// are marked as shadowed for as long as the user is shadowbanned. Shadowed
+// quibbles and votes, and the condemns of shadowbanned users, are only visible
+// to (and counted for) their own user and users with the user.shadowban
+// permission, so that shadowbanned users do not notice that they are
+// shadowbanned.
+
+'use strict'
+
+// util
+const permissions = require('./permissions.js');
+
+// canViewShadowed
+// 
+// Checks if a requester can view all shadowed content given the requester's
+// user info (or undefined if the requester is not logged-in) and a connection
+// to the database.
+exports.canViewShadowed = async (userInfo, conn) => {
+    return Boolean(userInfo)
+        && await permissions.hasPermission(userInfo.id, 'user.shadowban', conn);
+}
+
+// getVisibilityFilter
+// 
+// Gets an SQL condition that filters out the shadowed rows a requester cannot
+// view, given the requester's user info (or undefined if the requester is not
+// logged-in), the name or alias of the table with the shadowed column, the
+// column of the table holding the ID of the row's user, and a connection to
+// the database.
+// 
+// Returns an object with the following attributes:
+//   - sql (string): SQL condition to add to a WHERE or ON clause
+//   - args (array): Arguments for the placeholders of the condition
+exports.getVisibilityFilter = async (userInfo, table, userColumn, conn) => {
+    if (await exports.canViewShadowed(userInfo, conn)) {
+        return {
+            sql: 'TRUE',
+            args: []
+        };
+    }
+    if (userInfo) {
+        return {
+            sql: `(${table}.shadowed = FALSE OR ${table}.${userColumn} = ?)`,
+            args: [userInfo.id]
+        };
+    }
+    return {
+        sql: `${table}.shadowed = FALSE`,
+        args: []
+    };
+}
+
+// getCondemnVisibilityFilter
+// 
+// Gets an SQL condition that filters out the condemns a requester cannot
+// view, given the requester's user info (or undefined if the requester is not
+// logged-in), the name or alias of the user table joined to the condemning
+// users, and a connection to the database. Returns an object with the same
+// attributes as getVisibilityFilter.
+exports.getCondemnVisibilityFilter = async (userInfo, table, conn) => {
+    if (await exports.canViewShadowed(userInfo, conn)) {
+        return {
+            sql: 'TRUE',
+            args: []
+        };
+    }
+    if (userInfo) {
+        return {
+            sql: `(${table}.shadowbanned = FALSE OR ${table}.id = ?)`,
+            args: [userInfo.id]
+        };
+    }
+    return {
+        sql: `${table}.shadowbanned = FALSE`,
+        args: []
+    };
+}
+
+// setShadowbanned
+// 
+// Shadowbans or un-shadowbans a user given the user's ID, whether the user is
+// shadowbanned, and a connection to the database. The user's votes are
+// shadowed or revealed along with the user. Quibbles posted while the user was
+// shadowbanned stay shadowed. Should be called within a transaction.
+exports.setShadowbanned = async (userId, shadowbanned, conn) => {
+    await conn.query(`
+        UPDATE user
+        SET shadowbanned = ?
+        WHERE id = ?;
+    `, [shadowbanned, userId]);
+    await conn.query(`
+        UPDATE user_choice
+        SET shadowed = ?
+        WHERE user_id = ?;
+    `, [shadowbanned, userId]);
+}
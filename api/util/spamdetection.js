@@ -0,0 +1,214 @@
+// spamdetection.js
+// 
+// Provides the detection of duplicate and flood spam in new quibbles. Quibbles
+// are rejected when they are the same or near-identical to a recent quibble of
+// the same user (in any discussion) or of another user, or when the user posts
+// too many quibbles or to too many discussions within a short window. The
+// nginx rate limits only apply per IP address, so these checks apply per user.
+// 
+// Each detection is recorded, and users with at least SPAM_REVIEW_THRESHOLD
+// unreviewed detections are listed for moderator review (see
+// GET /moderation/suspicious-users).
+
+'use strict'
+
+// util
+const RouteError = require('./routeerror.js');
+
+// Available detection types:
+//   - duplicate: Same or near-identical to a recent quibble of the same user
+//   - copy: Same or near-identical to a recent quibble of another user. Shadowed
+//         quibbles and quibbles hidden pending review are not compared, so
+//         users cannot be flagged for repeating spam that nobody else sees
+//   - burst: Too many quibbles or discussions within the burst window
+exports.DETECTION_TYPES = Object.freeze([
+    'duplicate',
+    'copy',
+    'burst'
+]);
+
+// Maximum number of recent quibbles compared against a new quibble
+const DUPLICATE_LOOKBACK_COUNT = 50;
+const COPY_LOOKBACK_COUNT = 200;
+
+// validateNotSpam
+// 
+// Validates that a new quibble is not duplicate or flood spam given the
+// author's ID, the ID of the target discussion, the quibble's content, the
+// Express res object to apply the Retry-After header, and a connection to the
+// database. Detections are recorded before the error is thrown.
+// 
+// Throws a RouteError object with the error code POSTING_TOO_FAST and a
+// retryAfter attribute (in seconds) if the user is posting too fast, or
+// DUPLICATE_QUIBBLE if the content duplicates a recent quibble.
+exports.validateNotSpam = async (userId, discussionId, content, res, conn) => {
+    await validateBurst(userId, discussionId, content, res, conn);
+
+    const normalized = normalizeContent(content);
+    if (normalized.length < (+process.env.SPAM_MIN_CONTENT_LENGTH || 0)) {
+        return;
+    }
+
+    const ownRes = await conn.query(`
+        SELECT id, content FROM quibble
+        WHERE author_id = ?
+        AND content IS NOT NULL
+        AND date_posted > NOW() - INTERVAL ? HOUR
+        ORDER BY id DESC
+        LIMIT ?;
+    `, [userId, +process.env.SPAM_DUPLICATE_WINDOW_HOURS || 0, DUPLICATE_LOOKBACK_COUNT]);
+    const duplicate = findSimilar(normalized, ownRes);
+    if (duplicate) {
+        await recordDetection(userId, 'duplicate', discussionId, content, duplicate.id, conn);
+        throw new RouteError(
+            400,
+            'DUPLICATE_QUIBBLE',
+            'The quibble is the same as one of the user\'s recent quibbles');
+    }
+
+    const copyWindowHours = +process.env.SPAM_COPY_WINDOW_HOURS || 0;
+    if (copyWindowHours <= 0) {
+        return;
+    }
+    const copyRes = await conn.query(`
+        SELECT id, content FROM quibble
+        WHERE (author_id IS NULL OR author_id <> ?)
+        AND content IS NOT NULL
+        AND shadowed = FALSE
+        AND (hidden_state IS NULL OR hidden_state != 'hidden')
+        AND date_posted > NOW() - INTERVAL ? HOUR
+        AND CHAR_LENGTH(content) BETWEEN ? AND ?
+        ORDER BY id DESC
+        LIMIT ?;
+    `, [
+        userId,
+        copyWindowHours,
+        Math.floor(content.length / 2),
+        content.length * 2,
+        COPY_LOOKBACK_COUNT
+    ]);
+    const copy = findSimilar(normalized, copyRes);
+    if (copy) {
+        await recordDetection(userId, 'copy', discussionId, content, copy.id, conn);
+        throw new RouteError(
+            400,
+            'DUPLICATE_QUIBBLE',
+            'The quibble is the same as a recent quibble of another user');
+    }
+}
+
+// getSimilarity
+// 
+// Gets the similarity of two normalized texts from 0 (nothing in common) to 1
+// (identical), using the Dice coefficient of their character bigrams.
+exports.getSimilarity = (a, b) => {
+    if (a === b) {
+        return 1;
+    }
+    if (a.length < 2 || b.length < 2) {
+        return 0;
+    }
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+    return 2 * overlap / (a.length + b.length - 2);
+}
+
+// validateBurst
+// 
+// Helper function for validating that a user has not posted more than
+// SPAM_BURST_MAX_QUIBBLES quibbles, or to more than SPAM_BURST_MAX_DISCUSSIONS
+// discussions, within the last SPAM_BURST_WINDOW_SECONDS seconds (including
+// the new quibble).
+// 
+// Throws a RouteError object with the error code POSTING_TOO_FAST and a
+// retryAfter attribute (in seconds) if either maximum is exceeded.
+async function validateBurst(userId, discussionId, content, res, conn) {
+    const windowSeconds = +process.env.SPAM_BURST_WINDOW_SECONDS || 0;
+    if (windowSeconds <= 0) {
+        return;
+    }
+
+    const dbRes = await conn.query(`
+        SELECT
+            COUNT(*) AS quibble_count,
+            COUNT(DISTINCT IF(discussion_id = ?, NULL, discussion_id)) AS other_discussion_count,
+            TIMESTAMPDIFF(SECOND, NOW(), MIN(date_posted) + INTERVAL ? SECOND) AS retry_after
+        FROM quibble
+        WHERE author_id = ?
+        AND date_posted > NOW() - INTERVAL ? SECOND;
+    `, [discussionId, windowSeconds, userId, windowSeconds]);
+    const maxQuibbles = +process.env.SPAM_BURST_MAX_QUIBBLES || Infinity;
+    const maxDiscussions = +process.env.SPAM_BURST_MAX_DISCUSSIONS || Infinity;
+    if (Number(dbRes[0].quibble_count) + 1 <= maxQuibbles
+        && Number(dbRes[0].other_discussion_count) + 1 <= maxDiscussions) {
+        return;
+    }
+
+    await recordDetection(userId, 'burst', discussionId, content, null, conn);
+    const retryAfter = Math.max(1, Number(dbRes[0].retry_after));
+    res.set('Retry-After', retryAfter);
+    throw new RouteError(
+        429,
+        'POSTING_TOO_FAST',
+        `Too many quibbles were posted recently. Try again in ${retryAfter} seconds`,
+        { retryAfter: retryAfter });
+}
+
+// findSimilar
+// 
+// Helper function for finding the first quibble of an array of quibble rows
+// (with id and content attributes) whose content is at least
+// SPAM_DUPLICATE_SIMILARITY similar to a normalized text. Returns null if no
+// quibble is similar enough.
+function findSimilar(normalized, quibbles) {
+    const minSimilarity = +process.env.SPAM_DUPLICATE_SIMILARITY || 1;
+    for (const quibble of quibbles) {
+        if (exports.getSimilarity(normalized, normalizeContent(quibble.content)) >= minSimilarity) {
+            return quibble;
+        }
+    }
+    return null;
+}
+
+// normalizeContent
+// 
+// Helper function for normalizing the content of a quibble before comparing
+// it, so that changes in case, punctuation, and spacing are ignored.
+function normalizeContent(content) {
+    return content
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// recordDetection
+// 
+// Helper function for recording a spam detection given the user's ID, the
+// detection type (see DETECTION_TYPES), the ID of the target discussion, the
+// rejected content, the ID of the matched quibble (or null), and a connection
+// to the database.
+async function recordDetection(userId, detectionType, discussionId, content, matchedQuibbleId, conn) {
+    await conn.query(`
+        INSERT INTO spam_detection (
+            user_id,
+            detection_type,
+            discussion_id,
+            content,
+            matched_quibble_id)
+        VALUES (?, ?, ?, ?, ?);
+    `, [userId, detectionType, discussionId, content, matchedQuibbleId]);
+}
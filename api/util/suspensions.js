@@ -0,0 +1,103 @@
+// suspensions.js
+// 
+// Provides lookups of user suspensions. Suspended users can still log-in and
+// manage their account, but cannot post, vote, condemn, or use any other
+// routes that change the service until the suspension ends. Suspensions with
+// an expiry date are lifted automatically once the date passes, and
+// suspensions without an expiry date last until they are lifted by a
+// moderator.
+
+'use strict'
+
+// util
+const RouteError = require('./routeerror.js');
+
+// getActiveSuspension
+// 
+// Gets the active suspension of a user given the user's ID and a connection to
+// the database.
+// 
+// Returns an object with the following attributes, or null if the user is not
+// suspended:
+//   - id (int): ID of the suspension
+//   - reason (string): Reason given for the suspension
+//   - startTimestamp (number): Time the suspension started in UNIX seconds
+//   - endTimestamp (number or null): Time the suspension ends in UNIX seconds,
+//         or null if the suspension does not expire
+exports.getActiveSuspension = async (userId, conn) => {
+    const dbRes = await conn.query(`
+        SELECT
+            id,
+            reason,
+            UNIX_TIMESTAMP(date_created) AS start_timestamp,
+            UNIX_TIMESTAMP(date_expires) AS end_timestamp
+        FROM user_suspension
+        WHERE user_id = ?
+        AND date_lifted IS NULL
+        AND (date_expires IS NULL OR date_expires > NOW())
+        ORDER BY date_expires IS NULL DESC, date_expires DESC
+        LIMIT 1;
+    `, [userId]);
+    if (dbRes.length === 0) {
+        return null;
+    }
+
+    return {
+        id: dbRes[0].id,
+        reason: dbRes[0].reason,
+        startTimestamp: Number(dbRes[0].start_timestamp),
+        endTimestamp: dbRes[0].end_timestamp === null
+            ? null
+            : Number(dbRes[0].end_timestamp)
+    };
+}
+
+// addSuspension
+// 
+// Suspends a user given the user's ID, the ID of the suspending moderator, the
+// reason for the suspension, the number of hours until the suspension expires
+// (or undefined if the suspension does not expire), and a connection to the
+// database. The login sessions of the user are not revoked, which is left to
+// the caller (see tokenEdit.revokeUserSessions).
+// 
+// Returns the ID of the new suspension.
+exports.addSuspension = async (userId, moderatorId, reason, expireHours, conn) => {
+    const insertRes = await conn.query(`
+        INSERT INTO user_suspension (user_id, moderator_id, reason, date_expires)
+        VALUES (
+            ?,
+            ?,
+            ?,
+            IF(? IS NULL, NULL, NOW() + INTERVAL ? HOUR)
+        );
+    `, [userId, moderatorId, reason, expireHours, expireHours]);
+    return Number(insertRes.insertId);
+}
+
+// isSuspended
+// 
+// Checks if a user info object (the payload of an access token) belongs to a
+// suspended user. Suspensions that expired after the access token was issued
+// are treated as lifted.
+exports.isSuspended = (userInfo) => {
+    if (!userInfo.suspended) {
+        return false;
+    }
+    return userInfo.suspension_end === null
+        || userInfo.suspension_end > Date.now() / 1000;
+}
+
+// suspendedError
+// 
+// Creates the RouteError for requests by suspended users given the time the
+// suspension ends in UNIX seconds, or null if the suspension does not expire.
+// The end time is included in the error body as the suspendedUntil attribute.
+exports.suspendedError = (endTimestamp) => {
+    return new RouteError(
+        403,
+        'USER_SUSPENDED',
+        endTimestamp === null
+            ? 'The user is suspended indefinitely'
+            : `The user is suspended until ${new Date(endTimestamp * 1000).toISOString()}`,
+        { suspendedUntil: endTimestamp });
+}
@@ -4,29 +4,203 @@
 
 'use strict'
 
+// crypto
+const crypto = require('crypto');
+
 // jsonwebtoken
 const jwt = require('jsonwebtoken');
 
 // util
+const RouteError = require('./routeerror.js');
 const dbPool = require('./dbpool.js');
+const clientInfo = require('./clientinfo.js');
+const keyring = require('./keyring.js');
+const suspensions = require('./suspensions.js');
+
+// signToken
+// 
+// Signs a JWT with the active key of the keyring given its payload, the type of
+// the token (such as 'access' or 'refresh'), and optional jsonwebtoken sign
+// options. The token type is stored in the aud claim so that a token of one
+// type cannot be used in place of another.
+exports.signToken = (payload, tokenType, options) => {
+    return keyring.sign(payload, {
+        ...options,
+        audience: tokenType
+    });
+}
+
+// verifyToken
+// 
+// Verifies a JWT with the keyring given the token and its expected type.
+// Returns the decoded payload if the token is valid. Otherwise, throws an
+// error.
+exports.verifyToken = (token, tokenType) => {
+    return keyring.verify(token, { audience: tokenType });
+}
+
+// createRefreshToken
+// 
+// Creates a new login session for a user given the user's ID, the Express req
+// object of the login request, and a connection to the database. The session
+// is recorded in the user_session table along with the client's user agent and
+// IP address so that it can be listed and revoked before the refresh token
+// expires.
+// 
+// Returns a signed refresh JWT containing the user ID, session ID, and the
+// token ID that is rotated on every renewal.
+exports.createRefreshToken = async (userId, req, conn) => {
+    const tokenId = createTokenId();
+    const dbRes = await conn.query(`
+        INSERT INTO user_session (user_id, token_id, user_agent, ip_address)
+        VALUES (?, ?, ?, ?);
+    `, [userId, tokenId, clientInfo.getUserAgent(req), clientInfo.getIp(req)]);
+    const sessionId = Number(dbRes.insertId);
+
+    const refreshToken = exports.signToken(
+        {
+            id: userId,
+            sid: sessionId,
+            jti: tokenId
+        },
+        'refresh',
+        { expiresIn: process.env.JWT_REFRESH_EXPIRE_TIME }
+        );
+
+    await conn.query(`
+        UPDATE user_session
+        SET date_expires = FROM_UNIXTIME(?)
+        WHERE id = ?;
+    `, [jwt.decode(refreshToken).exp, sessionId]);
+
+    return refreshToken;
+}
+
+// renewTokens
+// 
+// Renews the tokens of a login session given the verified payload of its
+// refresh token and a connection to the database. If no connection is
+// provided, one is automatically created in the function.
+// 
+// The refresh token is rotated on every renewal: a new refresh token with the
+// same expiry date is issued and the given one is invalidated. If an already
+// rotated refresh token is presented again, it is treated as stolen and the
+// whole session is revoked. Tokens rotated less than
+// REFRESH_TOKEN_REUSE_GRACE_SECONDS ago are still accepted so that concurrent
+// requests from the same client do not end the session, but no new refresh
+// token is issued for them.
+// 
+// Returns an object with an accessToken attribute and an optional refreshToken
+// attribute if the session is valid. Otherwise, returns null. Throws a
+// RouteError with the code REFRESH_TOKEN_REUSED if token reuse is detected.
+exports.renewTokens = async (refreshInfo, conn) => {
+    let dbConn;
+    try {
+        dbConn = conn || await dbPool.getConnection();
+        const dbRes = await dbConn.query(`
+            SELECT
+                token_id,
+                previous_token_id,
+                UNIX_TIMESTAMP(date_expires) AS exp_timestamp,
+                date_rotated > NOW() - INTERVAL ? SECOND AS in_grace_period
+            FROM user_session
+            WHERE id = ?
+            AND user_id = ?
+            AND date_revoked IS NULL
+            AND date_expires > NOW();
+        `, [+process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, refreshInfo.sid, refreshInfo.id]);
+        if (dbRes.length === 0) {
+            return null;
+        }
+        const session = dbRes[0];
+
+        let refreshToken;
+        if (refreshInfo.jti && refreshInfo.jti === session.token_id) {
+            const tokenId = createTokenId();
+            const updateRes = await dbConn.query(`
+                UPDATE user_session
+                SET
+                    token_id = ?,
+                    previous_token_id = token_id,
+                    date_rotated = NOW()
+                WHERE id = ?
+                AND token_id = ?;
+            `, [tokenId, refreshInfo.sid, refreshInfo.jti]);
+
+            // A concurrent request may have rotated the token first, in which
+            // case the token is now within its grace period
+            if (updateRes.affectedRows > 0) {
+                refreshToken = exports.signToken(
+                    {
+                        id: refreshInfo.id,
+                        sid: refreshInfo.sid,
+                        jti: tokenId,
+                        exp: Number(session.exp_timestamp)
+                    },
+                    'refresh'
+                    );
+            }
+        }
+        else if (!refreshInfo.jti
+            || refreshInfo.jti !== session.previous_token_id
+            || !session.in_grace_period) {
+            await exports.revokeSession(refreshInfo.sid, dbConn);
+            throw new RouteError(
+                401,
+                'REFRESH_TOKEN_REUSED',
+                'The refresh token was already used, so the login session was ended');
+        }
+
+        const accessToken = await exports.createAccessToken(refreshInfo.id, refreshInfo.sid, dbConn);
+        if (!accessToken) {
+            return null;
+        }
+        return {
+            accessToken: accessToken,
+            refreshToken: refreshToken
+        };
+    } finally {
+        if (!conn && dbConn) dbConn.end();
+    }
+}
 
 // createAccessToken
 // 
-// Creates a new access token for a user given the user's ID and a connection
-// to the database. If no connection is provided, one is automatically created
-// in the function.
+// Creates a new access token for a user given the user's ID, the ID of the
+// login session it is renewed from, and a connection to the database. If no
+// connection is provided, one is automatically created in the function.
+// 
+// The session must exist for the user and must not be expired or revoked. The
+// renewal time of the session is updated on success.
+// 
+// The access token carries the suspension state of the user, so that routes
+// can be restricted without querying the database (see suspensions.js).
 // 
-// Returns a signed JWT if the user is found. Otherwise, returns null.
-exports.createAccessToken = async (userId, conn) => {
+// Returns a signed JWT if the user and session are found. Otherwise, returns
+// null.
+exports.createAccessToken = async (userId, sessionId, conn) => {
     // Query user info
-    let userInfo, dbConn;
+    let userInfo, suspension, dbConn;
     try {
         dbConn = conn || await dbPool.getConnection();
         const dbRes = await dbConn.query(`
-            SELECT id, username, access_level FROM \`user\`
-            WHERE id = ?;
-        `, [userId]);
+            SELECT user.id, username, access_level, password_reset_required FROM \`user\`
+            JOIN user_session ON (user.id = user_session.user_id)
+            WHERE user.id = ?
+            AND user_session.id = ?
+            AND date_revoked IS NULL
+            AND date_expires > NOW();
+        `, [userId, sessionId]);
         userInfo = dbRes[0];
+        if (!userInfo) {
+            return null;
+        }
+        await dbConn.query(`
+            UPDATE user_session
+            SET date_renewed = NOW()
+            WHERE id = ?;
+        `, [sessionId]);
+        suspension = await suspensions.getActiveSuspension(userId, dbConn);
     } catch {
         return null;
     } finally {
@@ -34,23 +208,56 @@ exports.createAccessToken = async (userId, conn) => {
     }
 
     // Return signed access token containing user info
-    return jwt.sign(
+    return exports.signToken(
         {
             id: userInfo.id,
+            sid: sessionId,
             username: userInfo.username,
-            access_level: userInfo.access_level
+            access_level: userInfo.access_level,
+            password_reset_required: Boolean(userInfo.password_reset_required),
+            suspended: suspension !== null,
+            suspension_end: suspension ? suspension.endTimestamp : null
         }, 
-        process.env.JWT_SECRET,
+        'access',
         { expiresIn: process.env.JWT_ACCESS_EXPIRE_TIME }
         );
 }
 
+// revokeSession
+// 
+// Revokes a single login session given the session ID and a connection to the
+// database. Refresh tokens bound to the session can no longer renew access
+// tokens.
+exports.revokeSession = async (sessionId, conn) => {
+    await conn.query(`
+        UPDATE user_session
+        SET date_revoked = NOW()
+        WHERE id = ?
+        AND date_revoked IS NULL;
+    `, [sessionId]);
+}
+
+// revokeUserSessions
+// 
+// Revokes all login sessions of a user given the user's ID and a connection to
+// the database. If exceptSessionId is provided, that session is left active.
+exports.revokeUserSessions = async (userId, conn, exceptSessionId) => {
+    await conn.query(`
+        UPDATE user_session
+        SET date_revoked = NOW()
+        WHERE user_id = ?
+        AND date_revoked IS NULL
+        ${exceptSessionId ? 'AND id != ?' : ''};
+    `, exceptSessionId ? [userId, exceptSessionId] : [userId]);
+}
+
 // setRefreshToken
 // 
 // Sets a given refresh token to the provided response object. Applies the
-// httpOnly and expiry date cookie options.
+// httpOnly, expiry date, and configured cookie options.
 exports.setRefreshToken = async (refreshToken, res) => {
     res.cookie('refresh_token', refreshToken, {
+        ...getCookieOptions(),
         httpOnly: true,
         expires: new Date(Date.now() + +process.env.COOKIE_EXPIRY_TIME_MS)
     });
@@ -58,10 +265,80 @@ exports.setRefreshToken = async (refreshToken, res) => {
 
 // setAccessToken
 // 
-// Sets a given access token to the provided response object. Applies the expiry
-// date cookie option.
+// Sets a given access token to the provided response object. Applies the
+// httpOnly, expiry date, and configured cookie options.
 exports.setAccessToken = async (accessToken, res) => {
     res.cookie('access_token', accessToken, {
+        ...getCookieOptions(),
+        httpOnly: true,
+        expires: new Date(Date.now() + +process.env.COOKIE_EXPIRY_TIME_MS)
+    });
+}
+
+// setCsrfToken
+// 
+// Generates a new CSRF token and sets it to the provided response object. The
+// cookie is not httpOnly so that the client can copy it to the X-CSRF-Token
+// header of its requests. Returns the generated CSRF token.
+exports.setCsrfToken = (res) => {
+    const csrfToken = crypto.randomBytes(32).toString('base64url');
+    res.cookie('csrf_token', csrfToken, {
+        ...getCookieOptions(),
         expires: new Date(Date.now() + +process.env.COOKIE_EXPIRY_TIME_MS)
     });
+    return csrfToken;
+}
+
+// setOAuthState
+// 
+// Sets a given signed OAuth state token to the provided response object. The
+// cookie is limited to the /auth/oauth routes and always uses SameSite=Lax so
+// that it is sent when the identity provider redirects back to the callback.
+exports.setOAuthState = (stateToken, res) => {
+    res.cookie('oauth_state', stateToken, {
+        ...getCookieOptions(),
+        sameSite: 'lax',
+        httpOnly: true,
+        path: '/auth/oauth'
+    });
+}
+
+// clearOAuthState
+// 
+// Clears the OAuth state cookie from the provided response object.
+exports.clearOAuthState = (res) => {
+    res.clearCookie('oauth_state', {
+        ...getCookieOptions(),
+        sameSite: 'lax',
+        path: '/auth/oauth'
+    });
+}
+
+// clearTokens
+// 
+// Clears the refresh token, access token, and CSRF token cookies from the
+// provided response object.
+exports.clearTokens = (res) => {
+    res.clearCookie('refresh_token', getCookieOptions());
+    res.clearCookie('access_token', getCookieOptions());
+    res.clearCookie('csrf_token', getCookieOptions());
+}
+
+// createTokenId
+// 
+// Helper function for generating a random refresh token ID.
+function createTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// getCookieOptions
+// 
+// Helper function for getting the cookie options configured by the
+// COOKIE_SAME_SITE, COOKIE_SECURE, and COOKIE_DOMAIN environment variables.
+function getCookieOptions() {
+    return {
+        sameSite: process.env.COOKIE_SAME_SITE || 'lax',
+        secure: +process.env.COOKIE_SECURE === 1,
+        domain: process.env.COOKIE_DOMAIN || undefined
+    };
 }
@@ -0,0 +1,144 @@
+// twofactor.js
+// 
+// Provides helper functions for two-factor authentication, including RFC 6238
+// time-based one-time passwords (TOTP) and single-use recovery codes.
+
+'use strict'
+
+// crypto
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Number of time steps before and after the current one that are accepted to
+// allow for clock drift
+const TOTP_WINDOW = 1;
+
+// generateSecret
+// 
+// Generates a new random TOTP secret. Returns the secret as a base32 string.
+exports.generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// getKeyUri
+// 
+// Gets the otpauth:// key URI for a given TOTP secret and account name. The
+// URI can be shown as a QR code to be scanned by authenticator apps.
+exports.getKeyUri = (secret, accountName) => {
+    const issuer = process.env.TWO_FACTOR_ISSUER;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}`
+        + `&issuer=${encodeURIComponent(issuer)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+// verifyCode
+// 
+// Verifies a TOTP code given the base32 secret, the code, and the last time
+// step that was successfully used (or null). Codes from time steps that are not
+// after the last used time step are rejected to prevent code reuse.
+// 
+// Returns the time step of the matched code if the code is valid. Otherwise,
+// returns null.
+exports.verifyCode = (secret, code, lastStep) => {
+    if (typeof code !== 'string' || !(new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code))) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; ++step) {
+        if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) {
+            continue;
+        }
+        const expected = generateCode(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// generateRecoveryCodes
+// 
+// Generates a given number of random recovery codes in the format
+// 'xxxxx-xxxxx'. Returns an array of the raw recovery code strings.
+exports.generateRecoveryCodes = (count) => {
+    const codes = [];
+    for (let i = 0; i < count; ++i) {
+        const code = base32Encode(crypto.randomBytes(7)).substring(0, 10).toLowerCase();
+        codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+    }
+    return codes;
+}
+
+// hashRecoveryCode
+// 
+// Hashes a raw recovery code for storage. Recovery codes are compared
+// case-insensitively and without dashes or whitespace.
+exports.hashRecoveryCode = (code) => {
+    const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// generateCode
+// 
+// Helper function for generating the HOTP code (RFC 4226) of a given key buffer
+// and counter value.
+function generateCode(key, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return binary.toString().padStart(TOTP_DIGITS, '0');
+}
+
+// base32Encode
+// 
+// Helper function for encoding a buffer as an unpadded base32 string (RFC 4648).
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// base32Decode
+// 
+// Helper function for decoding a base32 string (RFC 4648) into a buffer.
+// Padding, whitespace, and letter case are ignored.
+function base32Decode(input) {
+    const cleaned = input.replace(/[=\s]/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
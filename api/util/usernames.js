@@ -0,0 +1,130 @@
+// usernames.js
+// 
+// Provides the canonical forms of usernames used for uniqueness checks and
+// logging-in. Two canonical forms are stored for every user:
+//   - username_canonical: The username after Unicode normalization (NFKC) and
+//         case folding. Usernames that only differ in case are the same user
+//   - username_skeleton: The canonical username with accents removed and
+//         look-alike (confusable) characters replaced. Usernames with the same
+//         skeleton are visually similar and cannot both be used
+
+'use strict'
+
+// util
+const confusables = require('./confusables.js');
+const dbPool = require('./dbpool.js');
+
+// getCanonicalUsername
+// 
+// Gets the canonical form of a username. Returns the NFKC-normalized and case
+// folded username.
+exports.getCanonicalUsername = (username) => {
+    return foldCase(String(username).normalize('NFKC'));
+}
+
+// getUsernameSkeleton
+// 
+// Gets the confusable skeleton of a username. Usernames that look alike, such
+// as 'paypal' and 'pаypаl' (with Cyrillic a's) or 'admin' and 'adm1n', have
+// the same skeleton.
+exports.getUsernameSkeleton = (username) => {
+    let skeleton = '';
+    const normalized = String(username)
+        .normalize('NFKC')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '');
+    for (const char of normalized) {
+        skeleton += confusables.CHARACTERS[char] ?? char;
+    }
+
+    skeleton = foldCase(skeleton);
+    for (const [sequence, replacement] of confusables.SEQUENCES) {
+        skeleton = skeleton.replaceAll(sequence, replacement);
+    }
+    return skeleton;
+}
+
+// recordFinalUsername
+// 
+// Adds the current username of a user to the username history given the
+// user's ID, the ID of the user removing the account, and a connection to the
+// database. Should be called within the same transaction that removes the
+// account, so that the username stays on hold for USERNAME_RELEASE_HOLD_DAYS
+// days after the account is gone.
+exports.recordFinalUsername = async (userId, changedById, conn) => {
+    const dbRes = await conn.query(`
+        SELECT username, username_canonical, username_skeleton FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length === 0) {
+        return;
+    }
+
+    await conn.query(`
+        INSERT INTO username_history (
+            user_id,
+            username,
+            username_canonical,
+            username_skeleton,
+            changed_by_id)
+        VALUES (?, ?, ?, ?, ?);
+    `, [
+        userId,
+        dbRes[0].username,
+        dbRes[0].username_canonical || exports.getCanonicalUsername(dbRes[0].username),
+        dbRes[0].username_skeleton || exports.getUsernameSkeleton(dbRes[0].username),
+        changedById
+    ]);
+}
+
+// backfillCanonicalUsernames
+// 
+// Fills in the canonical username and skeleton of users created before the
+// columns existed. Users whose canonical username or skeleton collides with
+// another user are logged and left without the colliding column, and must be
+// renamed by an admin.
+exports.backfillCanonicalUsernames = async () => {
+    let conn;
+    try {
+        conn = await dbPool.getConnection();
+        const dbRes = await conn.query(`
+            SELECT id, username, username_canonical, username_skeleton FROM user
+            WHERE username_canonical IS NULL
+            OR username_skeleton IS NULL
+            ORDER BY id;
+        `);
+
+        for (const user of dbRes) {
+            for (const [column, value] of [
+                ['username_canonical', exports.getCanonicalUsername(user.username)],
+                ['username_skeleton', exports.getUsernameSkeleton(user.username)]
+            ]) {
+                if (user[column] !== null) {
+                    continue;
+                }
+                try {
+                    await conn.query(`
+                        UPDATE user
+                        SET ${column} = ?
+                        WHERE id = ?;
+                    `, [value, user.id]);
+                } catch (err) {
+                    if (err.code !== 'ER_DUP_ENTRY') {
+                        throw err;
+                    }
+                    console.error(`Username of user ${user.id} collides with another user (${column})`);
+                }
+            }
+        }
+    } finally {
+        if (conn) conn.end();
+    }
+}
+
+// foldCase
+// 
+// Helper function for case folding a string. Upper-casing first folds special
+// cases such as 'ß' into 'ss'.
+function foldCase(str) {
+    return str.toUpperCase().toLowerCase();
+}
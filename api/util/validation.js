@@ -7,9 +7,49 @@
 // routeerror.js
 const RouteError = require('./routeerror.js');
 
+// usernames.js
+const usernames = require('./usernames.js');
+
+// passwords.js
+const passwords = require('./passwords.js');
+
+// passwordpolicy.js
+const passwordPolicy = require('./passwordpolicy.js');
+
+// suspensions.js
+const suspensions = require('./suspensions.js');
+
+// permissions.js
+const permissions = require('./permissions.js');
+
+// automod.js
+const automod = require('./automod.js');
+
+// Scripts checked for mixed-script usernames. Chinese, Japanese, and Korean
+// scripts are commonly mixed, so they are treated as a single script.
+const USERNAME_SCRIPTS = [
+    ['Latin', /\p{Script=Latin}/u],
+    ['Cyrillic', /\p{Script=Cyrillic}/u],
+    ['Greek', /\p{Script=Greek}/u],
+    ['Armenian', /\p{Script=Armenian}/u],
+    ['Georgian', /\p{Script=Georgian}/u],
+    ['Hebrew', /\p{Script=Hebrew}/u],
+    ['Arabic', /\p{Script=Arabic}/u],
+    ['Devanagari', /\p{Script=Devanagari}/u],
+    ['Thai', /\p{Script=Thai}/u],
+    ['CJK', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u]
+];
+
 // validateUsername
 // 
-// Validates the given username.
+// Validates the given username. Usernames are validated after Unicode
+// normalization (NFKC), and must:
+//   - Be between USERNAME_MIN_LENGTH and USERNAME_MAX_LENGTH characters long
+//   - Only consist of letters and numbers, optionally separated by single _,
+//         ., or - characters
+//   - Only use letters of a single script (Chinese, Japanese, and Korean
+//         scripts count as one script)
+//   - Not look like a name in RESERVED_USERNAMES
 // 
 // Throws a RouteError object if the username conditions are not met as defined
 // in the environment variables. Otherwise, returns true.
@@ -20,19 +60,104 @@ exports.validateUsername = (username) => {
             'NO_USERNAME',
             'Username not provided');
     }
-    if (username.length > process.env.USERNAME_MAX_LENGTH) {
+    if (typeof username !== 'string') {
+        throw new RouteError(
+            400,
+            'INVALID_USERNAME',
+            'Username must be a string');
+    }
+    username = username.normalize('NFKC');
+    const usernameLength = [...username].length;
+    if (usernameLength > process.env.USERNAME_MAX_LENGTH) {
         throw new RouteError(
             400,
             'USERNAME_TOO_LONG',
             `Username cannot be longer than ${ process.env.USERNAME_MAX_LENGTH } characters`);
     }
+    if (usernameLength < process.env.USERNAME_MIN_LENGTH) {
+        throw new RouteError(
+            400,
+            'USERNAME_TOO_SHORT',
+            `Username cannot be shorter than ${ process.env.USERNAME_MIN_LENGTH } characters`);
+    }
+    if (!(/^[\p{L}\p{M}\p{Nd}]+([_.-][\p{L}\p{M}\p{Nd}]+)*$/u.test(username))) {
+        throw new RouteError(
+            400,
+            'USERNAME_INVALID_CHARACTERS',
+            'Username must only consist of letters and numbers, optionally separated by single _, ., or - characters');
+    }
+    if (getScripts(username).size > 1) {
+        throw new RouteError(
+            400,
+            'USERNAME_MIXED_SCRIPTS',
+            'Username cannot mix letters of different scripts');
+    }
+    const skeleton = usernames.getUsernameSkeleton(username);
+    for (const reservedUsername of (process.env.RESERVED_USERNAMES || '').split(',')) {
+        if (reservedUsername.trim()
+            && usernames.getUsernameSkeleton(reservedUsername.trim()) === skeleton) {
+            throw new RouteError(
+                400,
+                'USERNAME_RESERVED',
+                'Username is reserved');
+        }
+    }
 
     return true;
 }
 
+// validateUsernameAvailable
+// 
+// Validates that the given username is not used by another user, and that it
+// does not look like the username of another user. Usernames released by
+// another user within the last USERNAME_RELEASE_HOLD_DAYS days are also
+// unavailable, so that users cannot be impersonated right after renaming. If
+// exceptUserId is provided, the current and past usernames of that user are
+// ignored.
+// 
+// Throws a RouteError object if the username is unavailable.
+exports.validateUsernameAvailable = async (username, conn, exceptUserId) => {
+    const canonicalUsername = usernames.getCanonicalUsername(username);
+    const skeleton = usernames.getUsernameSkeleton(username);
+    let dbRes = await conn.query(`
+        SELECT username_canonical FROM user
+        WHERE (username_canonical = ? OR username_skeleton = ?)
+        AND id != ?;
+    `, [canonicalUsername, skeleton, exceptUserId || 0]);
+    if (dbRes.length !== 0) {
+        if (dbRes.some(user => user.username_canonical === canonicalUsername)) {
+            throw new RouteError(
+                400,
+                'USERNAME_ALREADY_TAKEN',
+                'Username is already being used');
+        }
+        throw new RouteError(
+            400,
+            'USERNAME_TOO_SIMILAR',
+            'Username looks too similar to an existing username');
+    }
+
+    dbRes = await conn.query(`
+        SELECT id FROM username_history
+        WHERE (username_canonical = ? OR username_skeleton = ?)
+        AND (user_id IS NULL OR user_id != ?)
+        AND date_changed > NOW() - INTERVAL ? DAY
+        LIMIT 1;
+    `, [canonicalUsername, skeleton, exceptUserId || 0, +process.env.USERNAME_RELEASE_HOLD_DAYS || 0]);
+    if (dbRes.length !== 0) {
+        throw new RouteError(
+            400,
+            'USERNAME_ON_HOLD',
+            'Username was recently used by another user and cannot be claimed yet');
+    }
+}
+
 // validatePassword
 // 
-// Validates the given password.
+// Validates the given password. Passwords are validated after Unicode
+// normalization (NFKC), and must be between PASSWORD_MIN_LENGTH and
+// PASSWORD_MAX_LENGTH characters long and no longer than 72 bytes (the limit
+// of bcrypt). Any Unicode characters can be used.
 // 
 // Throws a RouteError object if the password conditions are not met as defined
 // in the environment variables. Otherwise, returns true.
@@ -43,19 +168,27 @@ exports.validatePassword = (password) => {
             'NO_PASSWORD',
             'Password not provided');
     }
-    if (!(/^[\x00-\x7F]*$/.test(password))) {
+    if (typeof password !== 'string') {
         throw new RouteError(
             400,
-            'PASSWORD_NOT_ASCII',
-            'Password must only consist of Ascii characters');
+            'INVALID_PASSWORD',
+            'Password must be a string');
     }
-    if (password.length > process.env.PASSWORD_MAX_LENGTH) {
+    password = passwords.normalizePassword(password);
+    const passwordLength = [...password].length;
+    if (passwordLength > process.env.PASSWORD_MAX_LENGTH) {
         throw new RouteError(
             400,
             'PASSWORD_TOO_LONG',
             `Password cannot be longer than ${ process.env.PASSWORD_MAX_LENGTH } characters`);
     }
-    if (password.length < process.env.PASSWORD_MIN_LENGTH) {
+    if (Buffer.byteLength(password) > passwords.MAX_BYTES) {
+        throw new RouteError(
+            400,
+            'PASSWORD_TOO_LONG',
+            `Password cannot be longer than ${ passwords.MAX_BYTES } bytes`);
+    }
+    if (passwordLength < process.env.PASSWORD_MIN_LENGTH) {
         throw new RouteError(
             400,
             'PASSWORD_TOO_SHORT',
@@ -65,6 +198,77 @@ exports.validatePassword = (password) => {
     return true;
 }
 
+// validateNewPassword
+// 
+// Validates a new password given the password and the username of its user.
+// In addition to the conditions of validatePassword, the password must reach
+// a strength score of at least PASSWORD_MIN_SCORE (from 0 to 4) and must not
+// be in the breached-password list. See passwordpolicy.js for the policy.
+// 
+// Throws a RouteError object with the code PASSWORD_BREACHED or
+// PASSWORD_TOO_WEAK if the password is rejected by the policy. The error body
+// includes a feedback object with the following attributes:
+//   - score (number): Strength score of the password, from 0 to 4
+//   - minScore (number): Minimum strength score required
+//   - breached (bool): Indicates if the password has appeared in a breach
+//   - warnings (array of strings): Explanations of the weak patterns found
+//   - suggestions (array of strings): Suggestions for a stronger password
+// Otherwise, returns true.
+exports.validateNewPassword = async (password, username) => {
+    exports.validatePassword(password);
+
+    const feedback = await passwordPolicy.checkPassword(
+        passwords.normalizePassword(password),
+        { username: username });
+    const minScore = +process.env.PASSWORD_MIN_SCORE || 0;
+    if (feedback.breached) {
+        throw new RouteError(
+            400,
+            'PASSWORD_BREACHED',
+            'Password has appeared in a data breach and cannot be used',
+            { feedback: { ...feedback, minScore: minScore } });
+    }
+    if (feedback.score < minScore) {
+        throw new RouteError(
+            400,
+            'PASSWORD_TOO_WEAK',
+            'Password is too easy to guess',
+            { feedback: { ...feedback, minScore: minScore } });
+    }
+
+    return true;
+}
+
+// validateEmail
+// 
+// Validates the given email address.
+// 
+// Throws a RouteError object if the email address is not provided, is not
+// formatted as an email address, or is longer than 254 characters. Otherwise,
+// returns true.
+exports.validateEmail = (email) => {
+    if (!email) {
+        throw new RouteError(
+            400,
+            'NO_EMAIL',
+            'Email address not provided');
+    }
+    if (typeof email !== 'string' || !(/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+        throw new RouteError(
+            400,
+            'INVALID_EMAIL',
+            'The provided email address is not a valid email address');
+    }
+    if (email.length > 254) {
+        throw new RouteError(
+            400,
+            'EMAIL_TOO_LONG',
+            'Email address cannot be longer than 254 characters');
+    }
+
+    return true;
+}
+
 // validateUserId
 // 
 // Validates the given user ID.
@@ -88,6 +292,71 @@ exports.validateUserId = (userId) => {
     return true;
 }
 
+// validatePermission
+// 
+// Validates that the given user has the given permission (see permissions.js).
+// Routes are authorized with the requirePermission middleware in server.js,
+// which uses this function.
+// 
+// If a topic ID is given, the permission is validated within the discussions
+// of the topic, so that moderators of the topic are also authorized for the
+// permissions in permissions.TOPIC_PERMISSIONS. Routes with topic-scoped
+// permissions call this function in their route resolver.
+// 
+// If REQUIRE_TWO_FACTOR_FOR_MODERATORS is set to 1, moderator-level users and
+// above must also have two-factor authentication enabled to use any
+// permission, and so must topic moderators to use the permissions granted by
+// moderating the topic.
+// 
+// Throws a RouteError object if the user is not authorized.
+exports.validatePermission = async (permission, userId, conn, topicId) => {
+    if (!userId || !permission || !conn) {
+        console.error('validatePermission error: userId, permission, or conn not provided');
+        throw {};
+    }
+
+    const dbRes = await conn.query(`
+        SELECT
+            access_level,
+            totp_enabled
+        FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length === 0) {
+        console.error(`validatePermission error: Unknown userId ${userId}`);
+        throw {};
+    }
+
+    const grant = topicId === undefined
+        ? (await permissions.hasPermission(userId, permission, conn) ? 'role' : null)
+        : await permissions.getTopicPermissionGrant(userId, permission, topicId, conn);
+    if (!grant) {
+        throw new RouteError(
+            403,
+            'UNAUTHORIZED_PERMISSION',
+            `The user does not have the ${permission} permission`,
+            { permission: permission });
+    }
+    if (exports.isTwoFactorRequired(dbRes[0].access_level, grant === 'topic-moderator')
+        && !dbRes[0].totp_enabled) {
+        throw new RouteError(
+            403,
+            'TWO_FACTOR_SETUP_REQUIRED',
+            'The user must enable two-factor authentication to use this resource');
+    }
+}
+
+// validateAccessLevel
+// 
+// Validates that the given user has at least the given access level. Used for
+// checking that a user outranks the target of an action, such as a user being
+// suspended. Access to routes is checked with validatePermission instead.
+// 
+// If REQUIRE_TWO_FACTOR_FOR_MODERATORS is set to 1, moderator-level users and
+// above must also have two-factor authentication enabled to use privileges of
+// moderator-level or above.
+// 
+// Throws a RouteError object if the user is not authorized.
 exports.validateAccessLevel = async (minAccessLevel, userId, conn) => {
     if (!userId || !minAccessLevel || !conn) {
         console.error('validateAccessLevel error: userId, minAccessLevel, or conn not provided');
@@ -96,7 +365,8 @@ exports.validateAccessLevel = async (minAccessLevel, userId, conn) => {
 
     const dbRes = await conn.query(`
         SELECT
-            access_level
+            access_level,
+            totp_enabled
         FROM user
         WHERE id = ?;
     `, [userId]);
@@ -111,4 +381,246 @@ exports.validateAccessLevel = async (minAccessLevel, userId, conn) => {
             'UNAUTHORIZED_ACCESS_LEVEL',
             'The user does not have privileges to this resource');
     }
-}
\ No newline at end of file
+    if (minAccessLevel >= +process.env.ACCESS_LEVEL_MODERATOR
+        && exports.isTwoFactorRequired(dbRes[0].access_level)
+        && !dbRes[0].totp_enabled) {
+        throw new RouteError(
+            403,
+            'TWO_FACTOR_SETUP_REQUIRED',
+            'The user must enable two-factor authentication to use this resource');
+    }
+}
+
+// isTwoFactorRequired
+// 
+// Checks if two-factor authentication is required by the
+// REQUIRE_TWO_FACTOR_FOR_MODERATORS policy given a user's access level, and
+// whether the user is acting as a topic moderator.
+exports.isTwoFactorRequired = (accessLevel, topicModerator) => {
+    return +process.env.REQUIRE_TWO_FACTOR_FOR_MODERATORS === 1
+        && (accessLevel >= +process.env.ACCESS_LEVEL_MODERATOR || Boolean(topicModerator));
+}
+
+// validateEmailVerified
+// 
+// Validates that the given user has verified their email address. Only
+// enforced if the REQUIRE_EMAIL_VERIFICATION environment variable is set to 1.
+// 
+// Throws a RouteError object if the user has not verified their email address.
+exports.validateEmailVerified = async (userId, conn) => {
+    if (+process.env.REQUIRE_EMAIL_VERIFICATION !== 1) {
+        return;
+    }
+    if (!userId || !conn) {
+        console.error('validateEmailVerified error: userId or conn not provided');
+        throw {};
+    }
+
+    const dbRes = await conn.query(`
+        SELECT
+            email_verified
+        FROM user
+        WHERE id = ?;
+    `, [userId]);
+    if (dbRes.length === 0) {
+        console.error(`validateEmailVerified error: Unknown userId ${userId}`);
+        throw {};
+    }
+
+    if (!dbRes[0].email_verified) {
+        throw new RouteError(
+            403,
+            'EMAIL_NOT_VERIFIED',
+            'The user must verify their email address before continuing');
+    }
+}
+
+// validateNotSuspended
+// 
+// Validates that a user is not suspended given the user's ID and a connection
+// to the database. Used by routes that let users post, vote, or condemn, so
+// that suspensions apply immediately even if the user's access token was
+// issued before the suspension.
+// 
+// Throws a RouteError object with the code USER_SUSPENDED if the user is
+// suspended.
+exports.validateNotSuspended = async (userId, conn) => {
+    const suspension = await suspensions.getActiveSuspension(userId, conn);
+    if (suspension) {
+        throw suspensions.suspendedError(suspension.endTimestamp);
+    }
+}
+
+// validateSuspension
+// 
+// Validates the reason and the optional expiry (in hours) of a new suspension.
+// The reason must be a non-empty string of at most 500 characters, and the
+// expiry must be a positive int if provided.
+// 
+// Throws a RouteError object if the reason or expiry is invalid.
+exports.validateSuspension = (reason, expireHours) => {
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+        throw new RouteError(
+            400,
+            'NO_REASON',
+            'No suspension reason was provided in the request body');
+    }
+    if (reason.trim().length > 500) {
+        throw new RouteError(
+            400,
+            'INVALID_REASON',
+            'The suspension reason cannot exceed 500 characters');
+    }
+    if (expireHours !== undefined && (!Number.isInteger(expireHours) || expireHours < 1)) {
+        throw new RouteError(
+            400,
+            'INVALID_SUSPENSION_EXPIRY',
+            'The suspension expiry must be a positive int number of hours');
+    }
+}
+
+// validateAutomodRule
+// 
+// Validates the attributes of an automoderation rule given an object with the
+// name, type, value, action, and targets attributes (see automod.js). The value
+// must be valid for the rule's type, such as a compilable pattern for regex
+// rules (see automod.isSafePattern) or an int for link-limit rules.
+// 
+// Throws a RouteError object if any attribute is invalid.
+exports.validateAutomodRule = (rule) => {
+    if (typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+        throw new RouteError(
+            400,
+            'NO_RULE_NAME',
+            'No rule name was provided in the request body');
+    }
+    if (rule.name.trim().length > 100) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_NAME',
+            'The rule name cannot exceed 100 characters');
+    }
+    if (!automod.RULE_TYPES.includes(rule.type)) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_TYPE',
+            `The rule type must be one of ${automod.RULE_TYPES.join(', ')}`);
+    }
+    if (!automod.ACTIONS.includes(rule.action)) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_ACTION',
+            `The rule action must be one of ${automod.ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(rule.targets)
+        || rule.targets.length === 0
+        || !rule.targets.every((target) => automod.TARGETS.includes(target))) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_TARGETS',
+            `The rule targets must be a non-empty array of ${automod.TARGETS.join(', ')}`);
+    }
+
+    const value = rule.value;
+    if ((typeof value !== 'string' && typeof value !== 'number')
+        || String(value).length === 0
+        || String(value).length > 1000) {
+        throw new RouteError(
+            400,
+            'INVALID_RULE_VALUE',
+            'The rule value must be a non-empty string of at most 1000 characters');
+    }
+    switch (rule.type) {
+        case 'banned-words':
+            if (String(value).split(',').every((word) => word.trim().length === 0)) {
+                throw new RouteError(
+                    400,
+                    'INVALID_RULE_VALUE',
+                    'The rule value must contain at least one word');
+            }
+            break;
+        case 'regex':
+            try {
+                new RegExp(value, 'iu');
+            } catch {
+                throw new RouteError(
+                    400,
+                    'INVALID_RULE_VALUE',
+                    'The rule value must be a valid regular expression');
+            }
+            if (!automod.isSafePattern(value)) {
+                throw new RouteError(
+                    400,
+                    'UNSAFE_RULE_VALUE',
+                    `The regular expression cannot exceed ${automod.REGEX_MAX_LENGTH} characters, `
+                    + 'contain backreferences, or repeat a group that contains a quantifier');
+            }
+            break;
+        case 'caps-ratio':
+            if (!(+value > 0 && +value <= 1)) {
+                throw new RouteError(
+                    400,
+                    'INVALID_RULE_VALUE',
+                    'The rule value must be a ratio between 0 and 1');
+            }
+            break;
+        case 'link-limit':
+            if (!Number.isInteger(+value) || +value < 0) {
+                throw new RouteError(
+                    400,
+                    'INVALID_RULE_VALUE',
+                    'The rule value must be a non-negative int');
+            }
+            break;
+        default:
+            if (!Number.isInteger(+value) || +value < 1) {
+                throw new RouteError(
+                    400,
+                    'INVALID_RULE_VALUE',
+                    'The rule value must be a positive int');
+            }
+    }
+}
+
+// validateDiscussionUnlocked
+// 
+// Validates that a discussion exists and is not locked given the discussion's
+// ID and a connection to the database. Locked discussions do not accept new
+// quibbles or votes.
+// 
+// Throws a RouteError object with the code DISCUSSION_LOCKED if the discussion
+// is locked, or DISCUSSION_ID_NOT_FOUND if the discussion does not exist.
+exports.validateDiscussionUnlocked = async (discussionId, conn) => {
+    const dbRes = await conn.query(`
+        SELECT locked FROM discussion
+        WHERE id = ?;
+    `, [discussionId]);
+    if (dbRes.length === 0) {
+        throw new RouteError(
+            400,
+            'DISCUSSION_ID_NOT_FOUND',
+            'The provided discussion ID was not found');
+    }
+    if (dbRes[0].locked) {
+        throw new RouteError(
+            403,
+            'DISCUSSION_LOCKED',
+            'The discussion is locked');
+    }
+}
+
+// getScripts
+// 
+// Helper function for getting the set of scripts used by the letters of a
+// string. Letters of scripts not in USERNAME_SCRIPTS are counted as 'Other'.
+function getScripts(str) {
+    const scripts = new Set();
+    for (const char of str) {
+        if (!(/\p{L}/u.test(char))) {
+            continue;
+        }
+        const script = USERNAME_SCRIPTS.find(([name, regex]) => regex.test(char));
+        scripts.add(script ? script[0] : 'Other');
+    }
+    return scripts;
+}
@@ -34,6 +34,7 @@ CREATE TABLE IF NOT EXISTS discussion (
     page_content TEXT,
 	date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     topic_id INT NOT NULL,
+    locked BOOLEAN NOT NULL DEFAULT FALSE,
 
     CONSTRAINT fk_discussion_topic_id FOREIGN KEY (topic_id)
         REFERENCES topic(id)
@@ -77,10 +78,21 @@ CREATE TABLE IF NOT EXISTS discussion_tag (
 
 CREATE TABLE IF NOT EXISTS `user` (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    username VARCHAR(30) NOT NULL,
-    password_hash BINARY(60) NOT NULL,
+    username VARCHAR(30) CHARACTER SET utf8mb4 NOT NULL,
+    username_canonical VARCHAR(120) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin,
+    username_skeleton VARCHAR(120) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin,
+    password_hash BINARY(60),
     access_level INT NOT NULL DEFAULT 1,
     date_joined TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    password_reset_required BOOLEAN NOT NULL DEFAULT FALSE,
+    email VARCHAR(254),
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_last_step BIGINT,
+    date_deletion_scheduled TIMESTAMP NULL DEFAULT NULL,
+    deletion_quibble_action ENUM('anonymize', 'delete'),
+    shadowbanned BOOLEAN NOT NULL DEFAULT FALSE,
 
     CONSTRAINT fk_user_access_level FOREIGN KEY (access_level)
         REFERENCES access(access_level)
@@ -88,13 +100,18 @@ CREATE TABLE IF NOT EXISTS `user` (
         ON UPDATE CASCADE,
     
     INDEX(username),
-    INDEX(access_level)
+    INDEX(access_level),
+    INDEX(date_deletion_scheduled),
+    UNIQUE(username_canonical),
+    UNIQUE(username_skeleton),
+    UNIQUE(email)
 );
 
 CREATE TABLE IF NOT EXISTS user_choice (
     choice_id INT NOT NULL,
     user_id INT NOT NULL,
     discussion_id INT NOT NULL,
+    shadowed BOOLEAN NOT NULL DEFAULT FALSE,
 
     CONSTRAINT pk_user_choice PRIMARY KEY (choice_id, user_id),
     CONSTRAINT fk_user_choice_choice_id FOREIGN KEY (choice_id)
@@ -119,6 +136,10 @@ CREATE TABLE IF NOT EXISTS quibble (
     author_id INT,
     date_posted TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     content VARCHAR(400) DEFAULT "",
+    shadowed BOOLEAN NOT NULL DEFAULT FALSE,
+    hidden_state ENUM('hidden', 'restored', 'removed'),
+    hidden_reason ENUM('condemns', 'automod'),
+    date_hidden TIMESTAMP NULL,
 
     CONSTRAINT fk_quibble_discussion_id FOREIGN KEY (discussion_id)
         REFERENCES discussion(id)
@@ -131,7 +152,8 @@ CREATE TABLE IF NOT EXISTS quibble (
     
     INDEX(discussion_id),
     INDEX(author_id),
-    INDEX(date_posted)
+    INDEX(date_posted),
+    INDEX(hidden_state)
 );
 
 CREATE TABLE IF NOT EXISTS condemning_user (
@@ -148,6 +170,397 @@ CREATE TABLE IF NOT EXISTS condemning_user (
         ON UPDATE CASCADE
 );
 
+CREATE TABLE IF NOT EXISTS user_session (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_renewed TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_expires TIMESTAMP NULL DEFAULT NULL,
+    date_revoked TIMESTAMP NULL DEFAULT NULL,
+    token_id CHAR(32) NOT NULL,
+    previous_token_id CHAR(32),
+    date_rotated TIMESTAMP NULL DEFAULT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+
+    CONSTRAINT fk_user_session_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS one_time_token (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    purpose VARCHAR(30) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_expires TIMESTAMP NOT NULL,
+    date_used TIMESTAMP NULL DEFAULT NULL,
+
+    CONSTRAINT fk_one_time_token_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(user_id),
+    UNIQUE(token_hash)
+);
+
+CREATE TABLE IF NOT EXISTS recovery_code (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    date_used TIMESTAMP NULL DEFAULT NULL,
+
+    CONSTRAINT fk_recovery_code_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(user_id, code_hash)
+);
+
+CREATE TABLE IF NOT EXISTS api_token (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    scopes VARCHAR(255) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_last_used TIMESTAMP NULL DEFAULT NULL,
+    date_expires TIMESTAMP NULL DEFAULT NULL,
+    date_revoked TIMESTAMP NULL DEFAULT NULL,
+
+    CONSTRAINT fk_api_token_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(user_id),
+    UNIQUE(token_hash)
+);
+
+CREATE TABLE IF NOT EXISTS user_identity (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(254),
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_user_identity_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(user_id),
+    UNIQUE(provider, subject)
+);
+
+CREATE TABLE IF NOT EXISTS username_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT,
+    username VARCHAR(30) CHARACTER SET utf8mb4 NOT NULL,
+    username_canonical VARCHAR(120) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+    username_skeleton VARCHAR(120) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+    changed_by_id INT,
+    date_changed TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_username_history_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_username_history_changed_by_id FOREIGN KEY (changed_by_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(user_id),
+    INDEX(username_canonical),
+    INDEX(username_skeleton),
+    INDEX(date_changed)
+);
+
+CREATE TABLE IF NOT EXISTS user_suspension (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    moderator_id INT,
+    reason VARCHAR(500) NOT NULL,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_expires TIMESTAMP NULL DEFAULT NULL,
+    date_lifted TIMESTAMP NULL DEFAULT NULL,
+    lifted_by_id INT,
+
+    CONSTRAINT fk_user_suspension_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_user_suspension_moderator_id FOREIGN KEY (moderator_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_user_suspension_lifted_by_id FOREIGN KEY (lifted_by_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(user_id),
+    INDEX(date_expires)
+);
+
+CREATE TABLE IF NOT EXISTS permission (
+    permission_name VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(200) NOT NULL
+);
+
+INSERT INTO permission
+VALUES
+    ('discussion.create', 'Create discussions'),
+    ('discussion.edit', 'Add tags to discussions'),
+    ('discussion.choices', 'Add choices to discussions'),
+    ('discussion.lock', 'Lock and unlock discussions'),
+    ('topic.manage', 'Create topics'),
+    ('topic.moderators', 'Assign and remove topic moderators'),
+    ('tag.manage', 'Create tags'),
+    ('quibble.delete', 'Delete the quibbles of any user'),
+    ('quibble.reports', 'View and resolve quibble reports'),
+    ('user.delete', 'Remove user accounts'),
+    ('user.rename', 'Change the usernames of other users'),
+    ('user.access-level', 'Change the access levels of other users'),
+    ('user.password-reset', 'Require other users to reset their password'),
+    ('user.inspect', 'View the username history and suspensions of other users'),
+    ('user.ban', 'Suspend users and lift suspensions'),
+    ('user.shadowban', 'Shadowban users and view shadowed content'),
+    ('admin.login-lockouts', 'View and clear login lock-outs'),
+    ('admin.jwt-keys', 'View, rotate, and retire JWT signing keys'),
+    ('admin.permissions', 'View and edit the permissions of roles'),
+    ('admin.audit-log', 'View the audit log of privileged actions'),
+    ('admin.automod', 'View, edit, and test automoderation rules');
+
+CREATE TABLE IF NOT EXISTS role_permission (
+    access_level INT NOT NULL,
+    permission_name VARCHAR(50) NOT NULL,
+
+    CONSTRAINT pk_role_permission PRIMARY KEY (access_level, permission_name),
+    CONSTRAINT fk_role_permission_access_level FOREIGN KEY (access_level)
+        REFERENCES access(access_level)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_role_permission_permission_name FOREIGN KEY (permission_name)
+        REFERENCES permission(permission_name)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+);
+
+INSERT INTO role_permission (access_level, permission_name)
+SELECT access_level, permission_name FROM access
+JOIN permission ON (
+    (access_level >= 2 AND permission_name IN (
+        'quibble.delete',
+        'quibble.reports',
+        'discussion.lock',
+        'user.inspect',
+        'user.ban',
+        'user.shadowban'))
+    OR access_level >= 3
+);
+
+CREATE TABLE IF NOT EXISTS topic_moderator (
+    topic_id INT NOT NULL,
+    user_id INT NOT NULL,
+    assigned_by_id INT,
+    date_assigned TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT pk_topic_moderator PRIMARY KEY (topic_id, user_id),
+    CONSTRAINT fk_topic_moderator_topic_id FOREIGN KEY (topic_id)
+        REFERENCES topic(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_topic_moderator_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_topic_moderator_assigned_by_id FOREIGN KEY (assigned_by_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS report_resolution (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quibble_id BIGINT NOT NULL,
+    moderator_id INT,
+    action ENUM('dismiss', 'delete', 'suspend') NOT NULL,
+    note VARCHAR(500),
+    suspension_id INT,
+    date_resolved TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_report_resolution_quibble_id FOREIGN KEY (quibble_id)
+        REFERENCES quibble(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_report_resolution_moderator_id FOREIGN KEY (moderator_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_report_resolution_suspension_id FOREIGN KEY (suspension_id)
+        REFERENCES user_suspension(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(quibble_id)
+);
+
+CREATE TABLE IF NOT EXISTS quibble_report (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quibble_id BIGINT NOT NULL,
+    reporter_id INT,
+    reason ENUM(
+        'spam',
+        'harassment',
+        'hate',
+        'misinformation',
+        'off-topic',
+        'other') NOT NULL,
+    note VARCHAR(500),
+    date_reported TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolution_id INT,
+
+    CONSTRAINT fk_quibble_report_quibble_id FOREIGN KEY (quibble_id)
+        REFERENCES quibble(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_quibble_report_reporter_id FOREIGN KEY (reporter_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_quibble_report_resolution_id FOREIGN KEY (resolution_id)
+        REFERENCES report_resolution(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(resolution_id),
+    UNIQUE(quibble_id, reporter_id)
+);
+
+CREATE TABLE IF NOT EXISTS automod_rule (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rule_type ENUM(
+        'banned-words',
+        'regex',
+        'link-limit',
+        'caps-ratio',
+        'repeated-chars',
+        'new-account') NOT NULL,
+    rule_value VARCHAR(1000) NOT NULL,
+    action ENUM('reject', 'hold', 'flag') NOT NULL,
+    targets SET('quibble', 'username') NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS automod_flag (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    rule_id INT,
+    rule_name VARCHAR(100) NOT NULL,
+    action ENUM('hold', 'flag') NOT NULL,
+    target ENUM('quibble', 'username') NOT NULL,
+    user_id INT NOT NULL,
+    quibble_id BIGINT,
+    content VARCHAR(400) NOT NULL,
+    date_flagged TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_automod_flag_rule_id FOREIGN KEY (rule_id)
+        REFERENCES automod_rule(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_automod_flag_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_automod_flag_quibble_id FOREIGN KEY (quibble_id)
+        REFERENCES quibble(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+
+    INDEX(target)
+);
+
+CREATE TABLE IF NOT EXISTS spam_detection (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    detection_type ENUM('duplicate', 'copy', 'burst') NOT NULL,
+    discussion_id INT,
+    content VARCHAR(400) NOT NULL,
+    matched_quibble_id BIGINT,
+    date_detected TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by_id INT,
+    date_reviewed TIMESTAMP NULL,
+
+    CONSTRAINT fk_spam_detection_user_id FOREIGN KEY (user_id)
+        REFERENCES user(id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_spam_detection_discussion_id FOREIGN KEY (discussion_id)
+        REFERENCES discussion(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_spam_detection_matched_quibble_id FOREIGN KEY (matched_quibble_id)
+        REFERENCES quibble(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    CONSTRAINT fk_spam_detection_reviewed_by_id FOREIGN KEY (reviewed_by_id)
+        REFERENCES user(id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+
+    INDEX(user_id, date_reviewed),
+    INDEX(date_reviewed)
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_id INT,
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30) NOT NULL,
+    target_id VARCHAR(30) NOT NULL,
+    before_value JSON,
+    after_value JSON,
+    ip_address VARCHAR(45),
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX(actor_id),
+    INDEX(action),
+    INDEX(target_type, target_id),
+    INDEX(date_created)
+);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+BEFORE UPDATE ON audit_log FOR EACH ROW
+SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'The audit log is append-only';
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+BEFORE DELETE ON audit_log FOR EACH ROW
+SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'The audit log is append-only';
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    throttle_type ENUM('username', 'ip') NOT NULL,
+    throttle_key VARCHAR(100) NOT NULL,
+    failed_count INT NOT NULL DEFAULT 0,
+    date_last_failed TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_locked_until TIMESTAMP NULL DEFAULT NULL,
+
+    INDEX(date_locked_until),
+    UNIQUE(throttle_type, throttle_key)
+);
+
 /*
 Changes:
 	~ discussion:title VARCHAR(400) -> VARCHAR(100)
@@ -164,4 +577,28 @@ Changes:
     + user_choice:fk_user_choice_choice_id
     - user_choice:fk_user_choice_choice_name
     + user_choice:UNIQUE
+    + user:password_reset_required
+    + user:email
+    + user:email_verified
+    + user:totp_secret
+    + user:totp_enabled
+    + user:totp_last_step
+    ~ user:password_hash NOT NULL -> NULL
+    ~ user:username CHARACTER SET utf8mb4
+    + user:username_canonical
+    + user:username_skeleton
+    + user:date_deletion_scheduled
+    + user:deletion_quibble_action
+    + user:INDEX(date_deletion_scheduled)
+    + user:shadowbanned
+    + quibble:shadowed
+    + user_choice:shadowed
+    + discussion:locked
+    + quibble:hidden_state
+    + quibble:hidden_reason
+    + quibble:date_hidden
+    + quibble:INDEX(hidden_state)
+    ~ quibble:hidden_reason ENUM('condemns') -> ENUM('condemns', 'automod')
+    ~ username_history:user_id NOT NULL -> NULL
+    ~ username_history:fk_username_history_user_id ON DELETE CASCADE -> ON DELETE SET NULL
 */